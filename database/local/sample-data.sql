@@ -0,0 +1,135 @@
+-- Sample database for the embedded engines (SQLite and DuckDB)
+-- Same tables and rows as database/init/02-sample-data.sql, written in the
+-- subset of SQL both engines accept: inline foreign keys and explicit ids.
+-- Table and column comments are applied from the PostgreSQL script for DuckDB.
+
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE TABLE categories (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    parent_id INTEGER REFERENCES categories(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE products (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    price DECIMAL(10,2) NOT NULL,
+    category_id INTEGER REFERENCES categories(id),
+    stock_quantity INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active BOOLEAN DEFAULT true
+);
+
+CREATE TABLE orders (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    total_amount DECIMAL(10,2) NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending',
+    order_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    shipped_date TIMESTAMP,
+    delivery_address TEXT
+);
+
+CREATE TABLE order_items (
+    id INTEGER PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id),
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL,
+    unit_price DECIMAL(10,2) NOT NULL,
+    total_price DECIMAL(10,2) NOT NULL
+);
+
+CREATE TABLE reviews (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    rating INTEGER CHECK (rating >= 1 AND rating <= 5),
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Categories
+INSERT INTO categories (id, name, description) VALUES
+(1, 'Electronics', 'Electronic devices and gadgets'),
+(2, 'Clothing', 'Apparel and fashion items'),
+(3, 'Books', 'Books and educational materials'),
+(4, 'Home & Garden', 'Home improvement and gardening supplies'),
+(5, 'Sports', 'Sports equipment and fitness gear');
+
+-- Subcategories go in a separate statement so their parents already exist
+INSERT INTO categories (id, name, description, parent_id) VALUES
+(6, 'Smartphones', 'Mobile phones and accessories', 1),
+(7, 'Laptops', 'Portable computers', 1),
+(8, 'Men''s Clothing', 'Clothing for men', 2),
+(9, 'Women''s Clothing', 'Clothing for women', 2);
+
+-- Users
+INSERT INTO users (id, email, first_name, last_name) VALUES
+(1, 'john.doe@example.com', 'John', 'Doe'),
+(2, 'jane.smith@example.com', 'Jane', 'Smith'),
+(3, 'bob.johnson@example.com', 'Bob', 'Johnson'),
+(4, 'alice.brown@example.com', 'Alice', 'Brown'),
+(5, 'charlie.wilson@example.com', 'Charlie', 'Wilson');
+
+-- Products
+INSERT INTO products (id, name, description, price, category_id, stock_quantity) VALUES
+(1, 'iPhone 15 Pro', 'Latest Apple smartphone with advanced features', 999.99, 6, 50),
+(2, 'Samsung Galaxy S24', 'High-end Android smartphone', 899.99, 6, 30),
+(3, 'MacBook Pro 16"', 'Professional laptop for creative work', 2499.99, 7, 15),
+(4, 'Dell XPS 13', 'Ultrabook for business and personal use', 1299.99, 7, 25),
+(5, 'Nike Air Max', 'Comfortable running shoes', 129.99, 5, 100),
+(6, 'Levi''s 501 Jeans', 'Classic denim jeans', 79.99, 8, 75),
+(7, 'The Great Gatsby', 'Classic American novel', 12.99, 3, 200),
+(8, 'Yoga Mat', 'Non-slip exercise mat', 29.99, 5, 150);
+
+-- Orders
+INSERT INTO orders (id, user_id, total_amount, status, order_date) VALUES
+(1, 1, 999.99, 'delivered', '2024-01-15 10:30:00'),
+(2, 2, 1429.98, 'shipped', '2024-01-20 14:15:00'),
+(3, 3, 159.98, 'delivered', '2024-01-18 09:45:00'),
+(4, 1, 2499.99, 'processing', '2024-01-25 16:20:00'),
+(5, 4, 42.98, 'delivered', '2024-01-22 11:10:00');
+
+-- Order items
+INSERT INTO order_items (id, order_id, product_id, quantity, unit_price, total_price) VALUES
+(1, 1, 1, 1, 999.99, 999.99),
+(2, 2, 5, 1, 129.99, 129.99),
+(3, 2, 4, 1, 1299.99, 1299.99),
+(4, 3, 5, 1, 129.99, 129.99),
+(5, 3, 8, 1, 29.99, 29.99),
+(6, 4, 3, 1, 2499.99, 2499.99),
+(7, 5, 7, 1, 12.99, 12.99),
+(8, 5, 8, 1, 29.99, 29.99);
+
+-- Reviews
+INSERT INTO reviews (id, user_id, product_id, rating, comment) VALUES
+(1, 1, 1, 5, 'Excellent phone with great camera quality'),
+(2, 2, 5, 4, 'Very comfortable shoes, great for running'),
+(3, 3, 5, 5, 'Best running shoes I''ve ever owned'),
+(4, 1, 3, 5, 'Perfect laptop for video editing and development'),
+(5, 4, 7, 4, 'Classic book, well worth reading'),
+(6, 2, 4, 4, 'Good laptop for the price, lightweight and fast');
+
+-- Indexes
+CREATE INDEX idx_users_email ON users(email);
+CREATE INDEX idx_products_category ON products(category_id);
+CREATE INDEX idx_products_price ON products(price);
+CREATE INDEX idx_orders_user ON orders(user_id);
+CREATE INDEX idx_orders_date ON orders(order_date);
+CREATE INDEX idx_order_items_order ON order_items(order_id);
+CREATE INDEX idx_order_items_product ON order_items(product_id);
+CREATE INDEX idx_reviews_product ON reviews(product_id);
+CREATE INDEX idx_reviews_rating ON reviews(rating);
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Query Job Worker Entry Point
+ *
+ * This script runs background query jobs (requests sent with "async": true)
+ * without serving the API, so long queries can be moved off the API servers.
+ * Start API servers with JOB_WORKER=false to leave all jobs to workers.
+ *
+ * Usage:
+ *   node job-worker.js
+ *
+ * Workers share the job queue through Redis; run as many as needed. Together
+ * they run at most `jobConcurrency` jobs per data source at a time, and the
+ * jobs of a worker that stops are picked up by the others.
+ */
+
+require('dotenv').config();
+
+const datasources = require('./src/config/datasources');
+const redis = require('./src/config/redis');
+const queryJobService = require('./src/services/queryJobService');
+const logger = require('./src/utils/logger');
+
+// Keep the process alive: the worker's poll timer does not
+const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down job worker...`);
+  queryJobService.stopWorker();
+  clearInterval(keepAlive);
+
+  try {
+    await datasources.closeAll();
+    await redis.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during job worker shutdown:', error);
+    process.exit(1);
+  }
+}
+
+function main() {
+  try {
+    logger.info('Starting query job worker...');
+    queryJobService.startWorker();
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+  } catch (error) {
+    logger.error('Failed to start job worker:', error);
+    process.exit(1);
+  }
+}
+
+main();
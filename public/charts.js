@@ -0,0 +1,307 @@
+// Chart rendering for query results, drawn as inline SVG without external libraries
+// Charts follow the spec the API recommends with each result: { type, x, xType, y, reason, source }
+
+const CHART_COLORS = ['#667eea', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 320;
+const CHART_MARGIN = { top: 20, right: 20, bottom: 70, left: 64 };
+
+// Build the chart for a spec and the rows it describes, as an HTML string
+function createChart(spec, rows) {
+    if (!spec || !rows || rows.length === 0) return '';
+
+    let body;
+    switch (spec.type) {
+        case 'kpi':
+            body = createKpiChart(spec, rows);
+            break;
+        case 'line':
+            body = createLineChart(spec, rows);
+            break;
+        case 'bar':
+            body = createBarChart(spec, rows);
+            break;
+        case 'pie':
+            body = createPieChart(spec, rows);
+            break;
+        case 'scatter':
+            body = createScatterChart(spec, rows);
+            break;
+        default:
+            return '';
+    }
+
+    const caption = `${spec.reason || ''}${spec.source === 'llm' ? ' (chart suggested by the model)' : ''}`;
+    return `
+        <div class="chart-view chart-${spec.type}">
+            ${body}
+            ${caption ? `<div class="chart-caption">${chartText(caption)}</div>` : ''}
+        </div>
+    `;
+}
+
+function createKpiChart(spec, rows) {
+    const row = rows[0];
+    return `
+        <div class="chart-kpis">
+            ${spec.y.map(field => `
+                <div class="chart-kpi">
+                    <div class="chart-kpi-value">${chartText(formatChartNumber(row[field]))}</div>
+                    <div class="chart-kpi-label">${chartText(field)}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function createLineChart(spec, rows) {
+    const points = rows
+        .map(row => ({ row, x: toChartTime(row[spec.x]) }))
+        .filter(point => point.x !== null)
+        .sort((a, b) => a.x - b.x);
+    if (points.length < 2) return createBarChart(spec, rows);
+
+    const times = points.map(point => point.x);
+    const xScale = linearScale(Math.min(...times), Math.max(...times), CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right);
+    const yAxis = createValueAxis(spec.y.flatMap(field => points.map(point => toChartNumber(point.row[field]))), true);
+
+    // Up to 8 evenly spaced labels along the time axis
+    const labelStep = Math.max(1, Math.ceil(points.length / 8));
+    const xLabels = points
+        .filter((_point, index) => index % labelStep === 0)
+        .map(point => axisLabel(xScale(point.x), formatTimeLabel(point.row[spec.x]), points.length > 6))
+        .join('');
+
+    const series = spec.y.map((field, seriesIndex) => {
+        const color = CHART_COLORS[seriesIndex % CHART_COLORS.length];
+        const plotted = points.filter(point => toChartNumber(point.row[field]) !== null);
+        const path = plotted.map(point => `${xScale(point.x).toFixed(1)},${yAxis.scale(toChartNumber(point.row[field])).toFixed(1)}`).join(' ');
+        const dots = plotted.map(point => `
+            <circle cx="${xScale(point.x).toFixed(1)}" cy="${yAxis.scale(toChartNumber(point.row[field])).toFixed(1)}" r="3" fill="${color}">
+                <title>${chartText(`${point.row[spec.x]}: ${field} ${formatChartNumber(point.row[field])}`)}</title>
+            </circle>
+        `).join('');
+        return `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2" />${dots}`;
+    }).join('');
+
+    return chartSvg(spec, `${yAxis.svg}${xLabels}${series}`) + chartLegend(spec.y);
+}
+
+function createBarChart(spec, rows) {
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const band = plotWidth / rows.length;
+    const barWidth = (band * 0.8) / spec.y.length;
+    const yAxis = createValueAxis(spec.y.flatMap(field => rows.map(row => toChartNumber(row[field]))), true);
+    const baseline = yAxis.scale(0);
+
+    // Label every category while they fit, otherwise every nth
+    const labelStep = Math.max(1, Math.ceil(rows.length / 16));
+    const bars = rows.map((row, index) => {
+        const bandStart = CHART_MARGIN.left + index * band;
+        const label = spec.xType === 'time' ? formatTimeLabel(row[spec.x]) : row[spec.x];
+        const xLabel = index % labelStep === 0 ? axisLabel(bandStart + band / 2, label, rows.length > 6) : '';
+
+        return xLabel + spec.y.map((field, seriesIndex) => {
+            const value = toChartNumber(row[field]);
+            if (value === null) return '';
+            const y = yAxis.scale(value);
+            return `
+                <rect x="${(bandStart + band * 0.1 + seriesIndex * barWidth).toFixed(1)}" y="${Math.min(y, baseline).toFixed(1)}"
+                      width="${Math.max(barWidth - 1, 1).toFixed(1)}" height="${Math.max(Math.abs(baseline - y), 1).toFixed(1)}"
+                      fill="${CHART_COLORS[seriesIndex % CHART_COLORS.length]}" rx="2">
+                    <title>${chartText(`${label ?? 'NULL'}: ${field} ${formatChartNumber(value)}`)}</title>
+                </rect>
+            `;
+        }).join('');
+    }).join('');
+
+    return chartSvg(spec, `${yAxis.svg}${bars}`) + chartLegend(spec.y);
+}
+
+function createPieChart(spec, rows) {
+    const field = spec.y[0];
+    const slices = rows
+        .map(row => ({ label: row[spec.x] ?? 'NULL', value: toChartNumber(row[field]) || 0 }))
+        .filter(slice => slice.value > 0);
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    if (total === 0) return createBarChart({ ...spec, type: 'bar' }, rows);
+
+    const radius = (CHART_HEIGHT - CHART_MARGIN.top * 2) / 2;
+    const cx = CHART_MARGIN.left + radius;
+    const cy = CHART_HEIGHT / 2;
+    let angle = -Math.PI / 2;
+
+    const paths = slices.map((slice, index) => {
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        const share = slice.value / total;
+        const title = `<title>${chartText(`${slice.label}: ${formatChartNumber(slice.value)} (${(share * 100).toFixed(1)}%)`)}</title>`;
+        if (share >= 0.9999) {
+            return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}">${title}</circle>`;
+        }
+
+        const start = angle;
+        angle += share * Math.PI * 2;
+        const [x0, y0] = [cx + radius * Math.cos(start), cy + radius * Math.sin(start)];
+        const [x1, y1] = [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+        return `
+            <path d="M ${cx} ${cy} L ${x0.toFixed(1)} ${y0.toFixed(1)} A ${radius} ${radius} 0 ${share > 0.5 ? 1 : 0} 1 ${x1.toFixed(1)} ${y1.toFixed(1)} Z"
+                  fill="${color}" stroke="white" stroke-width="2">${title}</path>
+        `;
+    }).join('');
+
+    const legendX = cx + radius + 40;
+    const legend = slices.map((slice, index) => `
+        <rect x="${legendX}" y="${CHART_MARGIN.top + index * 28}" width="14" height="14" rx="3" fill="${CHART_COLORS[index % CHART_COLORS.length]}" />
+        <text x="${legendX + 22}" y="${CHART_MARGIN.top + index * 28 + 12}" class="chart-legend-text">
+            ${chartText(`${chartLabel(slice.label, 24)} - ${formatChartNumber(slice.value)} (${(slice.value / total * 100).toFixed(1)}%)`)}
+        </text>
+    `).join('');
+
+    return chartSvg(spec, paths + legend);
+}
+
+function createScatterChart(spec, rows) {
+    const field = spec.y[0];
+    const points = rows
+        .map(row => ({ x: toChartNumber(row[spec.x]), y: toChartNumber(row[field]) }))
+        .filter(point => point.x !== null && point.y !== null);
+
+    const xAxis = createValueAxis(points.map(point => point.x), false, 'x');
+    const yAxis = createValueAxis(points.map(point => point.y), false);
+    const dots = points.map(point => `
+        <circle cx="${xAxis.scale(point.x).toFixed(1)}" cy="${yAxis.scale(point.y).toFixed(1)}" r="4" fill="${CHART_COLORS[0]}" fill-opacity="0.7">
+            <title>${chartText(`${spec.x} ${formatChartNumber(point.x)}, ${field} ${formatChartNumber(point.y)}`)}</title>
+        </circle>
+    `).join('');
+
+    const xTitle = `<text x="${(CHART_MARGIN.left + CHART_WIDTH - CHART_MARGIN.right) / 2}" y="${CHART_HEIGHT - 10}" text-anchor="middle" class="chart-axis-title">${chartText(spec.x)}</text>`;
+    return chartSvg(spec, `${yAxis.svg}${xAxis.svg}${xTitle}${dots}`) + chartLegend([field]);
+}
+
+// Scale and gridlines for a value axis; `axis` is 'y' (left) or 'x' (bottom)
+function createValueAxis(values, includeZero, axis = 'y') {
+    const numbers = values.filter(value => value !== null);
+    let min = numbers.length > 0 ? Math.min(...numbers) : 0;
+    let max = numbers.length > 0 ? Math.max(...numbers) : 1;
+    if (includeZero) {
+        min = Math.min(0, min);
+        max = Math.max(0, max);
+    }
+    const ticks = niceTicks(min, max);
+    const low = ticks[0];
+    const high = ticks[ticks.length - 1];
+
+    if (axis === 'x') {
+        const scale = linearScale(low, high, CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right);
+        const svg = ticks.map(tick => `
+            <line x1="${scale(tick)}" x2="${scale(tick)}" y1="${CHART_MARGIN.top}" y2="${CHART_HEIGHT - CHART_MARGIN.bottom}" class="chart-grid" />
+            <text x="${scale(tick)}" y="${CHART_HEIGHT - CHART_MARGIN.bottom + 16}" text-anchor="middle" class="chart-tick">${chartText(formatAxisNumber(tick))}</text>
+        `).join('');
+        return { scale, svg };
+    }
+
+    const scale = linearScale(low, high, CHART_HEIGHT - CHART_MARGIN.bottom, CHART_MARGIN.top);
+    const svg = ticks.map(tick => `
+        <line x1="${CHART_MARGIN.left}" x2="${CHART_WIDTH - CHART_MARGIN.right}" y1="${scale(tick)}" y2="${scale(tick)}" class="chart-grid" />
+        <text x="${CHART_MARGIN.left - 8}" y="${scale(tick) + 4}" text-anchor="end" class="chart-tick">${chartText(formatAxisNumber(tick))}</text>
+    `).join('');
+    return { scale, svg };
+}
+
+// Round tick values covering [min, max]
+function niceTicks(min, max, count = 5) {
+    if (min === max) {
+        const pad = Math.abs(min) || 1;
+        min -= pad;
+        max += pad;
+    }
+    const rough = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+    const ticks = [];
+    for (let tick = Math.floor(min / step) * step; tick <= max + step * 0.001; tick += step) {
+        ticks.push(Number(tick.toPrecision(12)));
+    }
+    if (ticks[ticks.length - 1] < max) ticks.push(Number((ticks[ticks.length - 1] + step).toPrecision(12)));
+    return ticks;
+}
+
+function linearScale(domainMin, domainMax, rangeMin, rangeMax) {
+    const span = domainMax - domainMin || 1;
+    return value => rangeMin + ((value - domainMin) / span) * (rangeMax - rangeMin);
+}
+
+function axisLabel(x, text, rotate) {
+    const y = CHART_HEIGHT - CHART_MARGIN.bottom + 16;
+    const transform = rotate ? ` transform="rotate(-35 ${x.toFixed(1)} ${y})"` : '';
+    return `<text x="${x.toFixed(1)}" y="${y}" text-anchor="${rotate ? 'end' : 'middle'}" class="chart-tick"${transform}>${chartText(chartLabel(text ?? 'NULL'))}</text>`;
+}
+
+function chartSvg(spec, content) {
+    return `
+        <svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${chartText(`${spec.type} chart: ${spec.reason || ''}`)}">
+            ${content}
+        </svg>
+    `;
+}
+
+function chartLegend(fields) {
+    if (fields.length < 2) return '';
+    return `
+        <div class="chart-legend">
+            ${fields.map((field, index) => `
+                <span class="chart-legend-item"><span class="chart-swatch" style="background: ${CHART_COLORS[index % CHART_COLORS.length]}"></span>${chartText(field)}</span>
+            `).join('')}
+        </div>
+    `;
+}
+
+function toChartNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function toChartTime(value) {
+    if (value === null || value === undefined) return null;
+    const time = Date.parse(String(value).replace(' ', 'T'));
+    return Number.isNaN(time) ? null : time;
+}
+
+function formatTimeLabel(value) {
+    if (value === null || value === undefined) return 'NULL';
+    // Dates without their midnight timestamps
+    return String(value).replace(/T00:00:00(\.000)?Z?$/, '');
+}
+
+function formatChartNumber(value) {
+    const number = toChartNumber(value);
+    if (number === null) return value === null || value === undefined ? 'NULL' : String(value);
+    return number.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function formatAxisNumber(value) {
+    return new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
+
+function chartLabel(text, maxLength = 14) {
+    const label = String(text);
+    return label.length > maxLength ? `${label.slice(0, maxLength - 1)}…` : label;
+}
+
+function chartText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Export functions for use in tests and other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createChart,
+        niceTicks
+    };
+}
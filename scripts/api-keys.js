@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Issue and revoke API keys. Keys are stored in Redis as SHA-256 hashes, so a
+ * new key is printed once and cannot be recovered later.
+ *
+ * Usage:
+ *   node scripts/api-keys.js create <userId> [name] [--role viewer|analyst|admin] [--attr key=value ...]
+ *   node scripts/api-keys.js revoke <keyId>
+ */
+
+require('dotenv').config();
+
+const redis = require('../src/config/redis');
+const authService = require('../src/services/authService');
+
+const waitForRedis = () => new Promise((resolve, reject) => {
+  if (redis.isConnected) return resolve();
+  redis.client.once('ready', resolve);
+  redis.client.once('error', reject);
+});
+
+// Split `--role analyst` and `--attr region=emea` (either also with `=`) out of the positional arguments
+const parseArgs = (args) => {
+  const positional = [];
+  const attributes = {};
+  let role;
+  const addAttribute = (pair = '') => {
+    const separator = pair.indexOf('=');
+    if (separator < 1) throw new Error(`Invalid attribute "${pair}": use key=value`);
+    attributes[pair.slice(0, separator)] = pair.slice(separator + 1);
+  };
+
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === '--role') {
+      role = args[++index];
+    } else if (args[index].startsWith('--role=')) {
+      role = args[index].slice('--role='.length);
+    } else if (args[index] === '--attr') {
+      addAttribute(args[++index]);
+    } else if (args[index].startsWith('--attr=')) {
+      addAttribute(args[index].slice('--attr='.length));
+    } else {
+      positional.push(args[index]);
+    }
+  }
+  return { positional, role, attributes };
+};
+
+const run = async (command, rawArgs) => {
+  const { positional: args, role, attributes } = parseArgs(rawArgs);
+  await waitForRedis();
+
+  if (command === 'create' && args[0]) {
+    const apiKey = await authService.createApiKey({ userId: args[0], name: args[1] || null, role, attributes });
+    console.log(`Key ID:  ${apiKey.id}`);
+    console.log(`User:    ${apiKey.userId}`);
+    console.log(`Role:    ${apiKey.role}`);
+    if (Object.keys(attributes).length > 0) console.log(`Attrs:   ${JSON.stringify(attributes)}`);
+    console.log(`API key: ${apiKey.key}`);
+    console.log('Store the key now; it is not shown again.');
+  } else if (command === 'revoke' && args[0]) {
+    const revoked = await authService.revokeApiKey(args[0]);
+    console.log(revoked ? `Revoked key ${args[0]}` : `No key with ID ${args[0]}`);
+    if (!revoked) process.exitCode = 1;
+  } else {
+    console.error('Usage: node scripts/api-keys.js create <userId> [name] [--role viewer|analyst|admin] [--attr key=value ...] | revoke <keyId>');
+    process.exitCode = 1;
+  }
+};
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  run(command, args)
+    .catch(error => {
+      console.error('API key command failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => redis.close().catch(() => {}));
+}
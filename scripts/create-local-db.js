@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Build the sample database as a local SQLite or DuckDB file.
+ *
+ * Usage:
+ *   node scripts/create-local-db.js sqlite data/sample.sqlite
+ *   node scripts/create-local-db.js duckdb data/sample.duckdb
+ *
+ * Then point the app at it with DB_TYPE and DB_FILE, e.g. to run the
+ * integration tests without a PostgreSQL container.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_DATA = path.join(__dirname, '..', 'database', 'local', 'sample-data.sql');
+const POSTGRES_SAMPLE_DATA = path.join(__dirname, '..', 'database', 'init', '02-sample-data.sql');
+
+/**
+ * Create (or recreate) the sample database at filename
+ */
+async function createLocalDatabase(type, filename) {
+  const script = fs.readFileSync(SAMPLE_DATA, 'utf8');
+
+  fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  for (const file of [filename, `${filename}.wal`]) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+
+  if (type === 'sqlite') {
+    const Database = require('better-sqlite3');
+    const db = new Database(filename);
+    try {
+      db.exec(script);
+    } finally {
+      db.close();
+    }
+  } else if (type === 'duckdb') {
+    const { DuckDBInstance } = require('@duckdb/node-api');
+    const instance = await DuckDBInstance.create(filename);
+    const connection = await instance.connect();
+    try {
+      await connection.run(script);
+      // DuckDB understands the PostgreSQL COMMENT ON statements as-is
+      const comments = fs.readFileSync(POSTGRES_SAMPLE_DATA, 'utf8').match(/^COMMENT ON .*;$/gm) || [];
+      for (const statement of comments) {
+        await connection.run(statement);
+      }
+    } finally {
+      connection.closeSync();
+      instance.closeSync();
+    }
+  } else {
+    throw new Error(`Unsupported local database type: ${type} (use sqlite or duckdb)`);
+  }
+}
+
+if (require.main === module) {
+  const [type, filename] = process.argv.slice(2);
+
+  if (!type || !filename) {
+    console.error('Usage: node scripts/create-local-db.js <sqlite|duckdb> <file>');
+    process.exit(1);
+  }
+
+  createLocalDatabase(type, filename)
+    .then(() => console.log(`Created ${type} sample database at ${filename}`))
+    .catch(error => {
+      console.error(`Failed to create ${type} database:`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { createLocalDatabase };
@@ -1,18 +1,36 @@
 const { Pool } = require('pg')
+const Cursor = require('pg-cursor')
 const mysql = require('mysql2/promise')
 const logger = require('../utils/logger')
 
+/**
+ * Connection pool for one named data source
+ */
 class DatabaseConfig {
-  constructor () {
-    this.dbType = process.env.DB_TYPE || 'postgresql'
+  constructor (name = 'default', options = {}) {
+    this.name = name
+    this.dbType = options.type || 'postgresql'
+    this.description = options.description || ''
+    this.poolSize = parseInt(options.poolSize) || 20
+    // File-backed engines (sqlite, duckdb) open `filename`; ":memory:" gives an empty database
+    this.filename = options.filename || options.database || ':memory:'
+    this.readonly = options.readonly !== false && options.readonly !== 'false'
+    // Milliseconds a statement may run before the database stops it; 0 for no limit
+    this.statementTimeout = parseTimeout(options.statementTimeout ?? process.env.QUERY_TIMEOUT_MS, 30000)
+    // Background jobs may run for minutes: their own timeout and number of jobs at a time
+    this.jobTimeout = parseTimeout(options.jobTimeout ?? process.env.JOB_TIMEOUT_MS, 30 * 60 * 1000)
+    this.jobConcurrency = parseInt(options.jobConcurrency ?? process.env.JOB_CONCURRENCY) || 2
     this.config = {
-      host: process.env.DB_HOST || 'localhost',
-      port: parseInt(process.env.DB_PORT) || 5432,
-      database: process.env.DB_NAME || 'sample_db',
-      user: process.env.DB_USER || 'readonly_user',
-      password: process.env.DB_PASSWORD || 'readonly_pass',
-      ssl: process.env.DB_SSL === 'true'
+      host: options.host || 'localhost',
+      port: parseInt(options.port) || 5432,
+      database: options.database || 'sample_db',
+      user: options.user || 'readonly_user',
+      password: options.password || 'readonly_pass',
+      ssl: options.ssl === true || options.ssl === 'true'
     }
+    // Schemas described to the model; unqualified table names resolve to the first.
+    // SQLite always reads its main database.
+    this.schemas = parseList(options.schemas) || defaultSchemas(this.dbType, this.config.database)
 
     this.pool = null
     this.initializePool()
@@ -23,52 +41,177 @@ class DatabaseConfig {
       if (this.dbType === 'postgresql') {
         this.pool = new Pool({
           ...this.config,
-          max: 20,
+          max: this.poolSize,
           idleTimeoutMillis: 30000,
           connectionTimeoutMillis: 2000
         })
 
         this.pool.on('error', (err) => {
-          logger.error('PostgreSQL pool error:', err)
+          logger.error(`PostgreSQL pool error (${this.name}):`, err)
         })
       } else if (this.dbType === 'mysql') {
         this.pool = mysql.createPool({
           ...this.config,
           waitForConnections: true,
-          connectionLimit: 20,
+          connectionLimit: this.poolSize,
           queueLimit: 0
         })
+      } else if (this.dbType === 'sqlite') {
+        const Database = requireDriver('better-sqlite3')
+        const inMemory = this.filename === ':memory:'
+        this.pool = new Database(this.filename, {
+          readonly: this.readonly && !inMemory,
+          fileMustExist: !inMemory
+        })
+      } else if (this.dbType === 'duckdb') {
+        const { DuckDBInstance } = requireDriver('@duckdb/node-api')
+        // Instance creation is async; query() awaits it. Disabling external access keeps
+        // generated SQL from reading files (read_csv, FROM 'file.parquet') or URLs.
+        this.pool = DuckDBInstance.create(this.filename, {
+          ...(this.readonly && this.filename !== ':memory:' ? { access_mode: 'READ_ONLY' } : {}),
+          enable_external_access: 'false'
+        })
+        this.pool.catch(error => logger.error(`DuckDB open error (${this.name}):`, error))
+      } else {
+        throw new Error(`Unsupported database type: ${this.dbType}`)
       }
 
-      logger.info(`Database pool initialized for ${this.dbType}`)
+      logger.info(`Database pool initialized for ${this.dbType} (datasource: ${this.name})`)
     } catch (error) {
-      logger.error('Failed to initialize database pool:', error)
+      logger.error(`Failed to initialize database pool for datasource ${this.name}:`, error)
       throw error
     }
   }
 
-  async query (text, params = []) {
+  /**
+   * Run a query. `timeout` (ms) can lower the statement timeout for this
+   * query, which is the job timeout for `background` queries; aborting
+   * `signal` cancels it on the server (pg_cancel_backend,
+   * KILL QUERY or an interrupt). Throws errors with code QUERY_TIMEOUT or
+   * QUERY_CANCELLED when the query is stopped. SQLite runs statements
+   * synchronously, so they can be neither timed out nor cancelled once started.
+   */
+  async query (text, params = [], options = {}) {
     const start = Date.now()
+    const { signal } = options
+    const timeout = this.resolveTimeout(options.timeout, options.background ? this.jobTimeout : this.statementTimeout)
     try {
+      if (signal?.aborted) throw cancelledError(signal)
+
       if (this.dbType === 'postgresql') {
-        const result = await this.pool.query(text, params)
-        return {
-          rows: result.rows,
-          rowCount: result.rowCount,
-          fields: result.fields
+        const client = await this.pool.connect()
+        let cancelling = null
+        const cancel = () => {
+          cancelling = this.pool.query('SELECT pg_cancel_backend($1)', [client.processID])
+            .catch(error => logger.warn(`Could not cancel PostgreSQL query (${this.name}):`, error))
+        }
+        let reset = true
+        try {
+          await client.query(`SET statement_timeout = ${timeout}`)
+          if (signal?.aborted) throw cancelledError(signal)
+          signal?.addEventListener('abort', cancel, { once: true })
+          const result = await client.query(text, params)
+          return {
+            rows: result.rows,
+            rowCount: result.rowCount,
+            fields: result.fields
+          }
+        } catch (error) {
+          if (signal?.aborted) throw cancelledError(signal, error)
+          // 57014 query_canceled: only our own timeout cancels without the signal
+          if (error.code === '57014') throw timeoutError(timeout, error)
+          throw error
+        } finally {
+          signal?.removeEventListener('abort', cancel)
+          await cancelling
+          await client.query('RESET statement_timeout').catch(() => { reset = false })
+          // A connection we could not reset is dropped rather than reused
+          client.release(!reset)
         }
       } else if (this.dbType === 'mysql') {
-        const [rows, fields] = await this.pool.execute(text, params)
+        const connection = await this.pool.getConnection()
+        let cancelling = null
+        const cancel = () => {
+          cancelling = this.pool.query(`KILL QUERY ${connection.connection.threadId}`)
+            .catch(error => logger.warn(`Could not cancel MySQL query (${this.name}):`, error))
+        }
+        let reset = true
+        try {
+          // Applies to read-only SELECT statements, which is all this connection runs
+          await connection.query(`SET SESSION max_execution_time = ${timeout}`)
+          if (signal?.aborted) throw cancelledError(signal)
+          signal?.addEventListener('abort', cancel, { once: true })
+          const [rows, fields] = await connection.execute(text, params)
+          return {
+            rows,
+            rowCount: rows.length,
+            fields
+          }
+        } catch (error) {
+          if (signal?.aborted) throw cancelledError(signal, error)
+          // ER_QUERY_TIMEOUT
+          if (error.errno === 3024) throw timeoutError(timeout, error)
+          throw error
+        } finally {
+          signal?.removeEventListener('abort', cancel)
+          await cancelling
+          await connection.query('SET SESSION max_execution_time = DEFAULT').catch(() => { reset = false })
+          if (reset) {
+            connection.release()
+          } else {
+            connection.destroy()
+          }
+        }
+      } else if (this.dbType === 'sqlite') {
+        const statement = this.pool.prepare(text)
+        if (!statement.reader) {
+          const info = statement.run(...params)
+          return { rows: [], rowCount: info.changes, fields: [] }
+        }
+        const rows = statement.all(...params)
         return {
           rows,
           rowCount: rows.length,
-          fields
+          fields: statement.columns().map(column => ({ name: column.name, type: column.type }))
+        }
+      } else if (this.dbType === 'duckdb') {
+        const instance = await this.pool
+        const connection = await instance.connect()
+        // DuckDB has no statement timeout of its own; interrupt the connection instead
+        let timedOut = false
+        const interrupt = () => connection.interrupt()
+        const timer = timeout > 0
+          ? setTimeout(() => {
+            timedOut = true
+            interrupt()
+          }, timeout)
+          : null
+        signal?.addEventListener('abort', interrupt, { once: true })
+        try {
+          const reader = await connection.runAndReadAll(text, params)
+          // JSON-safe values: BIGINT/DECIMAL become strings like pg's int8/numeric
+          const rows = reader.getRowObjectsJson()
+          const types = reader.columnTypes()
+          return {
+            rows,
+            rowCount: rows.length,
+            fields: reader.columnNames().map((name, index) => ({ name, type: types[index].toString() }))
+          }
+        } catch (error) {
+          if (signal?.aborted) throw cancelledError(signal, error)
+          if (timedOut) throw timeoutError(timeout, error)
+          throw error
+        } finally {
+          clearTimeout(timer)
+          signal?.removeEventListener('abort', interrupt)
+          connection.closeSync()
         }
       }
 
       throw new Error(`Unsupported database type: ${this.dbType}`)
     } catch (error) {
       logger.error('Database query error:', {
+        datasource: this.name,
         query: text,
         params,
         error: error.message
@@ -76,31 +219,256 @@ class DatabaseConfig {
       throw error
     } finally {
       const duration = Date.now() - start
-      logger.debug(`Query executed in ${duration}ms`)
+      logger.debug(`Query executed in ${duration}ms (datasource: ${this.name})`)
+    }
+  }
+
+  /**
+   * Statement timeout for one query: the requested one when it is lower than
+   * the limit, otherwise the limit
+   */
+  resolveTimeout (requested, limit = this.statementTimeout) {
+    const timeout = parseTimeout(requested, 0)
+    if (timeout === 0) return limit
+    return limit === 0 ? timeout : Math.min(timeout, limit)
+  }
+
+  /**
+   * Run a query through a server-side cursor (or the engine's row iterator) and
+   * yield { rows, fields } batches of up to batchSize rows. At least one batch is
+   * yielded so empty results still carry their fields. Stopping the iteration
+   * early closes the cursor. PostgreSQL and MySQL run inside a READ ONLY transaction.
+   *
+   * The statement timeout and `signal` apply as in query(): PostgreSQL stops each
+   * fetch after the timeout, MySQL and DuckDB stop the whole statement, and
+   * aborting the signal cancels the statement on the server, even while a read
+   * waits for its first row. SQLite only stops between batches.
+   */
+  async * stream (text, params = [], options = {}) {
+    const { batchSize = 500, signal } = options
+    const timeout = this.resolveTimeout(options.timeout, options.background ? this.jobTimeout : this.statementTimeout)
+    if (signal?.aborted) throw cancelledError(signal)
+
+    if (this.dbType === 'postgresql') {
+      const client = await this.pool.connect()
+      let cursor
+      let cancelling = null
+      const cancel = () => {
+        cancelling = this.pool.query('SELECT pg_cancel_backend($1)', [client.processID])
+          .catch(error => logger.warn(`Could not cancel PostgreSQL query (${this.name}):`, error))
+      }
+      try {
+        await client.query('BEGIN TRANSACTION READ ONLY')
+        // Ends with the transaction, so the pooled connection keeps its default
+        await client.query(`SET LOCAL statement_timeout = ${timeout}`)
+        if (signal?.aborted) throw cancelledError(signal)
+        signal?.addEventListener('abort', cancel, { once: true })
+        cursor = client.query(new Cursor(text, params))
+        let yielded = false
+        while (true) {
+          const { rows, fields } = await new Promise((resolve, reject) => {
+            cursor.read(batchSize, (error, rows, result) => error ? reject(error) : resolve({ rows, fields: result?.fields || [] }))
+          })
+          if (rows.length === 0 && yielded) break
+          yield { rows, fields }
+          yielded = true
+          if (rows.length === 0) break
+        }
+      } catch (error) {
+        if (signal?.aborted) throw cancelledError(signal, error)
+        if (error.code === '57014') throw timeoutError(timeout, error)
+        throw error
+      } finally {
+        signal?.removeEventListener('abort', cancel)
+        await cancelling
+        if (cursor) await new Promise(resolve => cursor.close(() => resolve()))
+        await client.query('ROLLBACK').catch(() => {})
+        client.release()
+      }
+    } else if (this.dbType === 'mysql') {
+      const connection = await this.pool.getConnection()
+      const cancel = () => {
+        this.pool.query(`KILL QUERY ${connection.connection.threadId}`)
+          .catch(error => logger.warn(`Could not cancel MySQL query (${this.name}):`, error))
+      }
+      let finished = false
+      try {
+        await connection.query(`SET SESSION max_execution_time = ${timeout}`)
+        await connection.query('START TRANSACTION READ ONLY')
+        if (signal?.aborted) throw cancelledError(signal)
+        signal?.addEventListener('abort', cancel, { once: true })
+        // The promise wrapper has no row streaming; use the underlying connection
+        const query = connection.connection.query(text, params)
+        let fields = []
+        query.on('fields', columns => { fields = columns })
+
+        let rows = []
+        let yielded = false
+        for await (const row of query.stream({ highWaterMark: batchSize })) {
+          rows.push(row)
+          if (rows.length >= batchSize) {
+            yield { rows, fields }
+            yielded = true
+            rows = []
+          }
+        }
+        if (rows.length > 0 || !yielded) yield { rows, fields }
+        finished = true
+      } catch (error) {
+        if (signal?.aborted) throw cancelledError(signal, error)
+        // ER_QUERY_TIMEOUT
+        if (error.errno === 3024) throw timeoutError(timeout, error)
+        throw error
+      } finally {
+        signal?.removeEventListener('abort', cancel)
+        let reusable = finished
+        if (reusable) {
+          await connection.query('ROLLBACK').catch(() => {})
+          await connection.query('SET SESSION max_execution_time = DEFAULT').catch(() => { reusable = false })
+        }
+        if (reusable) {
+          connection.release()
+        } else {
+          // Rows may still be arriving for an abandoned query; drop the connection
+          connection.destroy()
+        }
+      }
+    } else if (this.dbType === 'sqlite') {
+      // An open iterator locks its connection, so exports get their own read-only handle
+      const Database = requireDriver('better-sqlite3')
+      const db = this.filename === ':memory:'
+        ? this.pool
+        : new Database(this.filename, { readonly: true, fileMustExist: true })
+      try {
+        const statement = db.prepare(text)
+        const fields = statement.columns().map(column => ({ name: column.name, type: column.type }))
+        let rows = []
+        let yielded = false
+        for (const row of statement.iterate(...params)) {
+          rows.push(row)
+          if (rows.length >= batchSize) {
+            yield { rows, fields }
+            if (signal?.aborted) throw cancelledError(signal)
+            yielded = true
+            rows = []
+          }
+        }
+        if (rows.length > 0 || !yielded) yield { rows, fields }
+      } finally {
+        if (db !== this.pool) db.close()
+      }
+    } else if (this.dbType === 'duckdb') {
+      const instance = await this.pool
+      const connection = await instance.connect()
+      // DuckDB has no statement timeout of its own; interrupt the connection instead
+      let timedOut = false
+      const interrupt = () => connection.interrupt()
+      const timer = timeout > 0
+        ? setTimeout(() => {
+          timedOut = true
+          interrupt()
+        }, timeout)
+        : null
+      signal?.addEventListener('abort', interrupt, { once: true })
+      try {
+        const result = await connection.stream(text, params)
+        const types = result.columnTypes()
+        const fields = result.columnNames().map((name, index) => ({ name, type: types[index].toString() }))
+        // DuckDB yields one batch per vector (2048 rows)
+        let yielded = false
+        for await (const rows of result.yieldRowObjectJson()) {
+          if (rows.length === 0) continue
+          yield { rows, fields }
+          yielded = true
+        }
+        if (!yielded) yield { rows: [], fields }
+      } catch (error) {
+        if (signal?.aborted) throw cancelledError(signal, error)
+        if (timedOut) throw timeoutError(timeout, error)
+        throw error
+      } finally {
+        clearTimeout(timer)
+        signal?.removeEventListener('abort', interrupt)
+        connection.closeSync()
+      }
+    } else {
+      throw new Error(`Unsupported database type: ${this.dbType}`)
     }
   }
 
   async testConnection () {
     try {
       await this.query('SELECT 1 as test')
-      logger.info('Database connection test successful')
+      logger.info(`Database connection test successful (datasource: ${this.name})`)
       return true
     } catch (error) {
-      logger.error('Database connection test failed:', error)
+      logger.error(`Database connection test failed (datasource: ${this.name}):`, error)
       return false
     }
   }
 
   async close () {
     if (this.pool) {
-      if (this.dbType === 'postgresql') {
-        await this.pool.end()
-      } else if (this.dbType === 'mysql') {
+      if (this.dbType === 'sqlite') {
+        this.pool.close()
+      } else if (this.dbType === 'duckdb') {
+        const instance = await this.pool.catch(() => null)
+        if (instance) instance.closeSync()
+      } else {
         await this.pool.end()
       }
-      logger.info('Database pool closed')
+      this.pool = null
+      logger.info(`Database pool closed (datasource: ${this.name})`)
     }
   }
 }
 
-module.exports = new DatabaseConfig()
+const parseTimeout = (value, fallback) => {
+  const timeout = parseInt(value)
+  return Number.isFinite(timeout) && timeout >= 0 ? timeout : fallback
+}
+
+// An array or comma-separated string as a list, or null when empty
+const parseList = (value) => {
+  const items = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean)
+  return items.length > 0 ? items : null
+}
+
+const defaultSchemas = (dbType, database) => {
+  if (dbType === 'postgresql') return ['public']
+  if (dbType === 'mysql') return [database]
+  return ['main']
+}
+
+const timeoutError = (timeout, cause) => {
+  const error = new Error(`Query exceeded the ${timeout} ms statement timeout`)
+  error.code = 'QUERY_TIMEOUT'
+  error.cause = cause
+  return error
+}
+
+// The abort reason says who cancelled the query, or is the error to throw
+const cancelledError = (signal, cause) => {
+  if (signal.reason?.code === 'QUERY_CANCELLED') return signal.reason
+  const reason = signal.reason instanceof Error ? signal.reason.message : signal.reason
+  const error = new Error(`Query cancelled${typeof reason === 'string' && reason ? `: ${reason}` : ''}`)
+  error.code = 'QUERY_CANCELLED'
+  error.cause = cause
+  return error
+}
+
+/**
+ * Load an embedded-database driver on first use so server-only installs don't need it
+ */
+const requireDriver = (name) => {
+  try {
+    return require(name)
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error
+    throw new Error(`The "${name}" package is required for this datasource type. Install it with: npm install ${name}`)
+  }
+}
+
+module.exports = DatabaseConfig
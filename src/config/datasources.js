@@ -0,0 +1,154 @@
+const fs = require('fs')
+const path = require('path')
+const DatabaseConfig = require('./database')
+const logger = require('../utils/logger')
+
+// Names end up in cache keys and URLs
+const DATASOURCE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/
+
+/**
+ * Registry of named data sources.
+ *
+ * Data sources are read from the JSON file at DATASOURCES_CONFIG:
+ *
+ *   {
+ *     "default": "warehouse",
+ *     "datasources": {
+ *       "warehouse": { "type": "postgresql", "host": "wh.internal", "database": "dw", "user": "ro", "password": "${WAREHOUSE_DB_PASSWORD}" },
+ *       "billing": { "type": "mysql", "host": "billing.internal", "port": 3306, "database": "billing" },
+ *       "events": { "type": "duckdb", "filename": "./data/events.duckdb" }
+ *     }
+ *   }
+ *
+ * `${VAR}` placeholders are filled from the environment so secrets stay out of
+ * the file. Without a config file a single `default` data source is built from
+ * the DB_* variables. Pools are created on first use.
+ */
+class DatasourceRegistry {
+  constructor () {
+    this.definitions = null
+    this.defaultName = null
+    this.connections = new Map()
+  }
+
+  /**
+   * Get the connection for a data source (the default when name is empty)
+   */
+  get (name) {
+    const resolvedName = this.resolveName(name)
+
+    if (!this.connections.has(resolvedName)) {
+      this.connections.set(resolvedName, new DatabaseConfig(resolvedName, this.definitions[resolvedName]))
+    }
+    return this.connections.get(resolvedName)
+  }
+
+  /**
+   * Resolve a requested data source name, throwing for unknown names
+   */
+  resolveName (name) {
+    this.load()
+
+    if (!name) return this.defaultName
+
+    if (!Object.prototype.hasOwnProperty.call(this.definitions, name)) {
+      const error = new Error(`Unknown datasource: ${name}. Available datasources: ${this.names().join(', ')}`)
+      error.code = 'UNKNOWN_DATASOURCE'
+      throw error
+    }
+    return name
+  }
+
+  names () {
+    this.load()
+    return Object.keys(this.definitions)
+  }
+
+  /**
+   * Public description of the configured data sources (no credentials)
+   */
+  list () {
+    return this.names().map(name => {
+      const definition = this.definitions[name]
+      return {
+        name,
+        type: definition.type || 'postgresql',
+        database: definition.filename ? path.basename(definition.filename) : definition.database || 'sample_db',
+        description: definition.description || '',
+        isDefault: name === this.defaultName
+      }
+    })
+  }
+
+  /**
+   * Test every data source. Resolves to { [name]: boolean }
+   */
+  async testConnections () {
+    const entries = await Promise.all(this.names().map(async name => [name, await this.get(name).testConnection()]))
+    return Object.fromEntries(entries)
+  }
+
+  async closeAll () {
+    await Promise.all([...this.connections.values()].map(connection => connection.close()))
+    this.connections.clear()
+  }
+
+  load () {
+    if (this.definitions) return
+
+    const configPath = process.env.DATASOURCES_CONFIG
+    if (!configPath) {
+      this.definitions = {
+        default: {
+          type: process.env.DB_TYPE || 'postgresql',
+          host: process.env.DB_HOST,
+          port: process.env.DB_PORT,
+          database: process.env.DB_NAME,
+          user: process.env.DB_USER,
+          password: process.env.DB_PASSWORD,
+          ssl: process.env.DB_SSL,
+          filename: process.env.DB_FILE,
+          schemas: process.env.DB_SCHEMAS
+        }
+      }
+      this.defaultName = 'default'
+      return
+    }
+
+    const resolvedPath = path.resolve(process.cwd(), configPath)
+    const config = JSON.parse(this.interpolate(fs.readFileSync(resolvedPath, 'utf8')))
+    const definitions = config.datasources || {}
+    const names = Object.keys(definitions)
+
+    if (names.length === 0) {
+      throw new Error(`No datasources defined in ${resolvedPath}`)
+    }
+
+    const invalidName = names.find(name => !DATASOURCE_NAME_PATTERN.test(name))
+    if (invalidName) {
+      throw new Error(`Invalid datasource name "${invalidName}": use letters, digits, "_" and "-" only`)
+    }
+
+    const defaultName = process.env.DATASOURCE_DEFAULT || config.default || names[0]
+    if (!definitions[defaultName]) {
+      throw new Error(`Default datasource "${defaultName}" is not defined in ${resolvedPath}`)
+    }
+
+    this.definitions = definitions
+    this.defaultName = defaultName
+    logger.info(`Datasources loaded from ${resolvedPath}: ${names.join(', ')} (default: ${defaultName})`)
+  }
+
+  /**
+   * Replace ${VAR} placeholders with environment values
+   */
+  interpolate (text) {
+    return text.replace(/\$\{([A-Za-z0-9_]+)\}/g, (_match, variable) => {
+      const value = process.env[variable] || ''
+      // Keep the JSON valid whatever the value contains
+      return JSON.stringify(value).slice(1, -1)
+    })
+  }
+}
+
+module.exports = new DatasourceRegistry()
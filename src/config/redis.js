@@ -95,7 +95,12 @@ class RedisConfig {
         return false
       }
 
-      await this.client.setEx(key, ttl, JSON.stringify(value))
+      // A null TTL stores the key without expiry
+      if (ttl === null) {
+        await this.client.set(key, JSON.stringify(value))
+      } else {
+        await this.client.setEx(key, ttl, JSON.stringify(value))
+      }
       logger.debug(`Cache set for key: ${key}, TTL: ${ttl}s`)
       return true
     } catch (error) {
@@ -254,6 +259,95 @@ class RedisConfig {
     }
   }
 
+  async lpush (key, value) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('Redis not connected, skipping lpush')
+        return false
+      }
+      return await this.client.lPush(key, value)
+    } catch (error) {
+      logger.error('Redis lpush error:', error)
+      return false
+    }
+  }
+
+  async rpop (key) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('Redis not connected, skipping rpop')
+        return null
+      }
+      return await this.client.rPop(key)
+    } catch (error) {
+      logger.error('Redis rpop error:', error)
+      return null
+    }
+  }
+
+  async lrange (key, start, stop) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('Redis not connected, skipping lrange')
+        return []
+      }
+      return await this.client.lRange(key, start, stop)
+    } catch (error) {
+      logger.error('Redis lrange error:', error)
+      return []
+    }
+  }
+
+  async lrem (key, value, count = 0) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('Redis not connected, skipping lrem')
+        return false
+      }
+      return await this.client.lRem(key, count, value)
+    } catch (error) {
+      logger.error('Redis lrem error:', error)
+      return false
+    }
+  }
+
+  /**
+   * Keys matching `pattern`, walked with SCAN so Redis keeps serving other
+   * clients, unlike KEYS
+   */
+  async scan (pattern, count = 100) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('Redis not connected, skipping scan')
+        return []
+      }
+      const keys = []
+      for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: count })) {
+        keys.push(key)
+      }
+      return keys
+    } catch (error) {
+      logger.error('Redis scan error:', error)
+      return []
+    }
+  }
+
+  /**
+   * Run a Lua script; `args` must be strings
+   */
+  async eval (script, keys = [], args = []) {
+    try {
+      if (!this.isConnected) {
+        logger.warn('Redis not connected, skipping eval')
+        return null
+      }
+      return await this.client.eval(script, { keys, arguments: args })
+    } catch (error) {
+      logger.error('Redis eval error:', error)
+      return null
+    }
+  }
+
   async flushAll () {
     try {
       if (!this.isConnected) {
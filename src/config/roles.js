@@ -0,0 +1,63 @@
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'analyst', 'admin']
+
+const ALL_ROLES = ROLES
+const ANALYSTS = ['analyst', 'admin']
+const ADMINS = ['admin']
+
+/**
+ * Permission matrix: each permission lists the roles granted it. Every API
+ * route and MCP tool requires exactly one of these.
+ */
+const PERMISSIONS = {
+  // Data sources and schema
+  'datasources:list': ALL_ROLES,
+  'schema:read': ALL_ROLES,
+  // Schema change history, which names the history entries each change broke
+  'schema:changes': ADMINS,
+  // Sampled column values, taken across every row whatever the row filters
+  'schema:profile': ADMINS,
+  // Natural language questions, answered with generated SQL
+  'sql:generate': ALL_ROLES,
+  'query:run': ALL_ROLES,
+  // The caller's own history and conversations, and exports of saved entries
+  'history:own': ALL_ROLES,
+  'results:export': ALL_ROLES,
+  // Arbitrary SQL written by the caller, including table samples
+  'sql:execute': ANALYSTS,
+  'stats:read': ANALYSTS,
+  'cache:read': ANALYSTS,
+  // Invalidating and warming caches
+  'cache:admin': ADMINS,
+  // Analytics across every user's history
+  'analytics:read': ADMINS,
+  // Listing and cancelling other users' running queries
+  'queries:manage': ADMINS,
+  // The audit trail of every query
+  'audit:read': ADMINS
+}
+
+const isRole = (role) => ROLES.includes(role)
+
+const hasPermission = (role, permission) => {
+  const granted = PERMISSIONS[permission]
+  if (!granted) throw new Error(`Unknown permission: ${permission}`)
+  return granted.includes(role)
+}
+
+/**
+ * The most privileged known role in a claim value (a role name or a list of
+ * them), or null when none is known
+ */
+const highestRole = (value) => {
+  const candidates = Array.isArray(value) ? value : [value]
+  return [...ROLES].reverse().find(role => candidates.includes(role)) || null
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isRole,
+  hasPermission,
+  highestRole
+}
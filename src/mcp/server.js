@@ -9,12 +9,30 @@ const {
   ReadResourceRequestSchema
 } = require('@modelcontextprotocol/sdk/types.js')
 
+const datasources = require('../config/datasources')
+const { hasPermission, isRole } = require('../config/roles')
 const schemaService = require('../services/schemaService')
 const queryExecutionService = require('../services/queryExecutionService')
 const logger = require('../utils/logger')
 
+// Permission each tool requires; resources need schema:read
+const TOOL_PERMISSIONS = {
+  execute_sql_query: 'sql:execute',
+  get_relevant_schema: 'schema:read',
+  get_table_sample_data: 'sql:execute',
+  list_datasources: 'datasources:list'
+}
+
 class DatabaseMCPServer {
   constructor () {
+    // stdio clients are local and unauthenticated; the operator picks their role
+    this.role = process.env.MCP_ROLE || 'analyst'
+    if (!isRole(this.role)) {
+      throw new Error(`Unknown MCP_ROLE: ${this.role}`)
+    }
+    // Access policies see the session as this user; row filters can only use :user_id and :user_role
+    this.user = { id: 'mcp', name: 'mcp', role: this.role, authMethod: 'mcp' }
+
     this.server = new Server(
       {
         name: 'nl-to-sql-database',
@@ -34,8 +52,9 @@ class DatabaseMCPServer {
   setupHandlers () {
     // List available resources (database schema information)
     this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      this.assertPermission('schema:read', 'resources/list')
       try {
-        const schema = await schemaService.getSchema()
+        const schema = await schemaService.getVisibleSchema(undefined, this.user)
 
         const resources = [
           {
@@ -78,10 +97,11 @@ class DatabaseMCPServer {
     // Read specific resources
     this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       const { uri } = request.params
+      this.assertPermission('schema:read', uri)
 
       try {
         if (uri === 'database://schema/complete') {
-          const schema = await schemaService.getSchema()
+          const schema = await schemaService.getVisibleSchema(undefined, this.user)
           return {
             contents: [
               {
@@ -94,9 +114,10 @@ class DatabaseMCPServer {
         }
 
         if (uri === 'database://schema/tables') {
-          const schema = await schemaService.getSchema()
+          const schema = await schemaService.getVisibleSchema(undefined, this.user)
           const tables = schema.tables.map(table => ({
             name: table.name,
+            type: table.type,
             comment: table.comment,
             columnCount: table.columns.length
           }))
@@ -113,7 +134,7 @@ class DatabaseMCPServer {
         }
 
         if (uri === 'database://schema/relationships') {
-          const schema = await schemaService.getSchema()
+          const schema = await schemaService.getVisibleSchema(undefined, this.user)
           const relationships = []
 
           schema.tables.forEach(table => {
@@ -143,7 +164,7 @@ class DatabaseMCPServer {
         const tableMatch = uri.match(/^database:\/\/table\/(.+)$/)
         if (tableMatch) {
           const tableName = tableMatch[1]
-          const schema = await schemaService.getSchema()
+          const schema = await schemaService.getVisibleSchema(undefined, this.user)
           const table = schema.tables.find(t => t.name === tableName)
 
           if (!table) {
@@ -169,7 +190,7 @@ class DatabaseMCPServer {
       }
     })
 
-    // List available tools
+    // List the tools available to this session's role
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
         tools: [
@@ -179,6 +200,10 @@ class DatabaseMCPServer {
             inputSchema: {
               type: 'object',
               properties: {
+                datasource: {
+                  type: 'string',
+                  description: 'Named data source to use (default: the configured default data source)'
+                },
                 sql: {
                   type: 'string',
                   description: 'The SQL query to execute (SELECT statements only)'
@@ -198,6 +223,29 @@ class DatabaseMCPServer {
                   type: 'boolean',
                   description: 'If true, validate query without executing (default: false)',
                   default: false
+                },
+                paginationMode: {
+                  type: 'string',
+                  enum: ['offset', 'cursor'],
+                  description: 'offset pages by page number; cursor pages by keyset using nextCursor (default: offset)'
+                },
+                cursor: {
+                  type: 'string',
+                  description: 'nextCursor from the previous page in cursor mode'
+                },
+                countMode: {
+                  type: 'string',
+                  enum: ['exact', 'estimated', 'none'],
+                  description: 'How totalRows is computed: COUNT(*), the planner estimate, or not at all'
+                },
+                confirm: {
+                  type: 'boolean',
+                  description: 'Run a query the cost guardrails hold for confirmation (default: false)',
+                  default: false
+                },
+                timeoutMs: {
+                  type: 'number',
+                  description: 'Statement timeout in milliseconds; only lowers the data source timeout'
                 }
               },
               required: ['sql']
@@ -209,6 +257,10 @@ class DatabaseMCPServer {
             inputSchema: {
               type: 'object',
               properties: {
+                datasource: {
+                  type: 'string',
+                  description: 'Named data source to use (default: the configured default data source)'
+                },
                 query: {
                   type: 'string',
                   description: 'Natural language description of what you want to query'
@@ -228,6 +280,10 @@ class DatabaseMCPServer {
             inputSchema: {
               type: 'object',
               properties: {
+                datasource: {
+                  type: 'string',
+                  description: 'Named data source to use (default: the configured default data source)'
+                },
                 tableName: {
                   type: 'string',
                   description: 'Name of the table to sample'
@@ -241,8 +297,16 @@ class DatabaseMCPServer {
               },
               required: ['tableName']
             }
+          },
+          {
+            name: 'list_datasources',
+            description: 'List the named data sources that the other tools can query',
+            inputSchema: {
+              type: 'object',
+              properties: {}
+            }
           }
-        ]
+        ].filter(tool => hasPermission(this.role, TOOL_PERMISSIONS[tool.name]))
       }
     })
 
@@ -250,6 +314,8 @@ class DatabaseMCPServer {
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params
 
+      if (TOOL_PERMISSIONS[name]) this.assertPermission(TOOL_PERMISSIONS[name], name)
+
       try {
         switch (name) {
           case 'execute_sql_query':
@@ -261,31 +327,50 @@ class DatabaseMCPServer {
           case 'get_table_sample_data':
             return await this.handleGetSampleData(args)
 
+          case 'list_datasources':
+            return {
+              content: [{ type: 'text', text: JSON.stringify(datasources.list(), null, 2) }]
+            }
+
           default:
             throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`)
         }
       } catch (error) {
         logger.error(`MCP Tool ${name} error:`, error)
         if (error instanceof McpError) throw error
+        if (error.code === 'ACCESS_DENIED') {
+          throw new McpError(ErrorCode.InvalidRequest, error.message, { violations: error.violations })
+        }
+        if (error.violations) {
+          throw new McpError(
+            ErrorCode.InvalidRequest,
+            `Query rejected: ${error.violations.map(v => v.message).join('; ')}`,
+            { violations: error.violations }
+          )
+        }
         throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`)
       }
     })
   }
 
   async handleExecuteSQL (args) {
-    const { sql, page = 1, pageSize = 50, dryRun = false } = args
-
-    // Validate SQL is read-only
-    const trimmedSQL = sql.trim().toLowerCase()
-    if (!trimmedSQL.startsWith('select') && !trimmedSQL.startsWith('with')) {
-      throw new McpError(ErrorCode.InvalidRequest, 'Only SELECT queries are allowed')
-    }
+    const { sql, page = 1, pageSize = 50, dryRun = false, paginationMode, cursor, countMode, confirm = false, timeoutMs } = args
+    const datasource = this.resolveDatasource(args)
 
+    // Read-only validation happens in executeQuery, so rejected queries are audited too
     const result = await queryExecutionService.executeQuery(sql, {
       page: parseInt(page),
       pageSize: Math.min(parseInt(pageSize), 1000),
       useCache: true,
-      dryRun
+      dryRun,
+      datasource,
+      paginationMode,
+      cursor,
+      countMode,
+      confirm: confirm === true,
+      timeout: timeoutMs,
+      user: this.user,
+      source: 'mcp'
     })
 
     return {
@@ -293,6 +378,7 @@ class DatabaseMCPServer {
         {
           type: 'text',
           text: JSON.stringify({
+            datasource,
             query: sql,
             result,
             executedAt: new Date().toISOString()
@@ -304,14 +390,16 @@ class DatabaseMCPServer {
 
   async handleGetRelevantSchema (args) {
     const { query, maxTables = 10 } = args
+    const datasource = this.resolveDatasource(args)
 
-    const schema = await schemaService.getRelevantSchema(query, maxTables)
+    const schema = await schemaService.getRelevantSchema(query, maxTables, datasource, this.user)
 
     return {
       content: [
         {
           type: 'text',
           text: JSON.stringify({
+            datasource,
             query,
             relevantSchema: schema,
             retrievedAt: new Date().toISOString()
@@ -323,6 +411,7 @@ class DatabaseMCPServer {
 
   async handleGetSampleData (args) {
     const { tableName, limit = 5 } = args
+    const datasource = this.resolveDatasource(args)
 
     const sampleLimit = Math.min(parseInt(limit), 100)
     const sql = `SELECT * FROM ${tableName} LIMIT ${sampleLimit}`
@@ -330,7 +419,10 @@ class DatabaseMCPServer {
     const result = await queryExecutionService.executeQuery(sql, {
       page: 1,
       pageSize: sampleLimit,
-      useCache: true
+      useCache: true,
+      datasource,
+      user: this.user,
+      source: 'mcp'
     })
 
     return {
@@ -338,6 +430,7 @@ class DatabaseMCPServer {
         {
           type: 'text',
           text: JSON.stringify({
+            datasource,
             tableName,
             sampleData: result,
             retrievedAt: new Date().toISOString()
@@ -347,6 +440,30 @@ class DatabaseMCPServer {
     }
   }
 
+  /**
+   * Throw (and log) when this session's role lacks a permission
+   */
+  assertPermission (permission, target) {
+    if (hasPermission(this.role, permission)) return
+
+    logger.warn('Permission denied', { role: this.role, permission, target, via: 'mcp' })
+    throw new McpError(ErrorCode.InvalidRequest, `Role ${this.role} does not have the ${permission} permission`)
+  }
+
+  /**
+   * Resolve the datasource argument of a tool call
+   */
+  resolveDatasource (args = {}) {
+    try {
+      return datasources.resolveName(args.datasource)
+    } catch (error) {
+      if (error.code === 'UNKNOWN_DATASOURCE') {
+        throw new McpError(ErrorCode.InvalidParams, error.message)
+      }
+      throw error
+    }
+  }
+
   async start () {
     const transport = new StdioServerTransport()
     await this.server.connect(transport)
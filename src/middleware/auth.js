@@ -0,0 +1,73 @@
+const authService = require('../services/authService')
+const { hasPermission } = require('../config/roles')
+const logger = require('../utils/logger')
+
+/**
+ * Resolve the caller into `req.user`, answering 401 for missing or invalid
+ * credentials (missing ones are allowed when AUTH_MODE=optional)
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    req.user = await authService.authenticate(req)
+    next()
+  } catch (error) {
+    if (error.code !== 'UNAUTHENTICATED') return next(error)
+
+    logger.warn('Authentication failed', {
+      ip: req.ip,
+      path: req.originalUrl,
+      reason: error.message
+    })
+    res.set('WWW-Authenticate', 'Bearer')
+    res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Rate-limit key: the verified user, or the IP for anonymous callers whose
+ * self-declared X-User-Id must not buy them a fresh quota
+ */
+const rateLimitKey = (req) => req.user && req.user.authMethod !== 'anonymous'
+  ? `user:${req.user.id}`
+  : req.ip
+
+/**
+ * Allow the request only when the user's role grants the permission. The
+ * permission may be a function of the request for routes whose risk depends
+ * on their input. Denied attempts are logged and answered with 403.
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  const required = typeof permission === 'function' ? permission(req) : permission
+  const role = req.user?.role
+
+  if (role && hasPermission(role, required)) return next()
+
+  logger.warn('Permission denied', {
+    user: req.user?.id,
+    role,
+    permission: required,
+    method: req.method,
+    path: req.originalUrl
+  })
+  res.status(403).json({
+    success: false,
+    error: 'Forbidden',
+    message: `Role ${role || 'none'} does not have the ${required} permission`
+  })
+}
+
+/**
+ * Audit source of a request: the bundled web UI sends X-Client: web
+ */
+const requestSource = (req) => req.get('X-Client') === 'web' ? 'web' : 'rest'
+
+module.exports = {
+  authenticate,
+  rateLimitKey,
+  requirePermission,
+  requestSource
+}
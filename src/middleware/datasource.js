@@ -0,0 +1,34 @@
+const datasources = require('../config/datasources')
+
+/**
+ * Resolve the `datasource` body or query parameter into `req.datasource`,
+ * falling back to the default data source and rejecting unknown names
+ */
+const resolveDatasource = (req, res, next) => {
+  const requested = req.body?.datasource ?? req.query.datasource
+
+  if (requested !== undefined && requested !== null && typeof requested !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'datasource must be a string'
+    })
+  }
+
+  try {
+    req.datasource = datasources.resolveName(requested)
+    next()
+  } catch (error) {
+    if (error.code !== 'UNKNOWN_DATASOURCE') return next(error)
+
+    res.status(400).json({
+      success: false,
+      error: 'Unknown datasource',
+      message: error.message,
+      availableDatasources: datasources.names()
+    })
+  }
+}
+
+module.exports = {
+  resolveDatasource
+}
@@ -46,14 +46,14 @@ const databaseQueryDuration = new promClient.Histogram({
 const llmRequestsTotal = new promClient.Counter({
   name: 'llm_requests_total',
   help: 'Total number of LLM requests',
-  labelNames: ['model', 'status'],
+  labelNames: ['provider', 'model', 'status'],
   registers: [register]
 })
 
 const llmRequestDuration = new promClient.Histogram({
   name: 'llm_request_duration_seconds',
   help: 'Duration of LLM requests in seconds',
-  labelNames: ['model'],
+  labelNames: ['provider', 'model'],
   buckets: [1, 2, 5, 10, 20, 30, 60],
   registers: [register]
 })
@@ -92,7 +92,7 @@ setInterval(() => {
   memoryUsage.set({ type: 'heapTotal' }, usage.heapTotal)
   memoryUsage.set({ type: 'heapUsed' }, usage.heapUsed)
   memoryUsage.set({ type: 'external' }, usage.external)
-}, 10000)
+}, 10000).unref()
 
 // Middleware to track HTTP metrics
 const trackHttpMetrics = (req, res, next) => {
@@ -131,14 +131,15 @@ const trackDatabaseQuery = (type, duration, success = true) => {
 }
 
 // Function to track LLM requests
-const trackLLMRequest = (model, duration, success = true) => {
+const trackLLMRequest = (provider, model, duration, success = true) => {
   llmRequestsTotal.inc({
+    provider,
     model,
     status: success ? 'success' : 'error'
   })
 
   if (success) {
-    llmRequestDuration.observe({ model }, duration / 1000)
+    llmRequestDuration.observe({ provider, model }, duration / 1000)
   }
 }
 
@@ -6,7 +6,7 @@ const helmet = require('helmet')
 const rateLimit = require('express-rate-limit')
 
 const logger = require('./utils/logger')
-const database = require('./config/database')
+const datasources = require('./config/datasources')
 const redis = require('./config/redis')
 
 // Import services
@@ -15,12 +15,24 @@ const llmService = require('./services/llmService')
 const queryExecutionService = require('./services/queryExecutionService')
 const cacheService = require('./services/cacheService')
 const historyService = require('./services/historyService')
+const auditService = require('./services/auditService')
+const runningQueryService = require('./services/runningQueryService')
+const queryJobService = require('./services/queryJobService')
+const schemaChangeService = require('./services/schemaChangeService')
+const columnProfileService = require('./services/columnProfileService')
+const queryWorkflowService = require('./services/queryWorkflowService')
+const semanticCacheService = require('./services/semanticCacheService')
+const exportService = require('./services/exportService')
+const conversationService = require('./services/conversationService')
+const { openEventStream } = require('./utils/eventStream')
 
 const app = express()
 const PORT = process.env.PORT || 3000
 
 // Import metrics middleware
 const { trackHttpMetrics, metricsEndpoint } = require('./middleware/metrics')
+const { resolveDatasource } = require('./middleware/datasource')
+const { authenticate, rateLimitKey, requirePermission, requestSource } = require('./middleware/auth')
 
 // Middleware
 app.use(helmet({
@@ -43,12 +55,16 @@ app.use(cors())
 app.use(express.json({ limit: '10mb' }))
 app.use(express.urlencoded({ extended: true }))
 
-// Rate limiting
+// Authentication: every API route runs as req.user
+app.use('/api/', authenticate)
+
+// Rate limiting, per authenticated user (per IP for anonymous callers)
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  keyGenerator: rateLimitKey,
   message: {
-    error: 'Too many requests from this IP, please try again later.',
+    error: 'Too many requests, please try again later.',
     retryAfter: '15 minutes'
   },
   standardHeaders: true,
@@ -70,16 +86,99 @@ app.get('/metrics', metricsEndpoint)
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
     ip: req.ip,
+    user: req.user?.id,
+    authMethod: req.user?.authMethod,
     userAgent: req.get('User-Agent'),
     body: req.method === 'POST' ? req.body : undefined
   })
   next()
 })
 
+// Status for errors with a code of their own, otherwise `fallback`
+const errorStatus = (error, fallback) => ({
+  INVALID_QUERY_ID: 400,
+  INVALID_THRESHOLD: 400,
+  ACCESS_DENIED: 403,
+  QUERY_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  CLUSTER_NOT_FOUND: 404,
+  JOB_NOT_FINISHED: 409,
+  JOB_FINISHED: 409,
+  JOB_RESULT_EXPIRED: 410,
+  CONFIRMATION_REQUIRED: 428,
+  // Client Closed Request, as nginx logs it
+  QUERY_CANCELLED: 499,
+  JOBS_UNAVAILABLE: 503,
+  SCHEMA_CHANGES_UNAVAILABLE: 503,
+  COLUMN_PROFILING_DISABLED: 503,
+  QUERY_TIMEOUT: 504
+})[error.code] || fallback
+
+/**
+ * Data source and threshold of a semantic cache cluster request; clusters
+ * span every data source unless one is given
+ */
+const semanticClusterOptions = (req) => {
+  const threshold = req.query.threshold === undefined ? semanticCacheService.threshold : parseFloat(req.query.threshold)
+  if (!(threshold > 0 && threshold <= 1)) {
+    const error = new Error('threshold must be a number above 0 and at most 1')
+    error.code = 'INVALID_THRESHOLD'
+    throw error
+  }
+  return { datasource: req.query.datasource ? req.datasource : null, threshold }
+}
+
+/**
+ * Register the query a request runs under its queryId (the client's, or a
+ * new one sent back in X-Query-Id) so it can be cancelled, and cancel it when
+ * the client goes away before the response is finished
+ */
+const trackQuery = (req, res, description) => {
+  const running = runningQueryService.start({
+    id: req.body.queryId,
+    user: req.user,
+    datasource: req.datasource,
+    source: requestSource(req),
+    description
+  })
+  res.set('X-Query-Id', running.id)
+  res.on('close', () => {
+    if (!res.writableFinished) running.cancel('Client disconnected')
+  })
+  return running
+}
+
+/**
+ * Queue a background job for a request with `async: true` and answer 202 with
+ * the job and where to follow it
+ */
+const submitJob = async (req, res, type, request) => {
+  const job = await queryJobService.submit(type, request, {
+    user: req.user,
+    datasource: req.datasource,
+    source: requestSource(req)
+  })
+
+  res.status(202).set('Location', `/api/v1/jobs/${job.id}`).json({
+    success: true,
+    data: {
+      jobId: job.id,
+      status: job.status,
+      datasource: job.datasource,
+      links: {
+        status: `/api/v1/jobs/${job.id}`,
+        results: `/api/v1/jobs/${job.id}/results`,
+        cancel: `/api/v1/jobs/${job.id}/cancel`
+      }
+    }
+  })
+}
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
-    const dbConnected = await database.testConnection()
+    const datasourceStatus = await datasources.testConnections()
+    const dbConnected = Object.values(datasourceStatus).every(Boolean)
     const redisConnected = redis.isConnected
 
     const health = {
@@ -88,7 +187,10 @@ app.get('/health', async (req, res) => {
       services: {
         database: dbConnected ? 'connected' : 'disconnected',
         redis: redisConnected ? 'connected' : 'disconnected'
-      }
+      },
+      datasources: Object.fromEntries(Object.entries(datasourceStatus).map(([name, connected]) =>
+        [name, connected ? 'connected' : 'disconnected']
+      ))
     }
 
     res.status(health.status === 'healthy' ? 200 : 503).json(health)
@@ -104,18 +206,28 @@ app.get('/health', async (req, res) => {
 
 // API Routes
 
+/**
+ * List configured data sources
+ */
+app.get('/api/v1/datasources', requirePermission('datasources:list'), (req, res) => {
+  res.json({
+    success: true,
+    data: datasources.list()
+  })
+})
+
 /**
  * Get database schema
  */
-app.get('/api/v1/schema', async (req, res) => {
+app.get('/api/v1/schema', requirePermission('schema:read'), resolveDatasource, async (req, res) => {
   try {
     const { relevant, query, maxTables } = req.query
 
     let schema
     if (relevant && query) {
-      schema = await schemaService.getRelevantSchema(query, parseInt(maxTables) || 10)
+      schema = await schemaService.getRelevantSchema(query, parseInt(maxTables) || 10, req.datasource, req.user)
     } else {
-      schema = await schemaService.getSchema()
+      schema = await schemaService.getVisibleSchema(req.datasource, req.user)
     }
 
     res.json({
@@ -132,12 +244,115 @@ app.get('/api/v1/schema', async (req, res) => {
   }
 })
 
+/**
+ * Schema changes detected by the watcher, newest first; of every data
+ * source unless one is given
+ */
+app.get('/api/v1/schema/changes', requirePermission('schema:changes'), resolveDatasource, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    const changes = await schemaChangeService.listChanges({ datasource: req.query.datasource ? req.datasource : null, limit })
+
+    res.json({
+      success: true,
+      data: {
+        watchInterval: schemaChangeService.interval,
+        changes
+      }
+    })
+  } catch (error) {
+    logger.error('Schema changes endpoint error:', error)
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to retrieve schema changes',
+      message: error.message,
+      code: error.code
+    })
+  }
+})
+
+/**
+ * Check a data source for schema changes now instead of at the next watch
+ */
+app.post('/api/v1/schema/changes/check', requirePermission('schema:changes'), resolveDatasource, async (req, res) => {
+  try {
+    const change = await schemaChangeService.check(req.datasource)
+
+    res.json({
+      success: true,
+      data: {
+        datasource: req.datasource,
+        changed: !!change,
+        change
+      }
+    })
+  } catch (error) {
+    logger.error('Schema change check error:', error)
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to check for schema changes',
+      message: error.message,
+      code: error.code
+    })
+  }
+})
+
+/**
+ * The cached column profile of a data source: the values, ranges and null
+ * ratios sampled for the prompt
+ */
+app.get('/api/v1/schema/profile', requirePermission('schema:profile'), resolveDatasource, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        datasource: req.datasource,
+        enabled: columnProfileService.isEnabled(),
+        profile: await columnProfileService.getProfile(req.datasource)
+      }
+    })
+  } catch (error) {
+    logger.error('Column profile endpoint error:', error)
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to retrieve column profile',
+      message: error.message,
+      code: error.code
+    })
+  }
+})
+
+/**
+ * Profile a data source's columns now instead of at the next scheduled run
+ */
+app.post('/api/v1/schema/profile/refresh', requirePermission('schema:profile'), resolveDatasource, async (req, res) => {
+  try {
+    const profile = await columnProfileService.profile(req.datasource)
+
+    res.json({
+      success: true,
+      data: {
+        datasource: req.datasource,
+        profile
+      }
+    })
+  } catch (error) {
+    logger.error('Column profiling error:', error)
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to profile columns',
+      message: error.message,
+      code: error.code
+    })
+  }
+})
+
 /**
  * Generate SQL from natural language
  */
-app.post('/api/v1/generate-sql', async (req, res) => {
+app.post('/api/v1/generate-sql', requirePermission('sql:generate'), resolveDatasource, async (req, res) => {
   try {
-    const { query, useRelevantSchema = true, maxTables = 10 } = req.body
+    const { query, useRelevantSchema = true, maxTables = 10, provider, model } = req.body
 
     if (!query || typeof query !== 'string') {
       return res.status(400).json({
@@ -149,21 +364,25 @@ app.post('/api/v1/generate-sql', async (req, res) => {
     // Get appropriate schema
     let schema
     if (useRelevantSchema) {
-      schema = await schemaService.getRelevantSchema(query, maxTables)
+      schema = await schemaService.getRelevantSchema(query, maxTables, req.datasource, req.user)
     } else {
-      schema = await schemaService.getSchema()
+      schema = await schemaService.getVisibleSchema(req.datasource, req.user)
     }
 
     // Generate SQL using LLM
-    const result = await llmService.generateSQL(query, schema)
+    const result = await llmService.generateSQL(query, schema, { provider, model, datasource: req.datasource })
 
     res.json({
       success: true,
       data: {
+        datasource: req.datasource,
         sql: result.sql,
         reasoning: result.reasoning,
         assumptions: result.assumptions,
         confidence: result.confidence,
+        provider: result.provider,
+        model: result.model,
+        semanticCacheHit: semanticCacheService.describeHit(result.semanticCacheHit),
         schemaUsed: {
           tableCount: schema.tables.length,
           filtered: schema.filtered || false
@@ -181,16 +400,26 @@ app.post('/api/v1/generate-sql', async (req, res) => {
 })
 
 /**
- * Execute SQL query
+ * Execute SQL query. Pages by LIMIT/OFFSET, or by keyset with
+ * paginationMode 'cursor' and the nextCursor of the previous page.
+ * With async: true the query runs as a background job instead.
  */
-app.post('/api/v1/execute-sql', async (req, res) => {
+app.post('/api/v1/execute-sql', requirePermission('sql:execute'), resolveDatasource, async (req, res) => {
+  let running
   try {
     const {
       sql,
       page = 1,
       pageSize = 50,
       useCache = true,
-      dryRun = false
+      dryRun = false,
+      paginationMode,
+      countMode,
+      cursor,
+      cursorKeys,
+      confirm,
+      timeoutMs,
+      async: background = false
     } = req.body
 
     if (!sql || typeof sql !== 'string') {
@@ -200,31 +429,172 @@ app.post('/api/v1/execute-sql', async (req, res) => {
       })
     }
 
+    if (background) {
+      if (dryRun) {
+        return res.status(400).json({
+          success: false,
+          error: 'dryRun cannot run as a background job'
+        })
+      }
+      return await submitJob(req, res, 'sql', { sql, confirm, timeoutMs, countMode })
+    }
+
+    running = trackQuery(req, res, sql)
     const result = await queryExecutionService.executeQuery(sql, {
       page: parseInt(page),
       pageSize: parseInt(pageSize),
       useCache,
-      dryRun
+      dryRun,
+      datasource: req.datasource,
+      paginationMode,
+      countMode,
+      cursor,
+      cursorKeys,
+      confirm: confirm === true,
+      user: req.user,
+      source: requestSource(req),
+      queryId: running.id,
+      signal: running.signal,
+      timeout: timeoutMs
     })
 
     res.json({
       success: true,
-      data: result
+      data: { ...result, datasource: req.datasource, queryId: running.id }
     })
   } catch (error) {
     logger.error('Execute SQL endpoint error:', error)
-    res.status(400).json({
+    res.status(errorStatus(error, 400)).json({
       success: false,
       error: 'Failed to execute SQL query',
-      message: error.message
+      message: error.message,
+      code: error.code,
+      violations: error.violations,
+      costCheck: error.costCheck
+    })
+  } finally {
+    running?.finish()
+  }
+})
+
+/**
+ * Export the full result of a query, or of a saved history entry, as CSV,
+ * NDJSON, XLSX or Parquet. Rows are streamed from a database cursor up to the
+ * export row ceiling; the row count and truncation flag arrive as trailers.
+ * With a jobId the stored rows of a finished background job are exported.
+ */
+app.post('/api/v1/export', requirePermission(req => req.body?.historyId || req.body?.jobId ? 'results:export' : 'sql:execute'), resolveDatasource, async (req, res) => {
+  const { historyId, jobId, format = 'csv', maxRows } = req.body
+  let { sql } = req.body
+  let datasource = req.datasource
+  let question
+
+  // Stop reading stored job rows when the client goes away mid-download
+  const abortController = new AbortController()
+  res.on('close', () => {
+    if (!res.writableFinished) abortController.abort()
+  })
+  let running = null
+
+  try {
+    let job
+    if (jobId) {
+      job = await queryJobService.getJob(jobId, req.user)
+      if (job.status !== 'succeeded') {
+        return res.status(409).json({
+          success: false,
+          error: 'Job has not succeeded',
+          message: `Job ${jobId} is ${job.status}`
+        })
+      }
+      datasource = job.datasource
+    } else if (historyId) {
+      const userId = req.user.id
+      const entry = await historyService.getHistoryEntry(historyId).catch(() => null)
+
+      if (!entry || entry.userId !== userId) {
+        return res.status(404).json({
+          success: false,
+          error: 'History entry not found'
+        })
+      }
+
+      sql = entry.generatedSQL
+      question = entry.naturalLanguageQuery
+      // The entry's data source wins unless the request names one explicitly
+      if (!req.body.datasource) datasource = datasources.resolveName(entry.datasource)
+    }
+
+    if (!job && (!sql || typeof sql !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'SQL query, historyId or jobId is required'
+      })
+    }
+
+    const { contentType, extension } = exportService.getFormat(format)
+    // A query export can be cancelled by ID and stops when the client goes away
+    if (!job) running = trackQuery(req, res, sql)
+    const filename = `query_results_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`
+
+    const options = {
+      format,
+      datasource,
+      maxRows,
+      user: req.user,
+      source: requestSource(req),
+      question,
+      signal: running ? running.signal : abortController.signal,
+      onStart: (piiMasking) => {
+        const maskedColumns = (piiMasking?.columns || []).filter(column => column.action !== 'none')
+        res.status(200)
+        res.set({
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'Cache-Control': 'no-store',
+          'X-Datasource': datasource,
+          'X-Export-Row-Limit': String(exportService.resolveRowLimit(maxRows, format)),
+          'X-PII-Masked-Columns': maskedColumns.map(column => `${encodeURIComponent(column.column)}=${column.action}`).join(', ') || 'none',
+          Trailer: 'X-Export-Row-Count, X-Export-Truncated'
+        })
+      }
+    }
+    const result = job
+      ? await exportService.exportJobResult(job, options, res)
+      : await exportService.exportQuery(sql, options, res)
+
+    // A download cancelled by ID is cut short, as the client cannot be told otherwise
+    if (result.cancelled) return res.destroy()
+    res.addTrailers({
+      'X-Export-Row-Count': String(result.rowCount),
+      'X-Export-Truncated': String(result.truncated)
     })
+    res.end()
+  } catch (error) {
+    logger.error('Export endpoint error:', error)
+
+    // Once the file has started there is no way to report the error but to cut the download
+    if (res.headersSent) return res.destroy(error)
+
+    res.status(errorStatus(error, 400)).json({
+      success: false,
+      error: 'Failed to export query results',
+      message: error.message,
+      code: error.code,
+      violations: error.violations,
+      supportedFormats: error.code === 'UNSUPPORTED_FORMAT' ? exportService.formats() : undefined
+    })
+  } finally {
+    running?.finish()
   }
 })
 
 /**
- * Complete natural language to SQL workflow
+ * Complete natural language to SQL workflow. With async: true it runs as a
+ * background job instead.
  */
-app.post('/api/v1/query', async (req, res) => {
+app.post('/api/v1/query', requirePermission('query:run'), resolveDatasource, async (req, res) => {
+  let running
   try {
     const {
       query,
@@ -233,7 +603,15 @@ app.post('/api/v1/query', async (req, res) => {
       useCache = true,
       dryRun = false,
       useRelevantSchema = true,
-      maxTables = 10
+      maxTables = 10,
+      maxAttempts,
+      provider,
+      model,
+      conversationId,
+      confirm,
+      timeoutMs,
+      answer,
+      async: background = false
     } = req.body
 
     if (!query || typeof query !== 'string') {
@@ -243,60 +621,324 @@ app.post('/api/v1/query', async (req, res) => {
       })
     }
 
-    // Step 1: Get relevant schema
-    let schema
-    if (useRelevantSchema) {
-      schema = await schemaService.getRelevantSchema(query, maxTables)
-    } else {
-      schema = await schemaService.getSchema()
-    }
-
-    // Step 2: Generate SQL
-    const llmResult = await llmService.generateSQL(query, schema)
-
-    // Step 3: Execute SQL (if not dry run)
-    let executionResult = null
-    if (!dryRun) {
-      executionResult = await queryExecutionService.executeQuery(llmResult.sql, {
-        page: parseInt(page),
-        pageSize: parseInt(pageSize),
-        useCache
-      })
-    } else {
-      executionResult = await queryExecutionService.executeQuery(llmResult.sql, {
-        dryRun: true
+    if (background) {
+      if (dryRun) {
+        return res.status(400).json({
+          success: false,
+          error: 'dryRun cannot run as a background job'
+        })
+      }
+      return await submitJob(req, res, 'query', {
+        question: query,
+        useRelevantSchema,
+        maxTables,
+        maxAttempts,
+        provider,
+        model,
+        conversationId,
+        confirm,
+        timeoutMs,
+        answer
       })
     }
 
-    const responseData = {
-      originalQuery: query,
-      generatedSQL: llmResult.sql,
-      reasoning: llmResult.reasoning,
-      assumptions: llmResult.assumptions,
-      confidence: llmResult.confidence,
-      result: executionResult,
-      schemaInfo: {
-        tableCount: schema.tables.length,
-        filtered: schema.filtered || false,
-        originalTableCount: schema.originalTableCount
-      }
-    }
+    const userId = req.user.id
+    // A client that disconnects cancels the running statement and the repair loop
+    running = trackQuery(req, res, query)
 
-    // Save to history (async, don't wait)
-    const userId = req.headers['x-user-id'] || req.ip || 'anonymous'
-    historyService.saveQuery(responseData, userId).catch(error => {
-      logger.warn('Failed to save query to history:', error)
+    // Schema lookup, SQL generation and execution with the repair loop
+    const responseData = await queryWorkflowService.answerQuery(query, {
+      page,
+      pageSize,
+      useCache,
+      dryRun,
+      useRelevantSchema,
+      maxTables,
+      maxAttempts,
+      provider,
+      model,
+      conversationId,
+      confirm: confirm === true,
+      answer: answer === true,
+      userId,
+      user: req.user,
+      source: requestSource(req),
+      datasource: req.datasource,
+      queryId: running.id,
+      signal: running.signal,
+      timeout: timeoutMs
     })
 
     res.json({
       success: true,
-      data: responseData
+      data: { ...responseData, queryId: running.id }
     })
   } catch (error) {
     logger.error('Complete query endpoint error:', error)
-    res.status(500).json({
+
+    res.status(errorStatus(error, 500)).json({
       success: false,
       error: 'Failed to process natural language query',
+      message: error.message,
+      code: error.code,
+      attempts: error.attempts,
+      costCheck: error.costCheck
+    })
+  } finally {
+    running?.finish()
+  }
+})
+
+/**
+ * Complete workflow streamed as Server-Sent Events
+ */
+app.post('/api/v1/query/stream', requirePermission('query:run'), resolveDatasource, async (req, res) => {
+  const {
+    query,
+    page = 1,
+    pageSize = 50,
+    useCache = true,
+    dryRun = false,
+    useRelevantSchema = true,
+    maxTables = 10,
+    maxAttempts,
+    provider,
+    model,
+    conversationId,
+    confirm,
+    timeoutMs,
+    answer
+  } = req.body
+
+  if (!query || typeof query !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Natural language query is required and must be a string'
+    })
+  }
+
+  const userId = req.user.id
+  let running
+  try {
+    running = trackQuery(req, res, query)
+  } catch (error) {
+    return res.status(errorStatus(error, 400)).json({
+      success: false,
+      error: 'Failed to process natural language query',
+      message: error.message
+    })
+  }
+  const stream = openEventStream(res)
+  stream.send('query-started', { queryId: running.id })
+
+  try {
+    const responseData = await queryWorkflowService.answerQuery(query, {
+      page,
+      pageSize,
+      useCache,
+      dryRun,
+      useRelevantSchema,
+      maxTables,
+      maxAttempts,
+      provider,
+      model,
+      conversationId,
+      confirm: confirm === true,
+      answer: answer === true,
+      userId,
+      user: req.user,
+      source: requestSource(req),
+      datasource: req.datasource,
+      queryId: running.id,
+      signal: running.signal,
+      timeout: timeoutMs,
+      onEvent: stream.send
+    })
+
+    // Rows were already sent in the `rows` event
+    stream.send('done', { ...responseData, queryId: running.id, result: undefined })
+  } catch (error) {
+    logger.error('Streaming query endpoint error:', error)
+    stream.send('error', {
+      error: 'Failed to process natural language query',
+      message: error.message,
+      code: error.code,
+      attempts: error.attempts,
+      costCheck: error.costCheck
+    })
+  } finally {
+    running.finish()
+    stream.close()
+  }
+})
+
+/**
+ * Running queries of the caller (of every user with queries:manage)
+ */
+app.get('/api/v1/queries', requirePermission('query:run'), (req, res) => {
+  const queries = runningQueryService.list(req.user)
+
+  res.json({
+    success: true,
+    data: { queries, count: queries.length }
+  })
+})
+
+/**
+ * Cancel a running query by its queryId
+ */
+app.post('/api/v1/queries/:queryId/cancel', requirePermission('query:run'), (req, res) => {
+  try {
+    const cancelled = runningQueryService.cancel(req.params.queryId, req.user)
+
+    res.json({
+      success: true,
+      data: { queryId: cancelled.id, datasource: cancelled.datasource, cancelled: true }
+    })
+  } catch (error) {
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to cancel query',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * Background jobs of the caller, newest first
+ */
+app.get('/api/v1/jobs', requirePermission('query:run'), async (req, res) => {
+  try {
+    const { limit = 20 } = req.query
+    const jobs = await queryJobService.listJobs(req.user, Math.min(Math.max(parseInt(limit) || 20, 1), 100))
+
+    res.json({
+      success: true,
+      data: { jobs, count: jobs.length }
+    })
+  } catch (error) {
+    logger.error('List jobs endpoint error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list jobs',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * Status of a background job, with its result summary once it has finished
+ */
+app.get('/api/v1/jobs/:jobId', requirePermission('query:run'), async (req, res) => {
+  try {
+    const job = await queryJobService.getJob(req.params.jobId, req.user)
+
+    res.json({
+      success: true,
+      data: queryJobService.describe(job)
+    })
+  } catch (error) {
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to get job',
+      message: error.message,
+      code: error.code
+    })
+  }
+})
+
+/**
+ * A page of the rows of a finished job
+ */
+app.get('/api/v1/jobs/:jobId/results', requirePermission('query:run'), async (req, res) => {
+  try {
+    const { page = 1, pageSize = 50 } = req.query
+    const result = await queryJobService.getResultPage(req.params.jobId, req.user, { page, pageSize })
+
+    res.json({
+      success: true,
+      data: result
+    })
+  } catch (error) {
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to get job results',
+      message: error.message,
+      code: error.code
+    })
+  }
+})
+
+/**
+ * Cancel a queued or running job
+ */
+app.post('/api/v1/jobs/:jobId/cancel', requirePermission('query:run'), async (req, res) => {
+  try {
+    const job = await queryJobService.cancel(req.params.jobId, req.user)
+
+    res.json({
+      success: true,
+      data: queryJobService.describe(job)
+    })
+  } catch (error) {
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to cancel job',
+      message: error.message,
+      code: error.code
+    })
+  }
+})
+
+/**
+ * Get a conversation with its previous turns
+ */
+app.get('/api/v1/conversations/:conversationId', requirePermission('history:own'), async (req, res) => {
+  try {
+    const { conversationId } = req.params
+    const userId = req.user.id
+    const conversation = await conversationService.getConversation(conversationId, userId)
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: conversation
+    })
+  } catch (error) {
+    logger.error('Get conversation error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve conversation',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * Delete a conversation
+ */
+app.delete('/api/v1/conversations/:conversationId', requirePermission('history:own'), async (req, res) => {
+  try {
+    const { conversationId } = req.params
+    const userId = req.user.id
+
+    await conversationService.deleteConversation(conversationId, userId)
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted'
+    })
+  } catch (error) {
+    logger.error('Delete conversation error:', error)
+    res.status(404).json({
+      success: false,
+      error: 'Failed to delete conversation',
       message: error.message
     })
   }
@@ -305,10 +947,10 @@ app.post('/api/v1/query', async (req, res) => {
 /**
  * Get system statistics
  */
-app.get('/api/v1/stats', async (req, res) => {
+app.get('/api/v1/stats', requirePermission('stats:read'), resolveDatasource, async (req, res) => {
   try {
     const [schemaStats, executionStats, cacheHealth] = await Promise.all([
-      schemaService.getTableStats(),
+      schemaService.getTableStats(req.datasource),
       queryExecutionService.getExecutionStats(),
       cacheService.healthCheck()
     ])
@@ -339,7 +981,7 @@ app.get('/api/v1/stats', async (req, res) => {
 /**
  * Get cache statistics
  */
-app.get('/api/v1/cache/stats', async (req, res) => {
+app.get('/api/v1/cache/stats', requirePermission('cache:read'), async (req, res) => {
   try {
     const stats = cacheService.getStats()
     const health = await cacheService.healthCheck()
@@ -363,38 +1005,51 @@ app.get('/api/v1/cache/stats', async (req, res) => {
 })
 
 /**
- * Invalidate caches
+ * Invalidate caches. Patterns are confined to the cache namespaces, so
+ * history, conversations and API keys are never deleted.
  */
-app.post('/api/v1/cache/invalidate', async (req, res) => {
+app.post('/api/v1/cache/invalidate', requirePermission('cache:admin'), resolveDatasource, async (req, res) => {
   try {
     const { type = 'all', pattern } = req.body
 
+    if (pattern && !cacheService.isCachePattern(pattern)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cache pattern',
+        message: 'pattern must start with a cache namespace: schema:, table:, query:result:, llm:query:, llm:answer: or embedding:query:'
+      })
+    }
+
+    // An explicit datasource limits invalidation to that data source's namespaces
+    const scope = req.body.datasource ? req.datasource : null
+    const namespace = scope ? `${scope}:` : ''
+
     let deletedCount = 0
 
     if (pattern) {
       // Delete by pattern
       deletedCount = await cacheService.delPattern(pattern)
     } else if (type === 'schema' || type === 'all') {
-      await schemaService.invalidateCache()
+      await schemaService.invalidateCache(scope)
       deletedCount++
     }
 
-    if (type === 'queries') {
-      deletedCount += await cacheService.delPattern('query:result:*')
+    if (type === 'queries' || (type === 'all' && scope && !pattern)) {
+      deletedCount += await cacheService.delPattern(`query:result:${namespace}*`)
     }
 
-    if (type === 'llm') {
-      deletedCount += await cacheService.delPattern('llm:query:*')
+    if (type === 'llm' || (type === 'all' && scope && !pattern)) {
+      deletedCount += await cacheService.delPattern(`llm:query:${namespace}*`)
+      deletedCount += await cacheService.delPattern(`llm:answer:${namespace}*`)
     }
 
-    if (type === 'all' && !pattern) {
-      await redis.flush()
-      deletedCount = 'all'
+    if (type === 'all' && !scope && !pattern) {
+      deletedCount += await cacheService.clearAll()
     }
 
     res.json({
       success: true,
-      message: `Cache invalidated: ${type}`,
+      message: `Cache invalidated: ${type}${scope ? ` (datasource: ${scope})` : ''}`,
       deletedCount
     })
   } catch (error) {
@@ -408,17 +1063,68 @@ app.post('/api/v1/cache/invalidate', async (req, res) => {
 })
 
 /**
- * Warm cache with frequently accessed data
+ * Near-duplicate questions in the semantic cache, optionally of one data
+ * source and at a similarity threshold other than the configured one
  */
-app.post('/api/v1/cache/warm', async (req, res) => {
+app.get('/api/v1/cache/semantic/clusters', requirePermission('cache:admin'), resolveDatasource, async (req, res) => {
   try {
-    const warmupFunctions = [
-      {
-        key: 'schema:complete',
-        fetchFn: () => schemaService.fetchSchemaFromDatabase(),
-        ttl: 3600
+    const options = semanticClusterOptions(req)
+    const clusters = await semanticCacheService.findClusters(options)
+
+    res.json({
+      success: true,
+      data: {
+        threshold: options.threshold,
+        clusters
       }
-    ]
+    })
+  } catch (error) {
+    logger.error('Semantic cache clusters error:', error)
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to list semantic cache clusters',
+      message: error.message,
+      code: error.code
+    })
+  }
+})
+
+/**
+ * Evict a near-duplicate cluster and the SQL cached for its questions
+ */
+app.delete('/api/v1/cache/semantic/clusters/:clusterId', requirePermission('cache:admin'), resolveDatasource, async (req, res) => {
+  try {
+    const result = await semanticCacheService.evictCluster(req.params.clusterId, semanticClusterOptions(req))
+
+    res.json({
+      success: true,
+      message: `Semantic cache cluster evicted: ${result.evicted} questions`,
+      data: result
+    })
+  } catch (error) {
+    logger.error('Semantic cache eviction error:', error)
+    res.status(errorStatus(error, 500)).json({
+      success: false,
+      error: 'Failed to evict semantic cache cluster',
+      message: error.message,
+      code: error.code
+    })
+  }
+})
+
+/**
+ * Warm cache with frequently accessed data
+ */
+app.post('/api/v1/cache/warm', requirePermission('cache:admin'), resolveDatasource, async (req, res) => {
+  try {
+    // Warm the requested data source, or every data source when none is given
+    const names = req.body.datasource ? [req.datasource] : datasources.names()
+
+    const warmupFunctions = names.map(name => ({
+      key: schemaService.getCacheKey(name),
+      fetchFn: () => schemaService.fetchSchemaFromDatabase(name),
+      ttl: schemaService.schemaCacheTTL
+    }))
 
     const results = await cacheService.warmCache(warmupFunctions)
     const successful = results.filter(r => r.success).length
@@ -443,9 +1149,9 @@ app.post('/api/v1/cache/warm', async (req, res) => {
 /**
  * Get user's query history
  */
-app.get('/api/v1/history', async (req, res) => {
+app.get('/api/v1/history', requirePermission('history:own'), async (req, res) => {
   try {
-    const userId = req.headers['x-user-id'] || req.ip || 'anonymous'
+    const userId = req.user.id
     const {
       limit = 20,
       offset = 0,
@@ -481,9 +1187,9 @@ app.get('/api/v1/history', async (req, res) => {
 /**
  * Search query history
  */
-app.get('/api/v1/history/search', async (req, res) => {
+app.get('/api/v1/history/search', requirePermission('history:own'), async (req, res) => {
   try {
-    const userId = req.headers['x-user-id'] || req.ip || 'anonymous'
+    const userId = req.user.id
     const { q: searchTerm, limit = 10 } = req.query
 
     if (!searchTerm) {
@@ -514,11 +1220,15 @@ app.get('/api/v1/history/search', async (req, res) => {
 /**
  * Get a specific history entry
  */
-app.get('/api/v1/history/:historyId', async (req, res) => {
+app.get('/api/v1/history/:historyId', requirePermission('history:own'), async (req, res) => {
   try {
     const { historyId } = req.params
     const entry = await historyService.getHistoryEntry(historyId)
 
+    if (entry.userId !== req.user.id) {
+      throw new Error('History entry not found')
+    }
+
     res.json({
       success: true,
       data: entry
@@ -536,10 +1246,10 @@ app.get('/api/v1/history/:historyId', async (req, res) => {
 /**
  * Delete a history entry
  */
-app.delete('/api/v1/history/:historyId', async (req, res) => {
+app.delete('/api/v1/history/:historyId', requirePermission('history:own'), async (req, res) => {
   try {
     const { historyId } = req.params
-    const userId = req.headers['x-user-id'] || req.ip || 'anonymous'
+    const userId = req.user.id
 
     await historyService.deleteHistoryEntry(historyId, userId)
 
@@ -560,9 +1270,9 @@ app.delete('/api/v1/history/:historyId', async (req, res) => {
 /**
  * Clear user's history
  */
-app.delete('/api/v1/history', async (req, res) => {
+app.delete('/api/v1/history', requirePermission('history:own'), async (req, res) => {
   try {
-    const userId = req.headers['x-user-id'] || req.ip || 'anonymous'
+    const userId = req.user.id
     const deletedCount = await historyService.clearUserHistory(userId)
 
     res.json({
@@ -582,9 +1292,9 @@ app.delete('/api/v1/history', async (req, res) => {
 /**
  * Get history statistics
  */
-app.get('/api/v1/history/stats', async (req, res) => {
+app.get('/api/v1/history/stats', requirePermission('history:own'), async (req, res) => {
   try {
-    const userId = req.headers['x-user-id'] || req.ip || 'anonymous'
+    const userId = req.user.id
     const stats = await historyService.getHistoryStats(userId)
 
     res.json({
@@ -604,7 +1314,7 @@ app.get('/api/v1/history/stats', async (req, res) => {
 /**
  * Get popular queries (analytics)
  */
-app.get('/api/v1/analytics/popular-queries', async (req, res) => {
+app.get('/api/v1/analytics/popular-queries', requirePermission('analytics:read'), async (req, res) => {
   try {
     const { limit = 10, timeframe = '7d' } = req.query
     const popularQueries = await historyService.getPopularQueries({
@@ -626,6 +1336,93 @@ app.get('/api/v1/analytics/popular-queries', async (req, res) => {
   }
 })
 
+// Audit API Routes
+
+const auditFilters = (query) => ({
+  userId: query.userId,
+  source: query.source,
+  datasource: query.datasource,
+  blocked: query.blocked === undefined ? undefined : query.blocked === 'true',
+  from: query.from,
+  to: query.to
+})
+
+/**
+ * Newest audit records, filtered by userId, source, datasource, blocked, from and to
+ */
+app.get('/api/v1/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000)
+    const records = await auditService.query(auditFilters(req.query), limit)
+
+    res.json({
+      success: true,
+      data: { records, count: records.length, limit }
+    })
+  } catch (error) {
+    logger.error('Audit endpoint error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read audit log',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * Download every matching audit record as NDJSON, hashes included, oldest first
+ */
+app.get('/api/v1/audit/export', requirePermission('audit:read'), async (req, res) => {
+  try {
+    res.status(200)
+    res.set({
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.ndjson"`,
+      'Cache-Control': 'no-store'
+    })
+
+    for await (const record of auditService.readRecords(auditFilters(req.query))) {
+      if (res.destroyed) break
+      if (!res.write(`${JSON.stringify(record)}\n`)) {
+        await new Promise(resolve => {
+          res.once('drain', resolve)
+          res.once('close', resolve)
+        })
+      }
+    }
+    res.end()
+  } catch (error) {
+    logger.error('Audit export error:', error)
+    if (res.headersSent) return res.destroy(error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export audit log',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * Check the audit log's hash chain
+ */
+app.get('/api/v1/audit/verify', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const verification = await auditService.verify()
+
+    res.json({
+      success: true,
+      data: verification
+    })
+  } catch (error) {
+    logger.error('Audit verify error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify audit log',
+      message: error.message
+    })
+  }
+})
+
 // Error handling middleware
 app.use((error, req, res, _next) => {
   logger.error('Unhandled error:', error)
@@ -650,7 +1447,10 @@ process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully')
 
   try {
-    await database.close()
+    queryJobService.stopWorker()
+    schemaChangeService.stopWatcher()
+    columnProfileService.stopWatcher()
+    await datasources.closeAll()
     await redis.close()
     process.exit(0)
   } catch (error) {
@@ -663,7 +1463,10 @@ process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully')
 
   try {
-    await database.close()
+    queryJobService.stopWorker()
+    schemaChangeService.stopWatcher()
+    columnProfileService.stopWatcher()
+    await datasources.closeAll()
     await redis.close()
     process.exit(0)
   } catch (error) {
@@ -677,6 +1480,11 @@ app.listen(PORT, () => {
   logger.info(`Natural Language to SQL API server started on port ${PORT}`)
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`)
   logger.info(`API Documentation available at http://localhost:${PORT}/api/v1`)
+
+  // Run background jobs here too, unless dedicated workers (npm run worker) do
+  if (process.env.JOB_WORKER !== 'false') queryJobService.startWorker()
+  schemaChangeService.startWatcher()
+  columnProfileService.startWatcher()
 })
 
 module.exports = app
@@ -0,0 +1,461 @@
+const fs = require('fs')
+const path = require('path')
+const { isRole } = require('../config/roles')
+const sqlValidationService = require('./sqlValidationService')
+const logger = require('../utils/logger')
+
+// Row filters may reference :user_id, :user_role and :user_<attribute>
+const FILTER_PARAM_PREFIX = 'user_'
+
+// Rule for tables that are readable in full
+const FULL_ACCESS = { columns: null, excludeColumns: new Set(), rowFilter: null }
+
+/**
+ * Table- and column-level access policies per role.
+ *
+ * Policies are read from the JSON file at ACCESS_POLICY_FILE:
+ *
+ *   {
+ *     "roles": {
+ *       "admin": { "tables": { "*": "*" } },
+ *       "analyst": {
+ *         "tables": {
+ *           "orders": { "rowFilter": "region = :user_region" },
+ *           "users": { "excludeColumns": ["email", "salary"] },
+ *           "products": "*"
+ *         }
+ *       },
+ *       "viewer": { "tables": { "products": { "columns": ["id", "name", "price"] } } }
+ *     },
+ *     "datasources": {
+ *       "billing": { "roles": { "admin": { "tables": { "*": "*" } } } }
+ *     }
+ *   }
+ *
+ * A data source listed under `datasources` uses its own roles instead of the
+ * top-level ones. Roles and tables that are not listed are denied ("*" lists
+ * every other table). Without a policy file every role reads every table.
+ */
+class AccessPolicyService {
+  constructor () {
+    this.policy = null
+    this.loaded = false
+    // Normalized rules per data source and role
+    this.rules = new Map()
+  }
+
+  isEnabled () {
+    this.load()
+    return this.policy !== null
+  }
+
+  /**
+   * The part of a schema the user's role may see. Hidden tables, columns and
+   * the relationships that touch them are left out.
+   */
+  filterSchema (schema, user) {
+    const role = user?.role
+    const rules = this.getRules(schema.metadata?.datasource, role)
+    if (!rules) return schema
+
+    const tables = schema.tables
+      .filter(table => this.tableRule(rules, tableReference(table)))
+      .map(table => {
+        const rule = this.tableRule(rules, tableReference(table))
+        const columns = table.columns.filter(column => isColumnAllowed(rule, column.name))
+        if (columns.length === table.columns.length) return { ...table, columns }
+
+        // Keys, indexes and checks must not name the hidden columns
+        const visible = new Set(columns.map(column => column.name.toLowerCase()))
+        const hidden = table.columns.filter(column => !visible.has(column.name.toLowerCase())).map(column => column.name)
+        const isVisibleKey = keyColumns => keyColumns.every(name => visible.has(name.toLowerCase()))
+        const visibleTable = { ...table, columns }
+        if (table.primaryKey) visibleTable.primaryKey = isVisibleKey(table.primaryKey) ? table.primaryKey : []
+        if (table.uniqueConstraints) visibleTable.uniqueConstraints = table.uniqueConstraints.filter(isVisibleKey)
+        if (table.indexes) visibleTable.indexes = table.indexes.filter(index => isVisibleKey(index.columns))
+        if (table.checkConstraints) {
+          visibleTable.checkConstraints = table.checkConstraints.filter(clause => !hidden.some(name => mentions(clause, name)))
+        }
+        return visibleTable
+      })
+
+    const isVisible = (tableName, columnName) => {
+      const table = tables.find(candidate => candidate.name === tableName)
+      return !!table && table.columns.some(column => column.name === columnName)
+    }
+
+    return {
+      ...schema,
+      tables,
+      relationships: (schema.relationships || [])
+        .filter(rel => isVisible(rel.fromTable, rel.fromColumn) && isVisible(rel.toTable, rel.toColumn)),
+      metadata: {
+        ...schema.metadata,
+        tableCount: tables.length,
+        totalColumns: tables.reduce((sum, table) => sum + table.columns.length, 0),
+        accessPolicy: { role: role || null }
+      }
+    }
+  }
+
+  /**
+   * Check a validated query against the user's role and add its row filters.
+   * `validation` is the sqlValidationService result for the query and `schema`
+   * the full schema of the data source, used to place unqualified columns.
+   * Resolves to { sql, accessPolicy } with the SQL to run; throws an
+   * ACCESS_DENIED error carrying `violations` when the query reaches outside the policy.
+   */
+  enforce (sql, { user, datasource, dbType, schema, validation }) {
+    const role = user?.role
+    const rules = this.getRules(datasource, role)
+    if (!rules) return { sql, accessPolicy: null }
+
+    const schemaTables = new Set(schema.tables.map(table => table.name.toLowerCase()))
+    const cteNames = collectCTENames(validation.ast)
+    const tables = validation.tables.filter(table => !cteNames.has(table.name.toLowerCase()))
+    const violations = []
+
+    // A CTE named like a table would hide that table's references from the checks below
+    cteNames.forEach(name => {
+      if (!schemaTables.has(name)) return
+      violations.push(sqlValidationService.violation(
+        'CTE_SHADOWS_TABLE',
+        `CTE ${name} has the name of a table: rename it`,
+        { cte: name }
+      ))
+    })
+
+    tables
+      .filter(table => !this.tableRule(rules, table))
+      .forEach(table => {
+        violations.push(sqlValidationService.violation(
+          'TABLE_NOT_ALLOWED',
+          `Table ${sqlValidationService.formatTable(table)} is not available to role ${role || 'none'}`,
+          { table: sqlValidationService.formatTable(table) }
+        ))
+      })
+
+    const allowedTables = tables.filter(table => this.tableRule(rules, table))
+    this.checkColumns(validation, allowedTables, rules, schema, role, violations)
+
+    if (violations.length > 0) {
+      logger.warn('SQL rejected by access policy', {
+        user: user?.id,
+        role,
+        datasource,
+        violations: violations.map(v => v.code)
+      })
+      throw accessError(violations)
+    }
+
+    const filtered = allowedTables.filter(table => this.tableRule(rules, table).rowFilter)
+    if (filtered.length === 0) {
+      return { sql, accessPolicy: { role, rowFilteredTables: [] } }
+    }
+
+    const rewritten = this.applyRowFilters(sql, { user, dbType, rules, cteNames })
+    // The rewritten query must pass the same read-only checks as the original
+    sqlValidationService.assertReadOnly(rewritten, { dbType })
+
+    return {
+      sql: rewritten,
+      accessPolicy: { role, rowFilteredTables: filtered.map(table => table.name) }
+    }
+  }
+
+  /**
+   * Reject hidden columns, and star selects over tables with hidden columns.
+   * Unqualified columns are checked against every table of the query that has them.
+   */
+  checkColumns (validation, tables, rules, schema, role, violations) {
+    const columnsByTable = new Map(schema.tables.map(table => [
+      table.name.toLowerCase(),
+      new Set(table.columns.map(column => column.name.toLowerCase()))
+    ]))
+    // Tables outside the default schema are named schema.table in the schema
+    const tableColumns = (table) => columnsByTable.get(sqlValidationService.formatTable(table).toLowerCase()) ||
+      columnsByTable.get(table.name.toLowerCase())
+    const tableNames = new Set(tables.map(table => table.name.toLowerCase()))
+    const isRestricted = rule => rule.columns !== null || rule.excludeColumns.size > 0
+
+    const deny = (code, message, details) => {
+      sqlValidationService.addOnce(violations, sqlValidationService.violation(code, message, details))
+    }
+
+    const denyStar = (table) => deny(
+      'SELECT_STAR_NOT_ALLOWED',
+      `SELECT * is not allowed on ${table.name} for role ${role || 'none'}: list the columns instead`,
+      { table: table.name }
+    )
+
+    // A table or its alias used as a value (SELECT u, row_to_json(u)) is the whole row
+    const rowReferences = new Map()
+    sqlValidationService.walk(validation.ast, node => {
+      if (node.type !== 'select' || !Array.isArray(node.from)) return
+      node.from
+        .filter(entry => entry.table && !entry.expr && tableNames.has(entry.table.toLowerCase()))
+        .forEach(entry => {
+          const table = { schema: entry.db || null, name: entry.table }
+          rowReferences.set(entry.table.toLowerCase(), table)
+          if (entry.as) rowReferences.set(entry.as.toLowerCase(), table)
+        })
+    })
+
+    validation.columns.forEach(column => {
+      const rowTable = !column.table && rowReferences.get(column.name.toLowerCase())
+      // A column of the same name takes precedence, as it does in PostgreSQL
+      if (rowTable && !tables.some(table => tableColumns(table)?.has(column.name.toLowerCase()))) {
+        if (isRestricted(this.tableRule(rules, rowTable))) {
+          deny(
+            'SELECT_STAR_NOT_ALLOWED',
+            `Whole-row references (${column.name}) are not allowed on ${rowTable.name} for role ${role || 'none'}: list the columns instead`,
+            { table: rowTable.name }
+          )
+        }
+        return
+      }
+
+      const isTableColumn = column.table && tableNames.has(column.table.toLowerCase())
+      const candidates = isTableColumn
+        ? tables.filter(table => table.name.toLowerCase() === column.table.toLowerCase())
+        : tables
+
+      candidates.forEach(table => {
+        const rule = this.tableRule(rules, table)
+        if (column.name === '*') {
+          // Bare stars are placed per SELECT below, as columnList cannot tell which
+          // tables they cover; stars over CTEs and subqueries expand checked columns
+          if (isTableColumn && isRestricted(rule)) denyStar(table)
+          return
+        }
+
+        const name = column.name.toLowerCase()
+        if (tableColumns(table)?.has(name) && !isColumnAllowed(rule, name)) {
+          deny('COLUMN_NOT_ALLOWED', `Column ${table.name}.${column.name} is not available to role ${role || 'none'}`, {
+            table: table.name,
+            column: column.name
+          })
+        }
+      })
+    })
+
+    sqlValidationService.walk(validation.ast, node => {
+      if (node.type !== 'select' || !Array.isArray(node.from)) return
+
+      const hasBareStar = node.columns === '*' || (Array.isArray(node.columns) && node.columns.some(column =>
+        column.expr?.type === 'column_ref' && column.expr.column === '*' && !column.expr.table))
+      if (!hasBareStar) return
+
+      node.from
+        .filter(entry => entry.table && !entry.expr && tableNames.has(entry.table.toLowerCase()))
+        .forEach(entry => {
+          const table = { schema: entry.db || null, name: entry.table }
+          if (isRestricted(this.tableRule(rules, table))) denyStar(table)
+        })
+    })
+  }
+
+  /**
+   * Replace every reference to a row-filtered table with a filtered subquery
+   * under the same name, so the rest of the query reads only permitted rows
+   */
+  applyRowFilters (sql, { user, dbType, rules, cteNames }) {
+    const parser = sqlValidationService.parser
+    const database = sqlValidationService.getDialect(dbType)
+    const ast = parser.astify(sqlValidationService.normalizeForParser(sql, dbType), { database })
+    const statement = Array.isArray(ast) ? ast[0] : ast
+
+    const targets = []
+    sqlValidationService.walk(statement, node => {
+      if (node.type !== 'select' || !Array.isArray(node.from)) return
+      node.from.forEach((entry, index) => {
+        if (!entry.table || entry.expr || cteNames.has(entry.table.toLowerCase())) return
+        const rule = this.tableRule(rules, { schema: entry.db || null, name: entry.table })
+        if (rule?.rowFilter) targets.push({ from: node.from, index, rule })
+      })
+    })
+
+    targets.forEach(({ from, index, rule }) => {
+      const { db, table, as, ...join } = from[index]
+      const filter = parser.astify(`SELECT * FROM filtered WHERE ${rule.rowFilter}`, { database })
+      filter.from = [{ db, table, as: null }]
+      this.bindFilterParams(filter.where, user, dbType, table)
+
+      from[index] = { ...join, expr: { ast: filter, parentheses: true }, as: as || table }
+    })
+
+    return parser.sqlify(statement, { database })
+  }
+
+  /**
+   * Replace :user_* parameters with literals of the user's values
+   */
+  bindFilterParams (where, user, dbType, table) {
+    sqlValidationService.walk(where, node => {
+      if (node.type !== 'param') return
+
+      const name = String(node.value)
+      const value = name.startsWith(FILTER_PARAM_PREFIX) ? userValue(user, name.slice(FILTER_PARAM_PREFIX.length)) : undefined
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        logger.warn('Row filter parameter unavailable', { user: user?.id, table, parameter: name })
+        throw accessError([sqlValidationService.violation(
+          'ROW_FILTER_UNAVAILABLE',
+          `The row filter on ${table} needs :${name}, which is not set for this user`,
+          { table, parameter: name }
+        )])
+      }
+
+      Object.keys(node).forEach(key => delete node[key])
+      Object.assign(node, toLiteral(value, dbType))
+    })
+  }
+
+  /**
+   * Rule for a table ({ schema, name }), or null when the table is denied
+   */
+  tableRule (rules, table) {
+    const name = table.name.toLowerCase()
+    const qualified = table.schema ? `${table.schema.toLowerCase()}.${name}` : null
+    return (qualified && rules.get(qualified)) || rules.get(name) || rules.get('*') || null
+  }
+
+  /**
+   * Whether the user's role reads a schema table through a row filter
+   */
+  isRowFiltered (table, { datasource, user }) {
+    const rules = this.getRules(datasource, user?.role)
+    return !!rules && !!this.tableRule(rules, tableReference(table))?.rowFilter
+  }
+
+  /**
+   * Normalized table rules of a role on a data source, or null without a policy
+   */
+  getRules (datasource, role) {
+    if (!this.isEnabled()) return null
+
+    const scope = this.policy.datasources?.[datasource] ? datasource : '*'
+    const cacheKey = `${scope}:${role}`
+    if (!this.rules.has(cacheKey)) {
+      const roles = scope === '*' ? this.policy.roles : this.policy.datasources[scope].roles
+      const tables = roles?.[role]?.tables || {}
+      this.rules.set(cacheKey, new Map(Object.entries(tables).map(([name, rule]) => [name.toLowerCase(), normalizeRule(rule)])))
+    }
+    return this.rules.get(cacheKey)
+  }
+
+  /**
+   * Read and check the policy file. A broken file throws on every call rather
+   * than leaving the data unprotected.
+   */
+  load () {
+    if (this.loaded) return
+
+    const policyPath = process.env.ACCESS_POLICY_FILE
+    if (!policyPath) {
+      this.loaded = true
+      return
+    }
+
+    const resolvedPath = path.resolve(process.cwd(), policyPath)
+    const policy = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'))
+
+    const scopes = [
+      ['roles', policy.roles],
+      ...Object.entries(policy.datasources || {}).map(([name, scope]) => [`datasources.${name}.roles`, scope?.roles])
+    ]
+    scopes.forEach(([where, roles]) => {
+      Object.entries(roles || {}).forEach(([role, rolePolicy]) => {
+        if (!isRole(role)) {
+          throw new Error(`Unknown role "${role}" in ${where} of ${resolvedPath}`)
+        }
+        Object.entries(rolePolicy?.tables || {}).forEach(([table, rule]) => {
+          const problem = describeInvalidRule(rule)
+          if (problem) throw new Error(`Invalid rule for ${table} in ${where}.${role} of ${resolvedPath}: ${problem}`)
+        })
+      })
+    })
+
+    this.policy = policy
+    this.loaded = true
+    this.rules.clear()
+    logger.info(`Access policy loaded from ${resolvedPath}`)
+  }
+}
+
+const normalizeRule = (rule) => {
+  if (rule === '*') return FULL_ACCESS
+  return {
+    columns: !rule.columns || rule.columns === '*' ? null : new Set(rule.columns.map(column => column.toLowerCase())),
+    excludeColumns: new Set((rule.excludeColumns || []).map(column => column.toLowerCase())),
+    rowFilter: rule.rowFilter || null
+  }
+}
+
+const describeInvalidRule = (rule) => {
+  if (rule === '*') return null
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'use "*" or an object'
+  if (rule.columns !== undefined && rule.columns !== '*' && !isStringList(rule.columns)) return 'columns must be "*" or a list of names'
+  if (rule.excludeColumns !== undefined && !isStringList(rule.excludeColumns)) return 'excludeColumns must be a list of names'
+  if (rule.rowFilter !== undefined && (typeof rule.rowFilter !== 'string' || !rule.rowFilter.trim())) return 'rowFilter must be a SQL condition'
+  return null
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string')
+
+const isColumnAllowed = (rule, column) => {
+  const name = column.toLowerCase()
+  return (!rule.columns || rule.columns.has(name)) && !rule.excludeColumns.has(name)
+}
+
+// { schema, name } of a schema table, whose name is schema-qualified outside the default schema
+const tableReference = (table) => {
+  const prefix = table.schema ? `${table.schema}.` : null
+  return prefix && table.name.startsWith(prefix)
+    ? { schema: table.schema, name: table.name.slice(prefix.length) }
+    : { schema: table.schema || null, name: table.name }
+}
+
+// Whether an expression mentions a column, as a whole word
+const mentions = (expression, column) => {
+  const escaped = column.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp(`(^|[^\\w])${escaped}($|[^\\w])`, 'i').test(expression)
+}
+
+// CTE names shadow tables; policies apply to the tables inside the CTEs
+const collectCTENames = (ast) => {
+  const names = new Set()
+  sqlValidationService.walk(ast, node => {
+    if (!Array.isArray(node.with)) return
+    node.with.forEach(cte => {
+      const name = typeof cte.name === 'string' ? cte.name : cte.name?.value
+      if (name) names.add(name.toLowerCase())
+    })
+  })
+  return names
+}
+
+const userValue = (user, name) => {
+  if (!user) return undefined
+  if (name === 'id') return user.id
+  if (name === 'role') return user.role
+  return (user.attributes || user.claims || {})[name]
+}
+
+// sqlify does not escape string literals, so quotes (and MySQL backslashes) are escaped here
+const toLiteral = (value, dbType) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return { type: 'number', value }
+  if (typeof value === 'boolean') return { type: 'bool', value }
+
+  let escaped = String(value).replace(/'/g, "''")
+  if (dbType === 'mysql') escaped = escaped.replace(/\\/g, '\\\\')
+  return { type: 'single_quote_string', value: escaped }
+}
+
+const accessError = (violations) => {
+  const error = new Error(violations.map(v => v.message).join('; '))
+  error.code = 'ACCESS_DENIED'
+  error.violations = violations
+  return error
+}
+
+module.exports = new AccessPolicyService()
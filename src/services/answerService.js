@@ -0,0 +1,128 @@
+const datasources = require('../config/datasources')
+const chartService = require('./chartService')
+const llmService = require('./llmService')
+const piiMaskingService = require('./piiMaskingService')
+const sqlValidationService = require('./sqlValidationService')
+const logger = require('../utils/logger')
+
+/**
+ * Plain-language answers to a question from its query result, written by the
+ * model in a second step after the query has run.
+ *
+ * The model never sees the whole result: it gets the first ANSWER_MAX_ROWS
+ * rows of the page plus per-column aggregates (count, min, max, sum, avg) of
+ * the numeric columns over the page. Columns the PII masker classifies as
+ * personal data are left out entirely, whatever the caller's role and even
+ * with PII_MASKING=false, so masked (or unmasked) personal values never reach
+ * the model.
+ */
+class AnswerService {
+  constructor () {
+    this.maxRows = parseInt(process.env.ANSWER_MAX_ROWS) || 20
+  }
+
+  /**
+   * Answer `question` from the result of `sql`. Resolves to
+   * { text, generated, provider, model, fromLLMCache, basedOn }, or null for a
+   * result without rows. Failures are reported in `error` instead of thrown:
+   * the query result stands on its own.
+   */
+  async answer (question, sql, result, options = {}) {
+    if (!result?.rows || result.rows.length === 0) return null
+
+    let context
+    try {
+      context = await this.buildContext(result, { ...options, sql })
+    } catch (error) {
+      // Without knowing which columns are personal nothing is sent
+      logger.warn('Failed to classify result columns for an answer summary:', { error: error.message })
+      return { text: null, generated: true, error: error.message, basedOn: null }
+    }
+    const basedOn = {
+      sampleRows: context.sample.length,
+      pageRows: context.rowCount,
+      totalRows: context.totalRows,
+      columns: context.columns,
+      withheldColumns: context.withheldColumns
+    }
+
+    try {
+      const explained = await llmService.explainResult(question, sql, context, options)
+      return {
+        text: explained.text.trim(),
+        generated: true,
+        provider: explained.provider,
+        model: explained.model,
+        fromLLMCache: explained.fromLLMCache,
+        basedOn
+      }
+    } catch (error) {
+      logger.warn('Failed to generate answer summary:', { error: error.message })
+      return { text: null, generated: true, error: error.message, basedOn }
+    }
+  }
+
+  /**
+   * The part of a result the model may see: the allowed columns, a sample of
+   * at most maxRows rows and aggregates of the numeric columns
+   */
+  async buildContext (result, { datasource, sql } = {}) {
+    const { rows, metadata = {}, pagination = {} } = result
+    const dbType = datasources.get(datasource).dbType
+    const withheld = new Set(await this.personalColumns(result, { datasource, sql, dbType }))
+
+    const columns = chartService.classifyColumns(rows, metadata.fields, dbType)
+      .filter(column => !withheld.has(column.name))
+    const names = columns.map(column => column.name)
+
+    const aggregates = {}
+    columns.filter(column => column.kind === 'number').forEach(({ name }) => {
+      const values = rows.map(row => row[name]).filter(value => value !== null && value !== undefined).map(Number).filter(Number.isFinite)
+      if (values.length === 0) return
+      const sum = values.reduce((total, value) => total + value, 0)
+      aggregates[name] = {
+        count: values.length,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        sum: round(sum),
+        avg: round(sum / values.length)
+      }
+    })
+
+    return {
+      columns: names,
+      withheldColumns: [...withheld],
+      sample: rows.slice(0, this.maxRows).map(row => Object.fromEntries(names.map(name => [name, toPlainValue(row[name])]))),
+      aggregates,
+      rowCount: rows.length,
+      totalRows: pagination.totalRows ?? null,
+      hasMoreRows: !!pagination.hasNextPage
+    }
+  }
+
+  /**
+   * Names of the result columns holding personal data: those the masker
+   * reported, or with masking off the ones it would have classified
+   */
+  async personalColumns ({ rows, metadata = {} }, { datasource, sql, dbType }) {
+    const classified = metadata.piiMasking?.columns || await piiMaskingService.classifyColumns({
+      columns: metadata.fields?.length > 0 ? metadata.fields.map(field => field.name) : Object.keys(rows[0] || {}),
+      rows,
+      validation: sqlValidationService.validate(sql, { dbType }),
+      datasource
+    })
+    return classified.map(entry => entry.column)
+  }
+}
+
+const round = (value) => Math.round(value * 10000) / 10000
+
+// JSON-safe values for the prompt and the cache key
+const toPlainValue = (value) => {
+  if (typeof value === 'bigint') return value.toString()
+  if (value instanceof Date) return value.toISOString()
+  if (Buffer.isBuffer(value)) return '[binary]'
+  return value
+}
+
+module.exports = new AnswerService()
@@ -0,0 +1,329 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+const logger = require('../utils/logger')
+
+// Where queries come from
+const SOURCES = ['web', 'rest', 'mcp', 'internal']
+
+// prevHash of the first record
+const GENESIS_HASH = '0'.repeat(64)
+
+// How long an append waits for the lock file, and when a lock counts as abandoned
+const LOCK_TIMEOUT_MS = 10000
+const LOCK_STALE_MS = 30000
+const LOCK_RETRY_MS = 10
+
+/**
+ * Append-only audit trail of every query run against a data source, kept
+ * apart from the user-editable history. Records are JSON lines in
+ * AUDIT_LOG_FILE; each carries the hash of the one before it, so editing or
+ * removing a record breaks the chain from there on (see verify()).
+ *
+ * Each append chains to the last record in the file, so the API and MCP
+ * servers and job workers can share one. Writes within a process are
+ * serialized, and across processes each read-and-append holds an exclusive
+ * lock file (AUDIT_LOG_FILE.lock). A lock left behind by a crashed process is
+ * taken over once it is older than LOCK_STALE_MS. A record cut off by a crash
+ * is left in place and the next append writes a marker record with the size
+ * and hash of what was lost, chained to the last whole record.
+ */
+class AuditService {
+  constructor () {
+    this.enabled = !['false', 'off', '0'].includes(String(process.env.AUDIT_LOG).toLowerCase())
+    this.file = path.resolve(process.cwd(), process.env.AUDIT_LOG_FILE || 'logs/audit.jsonl')
+    this.queue = Promise.resolve()
+  }
+
+  isEnabled () {
+    return this.enabled
+  }
+
+  /**
+   * Append a query to the trail. Writes are serialized to keep the chain
+   * intact; a failed write is logged rather than failing the query.
+   */
+  record (entry) {
+    if (!this.isEnabled()) return Promise.resolve(null)
+
+    const write = this.queue.then(() => this.append(entry))
+    this.queue = write.catch(error => {
+      logger.error('Failed to write audit record:', { error: error.message, file: this.file })
+      return null
+    })
+    return this.queue
+  }
+
+  async append (entry) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+    return await withFileLock(`${this.file}.lock`, () => this.appendRecord(entry))
+  }
+
+  /**
+   * Chain a record to the last one in the file and append it; callers hold
+   * the lock file
+   */
+  async appendRecord (entry) {
+    const tail = await readTail(this.file)
+    let previous = tail.last || { seq: 0, hash: GENESIS_HASH }
+    let damage = ''
+
+    if (tail.damaged !== null) {
+      const damaged = { bytes: Buffer.byteLength(tail.damaged), sha256: sha256(tail.damaged) }
+      const marker = this.chainRecord({
+        source: 'internal',
+        sql: null,
+        error: `Discarded ${damaged.bytes} bytes of a record cut off while being written`
+      }, previous, { damaged })
+      logger.error('Audit log ends in a damaged record; chaining from the last whole record', { file: this.file, ...damaged })
+      // The cut-off line gets its line break, so the marker starts a line of its own
+      damage = `${tail.endsWithNewline ? '' : '\n'}${JSON.stringify(marker)}\n`
+      previous = marker
+    }
+
+    const record = this.chainRecord(entry, previous)
+    await fs.promises.appendFile(this.file, `${damage}${JSON.stringify(record)}\n`, { flag: 'a', mode: 0o600 })
+    return record
+  }
+
+  /**
+   * The record for an entry, chained to the previous record
+   */
+  chainRecord (entry, previous, extra = {}) {
+    const record = {
+      seq: previous.seq + 1,
+      timestamp: new Date().toISOString(),
+      source: SOURCES.includes(entry.source) ? entry.source : 'internal',
+      user: entry.user
+        ? { id: entry.user.id, role: entry.user.role || null, authMethod: entry.user.authMethod || null }
+        : null,
+      datasource: entry.datasource || null,
+      question: entry.question || null,
+      sql: entry.sql,
+      queryId: entry.queryId || null,
+      dryRun: !!entry.dryRun,
+      fromCache: !!entry.fromCache,
+      rowCount: entry.rowCount ?? null,
+      durationMs: entry.durationMs ?? null,
+      blocked: !!entry.blocked,
+      error: entry.error || null,
+      violations: entry.violations || [],
+      policy: {
+        accessPolicy: entry.accessPolicy || null,
+        piiMasking: entry.piiMasking || null,
+        costCheck: entry.costCheck ? summarizeCostCheck(entry.costCheck) : null
+      },
+      ...extra,
+      prevHash: previous.hash
+    }
+    record.hash = hashRecord(record)
+    return record
+  }
+
+  /**
+   * Describe a failed query for record(): rejected queries are `blocked`
+   */
+  describeError (error) {
+    return {
+      blocked: !!error.violations || error.code === 'ACCESS_DENIED',
+      error: error.message,
+      violations: error.violations,
+      costCheck: error.costCheck
+    }
+  }
+
+  /**
+   * Stream records, oldest first, that match the filters:
+   * { userId, source, datasource, blocked, from, to } (from/to are ISO dates)
+   */
+  async * readRecords (filters = {}) {
+    for await (const { record } of this.readLines()) {
+      if (record && matches(record, filters)) yield record
+    }
+  }
+
+  /**
+   * Every non-blank line of the file as { record } or, for a line that does
+   * not parse, { damaged: line }
+   */
+  async * readLines () {
+    if (!fs.existsSync(this.file)) return
+
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity })
+    for await (const line of lines) {
+      if (!line.trim()) continue
+      const record = parseRecord(line)
+      yield record ? { record } : { damaged: line }
+    }
+  }
+
+  /**
+   * The newest `limit` records matching the filters, newest first
+   */
+  async query (filters = {}, limit = 100) {
+    await this.queue
+    const records = []
+    for await (const record of this.readRecords(filters)) {
+      records.push(record)
+      if (records.length > limit) records.shift()
+    }
+    return records.reverse()
+  }
+
+  /**
+   * Recompute the hash chain. Resolves to { valid, records, damagedRecords,
+   * lastHash } and, for a broken chain, the `brokenAt` sequence number and
+   * the reason. Lines cut off by a crash count as damaged rather than
+   * breaking the chain when the record after them is the marker for exactly
+   * those bytes, or when they end the file.
+   */
+  async verify () {
+    await this.queue
+    let previous = { seq: 0, hash: GENESIS_HASH }
+    let records = 0
+    let damagedRecords = 0
+    let damaged = []
+
+    for await (const line of this.readLines()) {
+      if (line.damaged !== undefined) {
+        damaged.push(line.damaged)
+        continue
+      }
+
+      const { record } = line
+      const { hash, ...content } = record
+      const reason = damaged.length > 0 && record.damaged?.sha256 !== sha256(damaged.join('\n'))
+        ? 'unreadable record'
+        : record.seq !== previous.seq + 1
+          ? `expected record ${previous.seq + 1}`
+          : record.prevHash !== previous.hash
+            ? 'prevHash does not match the previous record'
+            : hash !== hashRecord(content) ? 'hash does not match the record' : null
+      if (reason) {
+        return { valid: false, records, damagedRecords, lastHash: previous.hash, brokenAt: record.seq, reason }
+      }
+      if (damaged.length > 0) damagedRecords++
+      damaged = []
+      previous = record
+      records++
+    }
+    if (damaged.length > 0) damagedRecords++
+
+    return { valid: true, records, damagedRecords, lastHash: previous.hash }
+  }
+}
+
+// The decision and estimates, without the plan details
+const summarizeCostCheck = ({ decision, confirmed, estimatedCost, estimatedRows, findings }) => ({
+  decision,
+  confirmed,
+  estimatedCost,
+  estimatedRows,
+  findings: findings.map(finding => finding.type)
+})
+
+// Hash of a record without its own `hash` field
+const hashRecord = (content) => sha256(JSON.stringify(content))
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex')
+
+// A record from a line, or null for a line cut off or otherwise unreadable
+const parseRecord = (line) => {
+  try {
+    const record = JSON.parse(line)
+    return Number.isInteger(record?.seq) ? record : null
+  } catch (error) {
+    return null
+  }
+}
+
+const matches = (record, { userId, source, datasource, blocked, from, to }) => {
+  if (userId && record.user?.id !== userId) return false
+  if (source && record.source !== source) return false
+  if (datasource && record.datasource !== datasource) return false
+  if (blocked !== undefined && record.blocked !== blocked) return false
+  if (from && record.timestamp < from) return false
+  if (to && record.timestamp > to) return false
+  return true
+}
+
+/**
+ * Run fn while holding an exclusive lock file, created with O_EXCL so only
+ * one process at a time gets it
+ */
+const withFileLock = async (lockFile, fn) => {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS
+  for (;;) {
+    try {
+      const handle = await fs.promises.open(lockFile, 'wx', 0o600)
+      await handle.writeFile(String(process.pid))
+      await handle.close()
+      break
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error
+
+      const stat = await fs.promises.stat(lockFile).catch(() => null)
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        logger.warn(`Removing stale audit log lock: ${lockFile}`)
+        await fs.promises.rm(lockFile, { force: true })
+        continue
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for the audit log lock: ${lockFile}`)
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS))
+    }
+  }
+
+  try {
+    return await fn()
+  } finally {
+    await fs.promises.rm(lockFile, { force: true })
+  }
+}
+
+/**
+ * The last record of a JSON lines file, read from the end, and the lines
+ * after it that do not parse (a write cut off by a crash):
+ * { last, damaged, endsWithNewline }. `last` is null for a file without
+ * records and `damaged` null when nothing follows it.
+ */
+const readTail = async (file) => {
+  let handle
+  try {
+    handle = await fs.promises.open(file, 'r')
+  } catch (error) {
+    if (error.code === 'ENOENT') return { last: null, damaged: null, endsWithNewline: true }
+    throw error
+  }
+
+  try {
+    const { size } = await handle.stat()
+    let length = Math.min(size, 64 * 1024)
+    while (length > 0) {
+      const buffer = Buffer.alloc(length)
+      await handle.read(buffer, 0, length, size - length)
+      const text = buffer.toString('utf8')
+      const lines = text.split('\n').filter(line => line.trim())
+      // The first line of a partial read may be cut off
+      const first = length === size ? 0 : 1
+
+      const unreadable = []
+      for (let i = lines.length - 1; i >= first; i--) {
+        const record = parseRecord(lines[i])
+        if (record) {
+          return { last: record, damaged: unreadable.length > 0 ? unreadable.reverse().join('\n') : null, endsWithNewline: text.endsWith('\n') }
+        }
+        unreadable.push(lines[i])
+      }
+      if (length === size) {
+        return { last: null, damaged: unreadable.length > 0 ? unreadable.reverse().join('\n') : null, endsWithNewline: text.endsWith('\n') }
+      }
+      length = Math.min(size, length * 2)
+    }
+    return { last: null, damaged: null, endsWithNewline: true }
+  } finally {
+    await handle.close()
+  }
+}
+
+module.exports = new AuditService()
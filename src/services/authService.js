@@ -0,0 +1,284 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const redis = require('../config/redis')
+const { ROLES, isRole, highestRole } = require('../config/roles')
+const logger = require('../utils/logger')
+
+// required: every /api request needs an API key or bearer token
+// optional: credentials are verified when sent, other requests run anonymously
+const AUTH_MODES = ['required', 'optional']
+
+// Asymmetric JWS algorithms and the node crypto options that verify them.
+// Shared-secret (HS*) and unsigned tokens are never accepted.
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null }
+}
+
+const API_KEY_PREFIX = 'nqk_'
+
+class AuthService {
+  constructor () {
+    this.mode = process.env.AUTH_MODE || 'required'
+    this.apiKeyPrefix = 'auth:apikey:'
+    this.apiKeyIdPrefix = 'auth:apikey_id:'
+    this.jwksFile = process.env.AUTH_JWKS_FILE
+    this.issuer = process.env.AUTH_JWT_ISSUER
+    this.audience = process.env.AUTH_JWT_AUDIENCE
+    this.userClaim = process.env.AUTH_JWT_USER_CLAIM || 'sub'
+    this.rolesClaim = process.env.AUTH_JWT_ROLES_CLAIM || 'roles'
+    this.defaultRole = process.env.AUTH_DEFAULT_ROLE || 'viewer'
+    this.anonymousRole = process.env.AUTH_ANONYMOUS_ROLE || 'viewer'
+    this.clockSkew = 60 // seconds
+    this.jwks = null
+  }
+
+  /**
+   * Resolve the user behind a request: { id, name, role, authMethod, ... }.
+   * Throws an UNAUTHENTICATED error for missing or invalid credentials.
+   */
+  async authenticate (req) {
+    if (!AUTH_MODES.includes(this.mode)) {
+      throw new Error(`Unknown AUTH_MODE: ${this.mode}. Supported modes: ${AUTH_MODES.join(', ')}`)
+    }
+
+    const credentials = this.readCredentials(req.headers)
+
+    if (!credentials) {
+      if (this.mode === 'optional') return this.anonymousUser(req)
+      throw authError('Send an API key in X-API-Key or a bearer token in Authorization')
+    }
+
+    return credentials.type === 'jwt'
+      ? this.verifyJWT(credentials.token)
+      : this.verifyApiKey(credentials.token)
+  }
+
+  /**
+   * Credentials from X-API-Key or `Authorization: Bearer`. Bearer values shaped
+   * like a JWT are verified as tokens, anything else as an API key.
+   */
+  readCredentials (headers = {}) {
+    if (headers['x-api-key']) {
+      return { type: 'api_key', token: String(headers['x-api-key']).trim() }
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '')
+    if (!match) return null
+
+    const token = match[1]
+    return { type: token.split('.').length === 3 ? 'jwt' : 'api_key', token }
+  }
+
+  /**
+   * Without credentials in optional mode the caller names itself, as before
+   * authentication existed. Only suitable for local, single-tenant setups.
+   */
+  anonymousUser (req) {
+    const id = req.headers['x-user-id'] || req.ip || 'anonymous'
+    return { id, name: id, role: this.anonymousRole, authMethod: 'anonymous' }
+  }
+
+  /**
+   * Look up an API key by its SHA-256 hash
+   */
+  async verifyApiKey (key) {
+    const record = key ? await redis.get(`${this.apiKeyPrefix}${hashApiKey(key)}`) : null
+
+    if (!record) {
+      throw authError('Invalid API key')
+    }
+
+    return {
+      id: record.userId,
+      name: record.name || record.userId,
+      role: isRole(record.role) ? record.role : this.defaultRole,
+      authMethod: 'api_key',
+      keyId: record.id,
+      attributes: record.attributes || {}
+    }
+  }
+
+  /**
+   * Issue an API key for a user. Only the hash is stored, so the returned
+   * key cannot be shown again. `attributes` feed access policy row filters
+   * (e.g. { region: 'emea' } for :user_region), as token claims do for JWTs.
+   */
+  async createApiKey ({ userId, name = null, role = this.defaultRole, attributes = {} }) {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('userId is required')
+    }
+    if (!isRole(role)) {
+      throw new Error(`Unknown role: ${role}. Supported roles: ${ROLES.join(', ')}`)
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+    const hash = hashApiKey(key)
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      userId,
+      name,
+      role,
+      attributes,
+      createdAt: new Date().toISOString()
+    }
+
+    const stored = await redis.set(`${this.apiKeyPrefix}${hash}`, record, null) &&
+      await redis.set(`${this.apiKeyIdPrefix}${record.id}`, hash, null)
+    if (!stored) {
+      throw new Error('Failed to store API key: Redis is not available')
+    }
+
+    logger.info('API key created', { keyId: record.id, userId, role })
+    return { ...record, key }
+  }
+
+  /**
+   * Revoke an API key by its ID. Returns false for unknown IDs.
+   */
+  async revokeApiKey (keyId) {
+    const hash = await redis.get(`${this.apiKeyIdPrefix}${keyId}`)
+    if (!hash) return false
+
+    await redis.del(`${this.apiKeyPrefix}${hash}`)
+    await redis.del(`${this.apiKeyIdPrefix}${keyId}`)
+
+    logger.info('API key revoked', { keyId })
+    return true
+  }
+
+  /**
+   * Verify a JWT/OIDC bearer token against the JWKS file: signature, expiry,
+   * not-before and, when configured, issuer and audience
+   */
+  async verifyJWT (token) {
+    if (!this.jwksFile) {
+      throw authError('Bearer tokens are not accepted: AUTH_JWKS_FILE is not configured')
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.')
+    const header = decodeSegment(encodedHeader)
+    const payload = decodeSegment(encodedPayload)
+    const algorithm = JWT_ALGORITHMS[header?.alg]
+
+    if (!header || !payload || !algorithm) {
+      throw authError(`Unsupported or malformed token${header?.alg ? ` (alg ${header.alg})` : ''}`)
+    }
+
+    const jwk = this.findSigningKey(header)
+    if (!jwk || (jwk.alg && jwk.alg !== header.alg) || (jwk.use && jwk.use !== 'sig')) {
+      throw authError('Token signing key not found')
+    }
+
+    const { hash, ...keyOptions } = algorithm
+    let valid
+    try {
+      valid = crypto.verify(
+        hash,
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), ...keyOptions },
+        Buffer.from(encodedSignature, 'base64url')
+      )
+    } catch (error) {
+      // A malformed key, or one whose type does not fit the token's alg
+      logger.warn('Token signature could not be checked:', { kid: header.kid, error: error.message })
+      valid = false
+    }
+    if (!valid) {
+      throw authError('Invalid token signature')
+    }
+
+    this.checkClaims(payload)
+
+    const userId = payload[this.userClaim]
+    if (!userId || typeof userId !== 'string') {
+      throw authError(`Token has no ${this.userClaim} claim`)
+    }
+
+    return {
+      id: userId,
+      name: payload.name || payload.email || userId,
+      role: highestRole(readClaim(payload, this.rolesClaim)) || this.defaultRole,
+      authMethod: 'jwt',
+      claims: payload
+    }
+  }
+
+  checkClaims (payload) {
+    const now = Math.floor(Date.now() / 1000)
+
+    if (typeof payload.exp !== 'number' || payload.exp + this.clockSkew < now) {
+      throw authError('Token has expired')
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - this.clockSkew > now) {
+      throw authError('Token is not valid yet')
+    }
+    if (this.issuer && payload.iss !== this.issuer) {
+      throw authError('Token issuer is not trusted')
+    }
+    if (this.audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud]
+      if (!audiences.includes(this.audience)) {
+        throw authError('Token audience does not match')
+      }
+    }
+  }
+
+  /**
+   * Find the JWK for a token header, re-reading the JWKS file once when the
+   * key ID is unknown so rotated keys are picked up without a restart
+   */
+  findSigningKey (header) {
+    const find = () => {
+      const keys = this.jwks?.keys || []
+      return header.kid ? keys.find(key => key.kid === header.kid) : keys.length === 1 ? keys[0] : null
+    }
+
+    let jwk = this.jwks ? find() : null
+    if (!jwk) {
+      this.jwks = this.loadJWKS()
+      jwk = find()
+    }
+    return jwk
+  }
+
+  loadJWKS () {
+    try {
+      const jwks = JSON.parse(fs.readFileSync(this.jwksFile, 'utf8'))
+      if (!Array.isArray(jwks.keys)) throw new Error('missing "keys" array')
+      return jwks
+    } catch (error) {
+      logger.error(`Failed to load JWKS file ${this.jwksFile}:`, error)
+      throw authError('Token signing keys are unavailable')
+    }
+  }
+}
+
+const authError = (message) => {
+  const error = new Error(message)
+  error.code = 'UNAUTHENTICATED'
+  return error
+}
+
+// Dotted claim paths reach nested claims such as Keycloak's realm_access.roles
+const readClaim = (payload, path) => path.split('.').reduce((value, key) => value?.[key], payload)
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex')
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'))
+  } catch (error) {
+    return null
+  }
+}
+
+module.exports = new AuthService()
@@ -1,6 +1,10 @@
 const redis = require('../config/redis')
 const logger = require('../utils/logger')
 
+// Key namespaces holding derived data that can be rebuilt. History,
+// conversations and API keys share the Redis instance and are never included.
+const CACHE_NAMESPACES = ['schema:', 'table:', 'query:result:', 'llm:query:', 'llm:answer:', 'embedding:query:']
+
 class CacheService {
   constructor () {
     this.metrics = {
@@ -88,6 +92,13 @@ class CacheService {
     }
   }
 
+  /**
+   * Delete a single key
+   */
+  async del (key) {
+    return await redis.del(key)
+  }
+
   /**
    * Get or set pattern (cache-aside)
    */
@@ -157,6 +168,24 @@ class CacheService {
     }
   }
 
+  /**
+   * Whether a key pattern stays inside the cache namespaces
+   */
+  isCachePattern (pattern) {
+    return typeof pattern === 'string' && CACHE_NAMESPACES.some(namespace => pattern.startsWith(namespace))
+  }
+
+  /**
+   * Delete every cache namespace, leaving other Redis data in place
+   */
+  async clearAll () {
+    let deleted = 0
+    for (const namespace of CACHE_NAMESPACES) {
+      deleted += await this.delPattern(`${namespace}*`)
+    }
+    return deleted
+  }
+
   /**
    * Delete with pattern matching
    */
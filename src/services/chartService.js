@@ -0,0 +1,162 @@
+const logger = require('../utils/logger')
+
+const CHART_TYPES = ['line', 'bar', 'pie', 'scatter', 'kpi']
+
+// Declared column types that tell numbers and times apart, per database
+const POSTGRES_TYPES = {
+  number: [20, 21, 23, 26, 700, 701, 790, 1700],
+  time: [1082, 1083, 1114, 1184, 1266]
+}
+const MYSQL_TYPES = {
+  number: [0, 1, 2, 3, 4, 5, 8, 9, 246],
+  time: [7, 10, 11, 12, 13]
+}
+
+// Dates, months and timestamps as SQLite and JSON results carry them
+const DATE_TEXT = /^\d{4}-\d{2}(-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?)?$/
+// Keys are labels, not measures
+const ID_COLUMN = /^id$|_id$/i
+
+/**
+ * Chart recommendations for query results.
+ *
+ * Each column is classified as a time, number or category from its declared
+ * type, falling back to its values, and the mix of columns picks the chart:
+ * a single row of numbers is a KPI, a time column with measures a line,
+ * categories with measures a bar chart and two measures a scatter plot. The
+ * model's suggested chart, from SQL generation, replaces the choice when it
+ * fits the result too. Results that fit no chart get none.
+ */
+class ChartService {
+  constructor () {
+    this.maxCategories = parseInt(process.env.CHART_MAX_CATEGORIES) || 50
+    this.maxPieSlices = 8
+    this.maxSeries = 5
+  }
+
+  /**
+   * Recommend a chart for a result ({ rows, metadata.fields }). `hint` is the
+   * chart the model suggested ('table' for none). Resolves to
+   * { type, x, xType, y, alternatives, reason, source } or null.
+   */
+  recommend (result, { dbType, hint } = {}) {
+    const rows = result?.rows || []
+    if (rows.length === 0) return null
+
+    try {
+      const columns = this.classifyColumns(rows, result.metadata?.fields, dbType)
+      const candidates = this.findCandidates(columns, rows)
+      if (candidates.length === 0) return null
+
+      if (hint === 'table') return null
+      const suggested = candidates.find(candidate => candidate.type === hint)
+      const chosen = suggested || candidates[0]
+
+      return {
+        ...chosen,
+        alternatives: candidates.map(candidate => candidate.type).filter(type => type !== chosen.type),
+        source: suggested ? 'llm' : 'rules'
+      }
+    } catch (error) {
+      logger.warn('Chart recommendation failed:', { error: error.message })
+      return null
+    }
+  }
+
+  /**
+   * { name, kind } for each column, kind being time, number or category
+   */
+  classifyColumns (rows, fields = [], dbType) {
+    const names = fields.length > 0 ? fields.map(field => field.name) : Object.keys(rows[0])
+    const types = new Map(fields.map(field => [field.name, field.type]))
+
+    return names.map(name => {
+      const values = rows.map(row => row[name]).filter(value => value !== null && value !== undefined)
+      let kind = declaredKind(types.get(name), dbType) || valueKind(values)
+      // SQLite keeps dates as text
+      if (kind === 'category' && values.length > 0 && values.every(value => typeof value === 'string' && DATE_TEXT.test(value))) {
+        kind = 'time'
+      }
+      if (kind === 'number' && ID_COLUMN.test(name)) kind = 'category'
+      return { name, kind }
+    })
+  }
+
+  /**
+   * Charts that fit the columns, best first
+   */
+  findCandidates (columns, rows) {
+    const times = columns.filter(column => column.kind === 'time').map(column => column.name)
+    const numbers = columns.filter(column => column.kind === 'number').map(column => column.name)
+    const categories = columns.filter(column => column.kind === 'category').map(column => column.name)
+    const measures = numbers.slice(0, this.maxSeries)
+    const candidates = []
+
+    if (rows.length === 1 && numbers.length > 0 && numbers.length <= 4 && times.length === 0 && categories.length === 0) {
+      candidates.push({ type: 'kpi', x: null, xType: null, y: numbers, reason: 'A single row of numbers' })
+    }
+
+    if (times.length > 0 && numbers.length > 0 && rows.length > 1) {
+      candidates.push({ type: 'line', x: times[0], xType: 'time', y: measures, reason: `${measures.join(', ')} over ${times[0]}` })
+      if (rows.length <= this.maxCategories) {
+        candidates.push({ type: 'bar', x: times[0], xType: 'time', y: measures, reason: `${measures.join(', ')} per ${times[0]}` })
+      }
+    }
+
+    if (categories.length > 0 && numbers.length > 0 && rows.length <= this.maxCategories) {
+      candidates.push({ type: 'bar', x: categories[0], xType: 'category', y: measures, reason: `${measures.join(', ')} by ${categories[0]}` })
+
+      const [measure] = numbers
+      const values = rows.map(row => Number(row[measure]))
+      if (numbers.length === 1 && rows.length <= this.maxPieSlices && values.every(value => value >= 0) && values.some(value => value > 0)) {
+        candidates.push({ type: 'pie', x: categories[0], xType: 'category', y: [measure], reason: `Share of ${measure} by ${categories[0]}` })
+      }
+    }
+
+    if (numbers.length >= 2 && times.length === 0 && categories.length === 0 && rows.length > 1) {
+      candidates.push({ type: 'scatter', x: numbers[0], xType: 'number', y: [numbers[1]], reason: `${numbers[1]} against ${numbers[0]}` })
+    }
+
+    // One candidate per chart type, the first that fits
+    return candidates.filter((candidate, index) => candidates.findIndex(other => other.type === candidate.type) === index)
+  }
+
+  chartTypes () {
+    return [...CHART_TYPES]
+  }
+}
+
+/**
+ * Kind of a column from its declared type, or null when the type says nothing
+ */
+const declaredKind = (type, dbType) => {
+  if (type === null || type === undefined || type === '') return null
+
+  if (typeof type === 'number') {
+    const codes = dbType === 'mysql' ? MYSQL_TYPES : dbType === 'postgresql' ? POSTGRES_TYPES : null
+    if (!codes) return null
+    if (codes.number.includes(type)) return 'number'
+    if (codes.time.includes(type)) return 'time'
+    return 'category'
+  }
+
+  // SQLite and DuckDB type names
+  const name = String(type).toUpperCase()
+  if (/BOOL/.test(name)) return 'category'
+  if (/INTERVAL/.test(name)) return null
+  if (/DATE|TIME/.test(name)) return 'time'
+  if (/INT|REAL|FLOA|DOUB|DEC|NUMERIC|HUGEINT/.test(name)) return 'number'
+  return 'category'
+}
+
+/**
+ * Kind of a column from its values, for expressions without a declared type
+ */
+const valueKind = (values) => {
+  if (values.length === 0) return 'category'
+  if (values.every(value => value instanceof Date)) return 'time'
+  if (values.every(value => typeof value === 'number' || typeof value === 'bigint')) return 'number'
+  return 'category'
+}
+
+module.exports = new ChartService()
@@ -0,0 +1,295 @@
+const datasources = require('../config/datasources')
+const redis = require('../config/redis')
+const accessPolicyService = require('./accessPolicyService')
+const cacheService = require('./cacheService')
+const piiMaskingService = require('./piiMaskingService')
+const schemaService = require('./schemaService')
+const logger = require('../utils/logger')
+
+const NUMERIC_TYPE = /int|numeric|decimal|real|double|float|money|number/i
+const DATE_TYPE = /date|time/i
+// Large values and binary data are not categories, and not worth sampling
+const SKIPPED_TYPE = /blob|bytea|binary|json|xml|geometry|geography|array|\[\]|struct|map|union/i
+
+// Longer values are free text rather than categories
+const MAX_VALUE_LENGTH = 60
+
+/**
+ * Column value profiles, so the model writes filters with the values the
+ * data actually holds ('delivered', not 'Completed').
+ *
+ * Each data source's tables are sampled (the first COLUMN_PROFILE_SAMPLE_ROWS
+ * rows the database returns) and every column gets its null ratio. Text and
+ * boolean columns with at most COLUMN_PROFILE_MAX_VALUES distinct values, some
+ * of them repeated, get those values, most frequent first; numeric and date
+ * columns get their minimum and maximum. Views, materialized views, foreign
+ * tables, key columns and columns that are personal (see piiMaskingService)
+ * or listed in COLUMN_PROFILE_EXCLUDE ("table.column", "*.column" or
+ * "table.*") are never sampled.
+ *
+ * Profiles are cached per data source under schema:<datasource>:profile with
+ * the fingerprint of the schema they were taken on. A missing or outdated
+ * profile is taken in the background the first time it is needed, and every
+ * profile is retaken each COLUMN_PROFILE_INTERVAL_MS. COLUMN_PROFILING=false
+ * turns profiling off.
+ */
+class ColumnProfileService {
+  constructor () {
+    this.enabled = !['false', 'off', '0'].includes(String(process.env.COLUMN_PROFILING).toLowerCase())
+    const interval = parseInt(process.env.COLUMN_PROFILE_INTERVAL_MS)
+    this.interval = Number.isNaN(interval) ? 24 * 60 * 60 * 1000 : interval
+    this.sampleRows = parseInt(process.env.COLUMN_PROFILE_SAMPLE_ROWS) || 10000
+    this.maxValues = parseInt(process.env.COLUMN_PROFILE_MAX_VALUES) || 20
+    // Characters of profile text one prompt may carry
+    this.promptBudget = parseInt(process.env.COLUMN_PROFILE_PROMPT_CHARS) || 4000
+    this.exclude = (process.env.COLUMN_PROFILE_EXCLUDE || '')
+      .split(',')
+      .map(pattern => pattern.trim().toLowerCase())
+      .filter(Boolean)
+    this.cacheTTL = 7 * 24 * 3600 // 7 days
+    this.timer = null
+    this.refreshing = false
+    // Profiles being taken, by data source
+    this.inFlight = new Map()
+  }
+
+  isEnabled () {
+    return this.enabled
+  }
+
+  /**
+   * Retake every data source's profile each COLUMN_PROFILE_INTERVAL_MS; an
+   * interval of 0 leaves profiles to be taken when first needed
+   */
+  startWatcher () {
+    if (this.timer || !this.enabled || this.interval <= 0) return
+    this.timer = setInterval(() => this.refreshAll(), this.interval)
+    this.timer.unref()
+    logger.info(`Column profiling scheduled (interval ${this.interval}ms)`)
+  }
+
+  stopWatcher () {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Retake every data source's profile; a data source that fails is logged
+   * and skipped
+   */
+  async refreshAll () {
+    if (this.refreshing || !redis.isConnected) return
+    this.refreshing = true
+    try {
+      for (const name of datasources.names()) {
+        try {
+          await this.profile(name)
+        } catch (error) {
+          logger.error(`Column profiling failed (datasource: ${name}):`, error)
+        }
+      }
+    } finally {
+      this.refreshing = false
+    }
+  }
+
+  /**
+   * Sample a data source's tables and cache the profile. Resolves to
+   * { datasource, fingerprint, profiledAt, sampleRows, tables }, with each
+   * table's { rowsSampled, columns: { <column>: profile } }. Concurrent calls
+   * for the same data source share one run.
+   */
+  async profile (datasource) {
+    if (!this.enabled) {
+      throw profileError('COLUMN_PROFILING_DISABLED', 'Column profiling is turned off (COLUMN_PROFILING=false)')
+    }
+
+    const name = datasources.resolveName(datasource)
+    if (!this.inFlight.has(name)) {
+      const run = this.takeProfile(name).finally(() => this.inFlight.delete(name))
+      this.inFlight.set(name, run)
+    }
+    return await this.inFlight.get(name)
+  }
+
+  async takeProfile (name) {
+    const start = Date.now()
+    const connection = datasources.get(name)
+    const schema = await schemaService.getSchema(name)
+    const foreignKeys = new Set((schema.relationships || []).map(rel => `${rel.fromTable}.${rel.fromColumn}`.toLowerCase()))
+
+    const tables = {}
+    for (const table of schema.tables) {
+      // Views, materialized views and foreign tables would run a query or
+      // reach another server rather than read stored rows
+      if (table.type && table.type !== 'BASE TABLE') continue
+
+      const columns = table.columns.filter(column => !SKIPPED_TYPE.test(column.type || '') &&
+        !(table.primaryKey || []).includes(column.name) &&
+        !foreignKeys.has(`${table.name}.${column.name}`.toLowerCase()) &&
+        !this.isExcluded(table.name, column.name, schema))
+      if (columns.length === 0) continue
+
+      try {
+        const sql = `SELECT ${columns.map(column => quoteIdentifier(column.name, connection.dbType)).join(', ')} ` +
+          `FROM ${quoteTable(table, connection.dbType)} LIMIT ${this.sampleRows}`
+        const { rows } = await connection.query(sql)
+        tables[table.name] = {
+          rowsSampled: rows.length,
+          columns: Object.fromEntries(columns.map(column => [column.name, this.profileColumn(column, rows.map(row => row[column.name]))]))
+        }
+      } catch (error) {
+        logger.warn(`Could not profile ${table.name} (datasource: ${name}): ${error.message}`)
+      }
+    }
+
+    const profile = {
+      datasource: name,
+      fingerprint: schema.metadata.fingerprint || schemaService.fingerprint(schema),
+      profiledAt: new Date().toISOString(),
+      sampleRows: this.sampleRows,
+      tables
+    }
+    await cacheService.set(this.getCacheKey(name), profile, this.cacheTTL)
+
+    logger.info(`Column profile taken: ${Object.keys(tables).length} tables in ${Date.now() - start}ms (datasource: ${name})`)
+    return profile
+  }
+
+  /**
+   * Profile of one column from its sampled values: { nullRatio } plus
+   * `values` for low-cardinality text and `min`/`max` for numbers and dates
+   */
+  profileColumn (column, sample) {
+    const present = sample.filter(value => value !== null && value !== undefined).map(normalizeValue)
+    const profile = { nullRatio: sample.length > 0 ? round((sample.length - present.length) / sample.length) : null }
+    if (present.length === 0) return profile
+
+    const type = column.type || ''
+    if (NUMERIC_TYPE.test(type) && present.every(value => Number.isFinite(Number(value)))) {
+      const numbers = present.map(Number)
+      profile.min = Math.min(...numbers)
+      profile.max = Math.max(...numbers)
+      return profile
+    }
+    if (DATE_TYPE.test(type)) {
+      const dates = present.map(String).sort()
+      profile.min = dates[0]
+      profile.max = dates[dates.length - 1]
+      return profile
+    }
+
+    // Enums already list every value they allow
+    if (column.allowedValues?.length > 0) return profile
+
+    const counts = new Map()
+    for (const value of present) {
+      if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) return profile
+      counts.set(value, (counts.get(value) || 0) + 1)
+      if (counts.size > this.maxValues) return profile
+    }
+    // Values that never repeat in the sample are identifiers or free text
+    if (counts.size === present.length) return profile
+
+    profile.values = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+      .map(([value]) => value)
+    return profile
+  }
+
+  /**
+   * The schema with each column's cached profile under `profile`, for the
+   * prompt. Tables the role reads through a row filter are left out, since
+   * their profile was taken over every row, and profiles stop being added once
+   * COLUMN_PROFILE_PROMPT_CHARS is reached. Without a profile for the current
+   * schema one is taken in the background and the schema is returned as is.
+   */
+  async annotate (schema) {
+    if (!this.enabled || !redis.isConnected) return schema
+
+    const name = schema.metadata?.datasource
+    const fingerprint = schema.metadata?.fingerprint
+    if (!name || !fingerprint) return schema
+
+    const profile = await cacheService.get(this.getCacheKey(name))
+    if (profile?.fingerprint !== fingerprint) {
+      this.profile(name).catch(error => {
+        logger.warn(`Column profiling failed (datasource: ${name}): ${error.message}`)
+      })
+      return schema
+    }
+
+    const user = { role: schema.metadata.accessPolicy?.role }
+    let budget = this.promptBudget
+    const tables = schema.tables.map(table => {
+      const tableProfile = profile.tables[table.name]
+      if (!tableProfile || accessPolicyService.isRowFiltered(table, { datasource: name, user })) return table
+
+      const columns = table.columns.map(column => {
+        const columnProfile = tableProfile.columns[column.name]
+        if (!columnProfile || this.isExcluded(table.name, column.name, schema)) return column
+
+        const size = JSON.stringify(columnProfile).length
+        if (size > budget) return column
+        budget -= size
+        return { ...column, profile: columnProfile }
+      })
+      return { ...table, columns }
+    })
+
+    return { ...schema, tables }
+  }
+
+  /**
+   * Whether a column must not be sampled: it is personal or excluded by
+   * COLUMN_PROFILE_EXCLUDE
+   */
+  isExcluded (table, column, schema) {
+    const tableName = table.toLowerCase()
+    const columnName = column.toLowerCase()
+    const excluded = this.exclude.some(pattern =>
+      pattern === `${tableName}.${columnName}` || pattern === `*.${columnName}` || pattern === `${tableName}.*`)
+    return excluded || piiMaskingService.isPersonalColumn(table, column, schema)
+  }
+
+  /**
+   * Cached profile of a data source, or null
+   */
+  async getProfile (datasource) {
+    return await cacheService.get(this.getCacheKey(datasources.resolveName(datasource)))
+  }
+
+  getCacheKey (datasource) {
+    return `schema:${datasource}:profile`
+  }
+}
+
+// Dates as ISO strings and BIGINTs as numbers, so they compare and serialize
+const normalizeValue = (value) => {
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'bigint') return Number(value)
+  return value
+}
+
+const round = (ratio) => Math.round(ratio * 1000) / 1000
+
+const quoteIdentifier = (name, dbType) => dbType === 'mysql'
+  ? `\`${name.replace(/`/g, '``')}\``
+  : `"${name.replace(/"/g, '""')}"`
+
+// Tables outside the default schema are named schema.table in the schema object
+const quoteTable = (table, dbType) => {
+  const prefix = table.schema ? `${table.schema}.` : null
+  const name = prefix && table.name.startsWith(prefix) ? table.name.slice(prefix.length) : table.name
+  return table.schema
+    ? `${quoteIdentifier(table.schema, dbType)}.${quoteIdentifier(name, dbType)}`
+    : quoteIdentifier(name, dbType)
+}
+
+const profileError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+module.exports = new ColumnProfileService()
@@ -0,0 +1,126 @@
+const crypto = require('crypto')
+const redis = require('../config/redis')
+const cacheService = require('./cacheService')
+const logger = require('../utils/logger')
+
+class ConversationService {
+  constructor () {
+    this.conversationPrefix = 'conversation:'
+    this.maxTurns = parseInt(process.env.CONVERSATION_MAX_TURNS) || 5
+    this.conversationTTL = parseInt(process.env.CONVERSATION_TTL) || 2 * 60 * 60 // 2 hours
+  }
+
+  /**
+   * Load the caller's conversation, or start a new one when the ID is missing,
+   * expired, owned by someone else or bound to another data source
+   */
+  async resolveConversation (conversationId, userId = 'anonymous', datasource = 'default') {
+    if (conversationId) {
+      const conversation = await this.getConversation(conversationId, userId)
+      if (conversation && (conversation.datasource || 'default') === datasource) return conversation
+
+      logger.debug(`Conversation ${conversationId} not available, starting a new one`)
+    }
+
+    return this.createConversation(userId, datasource)
+  }
+
+  /**
+   * Get a conversation owned by the user (null if missing or not owned)
+   */
+  async getConversation (conversationId, userId = 'anonymous') {
+    try {
+      const conversation = await cacheService.get(this.getKey(conversationId))
+
+      if (!conversation || conversation.userId !== userId) {
+        return null
+      }
+
+      return conversation
+    } catch (error) {
+      logger.error(`Error getting conversation ${conversationId}:`, error)
+      throw error
+    }
+  }
+
+  createConversation (userId = 'anonymous', datasource = 'default') {
+    const now = new Date().toISOString()
+    return {
+      id: this.generateConversationId(),
+      userId,
+      datasource,
+      turns: [],
+      createdAt: now,
+      updatedAt: now
+    }
+  }
+
+  /**
+   * Append a completed question/SQL turn and persist the conversation
+   */
+  async addTurn (conversation, turn) {
+    try {
+      const updated = {
+        ...conversation,
+        turns: [
+          ...conversation.turns,
+          {
+            question: turn.question,
+            sql: turn.sql,
+            resultShape: this.describeResult(turn.result),
+            timestamp: new Date().toISOString()
+          }
+        ].slice(-this.maxTurns),
+        updatedAt: new Date().toISOString()
+      }
+
+      await cacheService.set(this.getKey(conversation.id), updated, this.conversationTTL)
+      logger.debug(`Conversation ${conversation.id} now has ${updated.turns.length} turn(s)`)
+      return updated
+    } catch (error) {
+      logger.error(`Error saving conversation ${conversation.id}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Delete a conversation owned by the user
+   */
+  async deleteConversation (conversationId, userId = 'anonymous') {
+    const conversation = await this.getConversation(conversationId, userId)
+    if (!conversation) {
+      throw new Error('Conversation not found')
+    }
+
+    await redis.del(this.getKey(conversationId))
+    logger.debug(`Conversation deleted: ${conversationId}`)
+    return true
+  }
+
+  /**
+   * Reduce an execution result to the shape the model needs for follow-ups
+   */
+  describeResult (result) {
+    if (!result || !result.rows) return null
+
+    const fields = result.metadata?.fields?.length
+      ? result.metadata.fields.map(field => ({ name: field.name, type: field.type }))
+      : Object.keys(result.rows[0] || {}).map(name => ({ name }))
+
+    return {
+      columns: fields,
+      rowCount: result.rows.length,
+      totalRows: result.pagination?.totalRows ?? result.rows.length
+    }
+  }
+
+  generateConversationId () {
+    return crypto.randomUUID()
+  }
+
+  getKey (conversationId) {
+    return `${this.conversationPrefix}${conversationId}`
+  }
+}
+
+module.exports = new ConversationService()
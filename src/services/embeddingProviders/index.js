@@ -0,0 +1,51 @@
+const OpenAIEmbeddingProvider = require('./openAIEmbeddingProvider')
+
+// `none` keeps schema retrieval on the local BM25 index only
+const PROVIDER_FACTORIES = {
+  none: () => null,
+  openai: () => new OpenAIEmbeddingProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small'
+  }),
+  'openai-compatible': () => {
+    if (!process.env.EMBEDDING_BASE_URL) {
+      throw new Error('EMBEDDING_BASE_URL is required for the openai-compatible embedding provider')
+    }
+    return new OpenAIEmbeddingProvider({
+      baseURL: process.env.EMBEDDING_BASE_URL,
+      apiKey: process.env.EMBEDDING_API_KEY || 'not-needed',
+      model: process.env.EMBEDDING_MODEL || 'nomic-embed-text'
+    }, 'openai-compatible')
+  }
+}
+
+class EmbeddingProviderRegistry {
+  constructor () {
+    this.providers = new Map()
+  }
+
+  /**
+   * Get an embedding provider by name (null for `none`)
+   */
+  get (name) {
+    if (!this.providers.has(name)) {
+      const factory = PROVIDER_FACTORIES[name]
+      if (!factory) {
+        throw new Error(`Unknown embedding provider: ${name}. Available providers: ${this.list().join(', ')}`)
+      }
+      this.providers.set(name, factory())
+    }
+    return this.providers.get(name)
+  }
+
+  register (name, provider) {
+    this.providers.set(name, provider)
+  }
+
+  list () {
+    return [...new Set([...Object.keys(PROVIDER_FACTORIES), ...this.providers.keys()])]
+  }
+}
+
+module.exports = new EmbeddingProviderRegistry()
+module.exports.OpenAIEmbeddingProvider = OpenAIEmbeddingProvider
@@ -0,0 +1,49 @@
+const OpenAI = require('openai')
+
+/**
+ * Embeddings through the OpenAI API or any OpenAI-compatible server
+ * (for example Ollama at http://localhost:11434/v1)
+ */
+class OpenAIEmbeddingProvider {
+  constructor (options = {}, name = 'openai') {
+    this.name = name
+    this.model = options.model || 'text-embedding-3-small'
+    this.apiKey = options.apiKey
+    this.baseURL = options.baseURL
+    this.batchSize = options.batchSize || 100
+    this.client = null
+  }
+
+  getClient () {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        ...(this.baseURL && { baseURL: this.baseURL })
+      })
+    }
+    return this.client
+  }
+
+  /**
+   * Embed a list of texts, preserving order. Resolves to number[][]
+   */
+  async embed (texts) {
+    const vectors = []
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize)
+      const response = await this.getClient().embeddings.create({
+        model: this.model,
+        input: batch
+      })
+
+      response.data
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => vectors.push(item.embedding))
+    }
+
+    return vectors
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider
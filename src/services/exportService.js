@@ -0,0 +1,366 @@
+const { PassThrough } = require('stream')
+const ExcelJS = require('exceljs')
+const parquet = require('parquetjs-lite')
+const datasources = require('../config/datasources')
+const auditService = require('./auditService')
+const piiMaskingService = require('./piiMaskingService')
+const queryExecutionService = require('./queryExecutionService')
+const queryJobService = require('./queryJobService')
+const logger = require('../utils/logger')
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+}
+
+// A worksheet holds 1,048,576 rows including the header
+const XLSX_MAX_ROWS = 1048575
+
+class ExportService {
+  constructor () {
+    this.maxRows = parseInt(process.env.EXPORT_MAX_ROWS) || 100000
+    this.batchSize = parseInt(process.env.EXPORT_BATCH_SIZE) || 1000
+  }
+
+  formats () {
+    return Object.keys(EXPORT_FORMATS)
+  }
+
+  /**
+   * Content type and file extension for a format, throwing for unknown formats
+   */
+  getFormat (format) {
+    const definition = EXPORT_FORMATS[format]
+    if (!definition) {
+      const error = new Error(`Unsupported export format: ${format}. Supported formats: ${this.formats().join(', ')}`)
+      error.code = 'UNSUPPORTED_FORMAT'
+      throw error
+    }
+    return definition
+  }
+
+  /**
+   * Row ceiling for an export: the requested limit, capped by EXPORT_MAX_ROWS
+   */
+  resolveRowLimit (requested, format) {
+    const formatMax = format === 'xlsx' ? XLSX_MAX_ROWS : Infinity
+    const limit = Math.min(this.maxRows, formatMax)
+    const parsed = parseInt(requested)
+    return parsed > 0 ? Math.min(parsed, limit) : limit
+  }
+
+  /**
+   * Validate a query, apply the user's access policy and stream its full
+   * result (up to the row ceiling) to output, with personal data masked for
+   * the user's role. Columns are classified from the first batch.
+   *
+   * Nothing is written until the first batch arrives, so validation and query
+   * errors reject before onStart(piiMasking) runs and the caller can still send
+   * a JSON error. The output is left open so the caller can add trailers.
+   * Resolves to { rowCount, rowLimit, truncated, cancelled, piiMasking }.
+   * Exports are recorded in the audit trail like executed queries.
+   */
+  async exportQuery (sql, options = {}, output) {
+    const startedAt = Date.now()
+    const audit = { source: options.source, question: options.question, user: options.user, datasource: options.datasource, sql }
+
+    try {
+      const result = await this.streamExport(sql, options, output, audit)
+      await auditService.record({ ...audit, durationMs: Date.now() - startedAt, rowCount: result.rowCount, piiMasking: result.piiMasking })
+      return result
+    } catch (error) {
+      await auditService.record({ ...audit, durationMs: Date.now() - startedAt, ...auditService.describeError(error) })
+      throw error
+    }
+  }
+
+  async streamExport (sql, options, output, audit) {
+    const { format = 'csv', datasource, maxRows, user, signal, onStart = () => {} } = options
+
+    this.getFormat(format)
+    const connection = datasources.get(datasource)
+    audit.datasource = connection.name
+    const validation = queryExecutionService.validateQuery(sql, connection.dbType)
+    const authorized = await queryExecutionService.authorizeQuery(sql, connection, user, validation)
+    audit.accessPolicy = authorized.accessPolicy
+
+    const cleanSQL = authorized.sql.trim().replace(/;+$/, '')
+    let masker = null
+
+    const result = await this.writeBatches(connection.stream(cleanSQL, [], { batchSize: this.batchSize, signal }), output, {
+      format,
+      rowLimit: this.resolveRowLimit(maxRows, format),
+      signal,
+      onStart: async (fields, sampleRows) => {
+        if (piiMaskingService.isEnabled()) {
+          masker = await piiMaskingService.createMasker({
+            columns: fields.map(field => field.name),
+            rows: sampleRows,
+            validation,
+            datasource: connection.name,
+            user
+          })
+        }
+        onStart(masker?.report || null)
+      },
+      transform: rows => masker ? masker.mask(rows) : rows
+    })
+
+    logger.info('Query exported', {
+      datasource: connection.name,
+      format,
+      sql: sql.substring(0, 100),
+      ...result
+    })
+
+    return { ...result, piiMasking: masker?.report || null }
+  }
+
+  /**
+   * Export the stored result of a finished background job. Its rows were
+   * masked when the job ran, so they are written as stored.
+   * Resolves to { rowCount, rowLimit, truncated, cancelled, piiMasking }.
+   */
+  async exportJobResult (job, options = {}, output) {
+    const { format = 'csv', maxRows, signal, onStart = () => {} } = options
+    this.getFormat(format)
+
+    const piiMasking = job.result.metadata?.piiMasking || null
+    const result = await this.writeBatches(queryJobService.readResultBatches(job), output, {
+      format,
+      rowLimit: this.resolveRowLimit(maxRows, format),
+      signal,
+      onStart: () => onStart(piiMasking)
+    })
+
+    logger.info('Job result exported', { jobId: job.id, format, ...result })
+    // A job that stopped at JOB_MAX_ROWS is truncated however many rows are exported
+    return { ...result, truncated: result.truncated || job.result.truncated, piiMasking }
+  }
+
+  /**
+   * Write { rows, fields } batches to output in a format, up to rowLimit rows.
+   * Nothing is written before onStart(fields, sampleRows) has run on the first
+   * batch, and each batch passes through transform(rows) first. The output is
+   * left open. Resolves to { rowCount, rowLimit, truncated, cancelled }.
+   */
+  async writeBatches (batches, output, { format, rowLimit, signal, onStart = () => {}, transform = rows => rows }) {
+    const sink = new PassThrough()
+    const drained = new Promise(resolve => sink.on('end', resolve))
+    // A disconnected client never drains the sink; destroying it releases pending writes
+    signal?.addEventListener('abort', () => sink.destroy(), { once: true })
+    let writer = null
+    let rowCount = 0
+    let truncated = false
+
+    const start = async (fields, sampleRows) => {
+      await onStart(fields, sampleRows)
+      sink.pipe(output, { end: false })
+      writer = this.createWriter(format, sink)
+      await writer.start(fields)
+    }
+
+    try {
+      for await (const batch of batches) {
+        if (signal?.aborted) break
+
+        if (rowCount >= rowLimit) {
+          truncated = true
+          break
+        }
+
+        if (!writer) await start(batch.fields, batch.rows)
+
+        const rows = batch.rows.slice(0, rowLimit - rowCount)
+        await writer.write(transform(rows))
+        await waitForDrain(sink)
+        rowCount += rows.length
+
+        if (rows.length < batch.rows.length) {
+          truncated = true
+          break
+        }
+      }
+    } catch (error) {
+      sink.destroy()
+      throw error
+    }
+
+    const cancelled = !!signal?.aborted
+    if (!cancelled) {
+      if (!writer) await start([], [])
+      await writer.end()
+      await drained
+    }
+
+    return { rowCount, rowLimit, truncated, cancelled }
+  }
+
+  /**
+   * Create a { start(fields), write(rows), end() } writer for a format
+   */
+  createWriter (format, stream) {
+    switch (format) {
+      case 'csv':
+        return this.createCSVWriter(stream)
+      case 'ndjson':
+        return this.createNDJSONWriter(stream)
+      case 'xlsx':
+        return this.createXLSXWriter(stream)
+      case 'parquet':
+        return this.createParquetWriter(stream)
+      default:
+        return this.getFormat(format)
+    }
+  }
+
+  createCSVWriter (stream) {
+    let columns = []
+    return {
+      start: async (fields) => {
+        columns = fields.map(field => field.name)
+        await writeChunk(stream, `${columns.map(escapeCSV).join(',')}\r\n`)
+      },
+      write: async (rows) => {
+        const lines = rows.map(row => columns.map(column => escapeCSV(toText(row[column]))).join(','))
+        if (lines.length > 0) await writeChunk(stream, `${lines.join('\r\n')}\r\n`)
+      },
+      end: async () => stream.end()
+    }
+  }
+
+  createNDJSONWriter (stream) {
+    return {
+      start: async () => {},
+      write: async (rows) => {
+        if (rows.length > 0) await writeChunk(stream, rows.map(row => `${JSON.stringify(row, jsonReplacer)}\n`).join(''))
+      },
+      end: async () => stream.end()
+    }
+  }
+
+  createXLSXWriter (stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false })
+    const worksheet = workbook.addWorksheet('Results')
+    let columns = []
+    return {
+      start: async (fields) => {
+        columns = fields.map(field => field.name)
+        worksheet.addRow(columns).commit()
+      },
+      write: async (rows) => {
+        rows.forEach(row => worksheet.addRow(columns.map(column => toCellValue(row[column]))).commit())
+      },
+      // Ends the stream
+      end: async () => {
+        worksheet.commit()
+        await workbook.commit()
+      }
+    }
+  }
+
+  createParquetWriter (stream) {
+    let parquetWriter = null
+    let columns = []
+    return {
+      start: async (fields) => {
+        columns = fields.map(field => field.name)
+      },
+      write: async (rows) => {
+        // Column types are inferred from the first non-empty batch
+        if (rows.length === 0) return
+        if (!parquetWriter) parquetWriter = await openParquetWriter(stream, columns, rows)
+        for (const row of rows) {
+          await parquetWriter.writer.appendRow(parquetWriter.toRecord(row))
+        }
+      },
+      // Ends the stream
+      end: async () => {
+        if (!parquetWriter) parquetWriter = await openParquetWriter(stream, columns, [])
+        await parquetWriter.writer.close()
+      }
+    }
+  }
+}
+
+/**
+ * Wait until a stream with a full buffer drains (or closes)
+ */
+const waitForDrain = (stream) => new Promise(resolve => {
+  if (!stream.writableNeedDrain || stream.destroyed) return resolve()
+
+  const done = () => {
+    stream.off('drain', done)
+    stream.off('close', done)
+    resolve()
+  }
+  stream.on('drain', done)
+  stream.on('close', done)
+})
+
+const writeChunk = async (stream, chunk) => {
+  stream.write(chunk)
+  await waitForDrain(stream)
+}
+
+const toText = (value) => {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) return value.toISOString()
+  if (Buffer.isBuffer(value)) return value.toString('base64')
+  if (typeof value === 'object') return JSON.stringify(value, jsonReplacer)
+  return String(value)
+}
+
+const escapeCSV = (text) => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+
+const jsonReplacer = (_key, value) => typeof value === 'bigint' ? value.toString() : value
+
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'number' || typeof value === 'boolean' || value instanceof Date) return value
+  return toText(value)
+}
+
+const PARQUET_TYPES = {
+  number: { type: 'DOUBLE', convert: value => Number.isFinite(Number(value)) ? Number(value) : null },
+  boolean: { type: 'BOOLEAN', convert: value => Boolean(value) },
+  date: { type: 'TIMESTAMP_MILLIS', convert: value => new Date(value) },
+  text: { type: 'UTF8', convert: value => toText(value) }
+}
+
+const parquetKind = (value) => {
+  if (value instanceof Date) return 'date'
+  if (typeof value === 'number' || typeof value === 'boolean') return typeof value
+  return 'text'
+}
+
+/**
+ * Open a Parquet writer whose schema is inferred from sample rows. Columns that
+ * are null throughout the sample are written as text. Returns { writer, toRecord }
+ */
+const openParquetWriter = async (stream, columns, sampleRows) => {
+  const kinds = columns.map(column => {
+    const sample = sampleRows.find(row => row[column] !== null && row[column] !== undefined)
+    return sample ? parquetKind(sample[column]) : 'text'
+  })
+
+  const schema = new parquet.ParquetSchema(Object.fromEntries(
+    columns.map((column, index) => [column, { type: PARQUET_TYPES[kinds[index]].type, optional: true }])
+  ))
+  const writer = await parquet.ParquetWriter.openStream(schema, stream)
+
+  const toRecord = (row) => Object.fromEntries(columns.map((column, index) => {
+    const value = row[column]
+    if (value === null || value === undefined) return [column, null]
+    try {
+      return [column, PARQUET_TYPES[kinds[index]].convert(value)]
+    } catch (error) {
+      return [column, null]
+    }
+  }))
+  return { writer, toRecord }
+}
+
+module.exports = new ExportService()
@@ -20,17 +20,23 @@ class HistoryService {
       const historyEntry = {
         id: this.generateHistoryId(),
         userId,
+        conversationId: queryData.conversationId || null,
+        datasource: queryData.datasource || null,
         timestamp: new Date().toISOString(),
         naturalLanguageQuery: queryData.originalQuery,
         generatedSQL: queryData.generatedSQL,
         reasoning: queryData.reasoning,
         assumptions: queryData.assumptions,
         confidence: queryData.confidence,
+        provider: queryData.provider || null,
+        model: queryData.model || null,
         executionTime: queryData.result?.metadata?.executionTime || 0,
         rowCount: queryData.result?.rows?.length || 0,
         totalRows: queryData.result?.pagination?.totalRows || 0,
         success: !!queryData.result,
         error: queryData.error || null,
+        attempts: queryData.attempts || [],
+        attemptCount: queryData.attempts?.length || 1,
         schemaInfo: queryData.schemaInfo || null
       }
 
@@ -279,6 +285,7 @@ class HistoryService {
           totalQueries: 0,
           successfulQueries: 0,
           failedQueries: 0,
+          repairedQueries: 0,
           avgExecutionTime: 0,
           mostRecentQuery: null
         }
@@ -290,6 +297,7 @@ class HistoryService {
 
       const successfulQueries = recentEntries.filter(e => e.success).length
       const failedQueries = recentEntries.filter(e => !e.success).length
+      const repairedQueries = recentEntries.filter(e => e.success && e.attemptCount > 1).length
 
       const avgExecutionTime = recentEntries.reduce((sum, e) => sum + (e.executionTime || 0), 0) / recentEntries.length
 
@@ -297,6 +305,7 @@ class HistoryService {
         totalQueries,
         successfulQueries,
         failedQueries,
+        repairedQueries,
         avgExecutionTime: Math.round(avgExecutionTime),
         mostRecentQuery: recentEntries[0] || null,
         recentQueriesAnalyzed: recentEntries.length
@@ -371,6 +380,29 @@ class HistoryService {
     }
   }
 
+  /**
+   * The most recent entries of all users, newest first
+   */
+  async getRecentEntries (limit = this.maxGlobalHistory) {
+    const globalHistoryKey = `${this.historyPrefix}${this.globalHistoryKey}`
+    const historyIds = await redis.zrevrange(globalHistoryKey, 0, limit - 1)
+
+    const entries = []
+    for (const historyId of historyIds) {
+      const entry = await cacheService.get(`${this.historyPrefix}entry:${historyId}`, { trackMetrics: false })
+      if (entry) entries.push(entry)
+    }
+    return entries
+  }
+
+  /**
+   * Flag an entry whose SQL references tables or columns a schema change removed
+   */
+  async markSchemaDrift (historyEntry, schemaDrift) {
+    const entryKey = `${this.historyPrefix}entry:${historyEntry.id}`
+    await cacheService.set(entryKey, { ...historyEntry, schemaDrift }, this.historyTTL)
+  }
+
   async getHistoryEntries (historyIds) {
     if (!historyIds.length) return []
 
@@ -0,0 +1,121 @@
+const logger = require('../../utils/logger')
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }
+
+/**
+ * Base class for LLM providers.
+ *
+ * Providers receive fully built prompts from LLMService and only handle the
+ * transport to a model. Subclasses implement `generateSQL` and `complete`;
+ * `explainResult` and `summarize` default to a plain text completion.
+ *
+ * When a generateSQL request carries `onToken(delta)`, providers that can
+ * stream call it with each new piece of the SQL text as it is generated.
+ */
+class LLMProvider {
+  constructor (name, options = {}) {
+    this.name = name
+    this.defaultModel = options.model
+  }
+
+  /**
+   * Generate a SQL query. Resolves to { sql, reasoning, assumptions, confidence, chart, usage }
+   */
+  async generateSQL (_request) {
+    throw new Error(`generateSQL not implemented by provider: ${this.name}`)
+  }
+
+  /**
+   * Plain text completion. Resolves to { text, usage }
+   */
+  async complete (_request) {
+    throw new Error(`complete not implemented by provider: ${this.name}`)
+  }
+
+  /**
+   * Explain a query result in natural language
+   */
+  async explainResult (request) {
+    return await this.complete(request)
+  }
+
+  /**
+   * Summarize text or a result in natural language
+   */
+  async summarize (request) {
+    return await this.complete(request)
+  }
+
+  /**
+   * Resolve the model for a request, falling back to the provider default
+   */
+  resolveModel (request = {}) {
+    return request.model || this.defaultModel
+  }
+
+  /**
+   * Parse the JSON arguments of an execute_sql call into a SQL result
+   */
+  parseSQLArguments (rawArguments, usage) {
+    let args
+    try {
+      args = typeof rawArguments === 'string' ? JSON.parse(rawArguments) : rawArguments
+    } catch (parseError) {
+      logger.error('Failed to parse function call arguments:', {
+        provider: this.name,
+        arguments: rawArguments,
+        error: parseError.message
+      })
+      throw new Error(`Invalid JSON in function call arguments: ${parseError.message}`)
+    }
+
+    if (!args || typeof args.sql !== 'string' || !args.sql.trim()) {
+      throw new Error('No SQL in model response')
+    }
+
+    return {
+      sql: args.sql.trim(),
+      reasoning: args.reasoning || '',
+      assumptions: args.assumptions || '',
+      confidence: args.confidence || 0,
+      chart: args.chart || null,
+      usage
+    }
+  }
+
+  /**
+   * Decode the `sql` string from incomplete JSON arguments received so far
+   */
+  extractPartialSQL (rawArguments = '') {
+    const match = /"sql"\s*:\s*"/.exec(rawArguments)
+    if (!match) return ''
+
+    let sql = ''
+    for (let i = match.index + match[0].length; i < rawArguments.length; i++) {
+      const char = rawArguments[i]
+      if (char === '"') break
+
+      if (char === '\\') {
+        const next = rawArguments[i + 1]
+        if (next === undefined) break
+
+        if (next === 'u') {
+          const hex = rawArguments.substring(i + 2, i + 6)
+          if (hex.length < 4) break
+          sql += String.fromCharCode(parseInt(hex, 16))
+          i += 5
+        } else {
+          sql += JSON_ESCAPES[next] ?? next
+          i++
+        }
+        continue
+      }
+
+      sql += char
+    }
+
+    return sql
+  }
+}
+
+module.exports = LLMProvider
@@ -0,0 +1,118 @@
+const fs = require('fs')
+const path = require('path')
+const LLMProvider = require('./baseProvider')
+const logger = require('../../utils/logger')
+
+const FIXTURE_TYPES = ['generateSQL', 'explainResult', 'summarize']
+const WILDCARD = '*'
+
+/**
+ * Deterministic provider that replays canned responses, for tests and
+ * air-gapped environments.
+ *
+ * Fixtures are keyed by call type and normalized question:
+ *
+ *   {
+ *     "generateSQL": {
+ *       "how many users do we have?": { "sql": "SELECT COUNT(*) FROM users", "confidence": 95 },
+ *       "total by month": [{ "sql": "first attempt" }, { "sql": "repaired attempt" }]
+ *     },
+ *     "explainResult": { "*": "Fallback text for any question" }
+ *   }
+ *
+ * An array replays one entry per attempt of the repair loop, repeating the last.
+ */
+class FixtureProvider extends LLMProvider {
+  constructor (options = {}) {
+    super('fixture', { model: options.model || 'fixture' })
+    this.fixtures = {}
+    FIXTURE_TYPES.forEach(type => { this.fixtures[type] = new Map() })
+
+    if (options.fixturesPath) {
+      this.loadFile(options.fixturesPath)
+    }
+    if (options.fixtures) {
+      this.load(options.fixtures)
+    }
+  }
+
+  loadFile (fixturesPath) {
+    const resolvedPath = path.resolve(process.cwd(), fixturesPath)
+    const fixtures = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'))
+    this.load(fixtures)
+    logger.info(`LLM fixtures loaded from ${resolvedPath}`)
+  }
+
+  load (fixtures) {
+    FIXTURE_TYPES.forEach(type => {
+      Object.entries(fixtures[type] || {}).forEach(([query, response]) => {
+        this.addFixture(type, query, response)
+      })
+    })
+  }
+
+  addFixture (type, query, response) {
+    if (!FIXTURE_TYPES.includes(type)) {
+      throw new Error(`Unknown fixture type: ${type}`)
+    }
+    this.fixtures[type].set(this.normalize(query), response)
+  }
+
+  async generateSQL (request) {
+    const { userQuery, previousAttempts = [] } = request
+    const fixture = this.pick(this.find('generateSQL', userQuery), previousAttempts.length)
+    const result = this.parseSQLArguments(fixture, this.emptyUsage())
+
+    if (request.onToken) {
+      request.onToken(result.sql)
+    }
+
+    return result
+  }
+
+  async explainResult (request) {
+    return this.completeFromFixture('explainResult', request)
+  }
+
+  async summarize (request) {
+    return this.completeFromFixture('summarize', request)
+  }
+
+  async complete (request) {
+    return this.completeFromFixture('summarize', request)
+  }
+
+  completeFromFixture (type, request) {
+    const fixture = this.find(type, request.userQuery)
+    return {
+      text: typeof fixture === 'string' ? fixture : fixture.text,
+      usage: this.emptyUsage()
+    }
+  }
+
+  find (type, query = '') {
+    const fixtures = this.fixtures[type]
+    const fixture = fixtures.get(this.normalize(query)) ?? fixtures.get(WILDCARD)
+
+    if (fixture === undefined) {
+      throw new Error(`No ${type} fixture for query: "${query}"`)
+    }
+
+    return fixture
+  }
+
+  pick (fixture, attemptIndex) {
+    if (!Array.isArray(fixture)) return fixture
+    return fixture[Math.min(attemptIndex, fixture.length - 1)]
+  }
+
+  normalize (query) {
+    return String(query).toLowerCase().trim().replace(/\s+/g, ' ')
+  }
+
+  emptyUsage () {
+    return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  }
+}
+
+module.exports = FixtureProvider
@@ -0,0 +1,57 @@
+const OpenAIProvider = require('./openAIProvider')
+const OpenAICompatibleProvider = require('./openAICompatibleProvider')
+const FixtureProvider = require('./fixtureProvider')
+
+// Providers are built from environment config on first use
+const PROVIDER_FACTORIES = {
+  openai: () => new OpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4'
+  }),
+  'openai-compatible': () => new OpenAICompatibleProvider({
+    baseURL: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    model: process.env.LLM_COMPATIBLE_MODEL || 'local-model',
+    toolMode: process.env.LLM_TOOL_MODE
+  }),
+  fixture: () => new FixtureProvider({
+    fixturesPath: process.env.LLM_FIXTURES_PATH
+  })
+}
+
+class LLMProviderRegistry {
+  constructor () {
+    this.providers = new Map()
+  }
+
+  /**
+   * Get a provider instance by name
+   */
+  get (name) {
+    if (!this.providers.has(name)) {
+      const factory = PROVIDER_FACTORIES[name]
+      if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}. Available providers: ${this.list().join(', ')}`)
+      }
+      this.providers.set(name, factory())
+    }
+    return this.providers.get(name)
+  }
+
+  /**
+   * Register a provider instance, replacing any built from config
+   */
+  register (name, provider) {
+    this.providers.set(name, provider)
+  }
+
+  list () {
+    return [...new Set([...Object.keys(PROVIDER_FACTORIES), ...this.providers.keys()])]
+  }
+}
+
+module.exports = new LLMProviderRegistry()
+module.exports.LLMProvider = require('./baseProvider')
+module.exports.OpenAIProvider = OpenAIProvider
+module.exports.OpenAICompatibleProvider = OpenAICompatibleProvider
+module.exports.FixtureProvider = FixtureProvider
@@ -0,0 +1,82 @@
+const OpenAIProvider = require('./openAIProvider')
+
+/**
+ * Provider for any server exposing the OpenAI chat completions API, such as a
+ * local llama.cpp or Ollama server.
+ *
+ * Many local models handle forced tool calls poorly, so `toolMode: 'json'`
+ * asks for a bare JSON object in the message content instead.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor (options = {}) {
+    super({
+      ...options,
+      // Local servers usually ignore the key, but the client requires one
+      apiKey: options.apiKey || 'not-needed'
+    }, 'openai-compatible')
+
+    if (!options.baseURL) {
+      throw new Error('LLM_BASE_URL is required for the openai-compatible provider')
+    }
+
+    this.toolMode = options.toolMode === 'json' ? 'json' : 'tools'
+  }
+
+  async generateSQL (request) {
+    if (this.toolMode === 'tools') {
+      return await super.generateSQL(request)
+    }
+
+    const { systemPrompt, userPrompt, previousAttempts = [], repairPrompt, tool, maxTokens, temperature } = request
+
+    const messages = [
+      { role: 'system', content: `${systemPrompt}\n\n${this.buildJSONInstructions(tool)}` },
+      { role: 'user', content: userPrompt }
+    ]
+
+    previousAttempts.filter(attempt => attempt.sql).forEach(attempt => {
+      messages.push({ role: 'assistant', content: JSON.stringify({ sql: attempt.sql }) })
+      messages.push({ role: 'user', content: `Error (${attempt.stage}): ${attempt.error}` })
+    })
+
+    if (previousAttempts.length > 0) {
+      messages.push({ role: 'user', content: repairPrompt })
+    }
+
+    const params = {
+      model: this.resolveModel(request),
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    }
+
+    if (request.onToken) {
+      const streamed = await this.streamCompletion(params, request.onToken)
+      return this.parseSQLArguments(this.extractJSON(streamed.content), streamed.usage)
+    }
+
+    const response = await this.getClient().chat.completions.create(params)
+
+    return this.parseSQLArguments(this.extractJSON(response.choices[0].message.content), response.usage)
+  }
+
+  buildJSONInstructions (tool) {
+    return `Respond ONLY with a JSON object matching this JSON schema, with no other text:\n${JSON.stringify(tool.parameters)}`
+  }
+
+  /**
+   * Pull the JSON object out of a reply that may be wrapped in prose or code fences
+   */
+  extractJSON (content = '') {
+    const start = content.indexOf('{')
+    const end = content.lastIndexOf('}')
+
+    if (start === -1 || end <= start) {
+      throw new Error('No JSON object in model response')
+    }
+
+    return content.substring(start, end + 1)
+  }
+}
+
+module.exports = OpenAICompatibleProvider
@@ -0,0 +1,155 @@
+const OpenAI = require('openai')
+const LLMProvider = require('./baseProvider')
+
+/**
+ * OpenAI chat completions provider using tools-style function calls
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor (options = {}, name = 'openai') {
+    super(name, options)
+    this.apiKey = options.apiKey
+    this.baseURL = options.baseURL
+    this.client = null
+  }
+
+  /**
+   * Create the client on first use so a missing key only fails when this provider is used
+   */
+  getClient () {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        ...(this.baseURL && { baseURL: this.baseURL })
+      })
+    }
+    return this.client
+  }
+
+  async generateSQL (request) {
+    const { systemPrompt, userPrompt, previousAttempts = [], repairPrompt, tool, maxTokens, temperature } = request
+
+    const params = {
+      model: this.resolveModel(request),
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+        ...this.buildRepairMessages(previousAttempts, tool.name, repairPrompt)
+      ],
+      tools: [{ type: 'function', function: tool }],
+      tool_choice: { type: 'function', function: { name: tool.name } },
+      max_tokens: maxTokens,
+      temperature
+    }
+
+    if (request.onToken) {
+      const streamed = await this.streamCompletion(params, request.onToken)
+      if (!streamed.toolArguments) {
+        throw new Error('No tool call in response')
+      }
+      return this.parseSQLArguments(streamed.toolArguments, streamed.usage)
+    }
+
+    const response = await this.getClient().chat.completions.create(params)
+
+    const message = response.choices[0].message
+    const toolCall = message.tool_calls?.find(call => call.function?.name === tool.name)
+
+    if (!toolCall) {
+      throw new Error('No tool call in response')
+    }
+
+    return this.parseSQLArguments(toolCall.function.arguments, response.usage)
+  }
+
+  async complete (request) {
+    const { systemPrompt, userPrompt, maxTokens, temperature } = request
+
+    const response = await this.getClient().chat.completions.create({
+      model: this.resolveModel(request),
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      max_tokens: maxTokens,
+      temperature
+    })
+
+    return {
+      text: (response.choices[0].message.content || '').trim(),
+      usage: response.usage
+    }
+  }
+
+  /**
+   * Stream a completion, passing SQL deltas to onToken as the tool arguments
+   * (or JSON content) arrive. Resolves to { content, toolArguments, usage }
+   */
+  async streamCompletion (params, onToken) {
+    const stream = await this.getClient().chat.completions.create({
+      ...params,
+      stream: true,
+      stream_options: { include_usage: true }
+    })
+
+    let content = ''
+    let toolArguments = ''
+    let usage
+    let emittedSQL = ''
+
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage
+
+      const delta = chunk.choices?.[0]?.delta
+      if (!delta) continue
+
+      if (delta.content) content += delta.content
+      delta.tool_calls?.forEach(call => {
+        if (call.function?.arguments) toolArguments += call.function.arguments
+      })
+
+      const partialSQL = this.extractPartialSQL(toolArguments || content)
+      if (partialSQL.length > emittedSQL.length && partialSQL.startsWith(emittedSQL)) {
+        onToken(partialSQL.substring(emittedSQL.length))
+        emittedSQL = partialSQL
+      }
+    }
+
+    return { content, toolArguments, usage }
+  }
+
+  /**
+   * Replay failed attempts as tool calls followed by their errors
+   */
+  buildRepairMessages (previousAttempts, toolName, repairPrompt) {
+    const messages = []
+
+    previousAttempts.filter(attempt => attempt.sql).forEach(attempt => {
+      const toolCallId = `attempt_${attempt.attempt}`
+      messages.push({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{
+          id: toolCallId,
+          type: 'function',
+          function: {
+            name: toolName,
+            arguments: JSON.stringify({ sql: attempt.sql })
+          }
+        }]
+      })
+      messages.push({
+        role: 'tool',
+        tool_call_id: toolCallId,
+        content: `Error (${attempt.stage}): ${attempt.error}`
+      })
+    })
+
+    if (messages.length > 0) {
+      messages.push({ role: 'user', content: repairPrompt })
+    }
+
+    return messages
+  }
+}
+
+module.exports = OpenAIProvider
@@ -1,75 +1,254 @@
-const OpenAI = require('openai')
+const crypto = require('crypto')
 const logger = require('../utils/logger')
 const cacheService = require('./cacheService')
+const schemaService = require('./schemaService')
+const semanticCacheService = require('./semanticCacheService')
+const sqlValidationService = require('./sqlValidationService')
+const chartService = require('./chartService')
+const columnProfileService = require('./columnProfileService')
+const llmProviders = require('./llmProviders')
+const { trackLLMRequest } = require('../middleware/metrics')
+
+// Dialect notes appended to the system prompt, keyed by datasource type
+const DIALECT_HINTS = {
+  postgresql: [
+    'Use ILIKE for case-insensitive matching and date_trunc()/EXTRACT() for date parts',
+    'Paginate with LIMIT n OFFSET m'
+  ],
+  mysql: [
+    'Quote identifiers with backticks when needed; use DATE_FORMAT(), YEAR() and MONTH() for date parts',
+    'Use CONCAT() for string concatenation; LIKE is case-insensitive by default'
+  ],
+  sqlite: [
+    'Dates are stored as TEXT: use strftime() (e.g. strftime(\'%Y-%m\', order_date)), date() and datetime(); there is no date_trunc, EXTRACT or NOW()',
+    'There is no ILIKE: LIKE is already case-insensitive for ASCII; concatenate strings with ||',
+    'Booleans are stored as 0/1; use CAST(x AS REAL) to avoid integer division',
+    'Paginate with LIMIT n OFFSET m; RIGHT/FULL JOIN and window functions are available'
+  ],
+  duckdb: [
+    'Write PostgreSQL-compatible SQL: date_trunc(), EXTRACT(), ILIKE, || and ::casts all work',
+    'Do not use DuckDB-only syntax (GROUP BY ALL, SELECT * EXCLUDE/REPLACE, FROM-first queries, QUALIFY) or file readers such as read_csv/read_parquet; group by explicit columns instead',
+    'Paginate with LIMIT n OFFSET m'
+  ]
+}
+
+// Allowed values listed per column in the prompt; longer lists are cut short
+const MAX_PROMPT_VALUES = 30
 
 class LLMService {
   constructor () {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    })
-    this.model = process.env.OPENAI_MODEL || 'gpt-4'
+    this.defaultProvider = process.env.LLM_PROVIDER || 'openai'
+    this.defaultModel = process.env.LLM_MODEL || null
+    this.allowedModels = (process.env.LLM_ALLOWED_MODELS || '')
+      .split(',')
+      .map(model => model.trim())
+      .filter(Boolean)
     this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS) || 1000
     this.cachePrefix = 'llm:query:'
+    this.answerCachePrefix = 'llm:answer:'
     this.cacheTTL = 1800 // 30 minutes
   }
 
   /**
-   * Generate SQL query from natural language with function calling
+   * Generate SQL query from natural language with function calling.
+   * When `previousAttempts` holds failed attempts, the model is asked to repair
+   * the last query using the database or validation error. `conversationTurns`
+   * carries earlier questions and SQL so follow-ups can build on them.
+   * `onToken` receives SQL deltas while the model is generating.
+   * A paraphrase of a cached question is served from the semantic cache, with
+   * `semanticCacheHit` ({ score, query, method, key }) naming the question it
+   * matched and its cache key.
    */
-  async generateSQL (userQuery, schema) {
+  async generateSQL (userQuery, schema, options = {}) {
+    const { previousAttempts = [], conversationTurns = [] } = options
+    const datasource = options.datasource || schema.metadata?.datasource
+    // Roles see different schemas, so they must not share generated SQL
+    const accessScope = schema.metadata?.accessPolicy?.role
+    const isRepair = previousAttempts.length > 0
+    // Follow-ups depend on the conversation, not just on the question
+    const isSemantic = conversationTurns.length === 0
+
     try {
-      // Check cache first
-      const cacheKey = `${this.cachePrefix}${this.hashQuery(userQuery)}`
-      const cachedResult = await cacheService.get(cacheKey)
+      const { provider, model } = this.resolveProvider(options)
+
+      // Check cache first (a repair must always reach the model)
+      const partition = this.buildCachePartition(provider.name, model, datasource, accessScope)
+      const cacheKey = this.buildCacheKey(userQuery, provider.name, model, conversationTurns, datasource, accessScope, schemaService.fingerprint(schema))
+      if (!isRepair) {
+        const cachedResult = await cacheService.get(cacheKey)
+
+        if (cachedResult) {
+          logger.debug('LLM query result retrieved from cache')
+          return { ...cachedResult, fromLLMCache: true }
+        }
+
+        const match = isSemantic ? await semanticCacheService.lookup(userQuery, partition) : null
+        if (match) {
+          const similarResult = await cacheService.get(match.key)
+          if (similarResult) {
+            logger.debug('LLM query result retrieved from semantic cache', { score: match.score, matchedQuery: match.query.substring(0, 100) })
+            return {
+              ...similarResult,
+              fromLLMCache: true,
+              semanticCacheHit: { score: match.score, query: match.query, method: match.method, key: match.key }
+            }
+          }
+          await semanticCacheService.forget(partition, [match.key])
+        }
+      }
 
-      if (cachedResult) {
-        logger.debug('LLM query result retrieved from cache')
-        return { ...cachedResult, fromLLMCache: true }
+      // Sampled values ground the model's filters; they do not change the cache key
+      const profiledSchema = await columnProfileService.annotate(schema)
+      const request = {
+        userQuery,
+        systemPrompt: this.buildSystemPrompt(profiledSchema, { conversationTurns }),
+        userPrompt: this.buildUserPrompt(userQuery, conversationTurns),
+        previousAttempts,
+        repairPrompt: this.buildRepairPrompt(),
+        tool: this.getSQLExecutionFunction(),
+        model,
+        maxTokens: this.maxTokens,
+        temperature: 0.1, // Low temperature for consistent SQL generation
+        onToken: options.onToken
       }
 
-      const systemPrompt = this.buildSystemPrompt(schema)
-      const userPrompt = this.buildUserPrompt(userQuery)
-
-      const response = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        functions: [this.getSQLExecutionFunction()],
-        function_call: { name: 'execute_sql' },
-        max_tokens: this.maxTokens,
-        temperature: 0.1 // Low temperature for consistent SQL generation
-      })
+      const generated = await this.callProvider(provider, model, () => provider.generateSQL(request))
+      const result = {
+        ...generated,
+        provider: provider.name,
+        model,
+        fromLLMCache: false
+      }
 
-      const result = this.parseResponse(response)
+      // Validate that it's a read-only SELECT query before it can be cached
+      const validation = sqlValidationService.validate(result.sql, { dbType: schema.metadata?.dbType })
+      if (!validation.valid) {
+        const error = new Error(`Generated query violates read-only policy: ${validation.violations.map(v => v.message).join('; ')}`)
+        error.sql = result.sql
+        error.violations = validation.violations
+        throw error
+      }
 
-      // Cache the result
+      // Cache the result (a successful repair replaces the failing cached query)
       await cacheService.set(cacheKey, result, this.cacheTTL)
+      if (isSemantic) {
+        await semanticCacheService.remember(userQuery, partition, cacheKey, this.cacheTTL, {
+          datasource, provider: provider.name, model, role: accessScope || null
+        })
+      }
 
-      logger.info('SQL generated successfully', {
+      logger.info(isRepair ? 'SQL repaired successfully' : 'SQL generated successfully', {
+        datasource,
         userQuery: userQuery.substring(0, 100),
-        generatedSQL: result.sql.substring(0, 200)
+        generatedSQL: result.sql.substring(0, 200),
+        provider: provider.name,
+        model,
+        attempt: previousAttempts.length + 1
       })
 
       return result
     } catch (error) {
       logger.error('Error generating SQL:', error)
-      throw new Error(`Failed to generate SQL: ${error.message}`)
+      const wrappedError = new Error(`Failed to generate SQL: ${error.message}`)
+      wrappedError.sql = error.sql
+      wrappedError.violations = error.violations
+      throw wrappedError
+    }
+  }
+
+  /**
+   * Answer the question in plain language from a query result. `context` is
+   * what the model may see of it: { columns, sample, aggregates, rowCount,
+   * totalRows, hasMoreRows } (see answerService). Answers are cached per data source,
+   * provider, model and context.
+   */
+  async explainResult (userQuery, sql, context, options = {}) {
+    const { provider, model } = this.resolveProvider(options)
+    const datasource = options.datasource || 'default'
+
+    const cacheKey = this.buildAnswerCacheKey(userQuery, sql, context, provider.name, model, datasource)
+    const cachedResult = await cacheService.get(cacheKey)
+    if (cachedResult) {
+      logger.debug('LLM answer retrieved from cache')
+      return { ...cachedResult, fromLLMCache: true }
+    }
+
+    const request = {
+      userQuery,
+      systemPrompt: 'You answer questions about SQL query results for non-technical users. Reply in two or three sentences using only the data provided, and cite the key numbers. The sample may hold only some of the rows: rely on the aggregates for totals and extremes, and say so when the data cannot answer the question.',
+      userPrompt: this.buildAnswerPrompt(userQuery, sql, context),
+      model,
+      maxTokens: this.maxTokens,
+      temperature: 0.2
+    }
+
+    const generated = await this.callProvider(provider, model, () => provider.explainResult(request))
+    const result = { text: generated.text, provider: provider.name, model, fromLLMCache: false }
+    await cacheService.set(cacheKey, result, this.cacheTTL)
+    return result
+  }
+
+  /**
+   * Summarize a piece of text
+   */
+  async summarize (text, options = {}) {
+    const { provider, model } = this.resolveProvider(options)
+
+    const request = {
+      userQuery: options.userQuery || text,
+      systemPrompt: 'You write short, factual summaries.',
+      userPrompt: `Summarize the following:\n\n${text}`,
+      model,
+      maxTokens: this.maxTokens,
+      temperature: 0.2
+    }
+
+    const result = await this.callProvider(provider, model, () => provider.summarize(request))
+    return { ...result, provider: provider.name, model }
+  }
+
+  /**
+   * Resolve the provider and model for a call from per-request options and config
+   */
+  resolveProvider (options = {}) {
+    const providerName = options.provider || this.defaultProvider
+    const provider = llmProviders.get(providerName)
+    const model = options.model ||
+      (providerName === this.defaultProvider && this.defaultModel) ||
+      provider.defaultModel
+
+    if (options.model && this.allowedModels.length > 0 && !this.allowedModels.includes(options.model)) {
+      throw new Error(`Model not allowed: ${options.model}`)
+    }
+
+    return { provider, model }
+  }
+
+  /**
+   * Call a provider and record request metrics
+   */
+  async callProvider (provider, model, call) {
+    const start = Date.now()
+    try {
+      const result = await call()
+      trackLLMRequest(provider.name, model, Date.now() - start, true)
+      return result
+    } catch (error) {
+      trackLLMRequest(provider.name, model, Date.now() - start, false)
+      throw error
     }
   }
 
   /**
    * Build system prompt with schema context
    */
-  buildSystemPrompt (schema) {
-    const tableDescriptions = schema.tables.map(table => {
-      const columns = table.columns.map(col =>
-        `  - ${col.name} (${col.type}${col.nullable ? ', nullable' : ', not null'})${col.comment ? ` - ${col.comment}` : ''}`
-      ).join('\n')
+  buildSystemPrompt (schema, options = {}) {
+    const { conversationTurns = [] } = options
+    const followUpGuidance = conversationTurns.length > 0
+      ? '\n- This is a follow-up in a conversation: when the question refers to earlier results ("that", "now only for 2023", "break it down by category"), rewrite the most recent query instead of starting over'
+      : ''
 
-      return `Table: ${table.name}${table.comment ? ` - ${table.comment}` : ''}\n${columns}`
-    }).join('\n\n')
+    const tableDescriptions = schema.tables.map(table => this.describeTable(table)).join('\n\n')
 
     const relationships = schema.relationships.length > 0
       ? '\n\nRelationships:\n' + schema.relationships.map(rel =>
@@ -93,7 +272,10 @@ IMPORTANT RULES:
 11. Use DISTINCT when joining tables to avoid duplicate rows
 12. Always use table aliases and qualify column names to avoid ambiguity
 13. When joining multiple tables, select only necessary columns with meaningful aliases
-
+14. Compare a column that lists its values only with those exact values, spelled and cased as listed
+15. Prefer joining and filtering on primary key, unique and indexed columns
+16. Sampled values and ranges show how the data is written: match filter values to their spelling, case and format
+${this.buildDialectSection(schema.metadata?.dbType)}
 Database Schema:
 ${tableDescriptions}${relationships}
 
@@ -104,20 +286,107 @@ When generating SQL:
 - Use meaningful aliases for tables and columns
 - Include comments in the SQL to explain complex logic
 - If the question is ambiguous, make reasonable assumptions and explain them
-- If the question cannot be answered with the available schema, explain why`
+- If the question cannot be answered with the available schema, explain why${followUpGuidance}`
+  }
+
+  /**
+   * Describe a table for the system prompt: its columns with their allowed
+   * values and sampled profiles, then its keys, indexes and check constraints
+   */
+  describeTable (table) {
+    const kind = table.type && table.type !== 'BASE TABLE' ? ` (${table.type.toLowerCase()})` : ''
+    const lines = [`Table: ${table.name}${kind}${table.comment ? ` - ${table.comment}` : ''}`]
+
+    table.columns.forEach(col => {
+      const values = col.allowedValues?.length > 0 ? ` [values: ${formatValues(col.allowedValues)}]` : ''
+      lines.push(`  - ${col.name} (${col.type}${col.nullable ? ', nullable' : ', not null'})${col.comment ? ` - ${col.comment}` : ''}${values}${formatProfile(col.profile)}`)
+    })
+
+    const formatKey = (columns) => columns.length > 1 ? `(${columns.join(', ')})` : columns[0]
+    if (table.primaryKey?.length > 0) lines.push(`  Primary key: ${formatKey(table.primaryKey)}`)
+    if (table.uniqueConstraints?.length > 0) lines.push(`  Unique: ${table.uniqueConstraints.map(formatKey).join('; ')}`)
+    if (table.indexes?.length > 0) {
+      const indexed = [...new Set(table.indexes.map(index => formatKey(index.columns)))]
+      lines.push(`  Indexed: ${indexed.join('; ')}`)
+    }
+    if (table.checkConstraints?.length > 0) lines.push(`  Checks: ${table.checkConstraints.join('; ')}`)
+
+    return lines.join('\n')
+  }
+
+  /**
+   * Describe the database type and its SQL dialect quirks for the system prompt
+   */
+  buildDialectSection (dbType) {
+    if (!dbType) return ''
+
+    const hints = DIALECT_HINTS[dbType] || []
+    const notes = hints.map(hint => `- ${hint}`).join('\n')
+    return `\nDatabase type: ${dbType}\n${notes ? `${notes}\n` : ''}`
   }
 
   /**
    * Build user prompt
    */
-  buildUserPrompt (userQuery) {
-    return `Convert this natural language question into a SQL query: "${userQuery}"
+  buildUserPrompt (userQuery, conversationTurns = []) {
+    return `${this.buildConversationContext(conversationTurns)}Convert this natural language question into a SQL query: "${userQuery}"
 
 Please analyze the question and generate the most appropriate SELECT query to answer it. If you need to make assumptions, explain them in your reasoning.`
   }
 
   /**
-   * Define the SQL execution function for OpenAI function calling
+   * Describe earlier turns of the conversation, oldest first
+   */
+  buildConversationContext (conversationTurns = []) {
+    if (conversationTurns.length === 0) return ''
+
+    const turns = conversationTurns.map((turn, index) => {
+      const shape = turn.resultShape
+        ? `\n   Result: ${turn.resultShape.columns.map(col => col.name).join(', ')} (${turn.resultShape.totalRows} rows)`
+        : ''
+      return `${index + 1}. Question: "${turn.question}"\n   SQL: ${turn.sql}${shape}`
+    }).join('\n')
+
+    return `Previous questions in this conversation (oldest first):
+${turns}
+
+`
+  }
+
+  /**
+   * Describe a result for explainResult: the sample rows and aggregates
+   */
+  buildAnswerPrompt (userQuery, sql, { columns, sample, aggregates, rowCount, totalRows, hasMoreRows }) {
+    const size = totalRows !== null && totalRows !== undefined && totalRows > rowCount
+      ? `The query returned ${totalRows} rows; this page holds ${rowCount}.`
+      : hasMoreRows
+        ? `This page holds the first ${rowCount} rows of the result; there are more.`
+        : `The query returned ${rowCount} rows.`
+    const sampled = sample.length < rowCount ? `The first ${sample.length} rows` : 'All rows'
+    const stats = Object.keys(aggregates).length > 0
+      ? `\n\nAggregates over the ${rowCount} rows of the page (JSON):\n${JSON.stringify(aggregates)}`
+      : ''
+
+    return `Question: "${userQuery}"
+
+SQL:
+${sql}
+
+${size} Columns: ${columns.join(', ')}.
+
+${sampled} (JSON):
+${JSON.stringify(sample)}${stats}`
+  }
+
+  /**
+   * Instruction sent after replaying failed attempts
+   */
+  buildRepairPrompt () {
+    return 'The previous query failed with the error above. Fix the query so it runs against the schema provided. Only use tables and columns that exist in the schema and keep it a single read-only SELECT statement.'
+  }
+
+  /**
+   * Define the SQL execution function used for tool calls
    */
   getSQLExecutionFunction () {
     return {
@@ -143,6 +412,11 @@ Please analyze the question and generate the most appropriate SELECT query to an
             description: 'Confidence level in the query correctness (0-100)',
             minimum: 0,
             maximum: 100
+          },
+          chart: {
+            type: 'string',
+            enum: [...chartService.chartTypes(), 'table'],
+            description: 'How the result is best shown: line for a trend over time, bar to compare categories, pie for parts of a whole with few categories, scatter for two related measures, kpi for one or a few single numbers, table when no chart helps'
           }
         },
         required: ['sql', 'reasoning', 'confidence']
@@ -151,78 +425,60 @@ Please analyze the question and generate the most appropriate SELECT query to an
   }
 
   /**
-   * Parse OpenAI response
+   * Drop the cached SQL for a query, e.g. after it failed to execute.
+   * `schema` is the schema the SQL was generated from; `semanticCacheHit`
+   * the semantic match it was served from, whose SQL is dropped as well.
    */
-  parseResponse (response) {
-    try {
-      const message = response.choices[0].message
-
-      if (!message.function_call) {
-        throw new Error('No function call in response')
-      }
-
-      let functionArgs
-      try {
-        functionArgs = JSON.parse(message.function_call.arguments)
-      } catch (parseError) {
-        logger.error('Failed to parse function call arguments:', {
-          arguments: message.function_call.arguments,
-          error: parseError.message
-        })
-        throw new Error(`Invalid JSON in function call arguments: ${parseError.message}`)
-      }
-
-      // Validate that it's a SELECT query
-      const sql = functionArgs.sql.trim()
-      if (!this.isSelectQuery(sql)) {
-        throw new Error('Generated query is not a SELECT statement')
-      }
-
-      return {
-        sql,
-        reasoning: functionArgs.reasoning || '',
-        assumptions: functionArgs.assumptions || '',
-        confidence: functionArgs.confidence || 0,
-        usage: response.usage,
-        fromLLMCache: false
-      }
-    } catch (error) {
-      logger.error('Error parsing LLM response:', error)
-      throw new Error(`Failed to parse LLM response: ${error.message}`)
+  async invalidateCachedSQL (userQuery, options = {}) {
+    const { provider, model } = this.resolveProvider(options)
+    const fingerprint = options.schema ? schemaService.fingerprint(options.schema) : null
+    const cacheKey = this.buildCacheKey(userQuery, provider.name, model, options.conversationTurns, options.datasource, options.accessScope, fingerprint)
+    const partition = this.buildCachePartition(provider.name, model, options.datasource, options.accessScope)
+    const keys = [cacheKey, ...(options.semanticCacheHit ? [options.semanticCacheHit.key] : [])]
+
+    await semanticCacheService.forget(partition, keys)
+    for (const key of keys) {
+      await cacheService.del(key)
     }
   }
 
   /**
-   * Validate that query is a SELECT statement
+   * Cache key for generated SQL; answers differ per data source, provider,
+   * model, access policy role, schema in the prompt (its fingerprint) and
+   * conversation context (a follow-up means something else after other SQL)
    */
-  isSelectQuery (sql) {
-    const trimmedSQL = sql.trim().toLowerCase()
-
-    // Check if it starts with SELECT
-    if (!trimmedSQL.startsWith('select')) {
-      return false
-    }
-
-    // Check for dangerous keywords
-    const dangerousKeywords = [
-      'insert', 'update', 'delete', 'drop', 'create', 'alter',
-      'truncate', 'grant', 'revoke', 'exec', 'execute', 'call'
-    ]
+  buildCacheKey (userQuery, providerName, model, conversationTurns = [], datasource = 'default', accessScope = null, schemaFingerprint = null) {
+    const context = conversationTurns.length > 0
+      ? `:ctx:${this.hashQuery(conversationTurns.map(turn => turn.sql).join('\n'))}`
+      : ''
+    const schemaPart = schemaFingerprint ? `:schema:${schemaFingerprint}` : ''
+    return `${this.buildCachePartition(providerName, model, datasource, accessScope)}${schemaPart}${context}:${this.hashQuery(userQuery)}`
+  }
 
-    for (const keyword of dangerousKeywords) {
-      if (trimmedSQL.includes(keyword)) {
-        return false
-      }
-    }
+  /**
+   * Prefix of the cache keys whose SQL may be shared between paraphrased
+   * questions: one data source, provider, model and access policy role
+   */
+  buildCachePartition (providerName, model, datasource = 'default', accessScope = null) {
+    const scope = accessScope ? `:role:${accessScope}` : ''
+    return `${this.cachePrefix}${datasource}:${providerName}:${model}${scope}`
+  }
 
-    return true
+  /**
+   * Cache key for an answer: the same question, SQL and visible data give the
+   * same answer
+   */
+  buildAnswerCacheKey (userQuery, sql, context, providerName, model, datasource = 'default') {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([userQuery.trim(), sql, context]))
+      .digest('hex')
+    return `${this.answerCachePrefix}${datasource}:${providerName}:${model}:${hash}`
   }
 
   /**
    * Generate a hash for caching queries
    */
   hashQuery (query) {
-    const crypto = require('crypto')
     return crypto.createHash('md5').update(query.toLowerCase().trim()).digest('hex')
   }
 
@@ -240,4 +496,22 @@ Please analyze the question and generate the most appropriate SELECT query to an
   }
 }
 
+// 'a', 'b', 3, … (12 more)
+const formatValues = (values) => {
+  const shown = values.slice(0, MAX_PROMPT_VALUES)
+    .map(value => typeof value === 'string' ? `'${value.replace(/'/g, "''")}'` : String(value))
+  const more = values.length - shown.length
+  return more > 0 ? `${shown.join(', ')}, … (${more} more)` : shown.join(', ')
+}
+
+// " [sampled values: 'a', 'b'] [range: 1 to 9] [12% null]", or ''
+const formatProfile = (profile) => {
+  if (!profile) return ''
+  const parts = []
+  if (profile.values?.length > 0) parts.push(`sampled values: ${formatValues(profile.values)}`)
+  if (profile.min !== undefined) parts.push(`range: ${profile.min} to ${profile.max}`)
+  if (profile.nullRatio > 0) parts.push(`${Math.round(profile.nullRatio * 100) || '<1'}% null`)
+  return parts.map(part => ` [${part}]`).join('')
+}
+
 module.exports = new LLMService()
@@ -0,0 +1,480 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { isRole } = require('../config/roles')
+const schemaService = require('./schemaService')
+const logger = require('../utils/logger')
+
+// none: return the value; mask: keep a hint of it; hash: keyed hash that
+// still groups and joins; redact: replace it outright
+const ACTIONS = ['none', 'mask', 'hash', 'redact']
+
+// Action per role unless PII_POLICY_FILE says otherwise; unknown roles get redact
+const DEFAULT_ROLE_ACTIONS = {
+  admin: 'none',
+  analyst: 'mask',
+  viewer: 'redact'
+}
+
+const REDACTED = '[REDACTED]'
+
+// Types whose values may be stored as plain numbers
+const NUMERIC_TYPES = ['phone', 'card', 'national_id']
+
+// Column names that hold personal data, checked in order
+const COLUMN_NAME_PATTERNS = [
+  ['secret', /(^|_)(password|passwd|secret|api_?key|token)(_|$)/],
+  ['ip', /(^|_)ip(_?addr(ess)?)?$/],
+  ['email', /e_?mail/],
+  ['phone', /phone|mobile|(^|_)(tel|fax)(_|$)/],
+  ['card', /credit_?card|card_?(number|num|no)$|(^|_)(pan|cc_?(number|num|no)?)$/],
+  ['national_id', /ssn|social_security|national_id|tax_id|passport/],
+  ['birthdate', /birth|(^|_)dob$/],
+  ['name', /^(first|last|middle|full|given|family|sur)_?name$/],
+  ['address', /address|street|postcode|postal_code|(^|_)zip(_?code)?$/]
+]
+
+// `pii` or `pii:<type>` in a column comment
+const COMMENT_TAG_PATTERN = /\bpii(?::([a-z_]+))?\b/i
+
+const EMAIL_VALUE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const NATIONAL_ID_VALUE = /^\d{3}-\d{2}-\d{4}$/
+const PHONE_VALUE = /^\+?[\d\s().-]{7,}$/
+const DATE_VALUE = /^\d{4}-\d{2}-\d{2}/
+
+// Rows sampled for value patterns, and the share of them that must match
+const VALUE_SAMPLE_SIZE = 100
+const VALUE_MATCH_RATIO = 0.5
+
+/**
+ * Detects personal data in query results and masks it per role.
+ *
+ * Result columns are traced back to their source columns through the parsed
+ * query and classified by tags, column comments and column names; columns
+ * that cannot be traced are classified by their values (emails, phone
+ * numbers, card numbers). The optional JSON file at PII_POLICY_FILE sets tags
+ * and per-role actions:
+ *
+ *   {
+ *     "columns": { "users.tax_code": "national_id", "products.name": false },
+ *     "roles": {
+ *       "admin": "none",
+ *       "analyst": { "default": "mask", "email": "hash" },
+ *       "viewer": "redact"
+ *     }
+ *   }
+ *
+ * A `false` tag marks a column as reviewed and not personal.
+ */
+class PIIMaskingService {
+  constructor () {
+    this.enabled = !['false', 'off', '0'].includes(String(process.env.PII_MASKING).toLowerCase())
+    this.policy = null
+    this.hashKey = null
+  }
+
+  isEnabled () {
+    return this.enabled
+  }
+
+  /**
+   * Results are masked per role, so cached results must be too
+   */
+  cacheScope (user) {
+    return this.isEnabled() ? `pii:${user?.role || 'none'}` : null
+  }
+
+  /**
+   * Classify the columns of a result and build a masker for the user's role.
+   * `rows` are sampled for value patterns; `validation` is the
+   * sqlValidationService result used to trace columns to their tables.
+   * Resolves to { mask(rows), isMasked(column), report }.
+   */
+  async createMasker ({ columns, rows = [], validation, datasource, user }) {
+    const policy = this.loadPolicy()
+    const role = user?.role || null
+    const detected = (await this.classifyColumns({ columns, rows, validation, datasource }))
+      .map(entry => ({ ...entry, action: this.actionFor(role, entry.type, policy) }))
+
+    const masked = detected.filter(entry => entry.action !== 'none')
+
+    return {
+      isMasked: (column) => masked.some(entry => entry.column === column),
+      mask: (batch) => masked.length === 0
+        ? batch
+        : batch.map(row => {
+          const copy = { ...row }
+          masked.forEach(({ column, type, action }) => {
+            copy[column] = this.applyAction(copy[column], type, action)
+          })
+          return copy
+        }),
+      report: {
+        role,
+        columns: detected.map(({ column, type, action, detectedBy }) => ({ column, type, action, detectedBy }))
+      }
+    }
+  }
+
+  /**
+   * The result columns that hold personal data, as [{ column, type,
+   * detectedBy }], whether or not masking is enabled
+   */
+  async classifyColumns ({ columns, rows = [], validation, datasource }) {
+    const policy = this.loadPolicy()
+    const schema = await schemaService.getSchema(datasource)
+    const sources = traceColumns(validation, schema)
+    const queryTables = (validation.tables || []).map(table => table.name.toLowerCase())
+
+    return columns
+      .map(column => ({ column, ...this.classify(column, columnSources(sources, column), queryTables, schema, rows, policy) }))
+      .filter(entry => entry.type)
+  }
+
+  /**
+   * PII type of one result column and how it was found, or { type: null }
+   */
+  classify (column, sources = [], queryTables, schema, rows, policy) {
+    const traced = sources.filter(source => !source.untraced)
+    const untraced = traced.length < sources.length
+    const schemaColumns = traced.length > 0
+      ? traced
+      // Columns computed from no table column may still carry a source column's name
+      : queryTables.map(table => ({ table, column: column.toLowerCase() }))
+
+    const found = schemaColumns.map(source => this.classifySourceColumn(source, schema, policy)).filter(Boolean)
+    const personal = found.find(entry => entry.type !== false)
+    if (personal) return personal
+    // Columns tagged `false` were reviewed, so their names are not guessed at
+    if (found.length > 0 && !untraced) return { type: null }
+
+    const sample = rows.slice(0, VALUE_SAMPLE_SIZE).map(row => row[column])
+
+    // An untraced alias such as `emails` over COUNT(email) only holds numbers
+    const byName = matchColumnName(column)
+    if (byName && (NUMERIC_TYPES.includes(byName) || !sample.every(isNumeric))) {
+      return { type: byName, detectedBy: 'column_name' }
+    }
+
+    const byValue = matchValues(sample)
+    if (byValue) return { type: byValue, detectedBy: 'value_pattern' }
+
+    // Values the query hides the origin of may come from any personal column it reads
+    if (untraced && this.readsPersonalData(queryTables, schema, policy)) return { type: 'pii', detectedBy: 'untraced' }
+    return { type: null }
+  }
+
+  /**
+   * Whether any of the tables holds a personal column
+   */
+  readsPersonalData (tables, schema, policy) {
+    return tables.some(table => (schema.tables.find(candidate => candidate.name.toLowerCase() === table)?.columns || [])
+      .some(column => {
+        const found = this.classifySourceColumn({ table, column: column.name.toLowerCase() }, schema, policy)
+        return !!found && found.type !== false
+      }))
+  }
+
+  /**
+   * Classify a schema column by tag, comment and name
+   */
+  classifySourceColumn ({ table, column }, schema, policy) {
+    const tags = policy.columns || {}
+    const tag = tags[`${table}.${column}`] ?? tags[`*.${column}`]
+    if (tag !== undefined) return { type: tag === true ? 'pii' : tag, detectedBy: 'tag' }
+
+    const definition = schema.tables
+      .find(candidate => candidate.name.toLowerCase() === table)?.columns
+      .find(candidate => candidate.name.toLowerCase() === column)
+    if (!definition) return null
+
+    const comment = COMMENT_TAG_PATTERN.exec(definition.comment || '')
+    if (comment) return { type: comment[1]?.toLowerCase() || 'pii', detectedBy: 'comment' }
+
+    const byName = matchColumnName(column)
+    return byName ? { type: byName, detectedBy: 'column_name' } : null
+  }
+
+  /**
+   * Whether a schema column holds personal data by tag, comment or name,
+   * whether or not masking is enabled
+   */
+  isPersonalColumn (table, column, schema) {
+    const found = this.classifySourceColumn({ table: table.toLowerCase(), column: column.toLowerCase() }, schema, this.loadPolicy())
+    return !!found && found.type !== false
+  }
+
+  actionFor (role, type, policy) {
+    const roleActions = policy.roles?.[role] ?? DEFAULT_ROLE_ACTIONS[role] ?? 'redact'
+    if (typeof roleActions === 'string') return roleActions
+    return roleActions[type] || roleActions.default || 'redact'
+  }
+
+  applyAction (value, type, action) {
+    if (value === null || value === undefined) return value
+    if (action === 'redact') return REDACTED
+    if (action === 'hash') return this.hash(value)
+    if (action === 'mask') return maskValue(value, type)
+    return value
+  }
+
+  /**
+   * Keyed hash, so equal values still match without being guessable from a
+   * list of candidates. The key comes from PII_HASH_SECRET.
+   */
+  hash (value) {
+    if (!this.hashKey) {
+      this.hashKey = process.env.PII_HASH_SECRET
+      if (!this.hashKey) {
+        logger.warn('PII_HASH_SECRET is not set: hashed values will change when the server restarts')
+        this.hashKey = crypto.randomBytes(32).toString('hex')
+      }
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value)
+    return crypto.createHmac('sha256', this.hashKey).update(text).digest('hex').slice(0, 16)
+  }
+
+  loadPolicy () {
+    if (this.policy) return this.policy
+
+    const policyPath = process.env.PII_POLICY_FILE
+    if (!policyPath) {
+      this.policy = {}
+      return this.policy
+    }
+
+    const resolvedPath = path.resolve(process.cwd(), policyPath)
+    const policy = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'))
+
+    Object.entries(policy.roles || {}).forEach(([role, actions]) => {
+      if (!isRole(role)) {
+        throw new Error(`Unknown role "${role}" in ${resolvedPath}`)
+      }
+      const values = typeof actions === 'string' ? [actions] : Object.values(actions || {})
+      const invalid = values.find(action => !ACTIONS.includes(action))
+      if (invalid !== undefined) {
+        throw new Error(`Unknown PII action "${invalid}" for ${role} in ${resolvedPath}. Supported actions: ${ACTIONS.join(', ')}`)
+      }
+    })
+
+    // Tags are matched in lower case, like the traced column names
+    policy.columns = Object.fromEntries(Object.entries(policy.columns || {}).map(([key, type]) => [key.toLowerCase(), type]))
+
+    this.policy = policy
+    logger.info(`PII policy loaded from ${resolvedPath}`)
+    return this.policy
+  }
+}
+
+// Stands in for values that could not be traced to schema columns
+const UNTRACED = { table: null, column: null, untraced: true }
+
+/**
+ * Map each output column of a query to the table columns it is computed from:
+ * Map<output name, [{ table, column }]>. Columns are followed through derived
+ * tables, CTEs, scalar subqueries and every branch of a UNION; columns only
+ * counted are left out. Unnamed expressions get engine-specific names, so
+ * their sources are kept under '' for result columns matched by no name, and
+ * values from table functions or unknown tables are UNTRACED.
+ */
+const traceColumns = (validation, schema) => {
+  const sources = new Map()
+  const outputs = validation.ast ? traceStatement(validation.ast, schema) : null
+  ;(outputs || []).forEach(output => {
+    const key = output.name.toLowerCase()
+    sources.set(key, [...(sources.get(key) || []), ...output.sources])
+  })
+  return sources
+}
+
+const columnSources = (sources, column) => {
+  if (sources.has(column.toLowerCase())) return sources.get(column.toLowerCase())
+  if (!sources.has('') && !sources.has('*')) return [UNTRACED]
+  return [...(sources.get('') || []), ...(sources.get('*') || [])]
+}
+
+/**
+ * The output columns of a SELECT in order, as [{ name, sources }], or null
+ * when it is not a SELECT. `outer` is the scope of the enclosing query, for
+ * correlated subqueries; `ctes` the CTEs in scope by name.
+ */
+const traceStatement = (statement, schema, outer = null, ctes = new Map()) => {
+  if (statement?.type !== 'select') return null
+
+  const scopeCtes = new Map(ctes)
+  ;(statement.with || []).forEach(cte => {
+    const name = identifier(cte.name)
+    const traced = traceStatement(cte.stmt?.ast || cte.stmt, schema, outer, scopeCtes)
+    const renamed = (cte.columns || []).map(column => identifier(column.column ?? column))
+    if (name) scopeCtes.set(name.toLowerCase(), traced && traced.map((output, index) => ({ ...output, name: renamed[index] || output.name })))
+  })
+
+  // Output columns of each FROM entry by alias; null when they cannot be traced
+  const relations = new Map()
+  ;(statement.from || []).forEach((entry, index) => {
+    let outputs = null
+    if (entry.expr?.ast) {
+      outputs = traceStatement(entry.expr.ast, schema, outer, scopeCtes)
+    } else if (entry.table && !entry.db && scopeCtes.has(entry.table.toLowerCase())) {
+      outputs = scopeCtes.get(entry.table.toLowerCase())
+    } else if (entry.table) {
+      const table = schemaTableName(entry, schema)
+      const definition = schema.tables.find(candidate => candidate.name.toLowerCase() === table)
+      outputs = definition && definition.columns.map(column => ({
+        name: column.name,
+        sources: [{ table, column: column.name.toLowerCase() }]
+      }))
+    }
+    relations.set((identifier(entry.as) || entry.table || `#${index}`).toLowerCase(), outputs)
+  })
+  const scope = { relations, outer }
+
+  const columns = statement.columns === '*'
+    ? [{ expr: { type: 'column_ref', table: null, column: '*' } }]
+    : statement.columns || []
+  const outputs = columns.flatMap(entry => {
+    const expr = entry.expr
+    if (expr?.type === 'column_ref' && identifier(expr.column) === '*') {
+      const tableRef = identifier(expr.table)?.toLowerCase()
+      const starred = tableRef ? [relations.get(tableRef)] : [...relations.values()]
+      return starred.flatMap(outputs => outputs || [{ name: '*', sources: [UNTRACED] }])
+    }
+    const name = identifier(entry.as) || (expr?.type === 'column_ref' ? identifier(expr.column) : '')
+    return [{ name, sources: expressionSources(expr, schema, scope, scopeCtes) }]
+  })
+
+  // The branches of a UNION fill the columns of the first by position
+  if (statement._next) {
+    const next = traceStatement(statement._next, schema, outer, ctes)
+    outputs.forEach((output, index) => {
+      output.sources = [...output.sources, ...(next ? next[index]?.sources || [] : [UNTRACED])]
+    })
+  }
+  return outputs
+}
+
+const expressionSources = (node, schema, scope, ctes) => {
+  if (Array.isArray(node)) return node.flatMap(child => expressionSources(child, schema, scope, ctes))
+  if (!node || typeof node !== 'object') return []
+  if (node.ast) {
+    const outputs = traceStatement(node.ast, schema, scope, ctes)
+    return outputs ? outputs.flatMap(output => output.sources) : [UNTRACED]
+  }
+  if (node.type === 'column_ref') return resolveColumn(node, scope)
+  // COUNT(email) is a number, not an email
+  if (node.type === 'aggr_func' && String(node.name).toUpperCase() === 'COUNT') return []
+
+  return Object.values(node).flatMap(child => expressionSources(child, schema, scope, ctes))
+}
+
+// Sources of a column reference, looked up from the innermost query outwards
+const resolveColumn = (ref, scope) => {
+  const column = identifier(ref.column)?.toLowerCase()
+  const tableRef = identifier(ref.table)?.toLowerCase()
+  if (!column) return [UNTRACED]
+
+  // Sources of the column in a relation, or null when it has no such column
+  const pick = (outputs) => {
+    if (!outputs) return [UNTRACED]
+    const matched = outputs.filter(output => column === '*' || output.name.toLowerCase() === column)
+    return matched.length > 0 ? matched.flatMap(output => output.sources) : null
+  }
+
+  for (let current = scope; current; current = current.outer) {
+    if (tableRef) {
+      if (current.relations.has(tableRef)) return pick(current.relations.get(tableRef)) || [UNTRACED]
+      continue
+    }
+    const found = [...current.relations.values()].map(pick).filter(Boolean)
+    const traced = found.filter(sources => !sources.includes(UNTRACED))
+    if (traced.length > 0) return traced.flat()
+    if (found.length > 0) return found.flat()
+  }
+  return [UNTRACED]
+}
+
+// The schema names tables outside the default schema schema.table, and
+// default-schema tables unqualified however a query names them
+const schemaTableName = (entry, schema) => {
+  const qualified = entry.db ? `${entry.db}.${entry.table}`.toLowerCase() : null
+  const match = schema.tables.find(candidate => candidate.name.toLowerCase() === qualified) ||
+    schema.tables.find(candidate => candidate.name.toLowerCase() === entry.table.toLowerCase() &&
+      (!entry.db || candidate.schema?.toLowerCase() === entry.db.toLowerCase()))
+  return (match ? match.name : entry.table).toLowerCase()
+}
+
+const identifier = (value) => {
+  if (!value) return null
+  if (typeof value === 'string') return value
+  return value.expr?.value ?? value.value ?? null
+}
+
+const matchColumnName = (column) => {
+  const name = column.toLowerCase()
+  return COLUMN_NAME_PATTERNS.find(([, pattern]) => pattern.test(name))?.[0] || null
+}
+
+/**
+ * PII type most sampled string values match, or null
+ */
+const isNumeric = (value) => value === null || value === undefined || typeof value === 'number' || typeof value === 'bigint' || typeof value === 'boolean'
+
+const matchValues = (values) => {
+  const strings = values.filter(value => typeof value === 'string' && value.trim())
+  if (strings.length === 0) return null
+
+  const counts = {}
+  strings.forEach(value => {
+    const type = matchValue(value.trim())
+    if (type) counts[type] = (counts[type] || 0) + 1
+  })
+
+  const [type, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || []
+  return count >= strings.length * VALUE_MATCH_RATIO ? type : null
+}
+
+const matchValue = (value) => {
+  if (EMAIL_VALUE.test(value)) return 'email'
+  if (NATIONAL_ID_VALUE.test(value)) return 'national_id'
+
+  const digits = value.replace(/\D/g, '')
+  if (/^[\d -]+$/.test(value) && digits.length >= 13 && digits.length <= 19 && passesLuhn(digits)) return 'card'
+  if (PHONE_VALUE.test(value) && !DATE_VALUE.test(value) && /[+\s().-]/.test(value) &&
+    digits.length >= 9 && digits.length <= 15) return 'phone'
+  return null
+}
+
+const passesLuhn = (digits) => {
+  let sum = 0
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index])
+    if (index % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Keep just enough of a value to recognise it: the first letter and domain
+ * of an email, the last four digits of numbers, the first letter of text
+ */
+const maskValue = (value, type) => {
+  if (typeof value !== 'string') return '***'
+
+  if (type === 'email' && value.includes('@')) {
+    const at = value.lastIndexOf('@')
+    return `${value[0]}***${value.slice(at)}`
+  }
+
+  if (['phone', 'card', 'national_id'].includes(type)) {
+    let hidden = value.replace(/\D/g, '').length - 4
+    return value.replace(/\d/g, digit => hidden-- > 0 ? '*' : digit)
+  }
+
+  return value.length > 2 ? `${value[0]}***` : '***'
+}
+
+module.exports = new PIIMaskingService()
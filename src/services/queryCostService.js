@@ -0,0 +1,371 @@
+const fs = require('fs')
+const path = require('path')
+const { isRole } = require('../config/roles')
+const logger = require('../utils/logger')
+
+// FULL_SCAN: a table read in full; CARTESIAN_PRODUCT: tables joined without a
+// predicate; DISK_SORT: a sort too large for sort memory
+const FINDING_TYPES = ['FULL_SCAN', 'CARTESIAN_PRODUCT', 'DISK_SORT']
+
+const LIMIT_KEYS = ['maxCost', 'maxRows', 'confirmCost', 'confirmRows', 'rejectFindings', 'confirmFindings']
+
+// Row width assumed for sorts whose plan does not estimate one
+const DEFAULT_ROW_WIDTH = 100
+
+// Only these databases have a cost model
+const COST_MODELS = ['postgresql', 'mysql']
+
+/**
+ * Cost guardrails: every query is explained before it runs, its plan turned
+ * into findings, and the estimates checked against limits per role and data
+ * source. Over a `max*` limit the query is rejected; over a `confirm*` limit
+ * it only runs when the caller confirms it.
+ *
+ * Limits come from QUERY_MAX_COST, QUERY_MAX_ROWS, QUERY_CONFIRM_COST and
+ * QUERY_CONFIRM_ROWS, overridden by the JSON file at QUERY_COST_POLICY_FILE:
+ *
+ *   {
+ *     "default": { "confirmRows": 100000, "confirmFindings": ["CARTESIAN_PRODUCT"] },
+ *     "roles": { "viewer": { "maxCost": 100000 }, "admin": { "confirmRows": null } },
+ *     "datasources": {
+ *       "warehouse": { "default": { "maxCost": 5000000 }, "roles": { "viewer": { "maxCost": 500000 } } }
+ *     }
+ *   }
+ *
+ * Later scopes override earlier ones key by key; null lifts a limit.
+ */
+class QueryCostService {
+  constructor () {
+    this.enabled = !['false', 'off', '0'].includes(String(process.env.QUERY_COST_CHECK).toLowerCase())
+    this.largeTableRows = parseInt(process.env.QUERY_LARGE_TABLE_ROWS) || 100000
+    this.sortMemoryBytes = parseInt(process.env.QUERY_SORT_MEMORY_BYTES) || 4 * 1024 * 1024
+    this.defaults = {
+      maxCost: envNumber('QUERY_MAX_COST'),
+      maxRows: envNumber('QUERY_MAX_ROWS'),
+      confirmCost: envNumber('QUERY_CONFIRM_COST'),
+      confirmRows: envNumber('QUERY_CONFIRM_ROWS'),
+      rejectFindings: [],
+      confirmFindings: []
+    }
+    this.policy = null
+  }
+
+  isEnabled () {
+    return this.enabled
+  }
+
+  /**
+   * Findings from an EXPLAIN plan and, for join predicates, the parsed query
+   */
+  analyze (planRows, dbType, validation) {
+    const findings = [...this.findPlanFindings(planRows, dbType)]
+    if (validation?.ast) findings.push(...findCartesianProducts(validation.ast))
+    return findings
+  }
+
+  findPlanFindings (planRows, dbType) {
+    const findings = []
+    const fullScan = (table, estimatedRows) => {
+      const large = estimatedRows === null ? null : estimatedRows >= this.largeTableRows
+      findings.push({
+        type: 'FULL_SCAN',
+        table,
+        estimatedRows,
+        large,
+        message: `Full scan of ${table}${estimatedRows === null ? '' : ` (~${estimatedRows} rows)`} - consider adding indexes or filters`
+      })
+    }
+    const sort = (estimatedRows, width) => {
+      const estimatedBytes = Math.round(estimatedRows * width)
+      if (estimatedBytes <= this.sortMemoryBytes) return
+      findings.push({
+        type: 'DISK_SORT',
+        estimatedRows,
+        estimatedBytes,
+        message: `Sorting ~${estimatedRows} rows (~${Math.ceil(estimatedBytes / 1024 / 1024)} MB) is likely to spill to disk`
+      })
+    }
+
+    try {
+      if (dbType === 'postgresql') {
+        walkPlan(this.getPlanRoot(planRows)?.Plan, 'Plans', node => {
+          if (node['Node Type'] === 'Seq Scan') fullScan(node['Relation Name'], node['Plan Rows'])
+          if (node['Node Type'] === 'Sort') sort(node['Plan Rows'], node['Plan Width'] || DEFAULT_ROW_WIDTH)
+        })
+      } else if (dbType === 'mysql') {
+        const block = this.getPlanRoot(planRows)?.query_block
+        walkObjects(block, node => {
+          if (node.table_name && node.access_type === 'ALL') fullScan(node.table_name, Number(node.rows_examined_per_scan) || null)
+          if (node.using_filesort) {
+            const produced = []
+            walkObjects(node, child => { if (child.rows_produced_per_join) produced.push(Number(child.rows_produced_per_join)) })
+            if (produced.length > 0) sort(produced[produced.length - 1], DEFAULT_ROW_WIDTH)
+          }
+        })
+      } else if (dbType === 'duckdb') {
+        walkPlan(this.getPlanRoot(planRows), 'children', node => {
+          const cardinality = parseInt(node.extra_info?.['Estimated Cardinality'])
+          if (node.name?.trim() === 'SEQ_SCAN') {
+            fullScan(String(node.extra_info?.Table).split('.').pop(), Number.isFinite(cardinality) ? cardinality : null)
+          }
+          if (node.name?.trim() === 'ORDER_BY') {
+            const input = parseInt(node.children?.[0]?.extra_info?.['Estimated Cardinality'])
+            if (Number.isFinite(input)) sort(input, DEFAULT_ROW_WIDTH)
+          }
+        })
+      } else if (dbType === 'sqlite') {
+        // SQLite plans carry no estimates, so every full scan is reported
+        planRows.forEach(row => {
+          const scan = /^SCAN (\S+)(.*)$/i.exec(row.detail || '')
+          if (scan && !/USING (COVERING )?INDEX|CONSTANT ROW/i.test(scan[2])) fullScan(scan[1], null)
+        })
+      }
+    } catch (error) {
+      logger.warn('Could not analyze execution plan:', error)
+    }
+
+    return findings
+  }
+
+  /**
+   * Unwrap the root plan node from the rows each database's EXPLAIN returns
+   */
+  getPlanRoot (planRows) {
+    const first = Array.isArray(planRows) ? planRows[0] : null
+    if (!first) return null
+
+    const parse = value => typeof value === 'string' ? JSON.parse(value) : value
+    // PostgreSQL: [{ 'QUERY PLAN': [{ Plan }] }]
+    if (first['QUERY PLAN']) return parse(first['QUERY PLAN'])[0]
+    // MySQL: [{ EXPLAIN: '{"query_block": ...}' }]
+    if (first.EXPLAIN) return parse(first.EXPLAIN)
+    return parse(first)
+  }
+
+  /**
+   * Check an explained query against the limits of the user's role on a data
+   * source. Resolves to the costCheck reported with the result:
+   * { decision: allow|confirm|reject, estimatedCost, estimatedRows, findings, limits, reasons }.
+   * Over a confirm limit the decision is `allow` once the caller has `confirmed`.
+   */
+  check (plan, { dbType, datasource, user, confirmed = false }) {
+    const limits = this.getLimits(datasource, user?.role)
+    const estimatedCost = COST_MODELS.includes(dbType) ? numberOrNull(plan.estimatedCost?.totalCost) : null
+    const estimatedRows = numberOrNull(plan.estimatedCost?.estimatedRows)
+    const findings = plan.findings || []
+
+    // Small tables are fine to scan
+    const significant = findings.filter(finding => finding.type !== 'FULL_SCAN' || finding.large !== false)
+    const reasonsFor = (costLimit, rowLimit, findingTypes, code) => [
+      ...(costLimit !== null && estimatedCost !== null && estimatedCost > costLimit
+        ? [{ code, message: `Estimated cost ${Math.round(estimatedCost)} exceeds ${costLimit}` }]
+        : []),
+      ...(rowLimit !== null && estimatedRows !== null && estimatedRows > rowLimit
+        ? [{ code, message: `Estimated ${Math.round(estimatedRows)} rows exceed ${rowLimit}` }]
+        : []),
+      ...significant
+        .filter(finding => findingTypes.includes(finding.type))
+        .map(finding => ({ code, finding: finding.type, message: finding.message }))
+    ]
+
+    const rejections = reasonsFor(limits.maxCost, limits.maxRows, limits.rejectFindings, 'COST_LIMIT_EXCEEDED')
+    const confirmations = reasonsFor(limits.confirmCost, limits.confirmRows, limits.confirmFindings, 'CONFIRMATION_REQUIRED')
+    const decision = rejections.length > 0
+      ? 'reject'
+      : confirmations.length > 0 && !confirmed ? 'confirm' : 'allow'
+
+    return {
+      decision,
+      confirmed: confirmations.length > 0 && confirmed,
+      role: user?.role || null,
+      estimatedCost,
+      estimatedRows,
+      findings,
+      limits,
+      reasons: decision === 'reject' ? rejections : confirmations
+    }
+  }
+
+  /**
+   * Throw for a costCheck that does not allow the query to run. The error
+   * carries the costCheck and its reasons as `violations`.
+   */
+  assertAllowed (costCheck) {
+    if (costCheck.decision === 'allow') return
+
+    const rejected = costCheck.decision === 'reject'
+    const error = new Error(`${rejected ? 'Query rejected by cost guardrails' : 'Query needs confirmation to run'}: ${costCheck.reasons.map(reason => reason.message).join('; ')}`)
+    error.code = rejected ? 'COST_LIMIT_EXCEEDED' : 'CONFIRMATION_REQUIRED'
+    error.violations = costCheck.reasons
+    error.costCheck = costCheck
+    logger.warn(rejected ? 'Query rejected by cost guardrails' : 'Query held for confirmation', {
+      role: costCheck.role,
+      estimatedCost: costCheck.estimatedCost,
+      estimatedRows: costCheck.estimatedRows,
+      reasons: costCheck.reasons.map(reason => reason.message)
+    })
+    throw error
+  }
+
+  /**
+   * Limits for a role on a data source: defaults, then the role, then the
+   * data source's defaults and its role
+   */
+  getLimits (datasource, role) {
+    const policy = this.loadPolicy()
+    const scope = policy.datasources?.[datasource] || {}
+    return {
+      ...this.defaults,
+      ...policy.default,
+      ...policy.roles?.[role],
+      ...scope.default,
+      ...scope.roles?.[role]
+    }
+  }
+
+  loadPolicy () {
+    if (this.policy) return this.policy
+
+    const policyPath = process.env.QUERY_COST_POLICY_FILE
+    if (!policyPath) {
+      this.policy = {}
+      return this.policy
+    }
+
+    const resolvedPath = path.resolve(process.cwd(), policyPath)
+    const policy = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'))
+
+    const scopes = [
+      ['default', policy.default],
+      ...Object.entries(policy.roles || {}).map(([role, limits]) => [`roles.${role}`, limits, role]),
+      ...Object.entries(policy.datasources || {}).flatMap(([name, scope]) => [
+        [`datasources.${name}.default`, scope?.default],
+        ...Object.entries(scope?.roles || {}).map(([role, limits]) => [`datasources.${name}.roles.${role}`, limits, role])
+      ])
+    ]
+    scopes.forEach(([where, limits, role]) => {
+      if (role !== undefined && !isRole(role)) {
+        throw new Error(`Unknown role "${role}" in ${where} of ${resolvedPath}`)
+      }
+      const problem = describeInvalidLimits(limits || {})
+      if (problem) throw new Error(`Invalid limits in ${where} of ${resolvedPath}: ${problem}`)
+    })
+
+    this.policy = policy
+    logger.info(`Query cost policy loaded from ${resolvedPath}`)
+    return this.policy
+  }
+}
+
+const envNumber = (name) => {
+  const value = parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : null
+}
+
+const numberOrNull = (value) => {
+  const number = Number(value)
+  return value !== null && value !== undefined && Number.isFinite(number) ? number : null
+}
+
+const describeInvalidLimits = (limits) => {
+  const unknown = Object.keys(limits).find(key => !LIMIT_KEYS.includes(key))
+  if (unknown) return `unknown key "${unknown}"; use ${LIMIT_KEYS.join(', ')}`
+
+  for (const key of ['maxCost', 'maxRows', 'confirmCost', 'confirmRows']) {
+    if (limits[key] !== undefined && limits[key] !== null && !(typeof limits[key] === 'number' && limits[key] >= 0)) {
+      return `${key} must be a number or null`
+    }
+  }
+  for (const key of ['rejectFindings', 'confirmFindings']) {
+    if (limits[key] === undefined) continue
+    const invalid = Array.isArray(limits[key]) ? limits[key].find(type => !FINDING_TYPES.includes(type)) : limits[key]
+    if (invalid !== undefined) return `${key} must list ${FINDING_TYPES.join(', ')}`
+  }
+  return null
+}
+
+const walkPlan = (node, childrenKey, visit) => {
+  if (!node) return
+  visit(node)
+  const children = node[childrenKey] || []
+  children.forEach(child => walkPlan(child, childrenKey, visit))
+}
+
+const walkObjects = (node, visit) => {
+  if (!node || typeof node !== 'object') return
+  if (!Array.isArray(node)) visit(node)
+  Object.values(node).forEach(child => walkObjects(child, visit))
+}
+
+/**
+ * CARTESIAN_PRODUCT findings for tables in the top-level FROM that no join
+ * or WHERE predicate connects. Predicates on unqualified columns are assumed
+ * to connect every table they could belong to.
+ */
+const findCartesianProducts = (statement) => {
+  const from = Array.isArray(statement.from) ? statement.from : []
+  if (from.length < 2) return []
+
+  const aliases = from.map(entry => String(entry.as || entry.table || '').toLowerCase())
+  const parent = aliases.map((_alias, index) => index)
+  const find = (index) => parent[index] === index ? index : (parent[index] = find(parent[index]))
+  const union = (indexes) => indexes.slice(1).forEach(index => { parent[find(index)] = find(indexes[0]) })
+
+  const connect = (condition) => {
+    comparisons(condition).forEach(refs => {
+      const indexes = refs.some(ref => !ref.table)
+        ? aliases.map((_alias, index) => index)
+        : refs.map(ref => aliases.indexOf(String(ref.table).toLowerCase())).filter(index => index >= 0)
+      if (indexes.length > 1) union(indexes)
+    })
+  }
+
+  from.forEach((entry, index) => {
+    // USING and NATURAL joins match on shared column names
+    if (index > 0 && (entry.using || /NATURAL/i.test(entry.join || ''))) union([index - 1, index])
+    if (entry.on) connect(entry.on)
+  })
+  if (statement.where) connect(statement.where)
+
+  const groups = new Map()
+  aliases.forEach((alias, index) => {
+    const root = find(index)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(from[index].table || alias)
+  })
+  if (groups.size < 2) return []
+
+  const tables = [...groups.values()].map(group => group.join(', '))
+  return [{
+    type: 'CARTESIAN_PRODUCT',
+    tables: [...groups.values()].flat(),
+    message: `No join predicate connects ${tables.map(group => `(${group})`).join(' and ')} - every row is paired with every other`
+  }]
+}
+
+/**
+ * Column references of each comparison in a condition that involves more
+ * than one column: [[{ table, column }, ...], ...]
+ */
+const comparisons = (condition, found = []) => {
+  if (!condition || typeof condition !== 'object') return found
+  if (condition.type === 'binary_expr' && !['AND', 'OR'].includes(String(condition.operator).toUpperCase())) {
+    const refs = columnRefs(condition)
+    if (refs.length > 1) found.push(refs)
+    return found
+  }
+  Object.values(condition).forEach(child => comparisons(child, found))
+  return found
+}
+
+const columnRefs = (node, refs = []) => {
+  if (!node || typeof node !== 'object' || node.ast) return refs
+  if (node.type === 'column_ref') {
+    refs.push({ table: typeof node.table === 'string' ? node.table : node.table?.value || null, column: node.column })
+    return refs
+  }
+  Object.values(node).forEach(child => columnRefs(child, refs))
+  return refs
+}
+
+module.exports = new QueryCostService()
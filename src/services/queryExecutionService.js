@@ -1,59 +1,147 @@
-const database = require('../config/database')
+const crypto = require('crypto')
+const datasources = require('../config/datasources')
+const accessPolicyService = require('./accessPolicyService')
+const auditService = require('./auditService')
 const cacheService = require('./cacheService')
+const piiMaskingService = require('./piiMaskingService')
+const queryCostService = require('./queryCostService')
+const schemaService = require('./schemaService')
+const sqlValidationService = require('./sqlValidationService')
 const logger = require('../utils/logger')
 
+// exact: COUNT(*) over the query; estimated: the planner's row estimate; none: skip counting
+const COUNT_MODES = ['exact', 'estimated', 'none']
+const PAGINATION_MODES = ['offset', 'cursor']
+
 class QueryExecutionService {
   constructor () {
     this.cachePrefix = 'query:result:'
     this.cacheTTL = 300 // 5 minutes for query results
-    this.maxResultRows = 1000
+    this.maxResultRows = parseInt(process.env.QUERY_MAX_PAGE_SIZE) || 1000
     this.defaultPageSize = 50
+    this.defaultCountMode = COUNT_MODES.includes(process.env.QUERY_COUNT_MODE) ? process.env.QUERY_COUNT_MODE : 'exact'
   }
 
   /**
-   * Execute SQL query with security validation and pagination
+   * Execute SQL query with security validation and pagination. With an access
+   * policy configured, `user` decides which tables, columns and rows it reads;
+   * their role also decides how personal data in the result is masked.
+   * Every call is recorded in the audit trail with its `source` and the
+   * `question` it answers, if any. Queries over the cost guardrails' confirm
+   * limits only run with `confirm: true`.
+   *
+   * Every statement runs under the data source's statement timeout, which
+   * `timeout` (ms) can lower; aborting `signal` cancels the running statement.
+   * `queryId` is reported in the result metadata and the audit trail.
+   * Background jobs pass `background: true` to run under the job timeout and
+   * `maxPageSize` to fetch more rows than QUERY_MAX_PAGE_SIZE.
    */
   async executeQuery (sql, options = {}) {
+    const startedAt = Date.now()
+    const audit = {
+      source: options.source,
+      question: options.question,
+      user: options.user,
+      datasource: options.datasource,
+      sql,
+      dryRun: options.dryRun,
+      queryId: options.queryId
+    }
+    const recordAudit = (outcome) => auditService.record({ ...audit, durationMs: Date.now() - startedAt, ...outcome })
+
     try {
       const {
         page = 1,
         pageSize = this.defaultPageSize,
         useCache = true,
-        dryRun = false
+        dryRun = false,
+        datasource,
+        paginationMode = 'offset',
+        countMode = this.defaultCountMode,
+        cursor,
+        cursorKeys,
+        user,
+        confirm = false,
+        queryId,
+        signal,
+        timeout,
+        background = false,
+        maxPageSize
       } = options
+      const paginationOptions = { paginationMode, countMode, cursor, cursorKeys }
+      const execution = { signal, timeout, background }
+      const cacheScope = piiMaskingService.cacheScope(user)
+
+      const connection = datasources.get(datasource)
+      audit.datasource = connection.name
 
       // Security validation
-      this.validateQuery(sql)
+      const validation = this.validateQuery(sql, connection.dbType)
+      this.assertPaginationOptions(paginationOptions)
+
+      // Everything below runs the query as the access policy rewrote it
+      const authorized = await this.authorizeQuery(sql, connection, user, validation)
+      sql = authorized.sql
 
       // Check cache first (if not dry run)
       if (useCache && !dryRun) {
-        const cacheKey = this.generateCacheKey(sql, page, pageSize)
+        const cacheKey = this.generateCacheKey(sql, page, pageSize, connection.name, paginationOptions, cacheScope)
         const cachedResult = await cacheService.get(cacheKey)
 
         if (cachedResult) {
           logger.debug('Query result retrieved from cache')
+          await recordAudit({
+            fromCache: true,
+            rowCount: cachedResult.rows.length,
+            accessPolicy: authorized.accessPolicy,
+            piiMasking: cachedResult.metadata?.piiMasking
+          })
           return { ...cachedResult, fromCache: true }
         }
       }
 
       // Dry run - explain plan only
       if (dryRun) {
-        return await this.explainQuery(sql)
+        const plan = await this.explainQuery(sql, connection.name, validation, execution)
+        if (plan.isValid && queryCostService.isEnabled()) {
+          plan.costCheck = queryCostService.check(plan, { dbType: connection.dbType, datasource: connection.name, user, confirmed: confirm })
+        }
+        await recordAudit({ accessPolicy: authorized.accessPolicy, costCheck: plan.costCheck, error: plan.isValid ? null : plan.error })
+        return plan
       }
 
+      const costCheck = await this.preflightQuery(sql, connection, { validation, user, confirmed: confirm, execution })
+
       // Execute the actual query
-      const result = await this.executeWithPagination(sql, page, pageSize)
+      const result = await this.executeWithPagination(sql, page, pageSize, connection.name, { ...paginationOptions, execution, maxPageSize })
+      if (queryId) {
+        result.metadata.queryId = queryId
+      }
+      if (authorized.accessPolicy) {
+        result.metadata.accessPolicy = authorized.accessPolicy
+      }
+      if (costCheck) {
+        result.metadata.costCheck = costCheck
+      }
+      await this.maskResult(result, { validation, connection, user })
 
       // Cache the result
       if (useCache && result.rows.length > 0) {
-        const cacheKey = this.generateCacheKey(sql, page, pageSize)
+        const cacheKey = this.generateCacheKey(sql, page, pageSize, connection.name, paginationOptions, cacheScope)
         await cacheService.set(cacheKey, result, this.cacheTTL)
       }
 
       logger.info('Query executed successfully', {
+        datasource: connection.name,
         sql: sql.substring(0, 100),
         rowCount: result.rows.length,
-        executionTime: result.executionTime
+        executionTime: result.metadata.executionTime
+      })
+      await recordAudit({
+        rowCount: result.rows.length,
+        accessPolicy: authorized.accessPolicy,
+        piiMasking: result.metadata.piiMasking,
+        costCheck
       })
 
       return result
@@ -62,108 +150,149 @@ class QueryExecutionService {
         sql: sql.substring(0, 200),
         error: error.message
       })
+      await recordAudit(auditService.describeError(error))
       throw error
     }
   }
 
   /**
-   * Validate SQL query for security
+   * Explain a query before it runs and check the plan against the cost
+   * guardrails of the user's role. Throws COST_LIMIT_EXCEEDED or
+   * CONFIRMATION_REQUIRED; resolves to the costCheck, or null when the
+   * guardrails are off or the query cannot be explained (running it will
+   * report why).
    */
-  validateQuery (sql) {
-    const trimmedSQL = sql.trim().toLowerCase()
+  async preflightQuery (sql, connection, { validation, user, confirmed, execution }) {
+    if (!queryCostService.isEnabled()) return null
 
-    // Check if it's a SELECT statement
-    if (!trimmedSQL.startsWith('select')) {
-      throw new Error('Only SELECT statements are allowed')
-    }
+    const plan = await this.explainQuery(sql.trim().replace(/;+$/, ''), connection.name, validation, execution)
+    if (!plan.isValid) return null
 
-    // Note: Whitelist validation could be added here in the future if needed
-
-    // Blacklist of dangerous keywords
-    const blacklistedKeywords = [
-      'insert', 'update', 'delete', 'drop', 'create', 'alter', 'truncate',
-      'grant', 'revoke', 'exec', 'execute', 'call', 'declare', 'set',
-      'use', 'backup', 'restore', 'shutdown', 'xp_', 'sp_', 'fn_',
-      'openrowset', 'opendatasource', 'bulk', 'into', 'outfile',
-      'dumpfile', 'load_file', 'pg_', 'mysql',
-      'performance_schema', 'sys'
-    ]
-
-    // Check for blacklisted keywords (whole words only)
-    for (const keyword of blacklistedKeywords) {
-      const regex = new RegExp(`\\b${keyword}\\b`, 'i')
-      if (regex.test(trimmedSQL)) {
-        throw new Error(`Forbidden keyword detected: ${keyword}`)
-      }
-    }
+    const costCheck = queryCostService.check(plan, { dbType: connection.dbType, datasource: connection.name, user, confirmed })
+    queryCostService.assertAllowed(costCheck)
+    return costCheck
+  }
 
-    // Check for SQL injection patterns
-    const injectionPatterns = [
-      /;\s*(drop|delete|update|insert|create|alter)/i,
-      /union\s+select/i,
-      /\/\*.*\*\//,
-      /--\s/,
-      /#/,
-      /xp_cmdshell/i,
-      /sp_executesql/i
-    ]
-
-    for (const pattern of injectionPatterns) {
-      if (pattern.test(sql)) {
-        throw new Error('Potential SQL injection detected')
-      }
+  /**
+   * Mask personal data in an executed result for the user's role, in place,
+   * and report what was masked in metadata.piiMasking
+   */
+  async maskResult (result, { validation, connection, user }) {
+    if (!piiMaskingService.isEnabled()) return result
+
+    const columns = result.metadata.fields?.length > 0
+      ? result.metadata.fields.map(field => field.name)
+      : Object.keys(result.rows[0] || {})
+    const masker = await piiMaskingService.createMasker({
+      columns,
+      rows: result.rows,
+      validation,
+      datasource: connection.name,
+      user
+    })
+
+    // The cursor would hand the raw value of a masked key back to the client
+    const cursorKeys = result.pagination?.cursorKeys || []
+    if (result.pagination?.nextCursor && cursorKeys.some(key => masker.isMasked(key))) {
+      throw paginationError('INVALID_CURSOR', `Cursor keys hold personal data masked for this role: ${cursorKeys.filter(key => masker.isMasked(key)).join(', ')}; pass other cursorKeys`)
     }
 
-    // Check query length (prevent extremely long queries)
-    if (sql.length > 10000) {
-      throw new Error('Query too long')
+    result.rows = masker.mask(result.rows)
+    result.metadata.piiMasking = masker.report
+    return result
+  }
+
+  /**
+   * Validate SQL query for security using the AST-based read-only policy.
+   * Throws an error carrying structured `violations` when the query is rejected.
+   */
+  validateQuery (sql, dbType) {
+    return sqlValidationService.assertReadOnly(sql, { dbType })
+  }
+
+  /**
+   * Check a validated query against the user's access policy. Resolves to
+   * { sql, accessPolicy } with the SQL to run, which carries the row filters
+   * of the user's role; without a policy file the query is returned as is.
+   */
+  async authorizeQuery (sql, connection, user, validation = this.validateQuery(sql, connection.dbType)) {
+    if (!accessPolicyService.isEnabled()) {
+      return { sql, accessPolicy: null }
     }
 
-    // Validate parentheses are balanced
-    const openParens = (sql.match(/\(/g) || []).length
-    const closeParens = (sql.match(/\)/g) || []).length
-    if (openParens !== closeParens) {
-      throw new Error('Unbalanced parentheses in query')
+    const schema = await schemaService.getSchema(connection.name)
+    return accessPolicyService.enforce(sql, {
+      user,
+      datasource: connection.name,
+      dbType: connection.dbType,
+      schema,
+      validation
+    })
+  }
+
+  /**
+   * Reject unknown pagination or count modes before touching the database
+   */
+  assertPaginationOptions ({ paginationMode = 'offset', countMode = this.defaultCountMode } = {}) {
+    if (!PAGINATION_MODES.includes(paginationMode)) {
+      throw paginationError('INVALID_PAGINATION', `Unknown pagination mode: ${paginationMode}. Supported modes: ${PAGINATION_MODES.join(', ')}`)
+    }
+    if (!COUNT_MODES.includes(countMode)) {
+      throw paginationError('INVALID_PAGINATION', `Unknown count mode: ${countMode}. Supported modes: ${COUNT_MODES.join(', ')}`)
     }
   }
 
   /**
-   * Execute query with pagination
+   * Execute query with pagination.
+   *
+   * Offset mode (the default) pages with LIMIT/OFFSET; cursor mode pages by
+   * keyset over a deterministic ORDER BY and returns an opaque nextCursor.
+   * One extra row is fetched so hasNextPage is known without counting, and
+   * countMode decides how totalRows is obtained. `options.execution` holds
+   * the { signal, timeout, background } every statement runs with.
    */
-  async executeWithPagination (sql, page, pageSize) {
+  async executeWithPagination (sql, page, pageSize, datasource, options = {}) {
     const startTime = Date.now()
+    const connection = datasources.get(datasource)
+    const { paginationMode = 'offset', countMode = this.defaultCountMode, execution = {}, maxPageSize = this.maxResultRows } = options
+    this.assertPaginationOptions({ paginationMode, countMode })
 
     // Validate pagination parameters
+    page = parseInt(page) || 1
     if (page < 1) page = 1
-    if (pageSize < 1 || pageSize > 100) pageSize = this.defaultPageSize
-
-    const offset = (page - 1) * pageSize
-
-    // Add LIMIT and OFFSET to the query
-    const paginatedSQL = this.addPaginationToSQL(sql, pageSize, offset)
+    const requestedPageSize = parseInt(pageSize) || this.defaultPageSize
+    pageSize = requestedPageSize < 1 ? this.defaultPageSize : Math.min(requestedPageSize, maxPageSize)
 
     try {
-      // Execute the paginated query
-      const result = await database.query(paginatedSQL)
-
-      // Get total count (for pagination info)
-      const totalCount = await this.getTotalCount(sql)
+      const { result, rows, hasNextPage, pagination } = paginationMode === 'cursor'
+        ? await this.fetchCursorPage(sql, pageSize, connection, options)
+        : await this.fetchOffsetPage(sql, page, pageSize, connection, execution)
+
+      // On the last offset page the total is already known
+      const knownTotal = paginationMode === 'offset' && !hasNextPage && (rows.length > 0 || page === 1)
+        ? (page - 1) * pageSize + rows.length
+        : null
+      const { totalRows, estimated } = knownTotal !== null
+        ? { totalRows: knownTotal, estimated: false }
+        : await this.countRows(sql, connection.name, countMode, execution)
 
       const executionTime = Date.now() - startTime
 
       return {
-        rows: result.rows,
+        rows,
         pagination: {
-          page,
+          ...pagination,
           pageSize,
-          totalRows: totalCount,
-          totalPages: Math.ceil(totalCount / pageSize),
-          hasNextPage: page < Math.ceil(totalCount / pageSize),
-          hasPreviousPage: page > 1
+          ...(requestedPageSize > pageSize && { requestedPageSize, pageSizeCapped: true }),
+          countMode,
+          totalRows,
+          totalRowsEstimated: estimated,
+          totalPages: totalRows === null ? null : Math.ceil(totalRows / pageSize),
+          hasNextPage
         },
         metadata: {
           executionTime,
-          rowCount: result.rows.length,
+          rowCount: rows.length,
           fields: result.fields?.map(field => ({
             name: field.name,
             type: field.dataTypeID || field.type
@@ -172,95 +301,242 @@ class QueryExecutionService {
         fromCache: false
       }
     } catch (error) {
+      if (['INVALID_CURSOR', 'QUERY_TIMEOUT', 'QUERY_CANCELLED'].includes(error.code)) throw error
       throw new Error(`Query execution failed: ${error.message}`)
     }
   }
 
   /**
-   * Add pagination to SQL query
+   * Fetch one LIMIT/OFFSET page plus a lookahead row
    */
-  addPaginationToSQL (sql, limit, offset) {
-    const dbType = process.env.DB_TYPE || 'postgresql'
+  async fetchOffsetPage (sql, page, pageSize, connection, execution = {}) {
+    const offset = (page - 1) * pageSize
+    const paginatedSQL = this.addPaginationToSQL(sql, pageSize + 1, offset, connection.dbType)
+    const result = await connection.query(paginatedSQL, [], execution)
 
-    // Remove trailing semicolon if present
-    let cleanSQL = sql.trim().replace(/;+$/, '')
-
-    // Debug logging
-    logger.debug('Original SQL:', sql)
-    logger.debug('Clean SQL:', cleanSQL)
-
-    // Check if SQL already has LIMIT clause and extract it
-    const limitRegex = /\s+LIMIT\s+(\d+)(\s+OFFSET\s+\d+)?$/i
-    const limitMatch = cleanSQL.match(limitRegex)
-    let finalLimit = limit
-
-    if (limitMatch) {
-      const existingLimit = parseInt(limitMatch[1])
-      logger.debug('Found existing LIMIT:', existingLimit)
-      // Use the smaller of the existing limit or pagination limit
-      finalLimit = Math.min(existingLimit, limit)
-      // Remove the existing LIMIT clause
-      cleanSQL = cleanSQL.replace(limitRegex, '')
-      logger.debug('Using final limit:', finalLimit)
+    return {
+      result,
+      rows: result.rows.slice(0, pageSize),
+      hasNextPage: result.rows.length > pageSize,
+      pagination: { mode: 'offset', page, hasPreviousPage: page > 1 }
+    }
+  }
+
+  /**
+   * Fetch the page after an opaque cursor (or the first page without one)
+   */
+  async fetchCursorPage (sql, pageSize, connection, options = {}) {
+    const { execution = {} } = options
+    const cleanSQL = sql.trim().replace(/;+$/, '')
+    const queryHash = hashSQL(cleanSQL)
+    let keys
+    let direction
+    let after = null
+
+    if (options.cursor) {
+      const decoded = decodeCursor(options.cursor)
+      if (decoded.h !== queryHash) {
+        throw paginationError('INVALID_CURSOR', 'Cursor does not belong to this query')
+      }
+      keys = decoded.k
+      direction = decoded.d
+      after = decoded.v
     } else {
-      logger.debug('No existing LIMIT found, using pagination limit:', limit)
+      ({ keys, direction } = await this.resolveCursorKeys(cleanSQL, connection, options.cursorKeys, execution))
+    }
+
+    // DuckDB binds JSON values as VARCHAR and will not compare them with typed columns
+    const keyTypes = after && connection.dbType === 'duckdb'
+      ? Object.fromEntries((await this.probeFields(cleanSQL, connection, execution)).map(field => [field.name, field.type]))
+      : {}
+
+    const { text, params } = this.buildKeysetSQL(cleanSQL, keys, direction, after, pageSize + 1, connection.dbType, keyTypes)
+    const result = await connection.query(text, params, execution)
+    const rows = result.rows.slice(0, pageSize)
+    const hasNextPage = result.rows.length > pageSize
+    const lastRow = rows[rows.length - 1]
+
+    return {
+      result,
+      rows,
+      hasNextPage,
+      pagination: {
+        mode: 'cursor',
+        cursorKeys: keys,
+        hasPreviousPage: after !== null,
+        nextCursor: hasNextPage
+          ? encodeCursor({ k: keys, d: direction, v: keys.map(key => lastRow[key]), h: queryHash })
+          : null
+      }
+    }
+  }
+
+  /**
+   * Choose the keyset columns for cursor pagination: explicit cursorKeys,
+   * otherwise the query's ORDER BY columns (plus `id` as a tiebreaker),
+   * otherwise `id`, otherwise every output column.
+   */
+  async resolveCursorKeys (cleanSQL, connection, cursorKeys, execution = {}) {
+    const columns = (await this.probeFields(cleanSQL, connection, execution)).map(field => field.name)
+
+    if (Array.isArray(cursorKeys) && cursorKeys.length > 0) {
+      const unknown = cursorKeys.filter(key => !columns.includes(key))
+      if (unknown.length > 0) {
+        throw paginationError('INVALID_CURSOR', `Cursor keys are not columns of the result: ${unknown.join(', ')}`)
+      }
+      return { keys: [...new Set(cursorKeys)], direction: 'ASC' }
+    }
+
+    const { ast } = sqlValidationService.validate(cleanSQL, { dbType: connection.dbType })
+    const orderBy = (!ast?._next && ast?.orderby) || []
+
+    if (orderBy.length > 0) {
+      const keys = orderBy.map(item => orderByColumn(item.expr, connection.dbType))
+      const directions = new Set(orderBy.map(item => (item.type || 'ASC').toUpperCase()))
+
+      if (keys.some(key => !columns.includes(key)) || directions.size > 1) {
+        throw paginationError('INVALID_CURSOR', 'ORDER BY must use result columns in a single direction for cursor pagination; pass cursorKeys instead')
+      }
+      if (columns.includes('id') && !keys.includes('id')) keys.push('id')
+      return { keys: [...new Set(keys)], direction: [...directions][0] }
     }
 
-    const finalSQL = dbType === 'postgresql'
-      ? `${cleanSQL} LIMIT ${finalLimit} OFFSET ${offset}`
-      : `${cleanSQL} LIMIT ${offset}, ${finalLimit}`
+    // Without a unique key, rows identical in every column collapse into one
+    return { keys: columns.includes('id') ? ['id'] : columns, direction: 'ASC' }
+  }
+
+  /**
+   * Output fields of a query, without fetching any rows
+   */
+  async probeFields (cleanSQL, connection, execution = {}) {
+    const probe = await connection.query(`SELECT * FROM (\n${cleanSQL}\n) AS keyset_query\nLIMIT 0`, [], execution)
+    return probe.fields || []
+  }
+
+  /**
+   * Wrap a query in a keyset page: rows after the cursor values, ordered by the keys
+   */
+  buildKeysetSQL (cleanSQL, keys, direction, after, limit, dbType = 'postgresql', keyTypes = {}) {
+    const quote = dbType === 'mysql'
+      ? name => `\`${name.replace(/`/g, '``')}\``
+      : name => `"${name.replace(/"/g, '""')}"`
+    const placeholder = ['postgresql', 'duckdb'].includes(dbType)
+      ? index => `$${index + 1}`
+      : () => '?'
+    const columns = keys.map(quote)
+    const values = keys.map((key, index) => keyTypes[key] ? `CAST(${placeholder(index)} AS ${keyTypes[key]})` : placeholder(index))
+
+    const where = after
+      ? `\nWHERE (${columns.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${values.join(', ')})`
+      : ''
+    const text = `SELECT * FROM (\n${cleanSQL}\n) AS keyset_query${where}\nORDER BY ${columns.map(column => `${column} ${direction}`).join(', ')}\nLIMIT ${limit}`
+
+    return { text, params: after || [] }
+  }
+
+  /**
+   * Add pagination to SQL query
+   */
+  addPaginationToSQL (sql, limit, offset, dbType = 'postgresql') {
+    // Remove trailing semicolon if present
+    const cleanSQL = sql.trim().replace(/;+$/, '')
+
+    // A query that already limits itself (LIMIT, LIMIT ALL, OFFSET, FETCH FIRST),
+    // a set operation, or anything the parser cannot read is paged from outside
+    // so its own clauses keep their meaning
+    const { ast } = sqlValidationService.validate(cleanSQL, { dbType })
+    const pagedSQL = !ast || ast._next || ast.limit?.value?.length > 0
+      ? `SELECT * FROM (\n${cleanSQL}\n) AS paged_query`
+      : cleanSQL
+
+    // Start the clause on a new line so a trailing `--` comment cannot swallow it.
+    // PostgreSQL, SQLite and DuckDB all accept LIMIT/OFFSET; MySQL keeps its own form.
+    const finalSQL = dbType === 'mysql'
+      ? `${pagedSQL}\nLIMIT ${offset}, ${limit}`
+      : `${pagedSQL}\nLIMIT ${limit} OFFSET ${offset}`
 
     logger.debug('Final SQL with pagination:', finalSQL)
     return finalSQL
   }
 
+  /**
+   * Total rows for a query according to the count mode: { totalRows, estimated }
+   */
+  async countRows (sql, datasource, countMode = this.defaultCountMode, execution = {}) {
+    if (countMode === 'none') {
+      return { totalRows: null, estimated: false }
+    }
+
+    if (countMode === 'estimated') {
+      const plan = await this.explainQuery(sql.trim().replace(/;+$/, ''), datasource, undefined, execution)
+      const estimatedRows = plan.isValid ? plan.estimatedCost.estimatedRows : null
+      return { totalRows: Number.isFinite(estimatedRows) ? Math.round(estimatedRows) : null, estimated: true }
+    }
+
+    return { totalRows: await this.getTotalCount(sql, datasource, execution), estimated: false }
+  }
+
   /**
    * Get total count for pagination
    */
-  async getTotalCount (originalSQL) {
+  async getTotalCount (originalSQL, datasource, execution = {}) {
     try {
       // Remove trailing semicolon from original SQL before wrapping
       const cleanSQL = originalSQL.trim().replace(/;+$/, '')
       // Wrap the original query in a COUNT query
-      const countSQL = `SELECT COUNT(*) as total_count FROM (${cleanSQL}) as count_query`
-      const result = await database.query(countSQL)
+      const countSQL = `SELECT COUNT(*) as total_count FROM (\n${cleanSQL}\n) as count_query`
+      const result = await datasources.get(datasource).query(countSQL, [], execution)
 
       return parseInt(result.rows[0].total_count || result.rows[0].TOTAL_COUNT || 0)
     } catch (error) {
+      if (error.code === 'QUERY_CANCELLED') throw error
       logger.warn('Could not get total count, using estimated count', error)
       return 0
     }
   }
 
   /**
-   * Explain query execution plan (dry run)
+   * Explain a query's execution plan. With the query's `validation`, the
+   * findings also cover joins without predicates.
    */
-  async explainQuery (sql) {
+  async explainQuery (sql, datasource, validation, execution = {}) {
     try {
-      const dbType = process.env.DB_TYPE || 'postgresql'
+      const connection = datasources.get(datasource)
+      const dbType = connection.dbType
       let explainSQL
 
       if (dbType === 'postgresql') {
         explainSQL = `EXPLAIN (FORMAT JSON, ANALYZE false) ${sql}`
       } else if (dbType === 'mysql') {
         explainSQL = `EXPLAIN FORMAT=JSON ${sql}`
+      } else if (dbType === 'sqlite') {
+        explainSQL = `EXPLAIN QUERY PLAN ${sql}`
+      } else if (dbType === 'duckdb') {
+        explainSQL = `EXPLAIN (FORMAT JSON) ${sql}`
       } else {
         throw new Error(`Explain not supported for database type: ${dbType}`)
       }
 
-      const result = await database.query(explainSQL)
+      const result = await connection.query(explainSQL, [], execution)
+      // DuckDB returns the JSON plan as text in an explain_value column
+      const planRows = dbType === 'duckdb'
+        ? JSON.parse(result.rows[0]?.explain_value || '[]')
+        : result.rows
 
+      const findings = queryCostService.analyze(planRows, dbType, validation)
       return {
-        explainPlan: result.rows,
+        explainPlan: planRows,
         isValid: true,
-        estimatedCost: this.extractCostFromPlan(result.rows),
-        warnings: this.analyzeExecutionPlan(result.rows)
+        estimatedCost: this.extractCostFromPlan(planRows),
+        findings,
+        warnings: findings.map(finding => finding.message)
       }
     } catch (error) {
       return {
         explainPlan: null,
         isValid: false,
         error: error.message,
+        findings: [],
         warnings: ['Query validation failed']
       }
     }
@@ -271,78 +547,55 @@ class QueryExecutionService {
    */
   extractCostFromPlan (planRows) {
     try {
-      if (planRows && planRows.length > 0) {
-        let plan
-        try {
-          plan = typeof planRows[0] === 'string'
-            ? JSON.parse(planRows[0])
-            : planRows[0]
-        } catch (parseError) {
-          logger.warn('Failed to parse execution plan JSON:', parseError)
-          return { estimatedRows: 0, totalCost: 0 }
+      const plan = queryCostService.getPlanRoot(planRows)
+
+      // PostgreSQL format
+      if (plan?.Plan) {
+        return {
+          startupCost: plan.Plan['Startup Cost'],
+          totalCost: plan.Plan['Total Cost'],
+          estimatedRows: plan.Plan['Plan Rows']
         }
+      }
 
-        // PostgreSQL format
-        if (plan.Plan) {
-          return {
-            startupCost: plan.Plan['Startup Cost'],
-            totalCost: plan.Plan['Total Cost'],
-            estimatedRows: plan.Plan['Plan Rows']
-          }
+      // MySQL format: the last table of the join produces the result rows
+      if (plan?.query_block) {
+        const tableRows = []
+        collectPlanValues(plan.query_block, 'rows_produced_per_join', tableRows)
+        return {
+          estimatedRows: tableRows.length > 0 ? Number(tableRows[tableRows.length - 1]) : null,
+          totalCost: Number(plan.query_block.cost_info?.query_cost) || 0
         }
+      }
 
-        // MySQL format
-        if (plan.query_block) {
-          return {
-            estimatedRows: plan.query_block.cost_info?.read_cost || 0,
-            totalCost: plan.query_block.cost_info?.eval_cost || 0
-          }
+      // DuckDB format (no cost model, only cardinality estimates)
+      if (plan?.extra_info) {
+        const cardinalities = []
+        collectPlanValues(plan, 'Estimated Cardinality', cardinalities)
+        return {
+          estimatedRows: cardinalities.length > 0 ? parseInt(cardinalities[0]) : null,
+          totalCost: 0
         }
       }
 
-      return { estimatedRows: 0, totalCost: 0 }
+      // SQLite's query plan carries no estimates
+      return { estimatedRows: null, totalCost: 0 }
     } catch (error) {
       logger.warn('Could not extract cost from execution plan:', error)
-      return { estimatedRows: 0, totalCost: 0 }
+      return { estimatedRows: null, totalCost: 0 }
     }
   }
 
   /**
-   * Analyze execution plan for warnings
+   * Generate cache key for query results. `scope` separates results that
+   * differ per user, such as masked ones.
    */
-  analyzeExecutionPlan (planRows) {
-    const warnings = []
-
-    try {
-      const planText = JSON.stringify(planRows).toLowerCase()
-
-      if (planText.includes('seq scan') || planText.includes('table scan')) {
-        warnings.push('Query performs full table scan - consider adding indexes')
-      }
-
-      if (planText.includes('nested loop') && planText.includes('large')) {
-        warnings.push('Query uses nested loops on large datasets - performance may be slow')
-      }
-
-      if (planText.includes('sort') && planText.includes('disk')) {
-        warnings.push('Query requires disk-based sorting - consider optimizing')
-      }
-    } catch (error) {
-      logger.warn('Could not analyze execution plan:', error)
-    }
-
-    return warnings
-  }
-
-  /**
-   * Generate cache key for query results
-   */
-  generateCacheKey (sql, page, pageSize) {
-    const crypto = require('crypto')
+  generateCacheKey (sql, page, pageSize, datasource, paginationOptions = {}, scope = null) {
+    const { paginationMode = 'offset', countMode = this.defaultCountMode, cursor = null, cursorKeys = null } = paginationOptions
     const queryHash = crypto.createHash('md5')
-      .update(`${sql}:${page}:${pageSize}`)
+      .update(`${sql}:${page}:${pageSize}:${JSON.stringify([paginationMode, countMode, cursor, cursorKeys, scope])}`)
       .digest('hex')
-    return `${this.cachePrefix}${queryHash}`
+    return `${this.cachePrefix}${datasource}:${queryHash}`
   }
 
   /**
@@ -359,4 +612,49 @@ class QueryExecutionService {
   }
 }
 
+const paginationError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+const hashSQL = (sql) => crypto.createHash('sha256').update(sql).digest('base64url').slice(0, 16)
+
+/**
+ * Cursors are base64url JSON: { k: keys, d: direction, v: last key values, h: query hash }
+ */
+const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString('base64url')
+
+const decodeCursor = (cursor) => {
+  try {
+    const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    if (!Array.isArray(state.k) || !Array.isArray(state.v) || state.k.length !== state.v.length ||
+      !['ASC', 'DESC'].includes(state.d)) {
+      throw new Error('malformed cursor')
+    }
+    return state
+  } catch (error) {
+    throw paginationError('INVALID_CURSOR', 'Invalid pagination cursor')
+  }
+}
+
+const columnName = (column) => typeof column === 'string' ? column : column?.expr?.value
+
+// SQLite treats a double-quoted ORDER BY term as a column (row filters emit
+// those), though the parser grammar reads it as a string
+const orderByColumn = (expr, dbType) => {
+  if (expr?.type === 'column_ref') return columnName(expr.column)
+  if (expr?.type === 'double_quote_string' && dbType === 'sqlite') return expr.value
+  return null
+}
+
+/**
+ * Collect every value stored under a key in a nested plan, depth first
+ */
+const collectPlanValues = (node, key, values) => {
+  if (!node || typeof node !== 'object') return
+  if (node[key] !== undefined) values.push(node[key])
+  Object.values(node).forEach(child => collectPlanValues(child, key, values))
+}
+
 module.exports = new QueryExecutionService()
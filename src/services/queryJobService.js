@@ -0,0 +1,463 @@
+const crypto = require('crypto')
+const datasources = require('../config/datasources')
+const redis = require('../config/redis')
+const { hasPermission } = require('../config/roles')
+const queryExecutionService = require('./queryExecutionService')
+const queryWorkflowService = require('./queryWorkflowService')
+const runningQueryService = require('./runningQueryService')
+const logger = require('../utils/logger')
+
+// sql: hand-written SQL from /execute-sql; query: a question for /query
+const JOB_TYPES = ['sql', 'query']
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled']
+
+// Move the oldest queued job onto the processing list and lease it to this
+// worker, unless the data source already runs as many jobs as it allows
+const CLAIM_SCRIPT = `
+if redis.call('LLEN', KEYS[2]) >= tonumber(ARGV[1]) then return false end
+local jobId = redis.call('RPOPLPUSH', KEYS[1], KEYS[2])
+if jobId then redis.call('SET', ARGV[2] .. jobId, ARGV[3], 'EX', ARGV[4]) end
+return jobId
+`
+
+// Take a job whose lease expired off the processing list and, when ARGV[2]
+// holds the job record to retry it with, save that record and put the job
+// back at the head of the queue. Returns 0, leaving the record alone, when
+// the lease is held again or another worker got there first.
+const RECLAIM_SCRIPT = `
+if redis.call('EXISTS', KEYS[3]) == 1 then return 0 end
+if redis.call('LREM', KEYS[2], 1, ARGV[1]) == 0 then return 0 end
+if ARGV[2] ~= '' then
+  redis.call('SET', KEYS[4], ARGV[2], 'EX', ARGV[3])
+  redis.call('RPUSH', KEYS[1], ARGV[1])
+end
+return 1
+`
+
+/**
+ * Background jobs for queries that outlive an HTTP request.
+ *
+ * A job is queued on a Redis list per data source and picked up by a worker:
+ * the API server runs one unless JOB_WORKER=false, and `npm run worker` runs
+ * more. A worker moves the job onto the data source's processing list, which
+ * all workers share, so at most `jobConcurrency` jobs run per data source at
+ * a time however many workers there are. While it runs the job the worker
+ * renews a lease on it every poll; a job whose lease lapses for
+ * JOB_LEASE_SECONDS (its worker stopped) is put back on the queue, up to
+ * JOB_MAX_ATTEMPTS runs in all. A job fetches up to JOB_MAX_ROWS rows through the regular pipeline
+ * (access policy, cost guardrails, PII masking, audit) under the data
+ * source's job timeout, and stores them in chunks next to the job record.
+ * Both expire JOB_TTL seconds after the job finishes.
+ */
+class QueryJobService {
+  constructor () {
+    this.jobPrefix = 'job:'
+    this.resultPrefix = 'job:result:'
+    this.queuePrefix = 'job:queue:'
+    this.processingPrefix = 'job:processing:'
+    this.leasePrefix = 'job:lease:'
+    this.userJobsPrefix = 'user_jobs:'
+    this.jobTTL = parseInt(process.env.JOB_TTL) || 24 * 60 * 60
+    this.maxRows = parseInt(process.env.JOB_MAX_ROWS) || 100000
+    this.chunkSize = parseInt(process.env.JOB_RESULT_CHUNK_ROWS) || 1000
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000
+    this.leaseTTL = parseInt(process.env.JOB_LEASE_SECONDS) || 60
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3
+    this.maxJobsPerUser = 100
+    this.workerId = crypto.randomUUID()
+    // Jobs this worker runs, by data source
+    this.active = new Map()
+    this.timer = null
+    this.polling = false
+  }
+
+  /**
+   * Queue a job. `request` holds the `sql` or `question` and the options of
+   * the endpoint it came from. Resolves to the job record.
+   */
+  async submit (type, request, { user, datasource, source }) {
+    if (!JOB_TYPES.includes(type)) throw new Error(`Unknown job type: ${type}`)
+    if (!redis.isConnected) {
+      throw jobError('JOBS_UNAVAILABLE', 'The job queue needs Redis, which is not connected')
+    }
+
+    const name = datasources.resolveName(datasource)
+    const now = new Date()
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      userId: user?.id || 'anonymous',
+      user: user || null,
+      datasource: name,
+      source: source || null,
+      request,
+      createdAt: now.toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      cancelRequested: false,
+      attempts: 0,
+      error: null,
+      result: null
+    }
+
+    await this.saveJob(job)
+    const userJobsKey = `${this.userJobsPrefix}${job.userId}`
+    await redis.zadd(userJobsKey, now.getTime(), job.id)
+    await redis.zremrangebyrank(userJobsKey, 0, -(this.maxJobsPerUser + 1))
+    await redis.expire(userJobsKey, this.jobTTL)
+
+    if (!await redis.lpush(`${this.queuePrefix}${name}`, job.id)) {
+      throw jobError('JOBS_UNAVAILABLE', 'Could not queue the job')
+    }
+    logger.info('Query job queued', { jobId: job.id, type, datasource: name, user: job.userId })
+
+    // A worker in this process starts it without waiting for the next poll
+    if (this.timer) this.poll()
+    return job
+  }
+
+  /**
+   * A job as its owner (or a holder of queries:manage) sees it
+   */
+  async getJob (jobId, user) {
+    const job = await redis.get(`${this.jobPrefix}${jobId}`)
+    if (!job || !this.canSee(job, user)) {
+      throw jobError('JOB_NOT_FOUND', `No job ${jobId}`)
+    }
+    return job
+  }
+
+  /**
+   * The user's most recent jobs, newest first
+   */
+  async listJobs (user, limit = 20) {
+    const ids = await redis.zrevrange(`${this.userJobsPrefix}${user?.id || 'anonymous'}`, 0, limit - 1)
+    const jobs = await Promise.all(ids.map(id => redis.get(`${this.jobPrefix}${id}`)))
+    return jobs.filter(Boolean).map(job => this.describe(job))
+  }
+
+  /**
+   * Cancel a queued or running job. A job running in another worker stops
+   * when that worker next checks the job.
+   */
+  async cancel (jobId, user) {
+    const job = await this.getJob(jobId, user)
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw jobError('JOB_FINISHED', `Job ${jobId} has already ${job.status === 'succeeded' ? 'finished' : job.status}`)
+    }
+
+    if (job.status === 'queued') {
+      return this.finishJob(job, { status: 'cancelled', error: `Cancelled by ${user?.id || 'anonymous'}` })
+    }
+
+    await this.saveJob({ ...job, cancelRequested: true })
+    if (this.active.get(job.datasource)?.has(job.id)) {
+      runningQueryService.cancel(job.id, user)
+    }
+    return { ...job, cancelRequested: true }
+  }
+
+  /**
+   * One page of a finished job's rows with offset pagination
+   */
+  async getResultPage (jobId, user, { page = 1, pageSize = 100 } = {}) {
+    const job = await this.getJob(jobId, user)
+    if (job.status !== 'succeeded') {
+      throw jobError('JOB_NOT_FINISHED', `Job ${jobId} is ${job.status}`)
+    }
+
+    page = Math.max(parseInt(page) || 1, 1)
+    pageSize = Math.min(Math.max(parseInt(pageSize) || 100, 1), queryExecutionService.maxResultRows)
+    const { rowCount, chunkSize } = job.result
+    const start = (page - 1) * pageSize
+    const end = Math.min(start + pageSize, rowCount)
+
+    const rows = []
+    const lastChunk = start < end ? Math.floor((end - 1) / chunkSize) : -1
+    for (let chunk = Math.floor(start / chunkSize); chunk <= lastChunk; chunk++) {
+      const chunkRows = await this.readChunk(job, chunk)
+      const offset = chunk * chunkSize
+      rows.push(...chunkRows.slice(Math.max(start - offset, 0), end - offset))
+    }
+
+    return {
+      job: this.describe(job),
+      rows,
+      pagination: {
+        mode: 'offset',
+        page,
+        pageSize,
+        totalRows: rowCount,
+        totalRowsEstimated: false,
+        totalPages: Math.ceil(rowCount / pageSize),
+        hasNextPage: end < rowCount,
+        hasPreviousPage: page > 1
+      },
+      metadata: job.result.metadata
+    }
+  }
+
+  /**
+   * Stream a finished job's rows as { rows, fields } batches, one per chunk
+   */
+  async * readResultBatches (job) {
+    const { chunks, fields } = job.result
+    if (chunks === 0) yield { rows: [], fields }
+    for (let chunk = 0; chunk < chunks; chunk++) {
+      yield { rows: await this.readChunk(job, chunk), fields }
+    }
+  }
+
+  async readChunk (job, chunk) {
+    const rows = await redis.get(`${this.resultPrefix}${job.id}:${chunk}`)
+    if (!rows) throw jobError('JOB_RESULT_EXPIRED', `The results of job ${job.id} have expired`)
+    return rows
+  }
+
+  /**
+   * Poll the queues every JOB_POLL_INTERVAL_MS: renew this worker's leases,
+   * requeue the jobs of workers that stopped and run the jobs there is room
+   * for
+   */
+  startWorker () {
+    if (this.timer) return
+    this.timer = setInterval(() => this.poll(), this.pollInterval)
+    this.timer.unref()
+    logger.info(`Query job worker started (poll interval ${this.pollInterval}ms)`)
+    this.poll()
+  }
+
+  stopWorker () {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  async poll () {
+    if (this.polling || !redis.isConnected) return
+    this.polling = true
+    try {
+      for (const name of datasources.names()) {
+        const { jobConcurrency } = datasources.get(name)
+        if (!this.active.has(name)) this.active.set(name, new Set())
+        const active = this.active.get(name)
+
+        for (const jobId of active) {
+          await redis.expire(`${this.leasePrefix}${jobId}`, this.leaseTTL)
+        }
+        await this.recover(name)
+
+        while (true) {
+          const jobId = await redis.eval(
+            CLAIM_SCRIPT,
+            [`${this.queuePrefix}${name}`, `${this.processingPrefix}${name}`],
+            [String(jobConcurrency), this.leasePrefix, JSON.stringify(this.workerId), String(this.leaseTTL)]
+          )
+          if (!jobId) break
+          active.add(jobId)
+          this.run(jobId).finally(() => {
+            active.delete(jobId)
+            return this.release(name, jobId)
+          })
+        }
+      }
+    } catch (error) {
+      logger.error('Query job poll failed:', error)
+    } finally {
+      this.polling = false
+    }
+  }
+
+  /**
+   * Requeue the jobs on a data source's processing list whose lease has
+   * lapsed. A job that was cancelled or has run JOB_MAX_ATTEMPTS times fails
+   * instead, and a job that had already finished is only dropped.
+   */
+  async recover (name) {
+    const processingKey = `${this.processingPrefix}${name}`
+    for (const jobId of await redis.lrange(processingKey, 0, -1)) {
+      const leaseKey = `${this.leasePrefix}${jobId}`
+      if (this.active.get(name)?.has(jobId) || await redis.get(leaseKey)) continue
+
+      const job = await redis.get(`${this.jobPrefix}${jobId}`)
+      const unfinished = !!job && !FINISHED_STATUSES.includes(job.status)
+      const retry = unfinished && !job.cancelRequested && (job.attempts || 0) < this.maxAttempts
+      // Saved as queued by the script that requeues it, so the worker that
+      // takes it runs it and a worker that loses the race changes nothing
+      const requeued = retry ? JSON.stringify({ ...job, status: 'queued', startedAt: null }) : ''
+
+      const reclaimed = await redis.eval(
+        RECLAIM_SCRIPT,
+        [`${this.queuePrefix}${name}`, processingKey, leaseKey, `${this.jobPrefix}${jobId}`],
+        [jobId, requeued, String(this.jobTTL)]
+      )
+      if (!reclaimed) continue
+
+      if (retry) {
+        logger.warn('Query job requeued after its worker stopped', { jobId, datasource: name, attempts: job.attempts })
+      } else if (unfinished) {
+        await this.finishJob(job, job.cancelRequested
+          ? { status: 'cancelled', error: `Cancelled by ${job.userId}` }
+          : { status: 'failed', error: `The job's worker stopped ${job.attempts} times`, errorCode: 'JOB_WORKER_LOST' })
+        logger.error('Query job abandoned after its worker stopped', { jobId, datasource: name, attempts: job.attempts })
+      }
+    }
+  }
+
+  /**
+   * Take a job this worker ran off the processing list
+   */
+  async release (name, jobId) {
+    await redis.lrem(`${this.processingPrefix}${name}`, jobId)
+    await redis.del(`${this.leasePrefix}${jobId}`)
+  }
+
+  /**
+   * Run one job to completion and store its result. Never throws: failures
+   * are recorded on the job.
+   */
+  async run (jobId) {
+    let job = await redis.get(`${this.jobPrefix}${jobId}`)
+    // Cancelled while queued, or expired
+    if (!job || job.status !== 'queued') return
+
+    let running
+    let watcher
+    try {
+      running = runningQueryService.start({
+        id: job.id,
+        user: job.user,
+        datasource: job.datasource,
+        source: job.source,
+        description: job.request.sql || job.request.question
+      })
+      job = { ...job, status: 'running', startedAt: new Date().toISOString(), attempts: (job.attempts || 0) + 1 }
+      await this.saveJob(job)
+      logger.info('Query job started', { jobId, datasource: job.datasource })
+
+      // Cancellation requested through another process
+      watcher = setInterval(async () => {
+        const current = await redis.get(`${this.jobPrefix}${jobId}`)
+        if (current?.cancelRequested) running.cancel(`Cancelled by ${current.userId}`)
+      }, this.pollInterval)
+
+      const execution = {
+        user: job.user,
+        datasource: job.datasource,
+        source: job.source,
+        queryId: job.id,
+        signal: running.signal,
+        background: true,
+        pageSize: this.maxRows,
+        maxPageSize: this.maxRows,
+        useCache: false
+      }
+      const { result, response } = job.type === 'sql'
+        ? await this.runSQL(job, execution)
+        : await this.runQuestion(job, execution)
+
+      const summary = await this.storeResult(job, result)
+      await this.finishJob(job, { status: 'succeeded', result: { ...summary, ...response } })
+      logger.info('Query job finished', { jobId, rowCount: summary.rowCount, truncated: summary.truncated })
+    } catch (error) {
+      const cancelled = error.code === 'QUERY_CANCELLED'
+      logger[cancelled ? 'info' : 'error']('Query job failed:', { jobId, error: error.message })
+      await this.finishJob(job, {
+        status: cancelled ? 'cancelled' : 'failed',
+        error: error.message,
+        errorCode: error.code || null,
+        violations: error.violations,
+        costCheck: error.costCheck
+      }).catch(saveError => logger.error('Could not record job failure:', saveError))
+    } finally {
+      clearInterval(watcher)
+      running?.finish()
+    }
+  }
+
+  async runSQL (job, execution) {
+    const { sql, confirm, timeoutMs, countMode } = job.request
+    const result = await queryExecutionService.executeQuery(sql, {
+      ...execution,
+      countMode: countMode || 'none',
+      confirm: confirm === true,
+      timeout: timeoutMs
+    })
+    return { result, response: {} }
+  }
+
+  async runQuestion (job, execution) {
+    const { question, ...options } = job.request
+    const { result, ...response } = await queryWorkflowService.answerQuery(question, {
+      ...options,
+      ...execution,
+      userId: job.userId,
+      confirm: options.confirm === true,
+      answer: options.answer === true,
+      timeout: options.timeoutMs
+    })
+    return { result, response }
+  }
+
+  /**
+   * Store a result's rows in chunks. Resolves to the summary kept on the job.
+   */
+  async storeResult (job, result) {
+    const { rows } = result
+    const chunks = Math.ceil(rows.length / this.chunkSize)
+    for (let chunk = 0; chunk < chunks; chunk++) {
+      const stored = await redis.set(
+        `${this.resultPrefix}${job.id}:${chunk}`,
+        rows.slice(chunk * this.chunkSize, (chunk + 1) * this.chunkSize),
+        this.jobTTL
+      )
+      if (!stored) throw new Error('Could not store the job result')
+    }
+
+    return {
+      rowCount: rows.length,
+      truncated: !!result.pagination?.hasNextPage,
+      rowLimit: this.maxRows,
+      chunkSize: this.chunkSize,
+      chunks,
+      fields: result.metadata.fields,
+      metadata: result.metadata
+    }
+  }
+
+  async finishJob (job, outcome) {
+    const finished = { ...job, ...outcome, finishedAt: new Date().toISOString() }
+    await this.saveJob(finished)
+    return finished
+  }
+
+  async saveJob (job) {
+    if (!await redis.set(`${this.jobPrefix}${job.id}`, job, this.jobTTL)) {
+      throw jobError('JOBS_UNAVAILABLE', `Could not save job ${job.id}`)
+    }
+  }
+
+  /**
+   * A job without the stored user and the result's internals
+   */
+  describe (job) {
+    const described = { ...job, result: job.result && { ...job.result } }
+    delete described.user
+    if (described.result) {
+      for (const key of ['chunkSize', 'chunks', 'fields']) delete described.result[key]
+    }
+    return described
+  }
+
+  canSee (job, user) {
+    return job.userId === (user?.id || 'anonymous') || (!!user?.role && hasPermission(user.role, 'queries:manage'))
+  }
+}
+
+const jobError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+module.exports = new QueryJobService()
@@ -0,0 +1,317 @@
+const datasources = require('../config/datasources')
+const schemaService = require('./schemaService')
+const chartService = require('./chartService')
+const answerService = require('./answerService')
+const llmService = require('./llmService')
+const semanticCacheService = require('./semanticCacheService')
+const queryExecutionService = require('./queryExecutionService')
+const auditService = require('./auditService')
+const conversationService = require('./conversationService')
+const historyService = require('./historyService')
+const logger = require('../utils/logger')
+
+class QueryWorkflowService {
+  constructor () {
+    this.maxAttempts = parseInt(process.env.QUERY_MAX_ATTEMPTS) || 3
+  }
+
+  /**
+   * Answer a question within a conversation: run the workflow, record the
+   * turn and save the query to history. Resolves to the /query response data.
+   * `user` is the authenticated user, whose access policy the workflow follows.
+   * With `answer: true` the model also answers the question from the result.
+   */
+  async answerQuery (query, options = {}) {
+    const { conversationId, userId = 'anonymous', answer = false, ...workflowOptions } = options
+    const datasource = datasources.resolveName(options.datasource)
+
+    // Earlier turns give follow-up questions something to build on
+    const conversation = await conversationService.resolveConversation(conversationId, userId, datasource)
+
+    let workflowResult
+    try {
+      workflowResult = await this.runQuery(query, {
+        ...workflowOptions,
+        datasource,
+        conversationTurns: conversation.turns
+      })
+    } catch (error) {
+      // Record failed repair loops so we can see how often the model cannot recover
+      if (error.attempts) {
+        this.saveHistory({
+          conversationId: conversation.id,
+          datasource,
+          originalQuery: query,
+          generatedSQL: error.attempts[error.attempts.length - 1].sql,
+          result: null,
+          error: error.message,
+          attempts: error.attempts,
+          schemaInfo: this.describeSchema(error.schema)
+        }, userId)
+      }
+      throw error
+    }
+
+    const { schema, llmResult, executionResult, attempts } = workflowResult
+
+    await conversationService.addTurn(conversation, {
+      question: query,
+      sql: llmResult.sql,
+      result: executionResult
+    })
+
+    const responseData = {
+      conversationId: conversation.id,
+      datasource,
+      originalQuery: query,
+      generatedSQL: llmResult.sql,
+      reasoning: llmResult.reasoning,
+      assumptions: llmResult.assumptions,
+      confidence: llmResult.confidence,
+      provider: llmResult.provider,
+      model: llmResult.model,
+      semanticCacheHit: semanticCacheService.describeHit(llmResult.semanticCacheHit),
+      result: executionResult,
+      chart: chartService.recommend(executionResult, { dbType: datasources.get(datasource).dbType, hint: llmResult.chart }),
+      answer: null,
+      attempts,
+      schemaInfo: this.describeSchema(schema)
+    }
+
+    if (answer && !executionResult.dryRun) {
+      workflowOptions.onEvent?.('answer-started', {})
+      responseData.answer = await answerService.answer(query, llmResult.sql, executionResult, {
+        datasource,
+        provider: workflowOptions.provider,
+        model: workflowOptions.model
+      })
+    }
+
+    this.saveHistory(responseData, userId)
+
+    return responseData
+  }
+
+  /**
+   * Complete natural language to SQL workflow with a bounded repair loop.
+   * Validation and execution errors are fed back to the model until a query
+   * succeeds or the attempt limit is reached.
+   *
+   * `onEvent(event, data)` is called as each phase happens: schema-selected,
+   * sql-token, sql-final, validation, execution-started, attempt-failed, rows.
+   * Every attempt, including rejected SQL, is audited under `source`.
+   * A query held for confirmation by the cost guardrails ends the loop; send
+   * `confirm: true` to run it. Aborting `signal` cancels the running statement
+   * and stops the loop before its next step, and a statement that times out
+   * ends it too rather than being repaired; `timeout`, `queryId`,
+   * `background` and `maxPageSize` are passed on to each execution.
+   */
+  async runQuery (query, options = {}) {
+    const {
+      page = 1,
+      pageSize = 50,
+      useCache = true,
+      dryRun = false,
+      useRelevantSchema = true,
+      maxTables = 10,
+      maxAttempts,
+      provider,
+      model,
+      conversationTurns = [],
+      user,
+      source,
+      confirm = false,
+      queryId,
+      signal,
+      timeout,
+      background,
+      maxPageSize,
+      onEvent = () => {}
+    } = options
+
+    const datasource = datasources.resolveName(options.datasource)
+    const attemptLimit = this.resolveAttemptLimit(maxAttempts)
+
+    // Step 1: Get relevant schema (follow-ups also need the tables of earlier turns)
+    const schemaQuery = [...conversationTurns.map(turn => turn.question), query].join(' ')
+    const schema = useRelevantSchema
+      ? await schemaService.getRelevantSchema(schemaQuery, maxTables, datasource, user)
+      : await schemaService.getVisibleSchema(datasource, user)
+
+    onEvent('schema-selected', {
+      datasource,
+      tables: schema.tables.map(table => table.name),
+      ...this.describeSchema(schema),
+      retrieval: schema.retrieval
+    })
+
+    const attempts = []
+    let semanticCacheHit = null
+
+    while (attempts.length < attemptLimit) {
+      const attemptNumber = attempts.length + 1
+      const failedAttempts = [...attempts]
+      signal?.throwIfAborted()
+
+      // Step 2: Generate (or repair) SQL
+      let llmResult
+      try {
+        llmResult = await llmService.generateSQL(query, schema, {
+          previousAttempts: failedAttempts,
+          conversationTurns,
+          datasource,
+          provider,
+          model,
+          onToken: delta => onEvent('sql-token', { attempt: attemptNumber, delta })
+        })
+      } catch (error) {
+        // Errors without SQL (provider failures, malformed responses) cannot be repaired
+        if (!error.sql) throw error
+        await auditService.record({ source, question: query, user, datasource, sql: error.sql, ...auditService.describeError(error) })
+        const failedAttempt = this.buildFailedAttempt(attemptNumber, error.sql, 'validation', error)
+        attempts.push(failedAttempt)
+        onEvent('sql-final', { attempt: attemptNumber, sql: error.sql })
+        onEvent('validation', { attempt: attemptNumber, valid: false, violations: error.violations })
+        onEvent('attempt-failed', failedAttempt)
+        continue
+      }
+
+      semanticCacheHit = llmResult.semanticCacheHit || semanticCacheHit
+      onEvent('sql-final', {
+        attempt: attemptNumber,
+        sql: llmResult.sql,
+        reasoning: llmResult.reasoning,
+        confidence: llmResult.confidence,
+        fromLLMCache: llmResult.fromLLMCache || false,
+        semanticCacheHit: semanticCacheService.describeHit(llmResult.semanticCacheHit)
+      })
+      onEvent('validation', { attempt: attemptNumber, valid: true, violations: [] })
+
+      // Step 3: Execute SQL (or explain it on a dry run)
+      try {
+        signal?.throwIfAborted()
+        onEvent('execution-started', { attempt: attemptNumber, dryRun, queryId })
+        const executionResult = await this.executeAttempt(llmResult.sql, {
+          page, pageSize, useCache, dryRun, datasource, user, source, question: query, confirm, queryId, signal, timeout, background, maxPageSize
+        })
+        onEvent('rows', executionResult)
+
+        attempts.push({
+          attempt: attemptNumber,
+          sql: llmResult.sql,
+          stage: 'success',
+          fromLLMCache: llmResult.fromLLMCache || false
+        })
+
+        if (attempts.length > 1) {
+          logger.info('Query repaired after failed attempts', {
+            query: query.substring(0, 100),
+            attempts: attempts.length
+          })
+        }
+
+        return { schema, llmResult, executionResult, attempts }
+      } catch (error) {
+        // Expensive but valid: the caller decides, not the model
+        if (error.code === 'CONFIRMATION_REQUIRED') {
+          error.sql = llmResult.sql
+          throw error
+        }
+        // Another attempt would run against the same budget, at full cost again
+        if (['QUERY_CANCELLED', 'QUERY_TIMEOUT'].includes(error.code)) throw error
+        const failedAttempt = this.buildFailedAttempt(
+          attemptNumber,
+          llmResult.sql,
+          error.violations ? 'validation' : 'execution',
+          error
+        )
+        attempts.push(failedAttempt)
+        onEvent('attempt-failed', failedAttempt)
+      }
+    }
+
+    // Do not keep serving a query that never worked
+    await llmService.invalidateCachedSQL(query, {
+      provider,
+      model,
+      conversationTurns,
+      datasource,
+      accessScope: schema.metadata?.accessPolicy?.role,
+      schema,
+      semanticCacheHit
+    })
+
+    const lastAttempt = attempts[attempts.length - 1]
+    const error = new Error(`No working query after ${attempts.length} attempt(s): ${lastAttempt.error}`)
+    error.attempts = attempts
+    error.schema = schema
+    throw error
+  }
+
+  /**
+   * Execute a generated query, treating an invalid dry-run plan as a failure
+   */
+  async executeAttempt (sql, { page, pageSize, useCache, dryRun, datasource, user, source, question, confirm, queryId, signal, timeout, background, maxPageSize }) {
+    if (dryRun) {
+      const plan = await queryExecutionService.executeQuery(sql, { dryRun: true, datasource, user, source, question, confirm, queryId, signal, timeout, background })
+      if (!plan.isValid) {
+        throw new Error(plan.error)
+      }
+      return plan
+    }
+
+    return await queryExecutionService.executeQuery(sql, {
+      page: parseInt(page),
+      pageSize: parseInt(pageSize),
+      useCache,
+      datasource,
+      user,
+      source,
+      question,
+      confirm,
+      queryId,
+      signal,
+      timeout,
+      background,
+      maxPageSize
+    })
+  }
+
+  /**
+   * Clamp a requested attempt count to the configured maximum
+   */
+  resolveAttemptLimit (maxAttempts) {
+    const requested = parseInt(maxAttempts)
+    if (!requested || requested < 1) return this.maxAttempts
+    return Math.min(requested, this.maxAttempts)
+  }
+
+  describeSchema (schema) {
+    return {
+      tableCount: schema.tables.length,
+      filtered: schema.filtered || false,
+      originalTableCount: schema.originalTableCount
+    }
+  }
+
+  /**
+   * Save a query to history without holding up the response
+   */
+  saveHistory (entry, userId) {
+    historyService.saveQuery(entry, userId).catch(error => {
+      logger.warn('Failed to save query to history:', error)
+    })
+  }
+
+  buildFailedAttempt (attemptNumber, sql, stage, error) {
+    return {
+      attempt: attemptNumber,
+      sql,
+      stage,
+      error: error.message,
+      violations: error.violations
+    }
+  }
+}
+
+module.exports = new QueryWorkflowService()
@@ -0,0 +1,102 @@
+const crypto = require('crypto')
+const { hasPermission } = require('../config/roles')
+const logger = require('../utils/logger')
+
+// Query IDs chosen by clients end up in URLs and logs
+const QUERY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/
+
+/**
+ * Queries running in this process, by query ID, so that callers can list and
+ * cancel them. Each query gets an AbortController whose signal is passed down
+ * to the database, where aborting it cancels the statement. A query is visible
+ * to the user who started it and to roles with queries:manage.
+ */
+class RunningQueryService {
+  constructor () {
+    this.queries = new Map()
+  }
+
+  /**
+   * Register a query. `id` is a query ID the client chose, otherwise one is
+   * generated; aborting `signal` cancels the query too. Returns
+   * { id, signal, cancel(reason), finish() }; call finish() once it is done.
+   */
+  start ({ id, user, datasource, source, description, signal } = {}) {
+    const queryId = id ?? crypto.randomUUID()
+    if (typeof queryId !== 'string' || !QUERY_ID_PATTERN.test(queryId)) {
+      throw queryError('INVALID_QUERY_ID', 'queryId must be 1-64 letters, digits, "_" or "-"')
+    }
+    if (this.queries.has(queryId)) {
+      throw queryError('INVALID_QUERY_ID', `Query ${queryId} is already running`)
+    }
+
+    // The abort reason is the QUERY_CANCELLED error the query fails with
+    const controller = new AbortController()
+    const cancel = (reason) => {
+      if (!controller.signal.aborted) controller.abort(queryError('QUERY_CANCELLED', `Query cancelled: ${reason}`))
+    }
+    const onAbort = () => cancel(signal.reason instanceof Error ? signal.reason.message : signal.reason)
+    if (signal?.aborted) onAbort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    this.queries.set(queryId, {
+      id: queryId,
+      userId: user?.id || null,
+      datasource: datasource || null,
+      source: source || null,
+      description: description || null,
+      startedAt: new Date(),
+      cancel
+    })
+
+    return {
+      id: queryId,
+      signal: controller.signal,
+      cancel,
+      finish: () => {
+        signal?.removeEventListener('abort', onAbort)
+        this.queries.delete(queryId)
+      }
+    }
+  }
+
+  /**
+   * Running queries the user may see, oldest first
+   */
+  list (user) {
+    return [...this.queries.values()]
+      .filter(query => this.canSee(query, user))
+      .map(({ cancel: _cancel, startedAt, ...query }) => ({
+        ...query,
+        startedAt: startedAt.toISOString(),
+        elapsedMs: Date.now() - startedAt.getTime()
+      }))
+  }
+
+  /**
+   * Cancel a running query on behalf of a user. Queries of other users are
+   * reported as not found unless the user may manage them.
+   */
+  cancel (id, user) {
+    const query = this.queries.get(id)
+    if (!query || !this.canSee(query, user)) {
+      throw queryError('QUERY_NOT_FOUND', `No running query ${id}`)
+    }
+
+    query.cancel(`Cancelled by ${user?.id || 'anonymous'}`)
+    logger.info('Query cancelled', { queryId: id, owner: query.userId, by: user?.id })
+    return { id, datasource: query.datasource }
+  }
+
+  canSee (query, user) {
+    return query.userId === (user?.id || null) || (!!user?.role && hasPermission(user.role, 'queries:manage'))
+  }
+}
+
+const queryError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+module.exports = new RunningQueryService()
@@ -0,0 +1,296 @@
+const crypto = require('crypto')
+const datasources = require('../config/datasources')
+const redis = require('../config/redis')
+const historyService = require('./historyService')
+const schemaService = require('./schemaService')
+const sqlValidationService = require('./sqlValidationService')
+const logger = require('../utils/logger')
+
+/**
+ * Schema drift detection.
+ *
+ * A watcher re-fetches every data source's schema each
+ * SCHEMA_WATCH_INTERVAL_MS and compares it with the last snapshot it took.
+ * Added and removed tables, columns and foreign keys, and columns whose type
+ * or nullability changed, are recorded in the data source's change history
+ * (the last SCHEMA_CHANGE_HISTORY changes). History entries whose SQL
+ * references a removed table or column are flagged with `schemaDrift`. A
+ * rename shows up as a removal and an addition.
+ *
+ * Snapshots (schema_snapshot:) and changes (schema_changes:) never expire and
+ * live outside the cache namespaces, so clearing caches keeps them.
+ */
+class SchemaChangeService {
+  constructor () {
+    const interval = parseInt(process.env.SCHEMA_WATCH_INTERVAL_MS)
+    this.interval = Number.isNaN(interval) ? 15 * 60 * 1000 : interval
+    this.maxChanges = parseInt(process.env.SCHEMA_CHANGE_HISTORY) || 100
+    this.snapshotPrefix = 'schema_snapshot:'
+    this.changesPrefix = 'schema_changes:'
+    this.timer = null
+    this.checking = false
+  }
+
+  /**
+   * Check every data source now and then every SCHEMA_WATCH_INTERVAL_MS;
+   * an interval of 0 disables the watcher
+   */
+  startWatcher () {
+    if (this.timer || this.interval <= 0) return
+    this.timer = setInterval(() => this.checkAll(), this.interval)
+    this.timer.unref()
+    logger.info(`Schema watcher started (interval ${this.interval}ms)`)
+    this.checkAll()
+  }
+
+  stopWatcher () {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Check every data source. Resolves to the changes detected; a data source
+   * that fails is logged and skipped.
+   */
+  async checkAll () {
+    if (this.checking || !redis.isConnected) return []
+    this.checking = true
+    const changes = []
+    try {
+      for (const name of datasources.names()) {
+        try {
+          const change = await this.check(name)
+          if (change) changes.push(change)
+        } catch (error) {
+          logger.error(`Schema check failed (datasource: ${name}):`, error)
+        }
+      }
+    } finally {
+      this.checking = false
+    }
+    return changes
+  }
+
+  /**
+   * Fetch a data source's schema and compare it with the last snapshot.
+   * Resolves to the recorded change, or null when nothing changed or this
+   * is the first snapshot.
+   */
+  async check (datasource) {
+    if (!redis.isConnected) {
+      throw changeError('SCHEMA_CHANGES_UNAVAILABLE', 'Schema change tracking needs Redis, which is not connected')
+    }
+
+    const name = datasources.resolveName(datasource)
+    const schema = await schemaService.refreshSchema(name)
+    const snapshot = toSnapshot(schema)
+    const snapshotKey = this.getSnapshotKey(name)
+    const previous = await redis.get(snapshotKey)
+
+    if (previous?.fingerprint === snapshot.fingerprint) return null
+    await redis.set(snapshotKey, snapshot, null)
+    if (!previous) {
+      logger.info(`Schema snapshot taken (datasource: ${name})`)
+      return null
+    }
+
+    const diff = this.diff(previous, snapshot)
+    const change = {
+      id: crypto.randomUUID(),
+      datasource: name,
+      detectedAt: new Date().toISOString(),
+      version: schema.metadata.version ?? null,
+      previousFingerprint: previous.fingerprint,
+      fingerprint: snapshot.fingerprint,
+      summary: summarize(diff),
+      ...diff
+    }
+    change.affectedHistory = await this.flagHistory(change, snapshot, schema.metadata.dbType)
+
+    const changesKey = this.getChangesKey(name)
+    await redis.zadd(changesKey, Date.now(), JSON.stringify(change))
+    const count = await redis.zcard(changesKey)
+    if (count > this.maxChanges) {
+      await redis.zremrangebyrank(changesKey, 0, count - this.maxChanges - 1)
+    }
+
+    logger.warn(`Schema change detected (datasource: ${name}): ${change.summary}; ${change.affectedHistory.length} history entries affected`)
+    return change
+  }
+
+  /**
+   * Recorded changes, newest first: of one data source, or of all of them
+   */
+  async listChanges ({ datasource = null, limit = 20 } = {}) {
+    if (!redis.isConnected) return []
+
+    const names = datasource ? [datasources.resolveName(datasource)] : datasources.names()
+    const changes = []
+    for (const name of names) {
+      const members = await redis.zrevrange(this.getChangesKey(name), 0, limit - 1)
+      changes.push(...members.map(member => JSON.parse(member)))
+    }
+
+    return changes
+      .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt))
+      .slice(0, limit)
+  }
+
+  /**
+   * Differences between two snapshots
+   */
+  diff (before, after) {
+    const changes = {
+      tables: { added: [], removed: [] },
+      columns: { added: [], removed: [], changed: [] },
+      foreignKeys: { added: [], removed: [] }
+    }
+
+    for (const [table, columns] of Object.entries(after.tables)) {
+      if (!before.tables[table]) {
+        changes.tables.added.push(table)
+        continue
+      }
+      for (const [column, definition] of Object.entries(columns)) {
+        const previous = before.tables[table][column]
+        if (!previous) {
+          changes.columns.added.push({ table, column, ...definition })
+        } else if (previous.type !== definition.type || previous.nullable !== definition.nullable) {
+          changes.columns.changed.push({ table, column, from: previous, to: definition })
+        }
+      }
+    }
+
+    for (const [table, columns] of Object.entries(before.tables)) {
+      if (!after.tables[table]) {
+        changes.tables.removed.push(table)
+        continue
+      }
+      for (const [column, definition] of Object.entries(columns)) {
+        if (!after.tables[table][column]) changes.columns.removed.push({ table, column, ...definition })
+      }
+    }
+
+    const beforeKeys = new Set(before.foreignKeys)
+    const afterKeys = new Set(after.foreignKeys)
+    changes.foreignKeys.added = after.foreignKeys.filter(key => !beforeKeys.has(key))
+    changes.foreignKeys.removed = before.foreignKeys.filter(key => !afterKeys.has(key))
+
+    return changes
+  }
+
+  /**
+   * Flag the recent history entries of the change's data source whose SQL
+   * references a table or column the change removed. Resolves to
+   * [{ historyId, userId, naturalLanguageQuery, missing }].
+   */
+  async flagHistory (change, snapshot, dbType) {
+    if (change.tables.removed.length === 0 && change.columns.removed.length === 0) return []
+
+    // Entries saved without a data source ran against the default one
+    const defaultName = datasources.resolveName()
+    const affected = []
+    for (const entry of await historyService.getRecentEntries()) {
+      if (!entry.generatedSQL || (entry.datasource || defaultName) !== change.datasource) continue
+
+      const missing = this.findMissingReferences(entry.generatedSQL, change, snapshot, dbType)
+      if (missing.length === 0) continue
+
+      await historyService.markSchemaDrift(entry, { changeId: change.id, detectedAt: change.detectedAt, missing })
+      affected.push({ historyId: entry.id, userId: entry.userId, naturalLanguageQuery: entry.naturalLanguageQuery, missing })
+    }
+    return affected
+  }
+
+  /**
+   * Removed tables and columns (as "table.column") that `sql` references.
+   * An unqualified column counts only when none of the query's tables still
+   * has it.
+   */
+  findMissingReferences (sql, change, snapshot, dbType) {
+    const parsed = sqlValidationService.validate(sql, { dbType })
+    if (!parsed.tables) return []
+
+    const lower = (name) => String(name).toLowerCase()
+    const removedTables = new Map(change.tables.removed.map(table => [lower(table), table]))
+    const removedColumns = new Map()
+    change.columns.removed.forEach(({ table, column }) => {
+      if (!removedColumns.has(lower(table))) removedColumns.set(lower(table), new Map())
+      removedColumns.get(lower(table)).set(lower(column), `${table}.${column}`)
+    })
+    const currentColumns = new Map(Object.entries(snapshot.tables)
+      .map(([table, columns]) => [lower(table), new Set(Object.keys(columns).map(lower))]))
+
+    // Tables outside the default schema are named "schema.table" in snapshots
+    const known = (name) => currentColumns.has(name) || removedTables.has(name) || removedColumns.has(name)
+    const tableKeys = new Map(parsed.tables.map(table => {
+      const qualified = table.schema ? lower(`${table.schema}.${table.name}`) : null
+      return [lower(table.name), qualified && known(qualified) ? qualified : lower(table.name)]
+    }))
+    const tables = [...tableKeys.values()]
+    const missing = new Set(tables.filter(table => removedTables.has(table)).map(table => removedTables.get(table)))
+
+    parsed.columns.forEach(column => {
+      if (column.name === '*') return
+      const name = lower(column.name)
+      if (!column.table && tables.some(table => currentColumns.get(table)?.has(name))) return
+
+      const candidates = column.table ? [tableKeys.get(lower(column.table)) || lower(column.table)] : tables
+      candidates.forEach(table => {
+        const removed = removedColumns.get(table)?.get(name)
+        if (removed) missing.add(removed)
+      })
+    })
+
+    return [...missing].sort()
+  }
+
+  getSnapshotKey (datasource) {
+    return `${this.snapshotPrefix}${datasource}`
+  }
+
+  getChangesKey (datasource) {
+    return `${this.changesPrefix}${datasource}`
+  }
+}
+
+/**
+ * The parts of a schema that are compared: columns with their type and
+ * nullability by table, and foreign keys
+ */
+const toSnapshot = (schema) => ({
+  fingerprint: schema.metadata.fingerprint,
+  version: schema.metadata.version ?? null,
+  takenAt: new Date().toISOString(),
+  tables: Object.fromEntries(schema.tables.map(table => [
+    table.name,
+    Object.fromEntries(table.columns.map(column => [column.name, { type: column.type, nullable: !!column.nullable }]))
+  ])),
+  foreignKeys: (schema.relationships || [])
+    .map(rel => `${rel.fromTable}.${rel.fromColumn}->${rel.toTable}.${rel.toColumn}`)
+    .sort()
+})
+
+// "1 table removed, 2 columns added" and the like
+const summarize = (diff) => {
+  const parts = []
+  const count = (items, noun, verb) => {
+    if (items.length > 0) parts.push(`${items.length} ${noun}${items.length === 1 ? '' : 's'} ${verb}`)
+  }
+  count(diff.tables.added, 'table', 'added')
+  count(diff.tables.removed, 'table', 'removed')
+  count(diff.columns.added, 'column', 'added')
+  count(diff.columns.removed, 'column', 'removed')
+  count(diff.columns.changed, 'column', 'changed')
+  count(diff.foreignKeys.added, 'foreign key', 'added')
+  count(diff.foreignKeys.removed, 'foreign key', 'removed')
+  return parts.join(', ') || 'no structural changes'
+}
+
+const changeError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+module.exports = new SchemaChangeService()
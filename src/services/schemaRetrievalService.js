@@ -0,0 +1,348 @@
+const crypto = require('crypto')
+const cacheService = require('./cacheService')
+const embeddingProviders = require('./embeddingProviders')
+const { tokenize, stem, BM25Index, cosineSimilarity } = require('../utils/textSearch')
+const logger = require('../utils/logger')
+
+// Everyday words mapped to terms that commonly appear in table and column names
+const QUERY_SYNONYMS = {
+  bought: ['order', 'purchase'],
+  buy: ['order', 'purchase'],
+  purchase: ['order'],
+  sold: ['sale', 'order'],
+  sell: ['sale', 'order'],
+  spent: ['amount', 'total', 'payment'],
+  spend: ['amount', 'total', 'payment'],
+  paid: ['payment', 'amount'],
+  revenue: ['amount', 'total', 'price'],
+  money: ['amount', 'total', 'price'],
+  cost: ['price', 'amount'],
+  stuff: ['item', 'product'],
+  thing: ['item', 'product'],
+  goods: ['item', 'product'],
+  who: ['user', 'customer'],
+  people: ['user', 'customer'],
+  person: ['user', 'customer'],
+  client: ['customer'],
+  employee: ['staff'],
+  staff: ['employee']
+}
+
+class SchemaRetrievalService {
+  constructor () {
+    this.embeddingProviderName = process.env.EMBEDDING_PROVIDER || 'none'
+    this.embeddingWeight = parseFloat(process.env.SCHEMA_EMBEDDING_WEIGHT) || 0.5
+    this.queryEmbeddingPrefix = 'embedding:query:'
+    this.queryEmbeddingTTL = 24 * 60 * 60 // 1 day
+    this.maxBridgeDepth = 3
+    // One index (and in-flight build) per data source
+    this.indexes = new Map()
+    this.buildPromises = new Map()
+  }
+
+  /**
+   * Rank tables for a question and expand the selection along foreign keys.
+   * Tables are picked from `schema`; `indexSchema` is the full schema the
+   * data source's index is built from, so per-role views share one index.
+   */
+  async findRelevantTables (userQuery, schema, maxTables = 10, indexSchema = schema) {
+    const index = await this.getIndex(indexSchema)
+    const scores = await this.scoreTables(userQuery, index)
+    const { tables, expandedTables } = this.selectTables(scores, schema, maxTables)
+
+    return {
+      tables,
+      retrieval: {
+        strategy: index.vectors ? 'hybrid' : 'bm25',
+        expandedTables
+      }
+    }
+  }
+
+  /**
+   * Return the index for this schema version, building it when the schema changed
+   */
+  async getIndex (schema) {
+    const datasource = this.getDatasource(schema)
+    const fingerprint = this.fingerprint(schema)
+
+    const index = this.indexes.get(datasource)
+    if (index && index.fingerprint === fingerprint) {
+      return index
+    }
+
+    const pending = this.buildPromises.get(datasource)
+    if (pending && pending.fingerprint === fingerprint) {
+      return await pending
+    }
+
+    const promise = this.buildIndex(schema, fingerprint)
+      .then(built => {
+        this.indexes.set(datasource, built)
+        return built
+      })
+      .finally(() => {
+        if (this.buildPromises.get(datasource) === promise) this.buildPromises.delete(datasource)
+      })
+    promise.fingerprint = fingerprint
+    this.buildPromises.set(datasource, promise)
+
+    return await promise
+  }
+
+  /**
+   * Rebuild the index for a freshly fetched schema
+   */
+  async rebuild (schema) {
+    this.clear(this.getDatasource(schema))
+    return await this.getIndex(schema)
+  }
+
+  /**
+   * Drop the index of one data source, or all indexes
+   */
+  clear (datasource) {
+    if (datasource) {
+      this.indexes.delete(datasource)
+      this.buildPromises.delete(datasource)
+    } else {
+      this.indexes.clear()
+      this.buildPromises.clear()
+    }
+  }
+
+  getDatasource (schema) {
+    return schema.metadata?.datasource || 'default'
+  }
+
+  async buildIndex (schema, fingerprint) {
+    const start = Date.now()
+    const documents = schema.tables.map(table => ({
+      id: table.name,
+      terms: this.buildTableTerms(table)
+    }))
+
+    const bm25 = new BM25Index().build(documents)
+
+    let vectors = null
+    const provider = this.getEmbeddingProvider()
+    if (provider) {
+      try {
+        const embeddings = await provider.embed(schema.tables.map(table => this.buildTableText(table)))
+        vectors = new Map(schema.tables.map((table, i) => [table.name, embeddings[i]]))
+      } catch (error) {
+        logger.warn('Schema embeddings unavailable, using BM25 only:', error.message)
+      }
+    }
+
+    logger.info(`Schema retrieval index built: ${documents.length} tables in ${Date.now() - start}ms`, {
+      datasource: this.getDatasource(schema),
+      embeddings: vectors ? provider.name : 'none'
+    })
+
+    return { fingerprint, bm25, vectors, provider: vectors ? provider : null }
+  }
+
+  /**
+   * Lexical terms for a table; the name and comment count more than columns
+   */
+  buildTableTerms (table) {
+    const nameTerms = tokenize(table.name)
+    const commentTerms = tokenize(table.comment || '')
+    const columnTerms = table.columns.flatMap(column => [
+      ...tokenize(column.name),
+      ...tokenize(column.comment || '')
+    ])
+
+    return [...nameTerms, ...nameTerms, ...nameTerms, ...commentTerms, ...commentTerms, ...columnTerms]
+  }
+
+  /**
+   * Text sent to the embedding model for a table
+   */
+  buildTableText (table) {
+    const columns = table.columns
+      .map(column => column.comment ? `${column.name} (${column.comment})` : column.name)
+      .join(', ')
+    return `Table ${table.name}${table.comment ? `: ${table.comment}` : ''}. Columns: ${columns}`
+  }
+
+  /**
+   * Query terms plus synonyms for everyday words
+   */
+  expandQueryTerms (userQuery) {
+    const words = userQuery.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)
+    const expansions = words.flatMap(word => QUERY_SYNONYMS[word] || QUERY_SYNONYMS[stem(word)] || [])
+    return [...tokenize(userQuery), ...expansions.flatMap(term => tokenize(term))]
+  }
+
+  /**
+   * Score tables with BM25, blended with embedding similarity when available
+   */
+  async scoreTables (userQuery, index) {
+    const lexicalScores = this.normalize(index.bm25.score(this.expandQueryTerms(userQuery)))
+
+    if (!index.vectors) {
+      return lexicalScores
+    }
+
+    try {
+      const queryVector = await this.embedQuery(userQuery, index.provider)
+      const similarities = new Map()
+      index.vectors.forEach((vector, tableName) => {
+        similarities.set(tableName, cosineSimilarity(queryVector, vector))
+      })
+      const semanticScores = this.normalize(similarities)
+
+      const scores = new Map()
+      lexicalScores.forEach((score, tableName) => {
+        scores.set(tableName,
+          (1 - this.embeddingWeight) * score + this.embeddingWeight * (semanticScores.get(tableName) || 0))
+      })
+      return scores
+    } catch (error) {
+      logger.warn('Query embedding failed, using BM25 only:', error.message)
+      return lexicalScores
+    }
+  }
+
+  async embedQuery (userQuery, provider) {
+    const hash = crypto.createHash('md5').update(userQuery.toLowerCase().trim()).digest('hex')
+    const cacheKey = `${this.queryEmbeddingPrefix}${provider.name}:${provider.model}:${hash}`
+
+    return await cacheService.getOrSet(cacheKey, async () => {
+      const [vector] = await provider.embed([userQuery])
+      return vector
+    }, this.queryEmbeddingTTL)
+  }
+
+  /**
+   * Pick the top tables, then add tables that connect them (join tables) and
+   * tables they reference, up to maxTables
+   */
+  selectTables (scores, schema, maxTables) {
+    const tablesByName = new Map(schema.tables.map(table => [table.name, table]))
+    const graph = this.buildGraph(schema.relationships || [])
+
+    const ranked = schema.tables
+      .map(table => ({ name: table.name, score: scores.get(table.name) || 0 }))
+      .sort((a, b) => b.score - a.score)
+
+    const seeds = ranked.filter(entry => entry.score > 0).map(entry => entry.name)
+
+    // Nothing matched: prefer well-connected tables over an arbitrary slice
+    if (seeds.length === 0) {
+      const tables = [...schema.tables]
+        .sort((a, b) => (graph.get(b.name)?.size || 0) - (graph.get(a.name)?.size || 0))
+        .slice(0, maxTables)
+      return { tables, expandedTables: [] }
+    }
+
+    const selected = []
+    const expanded = []
+    const add = (name, isExpansion) => {
+      if (selected.length >= maxTables || selected.includes(name) || !tablesByName.has(name)) return
+      selected.push(name)
+      if (isExpansion) expanded.push(name)
+    }
+
+    for (const seed of seeds) {
+      if (selected.length >= maxTables) break
+      const connectTo = [...selected]
+      add(seed, false)
+
+      // Bridge the new seed to the tables already selected
+      connectTo.forEach(other => {
+        const path = this.findPath(graph, seed, other)
+        if (path) path.slice(1, -1).forEach(name => add(name, true))
+      })
+    }
+
+    // Fill remaining slots with tables referenced by the selection
+    const referenced = (schema.relationships || [])
+      .filter(rel => selected.includes(rel.fromTable))
+      .map(rel => rel.toTable)
+    referenced.forEach(name => add(name, true))
+
+    return {
+      tables: selected.map(name => tablesByName.get(name)),
+      expandedTables: expanded
+    }
+  }
+
+  /**
+   * Undirected adjacency of tables linked by foreign keys
+   */
+  buildGraph (relationships) {
+    const graph = new Map()
+    const link = (from, to) => {
+      if (!graph.has(from)) graph.set(from, new Set())
+      graph.get(from).add(to)
+    }
+    relationships.forEach(rel => {
+      if (rel.fromTable === rel.toTable) return
+      link(rel.fromTable, rel.toTable)
+      link(rel.toTable, rel.fromTable)
+    })
+    return graph
+  }
+
+  /**
+   * Shortest foreign-key path between two tables (breadth-first, bounded depth)
+   */
+  findPath (graph, from, to) {
+    const queue = [[from]]
+    const visited = new Set([from])
+
+    while (queue.length > 0) {
+      const path = queue.shift()
+      const current = path[path.length - 1]
+
+      if (current === to) return path
+      if (path.length > this.maxBridgeDepth) continue
+
+      for (const next of graph.get(current) || []) {
+        if (!visited.has(next)) {
+          visited.add(next)
+          queue.push([...path, next])
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Scale scores to 0..1 by the maximum
+   */
+  normalize (scores) {
+    const max = Math.max(0, ...scores.values())
+    const normalized = new Map()
+    scores.forEach((score, key) => normalized.set(key, max > 0 ? Math.max(0, score) / max : 0))
+    return normalized
+  }
+
+  /**
+   * Schema version used to detect refreshes; falls back to the table layout
+   */
+  fingerprint (schema) {
+    if (schema.metadata?.fetchedAt) {
+      return `${schema.metadata.fetchedAt}:${schema.tables.length}`
+    }
+    const tableSignature = schema.tables
+      .map(table => `${table.name}:${table.columns.map(column => column.name).join(',')}`)
+      .join('|')
+    return crypto.createHash('md5').update(tableSignature).digest('hex')
+  }
+
+  getEmbeddingProvider () {
+    try {
+      return embeddingProviders.get(this.embeddingProviderName)
+    } catch (error) {
+      logger.warn('Embedding provider unavailable, using BM25 only:', error.message)
+      return null
+    }
+  }
+}
+
+module.exports = new SchemaRetrievalService()
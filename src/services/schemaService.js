@@ -1,22 +1,31 @@
-const database = require('../config/database')
+const crypto = require('crypto')
+const datasources = require('../config/datasources')
 const redis = require('../config/redis')
+const accessPolicyService = require('./accessPolicyService')
 const cacheService = require('./cacheService')
+const schemaRetrievalService = require('./schemaRetrievalService')
 const logger = require('../utils/logger')
 
+// Cached entries built on a data source's schema, purged when it changes
+const SCHEMA_DEPENDENT_PREFIXES = ['llm:query:', 'query:result:']
+
 class SchemaService {
   constructor () {
     this.cachePrefix = 'schema:'
     this.tableCachePrefix = 'table:'
+    // Outside the cache namespaces, so clearing caches does not lose track of versions
+    this.versionPrefix = 'schema_version:'
     this.schemaCacheTTL = 3600 // 1 hour
   }
 
   /**
    * Get complete database schema with caching
    */
-  async getSchema () {
-    const cacheKey = `${this.cachePrefix}complete`
-
+  async getSchema (datasource) {
     try {
+      const datasourceName = datasources.resolveName(datasource)
+      const cacheKey = this.getCacheKey(datasourceName)
+
       // Try to get from cache first
       const cachedSchema = await cacheService.get(cacheKey)
       if (cachedSchema) {
@@ -24,14 +33,7 @@ class SchemaService {
         return cachedSchema
       }
 
-      // Fetch fresh schema from database
-      const schema = await this.fetchSchemaFromDatabase()
-
-      // Cache the schema
-      await cacheService.set(cacheKey, schema, this.schemaCacheTTL)
-
-      logger.info(`Schema fetched and cached: ${schema.tables.length} tables`)
-      return schema
+      return await this.refreshSchema(datasourceName)
     } catch (error) {
       logger.error('Error getting schema:', error)
       throw error
@@ -39,18 +41,46 @@ class SchemaService {
   }
 
   /**
-   * Get filtered schema based on relevant tables for a query
+   * Fetch the schema from the database and replace the cached copy
+   */
+  async refreshSchema (datasource) {
+    const datasourceName = datasources.resolveName(datasource)
+    const schema = await this.fetchSchemaFromDatabase(datasourceName)
+
+    await cacheService.set(this.getCacheKey(datasourceName), schema, this.schemaCacheTTL)
+
+    // Re-index for retrieval in the background; lookups build on demand if this is still running
+    schemaRetrievalService.rebuild(schema).catch(error => {
+      logger.warn('Error rebuilding schema retrieval index:', error.message)
+    })
+
+    logger.info(`Schema fetched and cached: ${schema.tables.length} tables (datasource: ${datasourceName})`)
+    return schema
+  }
+
+  /**
+   * Get the schema as the user's access policy lets them see it
+   */
+  async getVisibleSchema (datasource, user) {
+    return accessPolicyService.filterSchema(await this.getSchema(datasource), user)
+  }
+
+  /**
+   * Get filtered schema based on relevant tables for a query, limited to what
+   * the user's access policy lets them see
    */
-  async getRelevantSchema (userQuery, maxTables = 10) {
+  async getRelevantSchema (userQuery, maxTables = 10, datasource, user) {
     try {
-      const fullSchema = await this.getSchema()
-      const relevantTables = this.findRelevantTables(userQuery, fullSchema.tables, maxTables)
+      const fullSchema = await this.getSchema(datasource)
+      const visibleSchema = accessPolicyService.filterSchema(fullSchema, user)
+      const { tables, retrieval } = await this.findRelevantTables(userQuery, visibleSchema, maxTables, fullSchema)
 
       return {
-        ...fullSchema,
-        tables: relevantTables,
+        ...visibleSchema,
+        tables,
         filtered: true,
-        originalTableCount: fullSchema.tables.length
+        originalTableCount: visibleSchema.tables.length,
+        retrieval
       }
     } catch (error) {
       logger.error('Error getting relevant schema:', error)
@@ -61,17 +91,31 @@ class SchemaService {
   /**
    * Fetch schema directly from database
    */
-  async fetchSchemaFromDatabase () {
+  async fetchSchemaFromDatabase (datasource) {
     try {
-      const dbType = process.env.DB_TYPE || 'postgresql'
+      const connection = datasources.get(datasource)
+      const dbType = connection.dbType
 
+      let schema
       if (dbType === 'postgresql') {
-        return await this.fetchPostgreSQLSchema()
+        schema = await this.fetchPostgreSQLSchema(connection)
       } else if (dbType === 'mysql') {
-        return await this.fetchMySQLSchema()
+        schema = await this.fetchMySQLSchema(connection)
+      } else if (dbType === 'sqlite') {
+        schema = await this.fetchSQLiteSchema(connection)
+      } else if (dbType === 'duckdb') {
+        schema = await this.fetchDuckDBSchema(connection)
       } else {
         throw new Error(`Unsupported database type: ${dbType}`)
       }
+
+      schema.metadata.datasource = connection.name
+      schema.metadata.dbType = dbType
+
+      const { version, fingerprint } = await this.updateVersion(connection.name, schema)
+      schema.metadata.version = version
+      schema.metadata.fingerprint = fingerprint
+      return schema
     } catch (error) {
       logger.error('Error fetching schema from database:', error)
       throw error
@@ -79,87 +123,168 @@ class SchemaService {
   }
 
   /**
-   * Fetch PostgreSQL schema
+   * Fetch PostgreSQL schema: tables, views and materialized views of the
+   * data source's schemas, read from the catalogs by oid so same-named
+   * objects in different schemas never mix
    */
-  async fetchPostgreSQLSchema () {
+  async fetchPostgreSQLSchema (connection) {
+    const schemas = connection.schemas
+
     const tablesQuery = `
-      SELECT 
-        t.table_name,
-        t.table_type,
-        obj_description(c.oid) as table_comment
-      FROM information_schema.tables t
-      LEFT JOIN pg_class c ON c.relname = t.table_name
-      WHERE t.table_schema = 'public'
-      AND t.table_type = 'BASE TABLE'
-      ORDER BY t.table_name;
+      SELECT
+        n.nspname as table_schema,
+        c.relname as table_name,
+        CASE c.relkind
+          WHEN 'v' THEN 'VIEW'
+          WHEN 'm' THEN 'MATERIALIZED VIEW'
+          WHEN 'f' THEN 'FOREIGN TABLE'
+          ELSE 'BASE TABLE'
+        END as table_type,
+        obj_description(c.oid, 'pg_class') as table_comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ANY($1)
+      AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+      AND NOT c.relispartition
+      AND has_table_privilege(c.oid, 'SELECT')
+      ORDER BY n.nspname, c.relname;
     `
 
+    // Enum columns carry their labels, in declaration order
     const columnsQuery = `
-      SELECT 
-        c.table_name,
-        c.column_name,
-        c.data_type,
-        c.is_nullable,
-        c.column_default,
-        c.character_maximum_length,
-        c.numeric_precision,
-        c.numeric_scale,
-        col_description(pgc.oid, c.ordinal_position) as column_comment
-      FROM information_schema.columns c
-      LEFT JOIN pg_class pgc ON pgc.relname = c.table_name
-      WHERE c.table_schema = 'public'
-      ORDER BY c.table_name, c.ordinal_position;
+      SELECT
+        n.nspname as table_schema,
+        c.relname as table_name,
+        a.attname as column_name,
+        format_type(a.atttypid, NULL) as data_type,
+        CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END as is_nullable,
+        pg_get_expr(d.adbin, d.adrelid) as column_default,
+        CASE WHEN a.atttypid IN (1042, 1043) AND a.atttypmod > 0 THEN a.atttypmod - 4 END as character_maximum_length,
+        CASE WHEN a.atttypid = 1700 AND a.atttypmod > 0 THEN ((a.atttypmod - 4) >> 16) & 65535 END as numeric_precision,
+        CASE WHEN a.atttypid = 1700 AND a.atttypmod > 0 THEN (a.atttypmod - 4) & 65535 END as numeric_scale,
+        col_description(c.oid, a.attnum) as column_comment,
+        CASE WHEN t.typtype = 'e' THEN (
+          SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder) FROM pg_enum e WHERE e.enumtypid = t.oid
+        ) END as allowed_values
+      FROM pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_type t ON t.oid = a.atttypid
+      LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+      WHERE n.nspname = ANY($1)
+      AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+      AND NOT c.relispartition
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      ORDER BY n.nspname, c.relname, a.attnum;
     `
 
+    // Multi-column keys are unnested pairwise, so their columns stay matched
     const foreignKeysQuery = `
       SELECT
-        tc.table_name,
-        kcu.column_name,
-        ccu.table_name AS foreign_table_name,
-        ccu.column_name AS foreign_column_name,
-        tc.constraint_name
-      FROM information_schema.table_constraints AS tc
-      JOIN information_schema.key_column_usage AS kcu
-        ON tc.constraint_name = kcu.constraint_name
-        AND tc.table_schema = kcu.table_schema
-      JOIN information_schema.constraint_column_usage AS ccu
-        ON ccu.constraint_name = tc.constraint_name
-        AND ccu.table_schema = tc.table_schema
-      WHERE tc.constraint_type = 'FOREIGN KEY'
-      AND tc.table_schema = 'public';
+        n.nspname as table_schema,
+        c.relname as table_name,
+        a.attname as column_name,
+        fn.nspname as foreign_table_schema,
+        fc.relname as foreign_table_name,
+        fa.attname as foreign_column_name,
+        con.conname as constraint_name
+      FROM pg_constraint con
+      JOIN pg_class c ON c.oid = con.conrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_class fc ON fc.oid = con.confrelid
+      JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+      CROSS JOIN LATERAL unnest(con.conkey, con.confkey) AS k(attnum, foreign_attnum)
+      JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+      JOIN pg_attribute fa ON fa.attrelid = con.confrelid AND fa.attnum = k.foreign_attnum
+      WHERE con.contype = 'f'
+      AND n.nspname = ANY($1)
+      AND NOT c.relispartition
+      ORDER BY n.nspname, c.relname, con.conname;
     `
 
-    const [tablesResult, columnsResult, foreignKeysResult] = await Promise.all([
-      database.query(tablesQuery),
-      database.query(columnsQuery),
-      database.query(foreignKeysQuery)
+    // Expression and partial indexes say little about plain column filters and are left out
+    const indexesQuery = `
+      SELECT
+        n.nspname as table_schema,
+        c.relname as table_name,
+        i.relname as index_name,
+        ARRAY(
+          SELECT a.attname::text
+          FROM unnest(ix.indkey::int2[]) WITH ORDINALITY AS k(attnum, position)
+          JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = k.attnum
+          WHERE k.position <= ix.indnkeyatts
+          ORDER BY k.position
+        ) as column_names,
+        ix.indisunique as is_unique,
+        ix.indisprimary as is_primary
+      FROM pg_index ix
+      JOIN pg_class c ON c.oid = ix.indrelid
+      JOIN pg_class i ON i.oid = ix.indexrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ANY($1)
+      AND NOT c.relispartition
+      AND ix.indpred IS NULL
+      AND 0 <> ALL (ix.indkey::int2[])
+      ORDER BY n.nspname, c.relname, i.relname;
+    `
+
+    const checksQuery = `
+      SELECT
+        n.nspname as table_schema,
+        c.relname as table_name,
+        pg_get_constraintdef(con.oid) as check_clause
+      FROM pg_constraint con
+      JOIN pg_class c ON c.oid = con.conrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE con.contype = 'c'
+      AND n.nspname = ANY($1)
+      AND NOT c.relispartition
+      ORDER BY n.nspname, c.relname, con.conname;
+    `
+
+    const [tablesResult, columnsResult, foreignKeysResult, indexesResult, checksResult] = await Promise.all([
+      connection.query(tablesQuery, [schemas]),
+      connection.query(columnsQuery, [schemas]),
+      connection.query(foreignKeysQuery, [schemas]),
+      connection.query(indexesQuery, [schemas]),
+      connection.query(checksQuery, [schemas])
     ])
 
-    return this.buildSchemaObject(tablesResult.rows, columnsResult.rows, foreignKeysResult.rows)
+    return this.buildSchemaObject(tablesResult.rows, columnsResult.rows, foreignKeysResult.rows, {
+      indexes: indexesResult.rows,
+      checks: checksResult.rows,
+      defaultSchema: schemas[0]
+    })
   }
 
   /**
-   * Fetch MySQL schema
+   * Fetch MySQL schema: tables and views of the data source's databases
    */
-  async fetchMySQLSchema () {
-    const dbName = process.env.DB_NAME
+  async fetchMySQLSchema (connection) {
+    const schemas = connection.schemas
+    const placeholders = schemas.map(() => '?').join(', ')
 
     const tablesQuery = `
-      SELECT 
+      SELECT
+        TABLE_SCHEMA as table_schema,
         TABLE_NAME as table_name,
         TABLE_TYPE as table_type,
         TABLE_COMMENT as table_comment
       FROM information_schema.TABLES
-      WHERE TABLE_SCHEMA = ?
-      AND TABLE_TYPE = 'BASE TABLE'
-      ORDER BY TABLE_NAME;
+      WHERE TABLE_SCHEMA IN (${placeholders})
+      AND TABLE_TYPE IN ('BASE TABLE', 'VIEW')
+      ORDER BY TABLE_SCHEMA, TABLE_NAME;
     `
 
+    // COLUMN_TYPE spells out the values of ENUM and SET columns
     const columnsQuery = `
-      SELECT 
+      SELECT
+        TABLE_SCHEMA as table_schema,
         TABLE_NAME as table_name,
         COLUMN_NAME as column_name,
         DATA_TYPE as data_type,
+        COLUMN_TYPE as column_type,
         IS_NULLABLE as is_nullable,
         COLUMN_DEFAULT as column_default,
         CHARACTER_MAXIMUM_LENGTH as character_maximum_length,
@@ -167,151 +292,493 @@ class SchemaService {
         NUMERIC_SCALE as numeric_scale,
         COLUMN_COMMENT as column_comment
       FROM information_schema.COLUMNS
-      WHERE TABLE_SCHEMA = ?
-      ORDER BY TABLE_NAME, ORDINAL_POSITION;
+      WHERE TABLE_SCHEMA IN (${placeholders})
+      ORDER BY TABLE_SCHEMA, TABLE_NAME, ORDINAL_POSITION;
     `
 
     const foreignKeysQuery = `
       SELECT
+        TABLE_SCHEMA as table_schema,
         TABLE_NAME as table_name,
         COLUMN_NAME as column_name,
+        REFERENCED_TABLE_SCHEMA as foreign_table_schema,
         REFERENCED_TABLE_NAME as foreign_table_name,
         REFERENCED_COLUMN_NAME as foreign_column_name,
         CONSTRAINT_NAME as constraint_name
       FROM information_schema.KEY_COLUMN_USAGE
-      WHERE TABLE_SCHEMA = ?
+      WHERE TABLE_SCHEMA IN (${placeholders})
       AND REFERENCED_TABLE_NAME IS NOT NULL;
     `
 
-    const [tablesResult, columnsResult, foreignKeysResult] = await Promise.all([
-      database.query(tablesQuery, [dbName]),
-      database.query(columnsQuery, [dbName]),
-      database.query(foreignKeysQuery, [dbName])
+    // Functional key parts have no column name and are left out
+    const indexesQuery = `
+      SELECT
+        TABLE_SCHEMA as table_schema,
+        TABLE_NAME as table_name,
+        INDEX_NAME as index_name,
+        GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX SEPARATOR ',') as column_names,
+        MIN(NON_UNIQUE) = 0 as is_unique,
+        INDEX_NAME = 'PRIMARY' as is_primary
+      FROM information_schema.STATISTICS
+      WHERE TABLE_SCHEMA IN (${placeholders})
+      AND COLUMN_NAME IS NOT NULL
+      GROUP BY TABLE_SCHEMA, TABLE_NAME, INDEX_NAME
+      ORDER BY TABLE_SCHEMA, TABLE_NAME, INDEX_NAME;
+    `
+
+    const checksQuery = `
+      SELECT
+        tc.TABLE_SCHEMA as table_schema,
+        tc.TABLE_NAME as table_name,
+        cc.CHECK_CLAUSE as check_clause
+      FROM information_schema.TABLE_CONSTRAINTS tc
+      JOIN information_schema.CHECK_CONSTRAINTS cc
+        ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA
+        AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+      WHERE tc.TABLE_SCHEMA IN (${placeholders})
+      AND tc.CONSTRAINT_TYPE = 'CHECK';
+    `
+
+    const [tablesResult, columnsResult, foreignKeysResult, indexesResult, checksResult] = await Promise.all([
+      connection.query(tablesQuery, schemas),
+      connection.query(columnsQuery, schemas),
+      connection.query(foreignKeysQuery, schemas),
+      connection.query(indexesQuery, schemas),
+      // CHECK_CONSTRAINTS arrived in MySQL 8.0.16; older servers do not enforce checks anyway
+      connection.query(checksQuery, schemas).catch(error => {
+        logger.debug(`Check constraints unavailable (datasource: ${connection.name}): ${error.message}`)
+        return { rows: [] }
+      })
     ])
 
-    return this.buildSchemaObject(tablesResult.rows, columnsResult.rows, foreignKeysResult.rows)
+    const columns = columnsResult.rows.map(column => ({ ...column, allowed_values: enumValues(column.column_type) }))
+
+    return this.buildSchemaObject(tablesResult.rows, columns, foreignKeysResult.rows, {
+      indexes: indexesResult.rows,
+      checks: checksResult.rows,
+      defaultSchema: schemas[0]
+    })
   }
 
   /**
-   * Build schema object from query results
+   * Fetch SQLite schema: tables and views of the main database. SQLite has
+   * no comment metadata, so comments stay empty, and keeps check constraints
+   * only in the CREATE TABLE statement, so they are read from there.
    */
-  buildSchemaObject (tables, columns, foreignKeys) {
-    const schema = {
-      tables: [],
-      relationships: [],
-      metadata: {
-        fetchedAt: new Date().toISOString(),
-        tableCount: tables.length,
-        totalColumns: columns.length
-      }
-    }
+  async fetchSQLiteSchema (connection) {
+    const tablesQuery = `
+      SELECT
+        'main' as table_schema,
+        name as table_name,
+        CASE type WHEN 'view' THEN 'VIEW' ELSE 'BASE TABLE' END as table_type,
+        NULL as table_comment,
+        sql
+      FROM sqlite_master
+      WHERE type IN ('table', 'view')
+      AND name NOT LIKE 'sqlite_%'
+      ORDER BY name;
+    `
 
-    // Group columns by table
-    const columnsByTable = columns.reduce((acc, col) => {
-      if (!acc[col.table_name]) {
-        acc[col.table_name] = []
-      }
-      acc[col.table_name].push({
-        name: col.column_name,
-        type: col.data_type,
-        nullable: col.is_nullable === 'YES',
-        default: col.column_default,
-        maxLength: col.character_maximum_length,
-        precision: col.numeric_precision,
-        scale: col.numeric_scale,
-        comment: col.column_comment
-      })
+    const columnsQuery = `
+      SELECT
+        'main' as table_schema,
+        m.name as table_name,
+        p.name as column_name,
+        lower(p.type) as data_type,
+        CASE WHEN p."notnull" = 0 AND p.pk = 0 THEN 'YES' ELSE 'NO' END as is_nullable,
+        p.dflt_value as column_default,
+        NULL as character_maximum_length,
+        NULL as numeric_precision,
+        NULL as numeric_scale,
+        NULL as column_comment
+      FROM sqlite_master m
+      JOIN pragma_table_info(m.name) p
+      WHERE m.type IN ('table', 'view')
+      AND m.name NOT LIKE 'sqlite_%'
+      ORDER BY m.name, p.cid;
+    `
+
+    // `REFERENCES parent` without columns points at the parent's primary key
+    const foreignKeysQuery = `
+      SELECT
+        'main' as table_schema,
+        m.name as table_name,
+        f."from" as column_name,
+        'main' as foreign_table_schema,
+        f."table" as foreign_table_name,
+        COALESCE(f."to", pk.name) as foreign_column_name,
+        'fk_' || m.name || '_' || f.id as constraint_name
+      FROM sqlite_master m
+      JOIN pragma_foreign_key_list(m.name) f
+      LEFT JOIN pragma_table_info(f."table") pk ON pk.pk = f.seq + 1
+      WHERE m.type = 'table'
+      AND m.name NOT LIKE 'sqlite_%';
+    `
+
+    // An INTEGER PRIMARY KEY is the rowid and has no index of its own, so
+    // primary keys come from the table info instead of the index list
+    const indexesQuery = `
+      SELECT
+        'main' as table_schema,
+        m.name as table_name,
+        il.name as index_name,
+        (SELECT json_group_array(ii.name) FROM (SELECT name FROM pragma_index_info(il.name) ORDER BY seqno) ii) as column_names,
+        il."unique" as is_unique,
+        0 as is_primary
+      FROM sqlite_master m
+      JOIN pragma_index_list(m.name) il
+      WHERE m.type = 'table'
+      AND m.name NOT LIKE 'sqlite_%'
+      AND il.origin <> 'pk'
+      AND il.partial = 0
+      UNION ALL
+      SELECT
+        'main',
+        m.name,
+        'pk_' || m.name,
+        (SELECT json_group_array(p.name) FROM (SELECT name FROM pragma_table_info(m.name) WHERE pk > 0 ORDER BY pk) p),
+        1,
+        1
+      FROM sqlite_master m
+      WHERE m.type = 'table'
+      AND m.name NOT LIKE 'sqlite_%'
+      AND EXISTS (SELECT 1 FROM pragma_table_info(m.name) WHERE pk > 0);
+    `
+
+    const [tablesResult, columnsResult, foreignKeysResult, indexesResult] = await Promise.all([
+      connection.query(tablesQuery),
+      connection.query(columnsQuery),
+      connection.query(foreignKeysQuery),
+      connection.query(indexesQuery)
+    ])
+
+    const checks = tablesResult.rows.flatMap(table => extractChecks(table.sql).map(clause => ({
+      table_schema: 'main',
+      table_name: table.table_name,
+      check_clause: clause
+    })))
+
+    return this.buildSchemaObject(tablesResult.rows, columnsResult.rows, foreignKeysResult.rows, {
+      indexes: indexesResult.rows,
+      checks,
+      defaultSchema: 'main'
+    })
+  }
+
+  /**
+   * Fetch DuckDB schema: tables and views of the data source's schemas, with
+   * comments from duckdb_tables()/duckdb_columns() and keys, indexes and
+   * checks from duckdb_constraints()/duckdb_indexes()
+   */
+  async fetchDuckDBSchema (connection) {
+    const schemas = connection.schemas
+    const placeholders = schemas.map(() => '?').join(', ')
+
+    const tablesQuery = `
+      SELECT
+        t.table_schema,
+        t.table_name,
+        t.table_type,
+        COALESCE(dt.comment, dv.comment) as table_comment
+      FROM information_schema.tables t
+      LEFT JOIN duckdb_tables() dt
+        ON dt.database_name = t.table_catalog
+        AND dt.schema_name = t.table_schema
+        AND dt.table_name = t.table_name
+      LEFT JOIN duckdb_views() dv
+        ON dv.database_name = t.table_catalog
+        AND dv.schema_name = t.table_schema
+        AND dv.view_name = t.table_name
+      WHERE t.table_catalog = current_database()
+      AND t.table_schema IN (${placeholders})
+      AND t.table_type IN ('BASE TABLE', 'VIEW')
+      ORDER BY t.table_schema, t.table_name;
+    `
+
+    // data_type keeps its case here: it spells out the values of ENUM columns
+    const columnsQuery = `
+      SELECT
+        c.table_schema,
+        c.table_name,
+        c.column_name,
+        lower(c.data_type) as data_type,
+        c.data_type as column_type,
+        c.is_nullable,
+        c.column_default,
+        c.character_maximum_length,
+        c.numeric_precision,
+        c.numeric_scale,
+        dc.comment as column_comment
+      FROM information_schema.columns c
+      LEFT JOIN duckdb_columns() dc
+        ON dc.database_name = c.table_catalog
+        AND dc.schema_name = c.table_schema
+        AND dc.table_name = c.table_name
+        AND dc.column_name = c.column_name
+      WHERE c.table_catalog = current_database()
+      AND c.table_schema IN (${placeholders})
+      ORDER BY c.table_schema, c.table_name, c.ordinal_position;
+    `
+
+    // Multi-column keys come back as parallel arrays; unnest pairs them up.
+    // Foreign keys cannot cross schemas in DuckDB.
+    const foreignKeysQuery = `
+      SELECT
+        schema_name as table_schema,
+        table_name,
+        unnest(constraint_column_names) as column_name,
+        schema_name as foreign_table_schema,
+        referenced_table as foreign_table_name,
+        unnest(referenced_column_names) as foreign_column_name,
+        constraint_name
+      FROM duckdb_constraints()
+      WHERE constraint_type = 'FOREIGN KEY'
+      AND database_name = current_database()
+      AND schema_name IN (${placeholders});
+    `
+
+    const indexesQuery = `
+      SELECT
+        schema_name as table_schema,
+        table_name,
+        constraint_name as index_name,
+        constraint_column_names as column_names,
+        true as is_unique,
+        constraint_type = 'PRIMARY KEY' as is_primary
+      FROM duckdb_constraints()
+      WHERE constraint_type IN ('PRIMARY KEY', 'UNIQUE')
+      AND database_name = current_database()
+      AND schema_name IN (${placeholders})
+      UNION ALL
+      SELECT
+        schema_name,
+        table_name,
+        index_name,
+        string_split(trim(expressions, '[]'), ', '),
+        is_unique,
+        is_primary
+      FROM duckdb_indexes()
+      WHERE database_name = current_database()
+      AND schema_name IN (${placeholders});
+    `
+
+    const checksQuery = `
+      SELECT
+        schema_name as table_schema,
+        table_name,
+        expression as check_clause
+      FROM duckdb_constraints()
+      WHERE constraint_type = 'CHECK'
+      AND database_name = current_database()
+      AND schema_name IN (${placeholders});
+    `
+
+    const [tablesResult, columnsResult, foreignKeysResult, indexesResult, checksResult] = await Promise.all([
+      connection.query(tablesQuery, schemas),
+      connection.query(columnsQuery, schemas),
+      connection.query(foreignKeysQuery, schemas),
+      connection.query(indexesQuery, [...schemas, ...schemas]),
+      connection.query(checksQuery, schemas)
+    ])
+
+    const columns = columnsResult.rows.map(column => ({ ...column, allowed_values: enumValues(column.column_type) }))
+
+    return this.buildSchemaObject(tablesResult.rows, columns, foreignKeysResult.rows, {
+      indexes: indexesResult.rows,
+      checks: checksResult.rows,
+      defaultSchema: schemas[0]
+    })
+  }
+
+  /**
+   * Build the schema object from query results. Tables outside the default
+   * schema are named `schema.table`, the way queries have to reference them.
+   * Each table lists its primary key, unique constraints, indexes and check
+   * constraints; columns limited to a set of values (enums, `IN` checks)
+   * list them in `allowedValues`.
+   */
+  buildSchemaObject (tables, columns, foreignKeys, { indexes = [], checks = [], defaultSchema = null } = {}) {
+    const qualify = (schemaName, tableName) => schemaName && schemaName !== defaultSchema ? `${schemaName}.${tableName}` : tableName
+
+    const groupByTable = (rows, build) => rows.reduce((acc, row) => {
+      const key = qualify(row.table_schema, row.table_name)
+      if (!acc[key]) acc[key] = []
+      acc[key].push(build(row))
       return acc
     }, {})
 
-    // Build table objects
-    schema.tables = tables.map(table => ({
-      name: table.table_name,
-      type: table.table_type,
-      comment: table.table_comment,
-      columns: columnsByTable[table.table_name] || []
+    const columnsByTable = groupByTable(columns, col => ({
+      name: col.column_name,
+      type: col.data_type,
+      nullable: col.is_nullable === 'YES',
+      default: col.column_default,
+      maxLength: col.character_maximum_length,
+      precision: col.numeric_precision,
+      scale: col.numeric_scale,
+      comment: col.column_comment,
+      allowedValues: toList(col.allowed_values)
     }))
-
-    // Build relationships
-    schema.relationships = foreignKeys.map(fk => ({
-      fromTable: fk.table_name,
-      fromColumn: fk.column_name,
-      toTable: fk.foreign_table_name,
-      toColumn: fk.foreign_column_name,
-      constraintName: fk.constraint_name
+    const indexesByTable = groupByTable(indexes, index => ({
+      name: index.index_name,
+      columns: toList(index.column_names) || [],
+      unique: !!Number(index.is_unique),
+      primary: !!Number(index.is_primary)
     }))
+    const checksByTable = groupByTable(checks, check => normalizeCheck(check.check_clause))
+
+    const schema = {
+      tables: tables.map(table => {
+        const name = qualify(table.table_schema, table.table_name)
+        const tableColumns = columnsByTable[name] || []
+        const tableIndexes = (indexesByTable[name] || []).filter(index => index.columns.length > 0)
+        const checkConstraints = checksByTable[name] || []
+
+        // A single-column IN check pins the column's values like an enum does
+        checkConstraints.forEach(clause => {
+          const allowed = allowedValuesFromCheck(clause)
+          const column = allowed && tableColumns.find(col => col.name.toLowerCase() === allowed.column.toLowerCase())
+          if (column && !column.allowedValues) column.allowedValues = allowed.values
+        })
+
+        const primaryKey = tableIndexes.find(index => index.primary)
+        const uniqueKeys = tableIndexes.filter(index => index.unique && !index.primary).map(index => index.columns)
+        return {
+          name,
+          schema: table.table_schema || null,
+          type: table.table_type,
+          comment: table.table_comment,
+          columns: tableColumns,
+          primaryKey: primaryKey ? primaryKey.columns : [],
+          uniqueConstraints: uniqueKeys.filter((columns, index) => uniqueKeys.findIndex(other => other.join() === columns.join()) === index),
+          indexes: tableIndexes.filter(index => !index.primary).map(({ name, columns, unique }) => ({ name, columns, unique })),
+          checkConstraints
+        }
+      }),
+      relationships: foreignKeys.map(fk => ({
+        fromTable: qualify(fk.table_schema, fk.table_name),
+        fromColumn: fk.column_name,
+        toTable: qualify(fk.foreign_table_schema, fk.foreign_table_name),
+        toColumn: fk.foreign_column_name,
+        constraintName: fk.constraint_name
+      })),
+      metadata: {
+        fetchedAt: new Date().toISOString(),
+        tableCount: tables.length,
+        totalColumns: 0,
+        schemas: [...new Set(tables.map(table => table.table_schema).filter(Boolean))]
+      }
+    }
+    schema.metadata.totalColumns = schema.tables.reduce((sum, table) => sum + table.columns.length, 0)
 
     return schema
   }
 
   /**
-   * Find relevant tables based on user query
+   * Find relevant tables for a user query by BM25/embedding retrieval over
+   * table and column names and comments, expanded along foreign keys
    */
-  findRelevantTables (userQuery, tables, maxTables) {
-    const queryLower = userQuery.toLowerCase()
-    const scoredTables = tables.map(table => {
-      let score = 0
-
-      // Score based on table name match
-      if (queryLower.includes(table.name.toLowerCase())) {
-        score += 10
-      }
-
-      // Score based on table comment match
-      if (table.comment && queryLower.includes(table.comment.toLowerCase())) {
-        score += 5
-      }
-
-      // Score based on column name matches
-      table.columns.forEach(column => {
-        if (queryLower.includes(column.name.toLowerCase())) {
-          score += 3
-        }
-        if (column.comment && queryLower.includes(column.comment.toLowerCase())) {
-          score += 2
-        }
-      })
+  async findRelevantTables (userQuery, schema, maxTables = 10, indexSchema = schema) {
+    return await schemaRetrievalService.findRelevantTables(userQuery, schema, maxTables, indexSchema)
+  }
 
-      // Boost score for common business tables
-      const commonTables = ['user', 'customer', 'order', 'product', 'sale', 'invoice', 'payment']
-      if (commonTables.some(common => table.name.toLowerCase().includes(common))) {
-        score += 2
+  /**
+   * Invalidate the schema cache of one data source, or of all when none is given
+   */
+  async invalidateCache (datasource) {
+    try {
+      const names = datasource ? [datasources.resolveName(datasource)] : datasources.names()
+      for (const name of names) {
+        await redis.del(this.getCacheKey(name))
+        schemaRetrievalService.clear(name)
       }
+      logger.info(`Schema cache invalidated: ${names.join(', ')}`)
+    } catch (error) {
+      logger.error('Error invalidating schema cache:', error)
+    }
+  }
 
-      return { ...table, _relevanceScore: score }
-    })
+  getCacheKey (datasource) {
+    return `${this.cachePrefix}${datasource}:complete`
+  }
 
-    // Sort by relevance score and return top tables
-    return scoredTables
-      .sort((a, b) => b._relevanceScore - a._relevanceScore)
-      .slice(0, maxTables)
-      .map(({ _relevanceScore, ...table }) => table)
+  /**
+   * Fingerprint of a schema's structure: its tables, columns with their types
+   * and foreign keys, in any order. Comments and fetch times do not count.
+   */
+  fingerprint (schema) {
+    const tables = schema.tables
+      .map(table => JSON.stringify([table.name, table.columns.map(column => [column.name, column.type, !!column.nullable])]))
+      .sort()
+    const relationships = (schema.relationships || [])
+      .map(rel => `${rel.fromTable}.${rel.fromColumn}->${rel.toTable}.${rel.toColumn}`)
+      .sort()
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([tables, relationships]))
+      .digest('hex')
+      .substring(0, 16)
   }
 
   /**
-   * Invalidate schema cache
+   * Record the fingerprint of a freshly fetched schema. A changed fingerprint
+   * bumps the data source's schema version and purges the generated SQL and
+   * query results cached for it, which may reference dropped tables or
+   * columns. Resolves to { version, fingerprint, changedAt }; the version is
+   * null when it could not be tracked, which does not fail the fetch.
    */
-  async invalidateCache () {
+  async updateVersion (datasource, schema) {
+    const fingerprint = this.fingerprint(schema)
+
     try {
-      const cacheKey = `${this.cachePrefix}complete`
-      await redis.del(cacheKey)
-      logger.info('Schema cache invalidated')
+      const key = this.getVersionKey(datasource)
+      const current = await redis.get(key)
+      if (current?.fingerprint === fingerprint) return current
+
+      const next = {
+        version: (current?.version || 0) + 1,
+        fingerprint,
+        changedAt: new Date().toISOString()
+      }
+      await redis.set(key, next, null)
+
+      // The first fingerprint of a data source has nothing to compare against
+      if (current) {
+        const purged = await this.purgeDependentCaches(datasource)
+        logger.info(`Schema change detected (datasource: ${datasource}, version ${next.version}); purged ${purged} cached queries and results`)
+      }
+      return next
     } catch (error) {
-      logger.error('Error invalidating schema cache:', error)
+      logger.warn('Error tracking schema version:', error.message)
+      return { version: null, fingerprint, changedAt: null }
+    }
+  }
+
+  /**
+   * Delete the generated SQL and query results cached for a data source
+   */
+  async purgeDependentCaches (datasource) {
+    let purged = 0
+    for (const prefix of SCHEMA_DEPENDENT_PREFIXES) {
+      purged += await cacheService.delPattern(`${prefix}${datasource}:*`)
     }
+    return purged
+  }
+
+  getVersionKey (datasource) {
+    return `${this.versionPrefix}${datasource}`
   }
 
   /**
    * Get table statistics for monitoring
    */
-  async getTableStats () {
+  async getTableStats (datasource) {
     try {
-      const schema = await this.getSchema()
+      const schema = await this.getSchema(datasource)
       return {
         totalTables: schema.tables.length,
         totalColumns: schema.tables.reduce((sum, table) => sum + table.columns.length, 0),
         totalRelationships: schema.relationships.length,
-        lastFetched: schema.metadata.fetchedAt
+        lastFetched: schema.metadata.fetchedAt,
+        version: schema.metadata.version ?? null
       }
     } catch (error) {
       logger.error('Error getting table stats:', error)
@@ -320,4 +787,131 @@ class SchemaService {
   }
 }
 
+// 'it''s' and MySQL's _utf8mb4'it''s' alike
+const QUOTED_LITERAL = /(?:_\w+)?'((?:[^']|'')*)'/g
+
+/**
+ * Values of an ENUM/SET column type such as "enum('a','b')", or null
+ */
+const enumValues = (columnType) => {
+  const match = /^(?:enum|set)\s*\((.*)\)$/is.exec(String(columnType || '').trim())
+  if (!match) return null
+  return [...match[1].matchAll(QUOTED_LITERAL)].map(literal => literal[1].replace(/''/g, "'"))
+}
+
+/**
+ * An array from a driver value: an array, a JSON array, a PostgreSQL array
+ * literal (node-postgres returns arrays of types it does not parse, such as
+ * name[], as '{a,b}') or a comma-separated string
+ */
+const toList = (value) => {
+  if (value === null || value === undefined) return null
+  if (Array.isArray(value)) return value
+  const text = String(value)
+  if (text.startsWith('[')) return JSON.parse(text)
+  if (text.startsWith('{') && text.endsWith('}')) return parseArrayLiteral(text.slice(1, -1))
+  return text.split(',').filter(Boolean)
+}
+
+// Elements of a one-dimensional PostgreSQL array literal without its braces;
+// elements holding commas, quotes or spaces are double-quoted and escaped
+const parseArrayLiteral = (body) => {
+  const items = []
+  let item = ''
+  let quoted = false
+  let wasQuoted = false
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i]
+    if (char === '\\') {
+      item += body[++i] ?? ''
+    } else if (char === '"') {
+      quoted = !quoted
+      wasQuoted = true
+    } else if (char === ',' && !quoted) {
+      items.push(wasQuoted ? item : item.trim())
+      item = ''
+      wasQuoted = false
+    } else {
+      item += char
+    }
+  }
+  if (body.length > 0) items.push(wasQuoted ? item : item.trim())
+  return items
+}
+
+/**
+ * A check constraint without its CHECK keyword and outer parentheses
+ */
+const normalizeCheck = (clause) => {
+  let text = String(clause).trim().replace(/^check\s*/i, '')
+  while (text.startsWith('(') && closingParen(text, 0) === text.length - 1) {
+    text = text.slice(1, -1).trim()
+  }
+  return text
+}
+
+/**
+ * The column and values of a check that only lists a column's allowed
+ * values ("status IN ('a', 'b')", PostgreSQL's "status = ANY (ARRAY[...])"),
+ * or null for any other check
+ */
+const allowedValuesFromCheck = (clause) => {
+  const literals = []
+  const masked = clause.replace(QUOTED_LITERAL, (_match, value) => {
+    literals.push(value.replace(/''/g, "'"))
+    return `__literal_${literals.length - 1}__`
+  })
+  if (/\b(and|or|not)\b/i.test(masked)) return null
+
+  const match = /^[\s(]*[`"[]?(\w+)[`"\]]?\)?(?:::[\w ]+)?\s*(?:in\s*\(|=\s*any\s*\(\s*\(?\s*array\s*\[)([^()[\]]*)[)\]]/i.exec(masked)
+  if (!match) return null
+
+  const values = match[2].split(',').map(item => {
+    const token = item.trim().replace(/::[\w ]+$/, '')
+    const literal = /^__literal_(\d+)__$/.exec(token)
+    if (literal) return literals[Number(literal[1])]
+    return /^-?\d+(\.\d+)?$/.test(token) ? Number(token) : undefined
+  })
+  if (values.length === 0 || values.includes(undefined)) return null
+  return { column: match[1], values }
+}
+
+/**
+ * The CHECK (...) expressions of a CREATE TABLE statement
+ */
+const extractChecks = (sql) => {
+  const checks = []
+  const pattern = /\bcheck\s*\(/gi
+  let match
+  while ((match = pattern.exec(sql || '')) !== null) {
+    const start = match.index + match[0].length - 1
+    const end = closingParen(sql, start)
+    if (end === -1) break
+    checks.push(normalizeCheck(sql.slice(start, end + 1)))
+    pattern.lastIndex = end + 1
+  }
+  return checks
+}
+
+/**
+ * Index of the parenthesis closing the one at `start`, skipping quoted text; -1 if unbalanced
+ */
+const closingParen = (text, start) => {
+  let depth = 0
+  let quote = null
+  for (let i = start; i < text.length; i++) {
+    const char = text[i]
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char
+    } else if (char === '(') {
+      depth++
+    } else if (char === ')' && --depth === 0) {
+      return i
+    }
+  }
+  return -1
+}
+
 module.exports = new SchemaService()
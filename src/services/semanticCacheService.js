@@ -0,0 +1,366 @@
+const crypto = require('crypto')
+const redis = require('../config/redis')
+const cacheService = require('./cacheService')
+const schemaRetrievalService = require('./schemaRetrievalService')
+const { STOP_WORDS, stem, cosineSimilarity } = require('../utils/textSearch')
+const logger = require('../utils/logger')
+
+// Words folded together so paraphrases share a signature
+const CANONICAL_TERMS = {
+  most: 'top',
+  highest: 'top',
+  best: 'top',
+  largest: 'top',
+  biggest: 'top',
+  greatest: 'top',
+  maximum: 'top',
+  max: 'top',
+  leading: 'top',
+  least: 'bottom',
+  lowest: 'bottom',
+  worst: 'bottom',
+  smallest: 'bottom',
+  fewest: 'bottom',
+  minimum: 'bottom',
+  min: 'bottom',
+  money: 'revenue',
+  income: 'revenue',
+  earning: 'revenue',
+  earned: 'revenue',
+  earn: 'revenue',
+  turnover: 'revenue',
+  many: 'count',
+  number: 'count',
+  mean: 'average',
+  avg: 'average',
+  sum: 'total',
+  client: 'customer',
+  buyer: 'customer',
+  purchase: 'order',
+  goods: 'product',
+  newest: 'latest',
+  recent: 'latest',
+  oldest: 'earliest'
+}
+
+// Verbs and politeness that do not change what is asked
+const FILLER_WORDS = new Set(['made', 'make', 'generated', 'generate', 'bring', 'brought', 'please', 'ever', 'currently', 'right', 'now'])
+
+const NUMBER_WORDS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  dozen: 12,
+  fifteen: 15,
+  twenty: 20,
+  fifty: 50,
+  hundred: 100
+}
+
+/**
+ * Similarity lookup for generated SQL, in front of the model.
+ *
+ * Every question whose SQL lands in the exact cache (llm:query:) is also
+ * recorded in a per-partition index, a partition being one data source,
+ * provider, model and access policy role. A question missing from the exact
+ * cache is compared with the indexed ones: by the cosine of their embeddings
+ * when EMBEDDING_PROVIDER is configured, by the overlap of normalized token
+ * signatures (stop words dropped, plurals and synonyms folded) otherwise.
+ * Numbers, quoted values and capitalized names must match exactly, so
+ * "top 5" never serves the SQL for "top 10". The best match at or above SEMANTIC_CACHE_THRESHOLD is
+ * served. Follow-ups in a conversation and repairs never use it.
+ *
+ * Indexes live under the llm:query: namespace (llm:query:<partition>:semantic),
+ * so they are cleared and purged on schema changes with the SQL they point to.
+ */
+class SemanticCacheService {
+  constructor () {
+    this.enabled = process.env.SEMANTIC_CACHE !== 'false'
+    this.threshold = parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.9
+    this.maxEntries = parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES) || 100
+    this.cachePrefix = 'llm:query:'
+    this.indexSuffix = ':semantic'
+  }
+
+  /**
+   * Find the cached question most similar to `userQuery` in a partition.
+   * Resolves to { key, query, score, method } or null.
+   */
+  async lookup (userQuery, partition) {
+    if (!this.enabled) return null
+
+    try {
+      const index = await redis.get(this.getIndexKey(partition))
+      const entries = liveEntries(index)
+      if (entries.length === 0) return null
+
+      const probe = await this.describe(userQuery)
+      let best = null
+      for (const entry of entries) {
+        const match = this.similarity(probe, entry)
+        if (match && match.score >= this.threshold && (!best || match.score > best.score)) {
+          best = { ...match, entry }
+        }
+      }
+      if (!best) return null
+
+      return { key: best.entry.key, query: best.entry.query, score: round(best.score), method: best.method }
+    } catch (error) {
+      logger.warn('Semantic cache lookup failed:', error.message)
+      return null
+    }
+  }
+
+  /**
+   * Index a question whose SQL was cached under `key` for `ttl` seconds.
+   * `labels` ({ datasource, provider, model, role }) describe the partition
+   * to admins.
+   */
+  async remember (userQuery, partition, key, ttl, labels = {}) {
+    if (!this.enabled) return
+
+    try {
+      const indexKey = this.getIndexKey(partition)
+      const index = await redis.get(indexKey)
+      const now = Date.now()
+      const entry = {
+        key,
+        query: userQuery.trim(),
+        ...(await this.describe(userQuery)),
+        cachedAt: new Date(now).toISOString(),
+        expiresAt: now + ttl * 1000
+      }
+
+      const entries = [entry, ...liveEntries(index).filter(other => other.key !== key)].slice(0, this.maxEntries)
+      await redis.set(indexKey, { ...index, ...labels, partition, entries }, ttl)
+    } catch (error) {
+      logger.warn('Semantic cache indexing failed:', error.message)
+    }
+  }
+
+  /**
+   * Drop entries (by exact cache key) from a partition's index
+   */
+  async forget (partition, keys) {
+    const indexKey = this.getIndexKey(partition)
+    const index = await redis.get(indexKey)
+    if (!index) return 0
+
+    const entries = liveEntries(index)
+    const remaining = entries.filter(entry => !keys.includes(entry.key))
+    if (remaining.length === entries.length) return 0
+
+    if (remaining.length === 0) {
+      await redis.del(indexKey)
+    } else {
+      await redis.set(indexKey, { ...index, entries: remaining }, Math.ceil((Math.max(...remaining.map(entry => entry.expiresAt)) - Date.now()) / 1000))
+    }
+    return entries.length - remaining.length
+  }
+
+  /**
+   * Groups of cached questions that are near-duplicates of each other: any
+   * two linked by a similarity at or above `threshold`. Each cluster lists
+   * its questions with their cached SQL, so admins can spot paraphrases that
+   * were given different SQL.
+   */
+  async findClusters ({ datasource = null, threshold = this.threshold } = {}) {
+    if (!redis.isConnected) return []
+
+    const pattern = `${this.cachePrefix}${datasource ? `${datasource}:` : ''}*${this.indexSuffix}`
+    const indexKeys = await redis.scan(pattern)
+    const clusters = []
+
+    for (const indexKey of indexKeys.sort()) {
+      const index = await redis.get(indexKey)
+      const entries = liveEntries(index)
+
+      for (const group of this.groupEntries(entries, threshold)) {
+        const members = await Promise.all(group.members.map(async entry => {
+          const cached = await cacheService.get(entry.key, { trackMetrics: false })
+          return { query: entry.query, sql: cached?.sql ?? null, key: entry.key, cachedAt: entry.cachedAt }
+        }))
+
+        clusters.push({
+          id: clusterId(index.partition, members),
+          partition: index.partition,
+          datasource: index.datasource ?? null,
+          provider: index.provider ?? null,
+          model: index.model ?? null,
+          role: index.role ?? null,
+          size: members.length,
+          minSimilarity: round(group.minSimilarity),
+          distinctSql: new Set(members.map(member => member.sql)).size,
+          members
+        })
+      }
+    }
+
+    return clusters.sort((a, b) => b.size - a.size)
+  }
+
+  /**
+   * Evict a near-duplicate cluster: its questions leave the index and their
+   * cached SQL is deleted, so each is generated afresh. Resolves to
+   * { id, evicted }.
+   */
+  async evictCluster (id, options = {}) {
+    const cluster = (await this.findClusters(options)).find(candidate => candidate.id === id)
+    if (!cluster) {
+      throw clusterError('CLUSTER_NOT_FOUND', `No near-duplicate cluster ${id}`)
+    }
+
+    const keys = cluster.members.map(member => member.key)
+    await Promise.all(keys.map(key => cacheService.del(key)))
+    await this.forget(cluster.partition, keys)
+
+    logger.info(`Semantic cache cluster evicted: ${id} (${keys.length} questions)`)
+    return { id, evicted: keys.length }
+  }
+
+  /**
+   * Single-link grouping of entries; only groups of two or more are returned
+   */
+  groupEntries (entries, threshold) {
+    const parent = entries.map((_entry, index) => index)
+    const find = (index) => parent[index] === index ? index : (parent[index] = find(parent[index]))
+    const minSimilarity = new Map()
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const match = this.similarity(entries[i], entries[j])
+        if (!match || match.score < threshold) continue
+
+        const [a, b] = [find(i), find(j)]
+        const score = Math.min(match.score, minSimilarity.get(a) ?? 1, minSimilarity.get(b) ?? 1)
+        parent[b] = a
+        minSimilarity.set(a, score)
+      }
+    }
+
+    const groups = new Map()
+    entries.forEach((entry, index) => {
+      const root = find(index)
+      if (!groups.has(root)) groups.set(root, [])
+      groups.get(root).push(entry)
+    })
+
+    return [...groups.entries()]
+      .filter(([, members]) => members.length > 1)
+      .map(([root, members]) => ({ members, minSimilarity: minSimilarity.get(root) }))
+  }
+
+  /**
+   * Signature of a question: its normalized terms, its literals (numbers,
+   * quoted values and names) and, with an embedding provider, its embedding
+   */
+  async describe (userQuery) {
+    const description = signature(userQuery)
+
+    const provider = schemaRetrievalService.getEmbeddingProvider()
+    if (provider) {
+      try {
+        const vector = await schemaRetrievalService.embedQuery(userQuery, provider)
+        description.vector = vector.map(value => Math.round(value * 1e5) / 1e5)
+        description.embeddingModel = `${provider.name}:${provider.model}`
+      } catch (error) {
+        logger.warn('Question embedding failed, comparing tokens only:', error.message)
+      }
+    }
+
+    return description
+  }
+
+  /**
+   * Similarity of two signatures as { score, method }, or null when their
+   * literals differ
+   */
+  similarity (a, b) {
+    if (a.literals.join('\u0000') !== b.literals.join('\u0000')) return null
+
+    if (a.vector && b.vector && a.embeddingModel === b.embeddingModel) {
+      return { score: cosineSimilarity(a.vector, b.vector), method: 'embedding' }
+    }
+
+    const terms = new Set(b.terms)
+    const shared = a.terms.filter(term => terms.has(term)).length
+    const union = a.terms.length + b.terms.length - shared
+    return { score: union > 0 ? shared / union : 0, method: 'tokens' }
+  }
+
+  /**
+   * A semantic cache hit as shown to clients, without its cache key
+   */
+  describeHit (hit) {
+    return hit ? { score: hit.score, query: hit.query, method: hit.method } : null
+  }
+
+  getIndexKey (partition) {
+    return `${partition}${this.indexSuffix}`
+  }
+}
+
+/**
+ * Normalized terms and literals of a question
+ */
+const signature = (text) => {
+  const literals = []
+  const unquoted = String(text).replace(/'([^']*)'|"([^"]*)"/g, (_match, single, double) => {
+    literals.push((single ?? double).toLowerCase())
+    return ' '
+  })
+
+  // Capitalized words past the first are names: "orders in Books" is not "orders in Toys"
+  unquoted.split(/[^A-Za-z0-9]+/).filter(Boolean).slice(1).forEach(word => {
+    if (/^[A-Z]/.test(word) && word !== 'I') literals.push(word.toLowerCase())
+  })
+
+  const terms = []
+  unquoted.toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+    if (!word) return
+    if (/^\d+$/.test(word)) {
+      literals.push(String(Number(word)))
+      return
+    }
+    if (NUMBER_WORDS[word]) {
+      literals.push(String(NUMBER_WORDS[word]))
+      return
+    }
+    const canonical = CANONICAL_TERMS[word] || CANONICAL_TERMS[stem(word)]
+    if (!canonical && (STOP_WORDS.has(word) || FILLER_WORDS.has(word))) return
+    const term = canonical || stem(word)
+    if (term.length > 1) terms.push(term)
+  })
+
+  return { terms: [...new Set(terms)].sort(), literals: [...new Set(literals)].sort() }
+}
+
+// Entries whose cached SQL has not expired
+const liveEntries = (index) => {
+  const now = Date.now()
+  return (index?.entries || []).filter(entry => entry.expiresAt > now)
+}
+
+const clusterId = (partition, members) => crypto.createHash('md5')
+  .update(JSON.stringify([partition, members.map(member => member.key).sort()]))
+  .digest('hex')
+  .substring(0, 12)
+
+const round = (value) => Math.round(value * 1000) / 1000
+
+const clusterError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+module.exports = new SemanticCacheService()
@@ -0,0 +1,329 @@
+const { Parser } = require('node-sql-parser')
+const logger = require('../utils/logger')
+
+// Map our DB_TYPE values onto the dialect names understood by node-sql-parser.
+// node-sql-parser has no DuckDB grammar; DuckDB's SQL is PostgreSQL-compatible
+// for everything we generate, so DuckDB-only syntax is rejected as a parse error.
+const PARSER_DIALECTS = {
+  postgresql: 'PostgresQL',
+  mysql: 'MySQL',
+  sqlite: 'Sqlite',
+  duckdb: 'PostgresQL'
+}
+
+// Statement types that modify data, schema, privileges or session state
+const WRITE_STATEMENT_TYPES = [
+  'insert', 'replace', 'update', 'delete', 'create', 'drop', 'alter',
+  'truncate', 'rename', 'grant', 'revoke', 'use', 'set', 'call', 'exec',
+  'declare', 'lock', 'unlock', 'transaction', 'load_data', 'show', 'desc'
+]
+
+// Functions with side effects or access outside the queried data
+const FORBIDDEN_FUNCTIONS = [
+  // PostgreSQL
+  'pg_sleep', 'pg_sleep_for', 'pg_sleep_until', 'pg_read_file', 'pg_read_binary_file',
+  'pg_ls_dir', 'pg_stat_file', 'pg_terminate_backend', 'pg_cancel_backend',
+  'pg_reload_conf', 'pg_rotate_logfile', 'pg_notify', 'lo_import', 'lo_export',
+  'lo_unlink', 'lo_create', 'dblink', 'dblink_exec', 'dblink_connect',
+  'set_config', 'nextval', 'setval', 'query_to_xml', 'query_to_xml_and_xmlschema',
+  'table_to_xml', 'cursor_to_xml', 'copy',
+  // MySQL
+  'sleep', 'benchmark', 'load_file', 'get_lock', 'release_lock', 'release_all_locks',
+  'master_pos_wait', 'source_pos_wait', 'sys_exec', 'sys_eval',
+  // SQLite
+  'load_extension', 'readfile', 'writefile', 'edit', 'fts3_tokenizer',
+  // DuckDB file, network and environment access
+  'read_csv', 'read_csv_auto', 'read_parquet', 'parquet_scan', 'parquet_metadata',
+  'parquet_schema', 'read_json', 'read_json_auto', 'read_ndjson', 'read_ndjson_auto',
+  'read_json_objects', 'read_text', 'read_blob', 'glob', 'sniff_csv', 'iceberg_scan',
+  'delta_scan', 'st_read', 'sqlite_scan', 'postgres_scan', 'mysql_scan', 'query',
+  'query_table', 'getenv'
+]
+
+// Families of introspection/settings functions (duckdb_settings(), pragma_table_info(), ...)
+// and PostgreSQL advisory locks, which a session-level lock would leave held
+// on a pooled connection (pg_advisory_lock_shared(), pg_try_advisory_xact_lock(), ...)
+const FORBIDDEN_FUNCTION_PREFIXES = ['duckdb_', 'pragma_', 'pg_advisory_', 'pg_try_advisory_']
+
+// Table names that are really file paths or URLs (DuckDB's `FROM 'events.parquet'`)
+const FILE_TABLE_PATTERN = /[/\\:]|\.(csv|tsv|parquet|json|jsonl|ndjson|txt|xlsx|arrow|gz|zst)$/i
+
+// A trailing SQL-standard `[OFFSET n ROWS] FETCH FIRST n ROWS ONLY`, which the
+// PostgreSQL grammar of node-sql-parser cannot read; validated as LIMIT/OFFSET
+const FETCH_FIRST_PATTERN = /(?:\s+OFFSET\s+(\d+)\s+ROWS?)?\s+FETCH\s+(?:FIRST|NEXT)\s+(\d+\s+)?ROWS?\s+ONLY\s*;?\s*$/i
+
+// Schemas that expose server internals rather than application data
+const FORBIDDEN_SCHEMAS = [
+  'pg_catalog', 'information_schema', 'mysql', 'performance_schema', 'sys'
+]
+
+class SQLValidationService {
+  constructor () {
+    this.parser = new Parser()
+    this.maxQueryLength = 10000
+    this.forbiddenFunctions = new Set(FORBIDDEN_FUNCTIONS)
+    this.forbiddenSchemas = new Set(FORBIDDEN_SCHEMAS)
+  }
+
+  /**
+   * Resolve the parser dialect for a database type
+   */
+  getDialect (dbType = process.env.DB_TYPE || 'postgresql') {
+    const dialect = PARSER_DIALECTS[dbType]
+    if (!dialect) {
+      throw new Error(`SQL validation not supported for database type: ${dbType}`)
+    }
+    return dialect
+  }
+
+  /**
+   * Parse SQL and check it against the read-only statement policy.
+   * Returns the structured result instead of throwing.
+   */
+  validate (sql, options = {}) {
+    const { dbType } = options
+    const violations = []
+
+    if (!sql || typeof sql !== 'string' || !sql.trim()) {
+      violations.push(this.violation('EMPTY_QUERY', 'Query is empty'))
+      return this.buildResult(violations)
+    }
+
+    if (sql.length > this.maxQueryLength) {
+      violations.push(this.violation('QUERY_TOO_LONG', 'Query too long', {
+        length: sql.length,
+        maxLength: this.maxQueryLength
+      }))
+      return this.buildResult(violations)
+    }
+
+    let parsed
+    try {
+      parsed = this.parser.parse(this.normalizeForParser(sql, dbType), { database: this.getDialect(dbType) })
+    } catch (error) {
+      violations.push(this.violation('PARSE_ERROR', `Unable to parse SQL: ${error.message}`))
+      return this.buildResult(violations)
+    }
+
+    const statements = Array.isArray(parsed.ast) ? parsed.ast : [parsed.ast]
+
+    if (statements.length !== 1) {
+      violations.push(this.violation('MULTIPLE_STATEMENTS', 'Only a single statement is allowed', {
+        statementCount: statements.length
+      }))
+    }
+
+    statements
+      .filter(stmt => !stmt || stmt.type !== 'select')
+      .forEach(stmt => {
+        violations.push(this.violation('STATEMENT_NOT_ALLOWED', 'Only SELECT statements are allowed', {
+          statementType: stmt?.type || null
+        }))
+      })
+
+    statements.forEach(stmt => this.walk(stmt, node => this.checkNode(node, violations)))
+
+    const tables = this.extractTables(parsed.tableList)
+    tables
+      .filter(table => FILE_TABLE_PATTERN.test(table.name || ''))
+      .forEach(table => {
+        violations.push(this.violation('FILE_ACCESS', `Reading files is not allowed: ${table.name}`, {
+          table: table.name
+        }))
+      })
+
+    tables
+      .filter(table => !FILE_TABLE_PATTERN.test(table.name || '') && this.isForbiddenTable(table))
+      .forEach(table => {
+        violations.push(this.violation('SYSTEM_CATALOG', `Access to system catalog is not allowed: ${this.formatTable(table)}`, {
+          table: this.formatTable(table)
+        }))
+      })
+
+    const statement = statements[0]
+    return this.buildResult(violations, {
+      statementType: statement?.type || null,
+      ast: statement,
+      tables,
+      columns: this.extractColumns(parsed.columnList)
+    })
+  }
+
+  /**
+   * Rewrite syntax the parser grammar lacks into an equivalent it can read.
+   * Only the parsed copy changes; the query still runs as written.
+   */
+  normalizeForParser (sql, dbType) {
+    if (this.getDialect(dbType) !== 'PostgresQL') return sql
+
+    return sql.replace(FETCH_FIRST_PATTERN, (_match, offset, count) => {
+      const limit = `\nLIMIT ${count ? parseInt(count) : 1}`
+      return offset ? `${limit} OFFSET ${offset}` : limit
+    })
+  }
+
+  /**
+   * Validate and throw if the query violates the policy
+   */
+  assertReadOnly (sql, options = {}) {
+    const result = this.validate(sql, options)
+
+    if (!result.valid) {
+      logger.warn('SQL rejected by read-only policy', {
+        sql: typeof sql === 'string' ? sql.substring(0, 200) : sql,
+        violations: result.violations.map(v => v.code)
+      })
+
+      const error = new Error(result.violations.map(v => v.message).join('; '))
+      error.violations = result.violations
+      throw error
+    }
+
+    return result
+  }
+
+  /**
+   * Check a single AST node against the policy
+   */
+  checkNode (node, violations) {
+    // Nested statements, e.g. data-modifying CTEs or subqueries
+    const nestedStatements = [
+      ...(Array.isArray(node.with) ? node.with.map(cte => cte.stmt?.ast || cte.stmt) : []),
+      node.ast
+    ]
+    nestedStatements
+      .filter(stmt => stmt && WRITE_STATEMENT_TYPES.includes(stmt.type))
+      .forEach(stmt => {
+        this.addOnce(violations, this.violation('STATEMENT_NOT_ALLOWED', `${stmt.type.toUpperCase()} statements are not allowed`, {
+          statementType: stmt.type
+        }))
+      })
+
+    // SELECT ... INTO creates a table (PostgreSQL) or writes a file/variable (MySQL)
+    if (node.type === 'select' && node.into && node.into.position) {
+      this.addOnce(violations, this.violation('SELECT_INTO', 'SELECT ... INTO is not allowed'))
+    }
+
+    // Row locks acquire write locks even on a read-only role
+    if (node.type === 'select' && (node.locking_read || node.for_update)) {
+      this.addOnce(violations, this.violation('LOCKING_READ', 'Locking reads (FOR UPDATE/SHARE) are not allowed'))
+    }
+
+    // The parser reads `a NATURAL JOIN b` as table `a` aliased NATURAL and a
+    // join without ON, which access policies would rewrite into invalid SQL
+    if (node.type === 'select' && Array.isArray(node.from) && node.from.some(entry => String(entry?.as).toUpperCase() === 'NATURAL')) {
+      this.addOnce(violations, this.violation('NATURAL_JOIN', 'NATURAL joins are not allowed: join with ON or USING'))
+    }
+
+    if (node.type === 'function' || node.type === 'aggr_func') {
+      const functionName = this.getFunctionName(node)
+      if (functionName && this.isForbiddenFunction(functionName)) {
+        this.addOnce(violations, this.violation('FORBIDDEN_FUNCTION', `Function not allowed: ${functionName}`, {
+          function: functionName
+        }))
+      }
+    }
+  }
+
+  /**
+   * Depth-first walk over every object in the AST
+   */
+  walk (node, visit) {
+    if (Array.isArray(node)) {
+      node.forEach(child => this.walk(child, visit))
+      return
+    }
+
+    if (!node || typeof node !== 'object') return
+
+    visit(node)
+    Object.values(node).forEach(child => this.walk(child, visit))
+  }
+
+  getFunctionName (node) {
+    const { name } = node
+    if (typeof name === 'string') return name.toLowerCase()
+
+    // node-sql-parser 5.x: { name: [{ type, value }, ...] }, possibly schema-qualified
+    const parts = name?.name
+    if (Array.isArray(parts) && parts.length > 0) {
+      return String(parts[parts.length - 1].value).toLowerCase()
+    }
+
+    return null
+  }
+
+  /**
+   * Convert node-sql-parser's "type::schema::table" entries into objects
+   */
+  extractTables (tableList = []) {
+    const seen = new Set()
+    return tableList
+      .map(entry => {
+        const [, schema, name] = entry.split('::')
+        return {
+          schema: schema && schema !== 'null' ? schema : null,
+          name
+        }
+      })
+      .filter(table => {
+        const key = this.formatTable(table)
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+      })
+  }
+
+  /**
+   * Convert node-sql-parser's "type::table::column" entries into objects.
+   * Aliases are resolved to table names; `*` stands for a star select.
+   */
+  extractColumns (columnList = []) {
+    return [...new Set(columnList)].map(entry => {
+      const [, table, name] = entry.split('::')
+      return {
+        table: table && table !== 'null' ? table : null,
+        name: name === '(.*)' ? '*' : name
+      }
+    })
+  }
+
+  isForbiddenFunction (functionName) {
+    return this.forbiddenFunctions.has(functionName) ||
+      FORBIDDEN_FUNCTION_PREFIXES.some(prefix => functionName.startsWith(prefix))
+  }
+
+  isForbiddenTable (table) {
+    const schema = table.schema?.toLowerCase()
+    const name = table.name?.toLowerCase() || ''
+    return (schema && this.forbiddenSchemas.has(schema)) || name.startsWith('pg_') || name.startsWith('sqlite_')
+  }
+
+  formatTable (table) {
+    return table.schema ? `${table.schema}.${table.name}` : table.name
+  }
+
+  violation (code, message, details = {}) {
+    return { code, message, ...details }
+  }
+
+  addOnce (violations, violation) {
+    if (!violations.some(v => v.code === violation.code && v.message === violation.message)) {
+      violations.push(violation)
+    }
+  }
+
+  buildResult (violations, extra = {}) {
+    return {
+      valid: violations.length === 0,
+      violations,
+      statementType: null,
+      ast: null,
+      tables: [],
+      columns: [],
+      ...extra
+    }
+  }
+}
+
+module.exports = new SQLValidationService()
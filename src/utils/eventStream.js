@@ -0,0 +1,56 @@
+/**
+ * Minimal Server-Sent Events writer for an Express response.
+ */
+
+const HEARTBEAT_INTERVAL = 15000
+
+/**
+ * Switch the response to an event stream. Returns { send(event, data), close(), isClosed() }
+ */
+const openEventStream = (res) => {
+  let closed = false
+
+  res.status(200)
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  })
+  res.flushHeaders()
+
+  // Comment lines keep idle proxies from dropping the connection during long LLM calls
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n')
+  }, HEARTBEAT_INTERVAL)
+  heartbeat.unref()
+
+  // The response closes when the client disconnects (or after close())
+  res.on('close', () => {
+    closed = true
+    clearInterval(heartbeat)
+  })
+
+  return {
+    send (event, data) {
+      if (closed) return
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? null)}\n\n`)
+    },
+
+    close () {
+      clearInterval(heartbeat)
+      if (!closed) {
+        closed = true
+        res.end()
+      }
+    },
+
+    isClosed () {
+      return closed
+    }
+  }
+}
+
+module.exports = {
+  openEventStream
+}
@@ -0,0 +1,117 @@
+/**
+ * Dependency-free lexical search helpers: identifier-aware tokenization and
+ * an Okapi BM25 index.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'did', 'for',
+  'from', 'get', 'give', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'list',
+  'me', 'many', 'much', 'my', 'of', 'on', 'or', 'our', 'show', 'that', 'the',
+  'their', 'them', 'there', 'these', 'this', 'those', 'to', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'whom', 'why', 'with', 'all', 'most',
+  'find', 'tell', 'display', 'return', 'each', 'per', 'any', 'can', 'you'
+])
+
+/**
+ * Reduce a word to a crude singular stem so "orders" matches "order"
+ */
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`
+  if (word.length > 4 && /(ches|shes|sses|xes)$/.test(word)) return word.slice(0, -2)
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1)
+  return word
+}
+
+/**
+ * Split text and SQL identifiers (snake_case, camelCase) into stemmed terms
+ */
+const tokenize = (text = '') => {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem)
+}
+
+class BM25Index {
+  constructor (options = {}) {
+    this.k1 = options.k1 ?? 1.2
+    this.b = options.b ?? 0.75
+    this.documents = []
+    this.documentFrequency = new Map()
+    this.averageLength = 0
+  }
+
+  /**
+   * Index documents given as { id, terms } where terms may repeat to add weight
+   */
+  build (documents) {
+    this.documents = documents.map(doc => {
+      const termFrequency = new Map()
+      doc.terms.forEach(term => termFrequency.set(term, (termFrequency.get(term) || 0) + 1))
+      return { id: doc.id, termFrequency, length: doc.terms.length }
+    })
+
+    this.documentFrequency = new Map()
+    this.documents.forEach(doc => {
+      doc.termFrequency.forEach((_count, term) => {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1)
+      })
+    })
+
+    const totalLength = this.documents.reduce((sum, doc) => sum + doc.length, 0)
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0
+    return this
+  }
+
+  idf (term) {
+    const df = this.documentFrequency.get(term) || 0
+    return Math.log(1 + (this.documents.length - df + 0.5) / (df + 0.5))
+  }
+
+  /**
+   * Score every document against the query terms. Returns Map<id, score>
+   */
+  score (queryTerms) {
+    const scores = new Map()
+    const uniqueTerms = [...new Set(queryTerms)]
+
+    this.documents.forEach(doc => {
+      let score = 0
+      uniqueTerms.forEach(term => {
+        const tf = doc.termFrequency.get(term)
+        if (!tf) return
+        const norm = 1 - this.b + this.b * (doc.length / (this.averageLength || 1))
+        score += this.idf(term) * (tf * (this.k1 + 1)) / (tf + this.k1 * norm)
+      })
+      scores.set(doc.id, score)
+    })
+
+    return scores
+  }
+}
+
+/**
+ * Cosine similarity of two dense vectors
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  if (normA === 0 || normB === 0) return 0
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB))
+}
+
+module.exports = {
+  STOP_WORDS,
+  tokenize,
+  stem,
+  BM25Index,
+  cosineSimilarity
+}
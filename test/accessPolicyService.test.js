@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const accessPolicyService = require('../src/services/accessPolicyService');
+const sqlValidationService = require('../src/services/sqlValidationService');
+
+const schema = {
+  tables: [
+    { name: 'orders', columns: [{ name: 'id' }, { name: 'user_id' }, { name: 'total' }, { name: 'region' }] },
+    { name: 'users', columns: [{ name: 'id' }, { name: 'name' }, { name: 'email' }, { name: 'salary' }] },
+    { name: 'products', columns: [{ name: 'id' }, { name: 'name' }, { name: 'cost' }] }
+  ],
+  relationships: [
+    { fromTable: 'orders', fromColumn: 'user_id', toTable: 'users', toColumn: 'id' }
+  ],
+  metadata: { datasource: 'default', tableCount: 3, totalColumns: 11 }
+};
+
+const analyst = { id: 'alice', role: 'analyst', attributes: { region: "EU'; DROP TABLE orders; --" } };
+const viewer = { id: 'bob', role: 'viewer' };
+
+const enforce = (sql, user, dbType = 'postgresql') => accessPolicyService.enforce(sql, {
+  user,
+  datasource: 'default',
+  dbType,
+  schema,
+  validation: sqlValidationService.assertReadOnly(sql, { dbType })
+});
+
+describe('Access Policy Service', () => {
+  const originalFile = process.env.ACCESS_POLICY_FILE;
+  let directory;
+
+  const usePolicy = (policy) => {
+    const policyFile = path.join(directory, 'policy.json');
+    fs.writeFileSync(policyFile, JSON.stringify(policy));
+    process.env.ACCESS_POLICY_FILE = policyFile;
+    accessPolicyService.loaded = false;
+    accessPolicyService.policy = null;
+  };
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-policy-'));
+  });
+
+  beforeEach(() => {
+    usePolicy({
+      roles: {
+        admin: { tables: { '*': '*' } },
+        analyst: {
+          tables: {
+            orders: { rowFilter: 'region = :user_region' },
+            users: { excludeColumns: ['email', 'salary'] },
+            products: '*'
+          }
+        },
+        viewer: { tables: { products: { columns: ['id', 'name'] } } }
+      }
+    });
+  });
+
+  afterAll(() => {
+    if (originalFile === undefined) {
+      delete process.env.ACCESS_POLICY_FILE;
+    } else {
+      process.env.ACCESS_POLICY_FILE = originalFile;
+    }
+    accessPolicyService.loaded = false;
+    accessPolicyService.policy = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should show each role only its tables and columns', () => {
+    const visible = accessPolicyService.filterSchema(schema, viewer);
+
+    expect(visible.tables).toEqual([{ name: 'products', columns: [{ name: 'id' }, { name: 'name' }] }]);
+    expect(visible.relationships).toEqual([]);
+    expect(visible.metadata).toMatchObject({ tableCount: 1, totalColumns: 2, accessPolicy: { role: 'viewer' } });
+
+    const analystSchema = accessPolicyService.filterSchema(schema, analyst);
+    expect(analystSchema.tables.find(table => table.name === 'users').columns.map(column => column.name))
+      .toEqual(['id', 'name']);
+    expect(analystSchema.relationships).toHaveLength(1);
+  });
+
+  test('should hide keys, indexes and checks over hidden columns', () => {
+    const products = {
+      name: 'products',
+      columns: [{ name: 'id' }, { name: 'name' }, { name: 'cost' }],
+      primaryKey: ['id'],
+      uniqueConstraints: [['name'], ['name', 'cost']],
+      indexes: [{ name: 'idx_products_cost', columns: ['cost'], unique: false }],
+      checkConstraints: ['cost >= 0', 'length(name) > 0']
+    };
+
+    const [visible] = accessPolicyService.filterSchema({ ...schema, tables: [products] }, viewer).tables;
+
+    expect(visible).toEqual({
+      name: 'products',
+      columns: [{ name: 'id' }, { name: 'name' }],
+      primaryKey: ['id'],
+      uniqueConstraints: [['name']],
+      indexes: [],
+      checkConstraints: ['length(name) > 0']
+    });
+  });
+
+  test.each([
+    ['a table outside the policy', 'SELECT id FROM products JOIN users ON true', viewer, 'TABLE_NOT_ALLOWED'],
+    ['a hidden column', 'SELECT cost FROM products', viewer, 'COLUMN_NOT_ALLOWED'],
+    ['a hidden column behind an alias', 'SELECT s.e FROM (SELECT u.email AS e FROM users u) s', analyst, 'COLUMN_NOT_ALLOWED'],
+    ['a star over hidden columns', 'SELECT u.* FROM users u', analyst, 'SELECT_STAR_NOT_ALLOWED'],
+    ['a whole-row value over hidden columns', 'SELECT row_to_json(u) FROM users u', analyst, 'SELECT_STAR_NOT_ALLOWED'],
+    ['a whole-row column over hidden columns', 'SELECT u FROM users u', analyst, 'SELECT_STAR_NOT_ALLOWED'],
+    ['a whole-row value by table name', 'SELECT to_jsonb(users) FROM users', analyst, 'SELECT_STAR_NOT_ALLOWED'],
+    ['a CTE hiding a table', 'WITH users AS (SELECT salary FROM users) SELECT * FROM users', analyst, 'CTE_SHADOWS_TABLE'],
+    ['a role without a policy', 'SELECT id FROM products', { id: 'carol' }, 'TABLE_NOT_ALLOWED']
+  ])('should reject %s', (_name, sql, user, code) => {
+    expect(() => enforce(sql, user)).toThrow(expect.objectContaining({
+      code: 'ACCESS_DENIED',
+      violations: expect.arrayContaining([expect.objectContaining({ code })])
+    }));
+  });
+
+  test('should allow permitted columns and stars over checked subqueries', () => {
+    expect(enforce('SELECT s.* FROM (SELECT id, name FROM users) s', analyst))
+      .toEqual({ sql: 'SELECT s.* FROM (SELECT id, name FROM users) s', accessPolicy: { role: 'analyst', rowFilteredTables: [] } });
+    expect(enforce('SELECT * FROM users', { id: 'root', role: 'admin' }).sql).toBe('SELECT * FROM users');
+    expect(enforce('SELECT row_to_json(p) FROM products p', analyst).sql).toBe('SELECT row_to_json(p) FROM products p');
+  });
+
+  test('should wrap row-filtered tables with the user\'s values as escaped literals', () => {
+    const { sql, accessPolicy } = enforce(
+      'SELECT o.total, u.name FROM orders o JOIN users u ON u.id = o.user_id WHERE o.id IN (SELECT id FROM orders)',
+      analyst
+    );
+
+    expect(sql).toBe(
+      'SELECT "o".total, "u".name FROM (SELECT * FROM "orders" WHERE region = \'EU\'\'; DROP TABLE orders; --\') AS "o" ' +
+      'INNER JOIN "users" AS "u" ON "u".id = "o".user_id ' +
+      'WHERE "o".id IN (SELECT id FROM (SELECT * FROM "orders" WHERE region = \'EU\'\'; DROP TABLE orders; --\') AS "orders")'
+    );
+    expect(accessPolicy).toEqual({ role: 'analyst', rowFilteredTables: ['orders'] });
+  });
+
+  test('should never rewrite a NATURAL join over a row-filtered table', () => {
+    expect(() => enforce('SELECT total FROM orders NATURAL JOIN users', analyst)).toThrow(expect.objectContaining({
+      violations: [expect.objectContaining({ code: 'NATURAL_JOIN' })]
+    }));
+  });
+
+  test('should refuse row-filtered tables when the user lacks the filter value', () => {
+    expect(() => enforce('SELECT total FROM orders', { id: 'dave', role: 'analyst' })).toThrow(expect.objectContaining({
+      code: 'ACCESS_DENIED',
+      violations: [expect.objectContaining({ code: 'ROW_FILTER_UNAVAILABLE', parameter: 'user_region' })]
+    }));
+  });
+
+  test('should use the rules of a data source with its own policy', () => {
+    usePolicy({
+      roles: { viewer: { tables: { '*': '*' } } },
+      datasources: { billing: { roles: { viewer: { tables: {} } } } }
+    });
+
+    expect(accessPolicyService.filterSchema(schema, viewer).tables).toHaveLength(3);
+    expect(accessPolicyService.filterSchema({ ...schema, metadata: { datasource: 'billing' } }, viewer).tables).toEqual([]);
+  });
+
+  test('should reject policy files with unknown roles or malformed rules', () => {
+    usePolicy({ roles: { auditor: { tables: {} } } });
+    expect(() => accessPolicyService.isEnabled()).toThrow('Unknown role "auditor"');
+    // Still refused on the next request instead of running without a policy
+    expect(() => accessPolicyService.filterSchema(schema, viewer)).toThrow('Unknown role "auditor"');
+
+    usePolicy({ roles: { viewer: { tables: { users: { columns: 'id' } } } } });
+    expect(() => accessPolicyService.isEnabled()).toThrow('columns must be "*" or a list of names');
+  });
+});
@@ -0,0 +1,99 @@
+const mockCache = new Map();
+jest.mock('../src/services/cacheService', () => ({
+  get: jest.fn(async key => mockCache.get(key) ?? null),
+  set: jest.fn(async (key, value) => !!mockCache.set(key, value))
+}));
+
+const llmProviders = require('../src/services/llmProviders');
+const answerService = require('../src/services/answerService');
+const schemaService = require('../src/services/schemaService');
+
+const rows = Array.from({ length: 30 }, (_value, index) => ({
+  month: `2024-${String((index % 12) + 1).padStart(2, '0')}`,
+  email: `user${index}@example.com`,
+  revenue: index * 10
+}));
+const result = {
+  rows,
+  pagination: { totalRows: 120, hasNextPage: true },
+  metadata: {
+    fields: [{ name: 'month', type: null }, { name: 'email', type: null }, { name: 'revenue', type: null }],
+    piiMasking: { role: 'analyst', columns: [{ column: 'email', type: 'email', action: 'mask', detectedBy: 'column_name' }] }
+  }
+};
+
+describe('Answer Service', () => {
+  const provider = new llmProviders.FixtureProvider({ fixtures: { explainResult: { '*': ' Revenue peaked at 290 in June. ' } } });
+  const originalMaxRows = answerService.maxRows;
+
+  beforeAll(() => {
+    llmProviders.register('fixture', provider);
+    answerService.maxRows = 5;
+  });
+
+  beforeEach(() => {
+    mockCache.clear();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    answerService.maxRows = originalMaxRows;
+  });
+
+  test('should send the model a bounded sample without personal data', async () => {
+    const explain = jest.spyOn(provider, 'explainResult');
+
+    const answer = await answerService.answer('What was our best month?', 'SELECT month, email, revenue FROM sales', result, { provider: 'fixture' });
+
+    expect(answer).toMatchObject({
+      text: 'Revenue peaked at 290 in June.',
+      generated: true,
+      provider: 'fixture',
+      fromLLMCache: false,
+      basedOn: { sampleRows: 5, pageRows: 30, totalRows: 120, columns: ['month', 'revenue'], withheldColumns: ['email'] }
+    });
+    const { userPrompt } = explain.mock.calls[0][0];
+    expect(userPrompt).not.toContain('@example.com');
+    expect(userPrompt).toContain('{"month":"2024-05","revenue":40}');
+    expect(userPrompt).not.toContain('"revenue":50}');
+    expect(userPrompt).toContain('"revenue":{"count":30,"min":0,"max":290,"sum":4350,"avg":145}');
+  });
+
+  test('should withhold personal data columns when masking is off', async () => {
+    const explain = jest.spyOn(provider, 'explainResult');
+    jest.spyOn(schemaService, 'getSchema').mockResolvedValue({
+      tables: [{ name: 'sales', columns: [{ name: 'month' }, { name: 'email' }, { name: 'revenue' }] }]
+    });
+    // PII_MASKING=false leaves the result unmasked and without a piiMasking report
+    const unmasked = { ...result, metadata: { fields: result.metadata.fields } };
+
+    const answer = await answerService.answer('Who bought most?', 'SELECT month, email, revenue FROM sales', unmasked, { provider: 'fixture' });
+
+    expect(answer.basedOn).toMatchObject({ columns: ['month', 'revenue'], withheldColumns: ['email'] });
+    expect(explain.mock.calls[0][0].userPrompt).not.toContain('@example.com');
+
+    // Nothing is sent when the columns cannot be classified
+    schemaService.getSchema.mockRejectedValue(new Error('schema unavailable'));
+    await expect(answerService.answer('Who bought most?', 'SELECT month, email, revenue FROM sales', unmasked, { provider: 'fixture' }))
+      .resolves.toMatchObject({ text: null, error: 'schema unavailable', basedOn: null });
+    expect(explain).toHaveBeenCalledTimes(1);
+  });
+
+  test('should serve a repeated answer from the cache', async () => {
+    const explain = jest.spyOn(provider, 'explainResult');
+
+    await answerService.answer('What was our best month?', 'SELECT month, email, revenue FROM sales', result, { provider: 'fixture' });
+    const cached = await answerService.answer('What was our best month?', 'SELECT month, email, revenue FROM sales', result, { provider: 'fixture' });
+
+    expect(cached).toMatchObject({ text: 'Revenue peaked at 290 in June.', fromLLMCache: true });
+    expect(explain).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report a failed answer without failing', async () => {
+    jest.spyOn(provider, 'explainResult').mockRejectedValue(new Error('model unavailable'));
+
+    await expect(answerService.answer('Best month?', 'SELECT 1', result, { provider: 'fixture' }))
+      .resolves.toMatchObject({ text: null, generated: true, error: 'model unavailable' });
+    await expect(answerService.answer('Best month?', 'SELECT 1', { rows: [], metadata: {} }, { provider: 'fixture' })).resolves.toBeNull();
+  });
+});
@@ -1,3 +1,8 @@
+// Requests without credentials run as anonymous users named by X-User-Id,
+// with the admin role so every route can be exercised
+process.env.AUTH_MODE = 'optional';
+process.env.AUTH_ANONYMOUS_ROLE = 'admin';
+
 const request = require('supertest');
 const app = require('../src/server');
 
@@ -15,6 +20,18 @@ describe('Natural Language to SQL API', () => {
     });
   });
 
+  describe('Authentication', () => {
+    test('should reject invalid credentials even when anonymous access is allowed', async () => {
+      const response = await request(app)
+        .get('/api/v1/history')
+        .set('X-API-Key', 'nqk_not-a-real-key')
+        .expect(401);
+
+      expect(response.body).toMatchObject({ success: false, error: 'Authentication required' });
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+    });
+  });
+
   describe('Schema Endpoints', () => {
     test('GET /api/v1/schema should return database schema', async () => {
       const response = await request(app)
@@ -102,6 +119,21 @@ describe('Natural Language to SQL API', () => {
       expect(response.body.message).toContain('SELECT statements are allowed');
     });
 
+    test('POST /api/v1/execute-sql should reject unknown data sources', async () => {
+      const response = await request(app)
+        .post('/api/v1/execute-sql')
+        .send({
+          sql: 'SELECT 1',
+          datasource: 'does-not-exist'
+        })
+        .expect(400)
+        .expect('Content-Type', /json/);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Unknown datasource');
+      expect(response.body.availableDatasources).toContain('default');
+    });
+
     test('POST /api/v1/execute-sql with dryRun should return execution plan', async () => {
       const response = await request(app)
         .post('/api/v1/execute-sql')
@@ -118,6 +150,34 @@ describe('Natural Language to SQL API', () => {
     });
   });
 
+  describe('Result Export', () => {
+    test('POST /api/v1/export should stream the full result as CSV', async () => {
+      const response = await request(app)
+        .post('/api/v1/export')
+        .send({
+          sql: 'SELECT id, email FROM users ORDER BY id',
+          format: 'csv',
+          maxRows: 2
+        })
+        .expect(200)
+        .expect('Content-Type', /text\/csv/);
+
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename=".+\.csv"/);
+      expect(response.text.trim().split('\r\n')).toHaveLength(3);
+    });
+
+    test('POST /api/v1/export should reject non-SELECT queries', async () => {
+      const response = await request(app)
+        .post('/api/v1/export')
+        .send({ sql: 'DROP TABLE users', format: 'csv' })
+        .expect(400)
+        .expect('Content-Type', /json/);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.violations[0].code).toBe('STATEMENT_NOT_ALLOWED');
+    });
+  });
+
   describe('Complete Query Workflow', () => {
     test('POST /api/v1/query should handle complete NL to SQL workflow', async () => {
       const response = await request(app)
@@ -137,6 +197,72 @@ describe('Natural Language to SQL API', () => {
       expect(response.body.data).toHaveProperty('reasoning');
       expect(response.body.data).toHaveProperty('result');
       expect(response.body.data).toHaveProperty('schemaInfo');
+      expect(response.body.data.attempts.length).toBeGreaterThanOrEqual(1);
+      expect(response.body.data.attempts[response.body.data.attempts.length - 1].stage).toBe('success');
+    });
+
+    test('POST /api/v1/query/stream should send phase events in order', async () => {
+      const response = await request(app)
+        .post('/api/v1/query/stream')
+        .send({
+          query: 'How many users do we have?',
+          dryRun: true
+        })
+        .buffer(true)
+        .parse((res, callback) => {
+          let body = '';
+          res.on('data', chunk => { body += chunk; });
+          res.on('end', () => callback(null, body));
+        })
+        .expect(200)
+        .expect('Content-Type', /text\/event-stream/);
+
+      const events = [...response.body.matchAll(/^event: (.+)$/gm)].map(match => match[1]);
+
+      expect(events[0]).toBe('schema-selected');
+      expect(events).toContain('sql-final');
+      expect(events).toContain('execution-started');
+      expect(events.indexOf('rows')).toBeLessThan(events.indexOf('done'));
+      expect(events[events.length - 1]).toBe('done');
+    });
+  });
+
+  describe('Conversations', () => {
+    test('POST /api/v1/query should carry context across follow-up questions', async () => {
+      const first = await request(app)
+        .post('/api/v1/query')
+        .send({ query: 'How many users do we have?', dryRun: true })
+        .expect(200);
+
+      const { conversationId } = first.body.data;
+      expect(conversationId).toBeDefined();
+
+      const followUp = await request(app)
+        .post('/api/v1/query')
+        .send({ query: 'Now only those created this year', dryRun: true, conversationId })
+        .expect(200);
+
+      expect(followUp.body.data.conversationId).toBe(conversationId);
+
+      const conversation = await request(app)
+        .get(`/api/v1/conversations/${conversationId}`)
+        .expect(200);
+
+      expect(conversation.body.data.turns).toHaveLength(2);
+      expect(conversation.body.data.turns[0].question).toBe('How many users do we have?');
+    });
+
+    test('GET /api/v1/conversations/:id should not expose other users\' conversations', async () => {
+      const first = await request(app)
+        .post('/api/v1/query')
+        .set('X-User-Id', 'conversation-owner')
+        .send({ query: 'How many users do we have?', dryRun: true })
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/conversations/${first.body.data.conversationId}`)
+        .set('X-User-Id', 'someone-else')
+        .expect(404);
     });
   });
 
@@ -165,6 +291,80 @@ describe('Natural Language to SQL API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toContain('Cache invalidated');
     });
+
+    test('POST /api/v1/cache/invalidate should reject patterns outside the cache', async () => {
+      const response = await request(app)
+        .post('/api/v1/cache/invalidate')
+        .send({ pattern: 'auth:apikey:*' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid cache pattern');
+    });
+  });
+
+  describe('Audit Log', () => {
+    test('GET /api/v1/audit should list blocked queries with their source', async () => {
+      await request(app)
+        .post('/api/v1/execute-sql')
+        .set('X-User-Id', 'auditor-test')
+        .set('X-Client', 'web')
+        .send({ sql: 'DROP TABLE users' })
+        .expect(400);
+
+      const response = await request(app)
+        .get('/api/v1/audit')
+        .query({ userId: 'auditor-test', blocked: 'true', limit: 1 })
+        .expect(200);
+
+      expect(response.body.data.records[0]).toMatchObject({ source: 'web', sql: 'DROP TABLE users', blocked: true });
+    });
+
+    test('GET /api/v1/audit/verify should confirm the hash chain', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit/verify')
+        .expect(200);
+
+      expect(response.body.data.valid).toBe(true);
+    });
+  });
+
+  describe('Running Queries', () => {
+    test('POST /api/v1/execute-sql should return the query ID it ran under', async () => {
+      const response = await request(app)
+        .post('/api/v1/execute-sql')
+        .send({ sql: 'SELECT 1 AS one', useCache: false, queryId: 'api-test-query' })
+        .expect(200);
+
+      expect(response.headers['x-query-id']).toBe('api-test-query');
+      expect(response.body.data.queryId).toBe('api-test-query');
+    });
+
+    test('POST /api/v1/queries/:queryId/cancel should return 404 for unknown queries', async () => {
+      const response = await request(app)
+        .post('/api/v1/queries/no-such-query/cancel')
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Background Jobs', () => {
+    test('POST /api/v1/execute-sql should not queue a dry run', async () => {
+      const response = await request(app)
+        .post('/api/v1/execute-sql')
+        .send({ sql: 'SELECT 1 AS one', async: true, dryRun: true })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('GET /api/v1/jobs/:jobId should return 404 for unknown jobs', async () => {
+      const response = await request(app)
+        .get('/api/v1/jobs/no-such-job')
+        .expect(404);
+
+      expect(response.body.code).toBe('JOB_NOT_FOUND');
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auditService = require('../src/services/auditService');
+
+const alice = { id: 'alice', role: 'analyst', authMethod: 'api_key' };
+const bob = { id: 'bob', role: 'viewer', authMethod: 'jwt' };
+
+describe('Audit Service', () => {
+  const originalFile = auditService.file;
+  let directory;
+
+  const readLines = () => fs.readFileSync(auditService.file, 'utf8').trim().split('\n');
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-audit-'));
+  });
+
+  beforeEach(async () => {
+    auditService.file = path.join(directory, `audit-${Date.now()}.jsonl`);
+
+    await auditService.record({ source: 'web', user: alice, datasource: 'default', question: 'Top customers?', sql: 'SELECT * FROM customers', rowCount: 10, durationMs: 12 });
+    await auditService.record({ source: 'rest', user: bob, datasource: 'default', sql: 'DELETE FROM customers', blocked: true, error: 'Only SELECT statements are allowed' });
+    await auditService.record({ source: 'mcp', user: alice, datasource: 'billing', sql: 'SELECT id FROM invoices', rowCount: 3 });
+  });
+
+  afterAll(() => {
+    auditService.file = originalFile;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should append records that chain to the previous one', async () => {
+    const records = readLines().map(line => JSON.parse(line));
+
+    expect(records.map(record => record.seq)).toEqual([1, 2, 3]);
+    expect(records[0].prevHash).toBe('0'.repeat(64));
+    expect(records[1].prevHash).toBe(records[0].hash);
+    expect(records[0]).toMatchObject({
+      source: 'web',
+      user: { id: 'alice', role: 'analyst', authMethod: 'api_key' },
+      question: 'Top customers?',
+      rowCount: 10,
+      blocked: false
+    });
+    await expect(auditService.verify()).resolves.toEqual({ valid: true, records: 3, damagedRecords: 0, lastHash: records[2].hash });
+  });
+
+  test('should continue the chain written by another process', async () => {
+    const otherProcess = Object.assign(new auditService.constructor(), { file: auditService.file });
+    await otherProcess.record({ source: 'mcp', user: alice, sql: 'SELECT 2' });
+    await auditService.record({ source: 'rest', user: bob, sql: 'SELECT 1' });
+
+    expect(readLines().map(line => JSON.parse(line).seq)).toEqual([1, 2, 3, 4, 5]);
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: true, records: 5 });
+  });
+
+  test('should keep the chain intact when processes write at the same time', async () => {
+    const processes = [auditService, ...Array.from({ length: 3 }, () => Object.assign(new auditService.constructor(), { file: auditService.file }))];
+    await Promise.all(processes.flatMap((writer, index) =>
+      Array.from({ length: 5 }, (_, n) => writer.record({ source: 'internal', sql: `SELECT ${index * 10 + n}` }))));
+
+    expect(readLines().map(line => JSON.parse(line).seq)).toEqual(Array.from({ length: 23 }, (_, index) => index + 1));
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: true, records: 23 });
+    expect(fs.existsSync(`${auditService.file}.lock`)).toBe(false);
+  });
+
+  test('should keep appending after a record cut off by a crash', async () => {
+    const partial = '{"seq":4,"timestamp":"2026-01-01T00:00:00.000Z","source":"rest","user":{"id":"al';
+    fs.appendFileSync(auditService.file, partial);
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: true, records: 3, damagedRecords: 1 });
+
+    const record = await auditService.record({ source: 'rest', user: bob, sql: 'SELECT 1' });
+
+    const lines = readLines();
+    expect(lines[3]).toBe(partial);
+    const marker = JSON.parse(lines[4]);
+    expect(marker).toMatchObject({ seq: 4, source: 'internal', sql: null, damaged: { bytes: partial.length }, prevHash: JSON.parse(lines[2]).hash });
+    expect(marker.error).toContain(`Discarded ${partial.length} bytes`);
+    expect(record).toMatchObject({ seq: 5, prevHash: marker.hash });
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: true, records: 5, damagedRecords: 1, lastHash: record.hash });
+    await expect(auditService.query({ userId: 'bob' })).resolves.toHaveLength(2);
+
+    // A damaged line the marker does not account for breaks the chain
+    fs.writeFileSync(auditService.file, fs.readFileSync(auditService.file, 'utf8').replace(partial, `${partial}x`));
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: false, brokenAt: 4, reason: 'unreadable record' });
+  });
+
+  test('should take over a lock abandoned by a crashed process', async () => {
+    const lockFile = `${auditService.file}.lock`;
+    fs.writeFileSync(lockFile, '12345');
+    const abandoned = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockFile, abandoned, abandoned);
+
+    await auditService.record({ source: 'rest', user: bob, sql: 'SELECT 1' });
+
+    expect(readLines()).toHaveLength(4);
+    expect(fs.existsSync(lockFile)).toBe(false);
+  });
+
+  test('should return the newest matching records first', async () => {
+    const byAlice = await auditService.query({ userId: 'alice' });
+    const blocked = await auditService.query({ blocked: true });
+
+    expect(byAlice.map(record => record.sql)).toEqual(['SELECT id FROM invoices', 'SELECT * FROM customers']);
+    expect(blocked).toHaveLength(1);
+    expect(blocked[0]).toMatchObject({ source: 'rest', error: 'Only SELECT statements are allowed' });
+    await expect(auditService.query({}, 1)).resolves.toHaveLength(1);
+  });
+
+  test.each([
+    ['an edited record', lines => [lines[0], lines[1].replace('"blocked":true', '"blocked":false'), lines[2]], 2, 'hash does not match the record'],
+    ['a removed record', lines => [lines[0], lines[2]], 3, 'expected record 2']
+  ])('should detect %s', async (_name, tamper, brokenAt, reason) => {
+    fs.writeFileSync(auditService.file, `${tamper(readLines()).join('\n')}\n`);
+
+    await expect(auditService.verify()).resolves.toMatchObject({ valid: false, records: 1, brokenAt, reason });
+  });
+});
@@ -0,0 +1,134 @@
+const mockStore = new Map();
+jest.mock('../src/config/redis', () => ({
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => mockStore.set(key, JSON.stringify(value))),
+  del: jest.fn(async key => mockStore.delete(key))
+}));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const authService = require('../src/services/authService');
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signJWT = (payload, privateKey, header = { alg: 'RS256', kid: 'test-key' }) => {
+  const signingInput = `${base64url(header)}.${base64url(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), privateKey).toString('base64url');
+  return `${signingInput}.${signature}`;
+};
+
+const requestWith = (headers = {}) => ({ headers, ip: '10.0.0.1' });
+
+describe('Auth Service', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const now = Math.floor(Date.now() / 1000);
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-auth-'));
+    const jwksFile = path.join(directory, 'jwks.json');
+    fs.writeFileSync(jwksFile, JSON.stringify({
+      keys: [
+        { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' },
+        { ...crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey.export({ format: 'jwk' }), kid: 'ec-key' },
+        { kty: 'RSA', n: 'not-a-modulus', kid: 'broken-key' }
+      ]
+    }));
+
+    Object.assign(authService, {
+      mode: 'required',
+      jwksFile,
+      issuer: 'https://idp.example.com',
+      audience: 'nl-to-sql',
+      jwks: null
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should require credentials unless unauthenticated access is opted into', async () => {
+    await expect(authService.authenticate(requestWith({ 'x-user-id': 'alice' })))
+      .rejects.toMatchObject({ code: 'UNAUTHENTICATED' });
+
+    authService.mode = 'optional';
+    try {
+      await expect(authService.authenticate(requestWith({ 'x-user-id': 'alice' })))
+        .resolves.toMatchObject({ id: 'alice', authMethod: 'anonymous' });
+    } finally {
+      authService.mode = 'required';
+    }
+  });
+
+  test('should accept stored API keys until they are revoked', async () => {
+    const apiKey = await authService.createApiKey({ userId: 'alice', name: 'Reporting', role: 'analyst', attributes: { region: 'emea' } });
+
+    expect([...mockStore.keys()].some(key => key.includes(apiKey.key))).toBe(false);
+    await expect(authService.authenticate(requestWith({ 'x-api-key': apiKey.key })))
+      .resolves.toMatchObject({ id: 'alice', role: 'analyst', authMethod: 'api_key', keyId: apiKey.id, attributes: { region: 'emea' } });
+    await expect(authService.authenticate(requestWith({ authorization: `Bearer ${apiKey.key}` })))
+      .resolves.toMatchObject({ id: 'alice' });
+
+    await expect(authService.revokeApiKey(apiKey.id)).resolves.toBe(true);
+    await expect(authService.authenticate(requestWith({ 'x-api-key': apiKey.key })))
+      .rejects.toThrow('Invalid API key');
+  });
+
+  test('should resolve the user from a valid bearer token', async () => {
+    const token = signJWT({ sub: 'bob', email: 'bob@example.com', iss: 'https://idp.example.com', aud: ['nl-to-sql'], exp: now + 300 }, privateKey);
+
+    await expect(authService.authenticate(requestWith({ authorization: `Bearer ${token}` })))
+      .resolves.toMatchObject({ id: 'bob', name: 'bob@example.com', role: 'viewer', authMethod: 'jwt' });
+  });
+
+  test('should take the most privileged known role from the roles claim', async () => {
+    authService.rolesClaim = 'realm_access.roles';
+    try {
+      const token = signJWT({
+        sub: 'carol',
+        iss: 'https://idp.example.com',
+        aud: 'nl-to-sql',
+        exp: now + 300,
+        realm_access: { roles: ['offline_access', 'analyst', 'admin'] }
+      }, privateKey);
+
+      await expect(authService.authenticate(requestWith({ authorization: `Bearer ${token}` })))
+        .resolves.toMatchObject({ id: 'carol', role: 'admin' });
+    } finally {
+      authService.rolesClaim = 'roles';
+    }
+  });
+
+  test.each([
+    ['an expired token', { exp: now - 3600 }, undefined, 'Token has expired'],
+    ['another issuer', { iss: 'https://evil.example.com' }, undefined, 'Token issuer is not trusted'],
+    ['another audience', { aud: 'other-app' }, undefined, 'Token audience does not match'],
+    ['an unknown key', {}, { alg: 'RS256', kid: 'rotated-away' }, 'Token signing key not found'],
+    ['an unsigned token', {}, { alg: 'none', kid: 'test-key' }, 'Unsupported or malformed token (alg none)']
+  ])('should reject %s', async (_name, claims, header, message) => {
+    const token = signJWT({ sub: 'bob', iss: 'https://idp.example.com', aud: 'nl-to-sql', exp: now + 300, ...claims }, privateKey, header);
+
+    await expect(authService.authenticate(requestWith({ authorization: `Bearer ${token}` })))
+      .rejects.toMatchObject({ code: 'UNAUTHENTICATED', message });
+  });
+
+  test('should reject a token signed by another key', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const token = signJWT({ sub: 'mallory', iss: 'https://idp.example.com', aud: 'nl-to-sql', exp: now + 300 }, otherKey);
+
+    await expect(authService.authenticate(requestWith({ authorization: `Bearer ${token}` })))
+      .rejects.toThrow('Invalid token signature');
+  });
+
+  test('should reject tokens whose key is malformed or of another type', async () => {
+    const claims = { sub: 'mallory', iss: 'https://idp.example.com', aud: 'nl-to-sql', exp: now + 300 };
+
+    for (const header of [{ alg: 'RS256', kid: 'ec-key' }, { alg: 'PS256', kid: 'ec-key' }, { alg: 'RS256', kid: 'broken-key' }]) {
+      await expect(authService.authenticate(requestWith({ authorization: `Bearer ${signJWT(claims, privateKey, header)}` })))
+        .rejects.toMatchObject({ code: 'UNAUTHENTICATED', message: 'Invalid token signature' });
+    }
+  });
+});
@@ -0,0 +1,56 @@
+const chartService = require('../src/services/chartService');
+
+const resultOf = (rows, fields) => ({ rows, metadata: { fields } });
+
+describe('Chart Service', () => {
+  test('should show a single row of numbers as a KPI', () => {
+    const result = resultOf([{ user_count: 42, revenue: '1250.50' }], [{ name: 'user_count', type: 20 }, { name: 'revenue', type: 1700 }]);
+
+    expect(chartService.recommend(result, { dbType: 'postgresql' })).toMatchObject({ type: 'kpi', y: ['user_count', 'revenue'], source: 'rules' });
+  });
+
+  test('should plot measures over a time column as a line', () => {
+    const rows = [
+      { month: '2024-01', orders: 12, revenue: 340.5 },
+      { month: '2024-02', orders: 9, revenue: 280 },
+      { month: '2024-03', orders: 15, revenue: 410 }
+    ];
+    // SQLite expressions have no declared type
+    const result = resultOf(rows, [{ name: 'month', type: null }, { name: 'orders', type: null }, { name: 'revenue', type: null }]);
+
+    expect(chartService.recommend(result, { dbType: 'sqlite' })).toEqual({
+      type: 'line',
+      x: 'month',
+      xType: 'time',
+      y: ['orders', 'revenue'],
+      reason: 'orders, revenue over month',
+      alternatives: ['bar'],
+      source: 'rules'
+    });
+  });
+
+  test('should compare categories with bars and offer a pie for a few shares', () => {
+    const rows = [{ category: 'Books', product_count: 4 }, { category: 'Garden', product_count: 2 }, { category: 'Toys', product_count: 0 }];
+    const result = resultOf(rows, [{ name: 'category', type: 'VARCHAR' }, { name: 'product_count', type: 'BIGINT' }]);
+
+    expect(chartService.recommend(result, { dbType: 'duckdb' })).toMatchObject({ type: 'bar', x: 'category', xType: 'category', alternatives: ['pie'] });
+    expect(chartService.recommend(result, { dbType: 'duckdb', hint: 'pie' })).toMatchObject({ type: 'pie', alternatives: ['bar'], source: 'llm' });
+  });
+
+  test('should ignore model suggestions that do not fit the result', () => {
+    const rows = [{ price: 9.99, rating: 4.5 }, { price: 24, rating: 3.8 }];
+    const result = resultOf(rows, [{ name: 'price', type: 246 }, { name: 'rating', type: 5 }]);
+
+    expect(chartService.recommend(result, { dbType: 'mysql', hint: 'pie' })).toMatchObject({ type: 'scatter', x: 'price', y: ['rating'], source: 'rules' });
+    expect(chartService.recommend(result, { dbType: 'mysql', hint: 'table' })).toBeNull();
+  });
+
+  test('should not chart keys, text only or empty results', () => {
+    const keys = resultOf([{ id: 1, user_id: 7 }, { id: 2, user_id: 8 }], [{ name: 'id', type: 'INTEGER' }, { name: 'user_id', type: 'INTEGER' }]);
+    const text = resultOf([{ email: 'a@example.com' }, { email: 'b@example.com' }], [{ name: 'email', type: 'TEXT' }]);
+
+    expect(chartService.recommend(keys, { dbType: 'sqlite' })).toBeNull();
+    expect(chartService.recommend(text, { dbType: 'sqlite' })).toBeNull();
+    expect(chartService.recommend(resultOf([], []), { dbType: 'sqlite' })).toBeNull();
+  });
+});
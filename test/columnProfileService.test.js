@@ -0,0 +1,137 @@
+const mockStore = new Map();
+jest.mock('../src/config/redis', () => ({
+  isConnected: true,
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => !!mockStore.set(key, JSON.stringify(value))),
+  del: jest.fn(async key => mockStore.delete(key))
+}));
+jest.mock('../src/services/cacheService', () => ({
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => !!mockStore.set(key, JSON.stringify(value))),
+  delPattern: jest.fn(async () => 0)
+}));
+jest.mock('../src/services/schemaRetrievalService', () => ({
+  rebuild: jest.fn(async () => {}),
+  clear: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalDatabase } = require('../scripts/create-local-db');
+const datasources = require('../src/config/datasources');
+const columnProfileService = require('../src/services/columnProfileService');
+const llmService = require('../src/services/llmService');
+const schemaService = require('../src/services/schemaService');
+
+describe('Column Profile Service', () => {
+  const originalConfig = process.env.DATASOURCES_CONFIG;
+  let directory;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-profile-'));
+    const filename = path.join(directory, 'sample.sqlite');
+    await createLocalDatabase('sqlite', filename);
+
+    const configPath = path.join(directory, 'datasources.json');
+    fs.writeFileSync(configPath, JSON.stringify({ datasources: { local: { type: 'sqlite', filename } } }));
+    process.env.DATASOURCES_CONFIG = configPath;
+    datasources.definitions = null;
+  });
+
+  beforeEach(() => {
+    mockStore.clear();
+    columnProfileService.exclude = [];
+    columnProfileService.promptBudget = 4000;
+  });
+
+  afterAll(async () => {
+    await datasources.closeAll();
+    if (originalConfig === undefined) {
+      delete process.env.DATASOURCES_CONFIG;
+    } else {
+      process.env.DATASOURCES_CONFIG = originalConfig;
+    }
+    datasources.definitions = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should profile low-cardinality values, ranges and null ratios', () => {
+    const profile = (type, sample, extra = {}) => columnProfileService.profileColumn({ name: 'c', type, ...extra }, sample);
+
+    expect(profile('VARCHAR(50)', ['delivered', 'shipped', 'delivered', null])).toEqual({ nullRatio: 0.25, values: ['delivered', 'shipped'] });
+    expect(profile('numeric', ['42.98', '999.99', '159.98'])).toEqual({ nullRatio: 0, min: 42.98, max: 999.99 });
+    expect(profile('TIMESTAMP', ['2024-01-20 14:15:00', '2024-01-15 10:30:00'])).toEqual({ nullRatio: 0, min: '2024-01-15 10:30:00', max: '2024-01-20 14:15:00' });
+    // Values that never repeat, too many values and long text are not categories
+    expect(profile('TEXT', ['a', 'b', 'c'])).toEqual({ nullRatio: 0 });
+    expect(profile('TEXT', Array.from({ length: 50 }, (_, i) => `v${i % 25}`))).toEqual({ nullRatio: 0 });
+    expect(profile('TEXT', ['x'.repeat(80), 'x'.repeat(80)])).toEqual({ nullRatio: 0 });
+    expect(profile('order_status', ['a', 'a'], { allowedValues: ['a', 'b'] })).toEqual({ nullRatio: 0 });
+    expect(profile('TEXT', [null, null])).toEqual({ nullRatio: 1 });
+  });
+
+  test('should sample tables without keys, personal or excluded columns', async () => {
+    columnProfileService.exclude = ['products.*'];
+    const profile = await columnProfileService.profile('local');
+
+    expect(profile).toMatchObject({ datasource: 'local', fingerprint: expect.stringMatching(/^[0-9a-f]{16}$/) });
+    expect(profile.tables.orders).toEqual({
+      rowsSampled: 5,
+      columns: {
+        total_amount: { nullRatio: 0, min: 42.98, max: 2499.99 },
+        status: { nullRatio: 0, values: ['delivered', 'processing', 'shipped'] },
+        order_date: { nullRatio: 0, min: '2024-01-15 10:30:00', max: '2024-01-25 16:20:00' },
+        shipped_date: { nullRatio: 1 }
+      }
+    });
+    // id, user_id and delivery_address (personal) are left out
+    expect(Object.keys(profile.tables.users.columns)).toEqual(['created_at', 'updated_at', 'is_active']);
+    expect(profile.tables.products).toBeUndefined();
+    await expect(columnProfileService.getProfile('local')).resolves.toEqual(profile);
+  });
+
+  test('should sample base tables only', async () => {
+    const schema = await schemaService.getSchema('local');
+    const types = { orders: 'MATERIALIZED VIEW', products: 'FOREIGN TABLE', reviews: 'VIEW', users: undefined };
+    jest.spyOn(schemaService, 'getSchema').mockResolvedValueOnce({
+      ...schema,
+      tables: schema.tables.map(table => table.name in types ? { ...table, type: types[table.name] } : table)
+    });
+
+    const profile = await columnProfileService.profile('local');
+
+    expect(profile.tables.orders).toBeUndefined();
+    expect(profile.tables.products).toBeUndefined();
+    expect(profile.tables.reviews).toBeUndefined();
+    // Tables whose type the database does not report are sampled
+    expect(profile.tables.users).toBeDefined();
+    schemaService.getSchema.mockRestore();
+  });
+
+  test('should add cached profiles to the prompt within the budget', async () => {
+    await columnProfileService.profile('local');
+    const schema = await schemaService.getSchema('local');
+    const orders = (annotated) => annotated.tables.find(table => table.name === 'orders');
+
+    const annotated = await columnProfileService.annotate(schema);
+    expect(orders(annotated).columns.find(column => column.name === 'status').profile)
+      .toEqual({ nullRatio: 0, values: ['delivered', 'processing', 'shipped'] });
+    expect(llmService.describeTable(orders(annotated)).split('\n').slice(3, 8)).toEqual([
+      '  - total_amount (decimal(10,2), not null) [range: 42.98 to 2499.99]',
+      "  - status (varchar(50), nullable) [sampled values: 'delivered', 'processing', 'shipped']",
+      '  - order_date (timestamp, nullable) [range: 2024-01-15 10:30:00 to 2024-01-25 16:20:00]',
+      '  - shipped_date (timestamp, nullable) [100% null]',
+      '  - delivery_address (text, nullable)'
+    ]);
+
+    columnProfileService.promptBudget = 20;
+    const trimmed = await columnProfileService.annotate(schema);
+    expect(trimmed.tables.flatMap(table => table.columns).filter(column => column.profile)).toHaveLength(1);
+
+    // A profile taken on another schema is not used, and is retaken
+    mockStore.set(columnProfileService.getCacheKey('local'), JSON.stringify({ fingerprint: 'outdated', tables: {} }));
+    await expect(columnProfileService.annotate(schema)).resolves.toBe(schema);
+    await columnProfileService.profile('local');
+    await expect(columnProfileService.getProfile('local')).resolves.toMatchObject({ fingerprint: schema.metadata.fingerprint });
+  });
+});
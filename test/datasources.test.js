@@ -0,0 +1,56 @@
+const datasources = require('../src/config/datasources');
+
+describe('Datasource Registry', () => {
+  const originalConfig = process.env.DATASOURCES_CONFIG;
+
+  beforeEach(() => {
+    datasources.definitions = null;
+    datasources.connections.clear();
+  });
+
+  afterAll(async () => {
+    await datasources.closeAll();
+    if (originalConfig === undefined) {
+      delete process.env.DATASOURCES_CONFIG;
+    } else {
+      process.env.DATASOURCES_CONFIG = originalConfig;
+    }
+    datasources.definitions = null;
+  });
+
+  test('should fall back to a single default data source from DB_* variables', () => {
+    delete process.env.DATASOURCES_CONFIG;
+
+    expect(datasources.names()).toEqual(['default']);
+    expect(datasources.resolveName()).toBe('default');
+  });
+
+  describe('with a config file', () => {
+    beforeEach(() => {
+      process.env.DATASOURCES_CONFIG = 'test/fixtures/datasources.json';
+      process.env.TEST_WAREHOUSE_PASSWORD = 'p"ss';
+    });
+
+    test('should resolve named and default data sources', () => {
+      expect(datasources.resolveName()).toBe('warehouse');
+      expect(datasources.resolveName('billing')).toBe('billing');
+      expect(datasources.get('billing').dbType).toBe('mysql');
+    });
+
+    test('should fill ${VAR} placeholders from the environment', () => {
+      expect(datasources.get('warehouse').config.password).toBe('p"ss');
+    });
+
+    test('should list data sources without credentials', () => {
+      const listed = datasources.list();
+
+      expect(listed.map(ds => ds.name)).toEqual(['warehouse', 'billing']);
+      expect(listed[0]).toMatchObject({ type: 'postgresql', database: 'dw', isDefault: true });
+      expect(JSON.stringify(listed)).not.toContain('secret');
+    });
+
+    test('should reject unknown data sources', () => {
+      expect(() => datasources.resolveName('replica')).toThrow('Unknown datasource: replica');
+    });
+  });
+});
@@ -0,0 +1,264 @@
+jest.mock('../src/config/redis', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+}));
+jest.mock('../src/services/cacheService', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true),
+  getOrSet: jest.fn((key, fetchFunction) => fetchFunction())
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalDatabase } = require('../scripts/create-local-db');
+const datasources = require('../src/config/datasources');
+const accessPolicyService = require('../src/services/accessPolicyService');
+const cacheService = require('../src/services/cacheService');
+const schemaService = require('../src/services/schemaService');
+const queryCostService = require('../src/services/queryCostService');
+const queryExecutionService = require('../src/services/queryExecutionService');
+const runningQueryService = require('../src/services/runningQueryService');
+
+describe('Embedded database dialects', () => {
+  const originalConfig = process.env.DATASOURCES_CONFIG;
+  let directory;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-dialects-'));
+    await createLocalDatabase('sqlite', path.join(directory, 'sample.sqlite'));
+    await createLocalDatabase('duckdb', path.join(directory, 'sample.duckdb'));
+
+    const configPath = path.join(directory, 'datasources.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      datasources: {
+        sqlite: { type: 'sqlite', filename: path.join(directory, 'sample.sqlite') },
+        duckdb: { type: 'duckdb', filename: path.join(directory, 'sample.duckdb') }
+      }
+    }));
+    process.env.DATASOURCES_CONFIG = configPath;
+    datasources.definitions = null;
+  });
+
+  afterAll(async () => {
+    await datasources.closeAll();
+    if (originalConfig === undefined) {
+      delete process.env.DATASOURCES_CONFIG;
+    } else {
+      process.env.DATASOURCES_CONFIG = originalConfig;
+    }
+    datasources.definitions = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe.each(['sqlite', 'duckdb'])('%s', (datasource) => {
+    test('should introspect tables, columns and foreign keys', async () => {
+      const schema = await schemaService.fetchSchemaFromDatabase(datasource);
+
+      expect(schema.metadata).toMatchObject({ datasource, dbType: datasource, tableCount: 6 });
+      expect(schema.tables.map(table => table.name)).toEqual(
+        ['categories', 'order_items', 'orders', 'products', 'reviews', 'users']
+      );
+
+      const users = schema.tables.find(table => table.name === 'users');
+      expect(users.columns.find(col => col.name === 'email')).toMatchObject({ nullable: false });
+      expect(users.columns.find(col => col.name === 'is_active')).toMatchObject({ nullable: true });
+
+      expect(schema.relationships).toEqual(expect.arrayContaining([
+        expect.objectContaining({ fromTable: 'orders', fromColumn: 'user_id', toTable: 'users', toColumn: 'id' }),
+        expect.objectContaining({ fromTable: 'categories', fromColumn: 'parent_id', toTable: 'categories', toColumn: 'id' })
+      ]));
+      expect(schema.relationships).toHaveLength(7);
+    });
+
+    test('should introspect keys, indexes and check constraints', async () => {
+      const schema = await schemaService.fetchSchemaFromDatabase(datasource);
+      const table = (name) => schema.tables.find(candidate => candidate.name === name);
+
+      expect(table('users')).toMatchObject({ schema: 'main', type: 'BASE TABLE', primaryKey: ['id'], uniqueConstraints: [['email']] });
+      expect(table('users').indexes).toContainEqual({ name: 'idx_users_email', columns: ['email'], unique: false });
+      expect(table('orders').indexes.map(index => index.columns)).toEqual(expect.arrayContaining([['user_id'], ['order_date']]));
+      expect(table('reviews').checkConstraints).toHaveLength(1);
+      expect(table('reviews').checkConstraints[0]).toMatch(/rating >= 1\)? AND \(?rating <= 5/);
+    });
+
+    test('should paginate results and count the total', async () => {
+      const result = await queryExecutionService.executeQuery(
+        'SELECT u.id, u.email FROM users u ORDER BY u.id',
+        { datasource, page: 2, pageSize: 2, useCache: false }
+      );
+
+      expect(result.rows.map(row => Number(row.id))).toEqual([3, 4]);
+      expect(result.pagination).toMatchObject({ totalRows: 5, totalPages: 3, hasNextPage: true });
+      expect(result.metadata.fields.map(field => field.name)).toEqual(['id', 'email']);
+    });
+
+    test('should page from outside a query that limits itself', async () => {
+      const result = await queryExecutionService.executeQuery(
+        'SELECT p.id FROM products p ORDER BY p.id LIMIT 4',
+        { datasource, page: 2, pageSize: 3, useCache: false, countMode: 'none' }
+      );
+
+      expect(result.rows.map(row => Number(row.id))).toEqual([4]);
+      // The last page knows its total even without counting
+      expect(result.pagination).toMatchObject({ mode: 'offset', totalRows: 4, totalPages: 2, hasNextPage: false });
+    });
+
+    test('should walk every row with a keyset cursor', async () => {
+      const sql = 'SELECT p.id, p.price FROM products p ORDER BY p.price DESC';
+      const pages = [];
+      const cursors = [];
+      let cursor;
+
+      do {
+        const result = await queryExecutionService.executeQuery(sql, {
+          datasource, pageSize: 3, useCache: false, paginationMode: 'cursor', countMode: 'none', cursor
+        });
+        pages.push(result.rows.map(row => Number(row.id)));
+        expect(result.pagination).toMatchObject({ cursorKeys: ['price', 'id'], totalRows: null });
+        cursor = result.pagination.nextCursor;
+        cursors.push(cursor);
+      } while (cursor);
+
+      expect(pages).toEqual([[3, 4, 1], [2, 5, 6], [8, 7]]);
+      await expect(queryExecutionService.executeQuery('SELECT p.id FROM products p', {
+        datasource, useCache: false, paginationMode: 'cursor', cursor: cursors[0]
+      })).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    });
+
+    test('should read only the rows an access policy lets through', async () => {
+      Object.assign(accessPolicyService, {
+        loaded: true,
+        policy: {
+          roles: {
+            analyst: {
+              tables: {
+                orders: { rowFilter: 'status = :user_status' },
+                users: { excludeColumns: ['email'] }
+              }
+            }
+          }
+        }
+      });
+      accessPolicyService.rules.clear();
+      const user = { id: 'alice', role: 'analyst', attributes: { status: 'delivered' } };
+
+      try {
+        const result = await queryExecutionService.executeQuery(
+          'SELECT o.id, o.status, u.first_name FROM orders o JOIN users u ON u.id = o.user_id ORDER BY o.id',
+          { datasource, useCache: false, user }
+        );
+
+        expect(result.rows).toHaveLength(3);
+        expect(result.rows.every(row => row.status === 'delivered')).toBe(true);
+        expect(result.metadata.accessPolicy).toEqual({ role: 'analyst', rowFilteredTables: ['orders'] });
+        await expect(queryExecutionService.executeQuery('SELECT u.email FROM users u', { datasource, useCache: false, user }))
+          .rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+      } finally {
+        Object.assign(accessPolicyService, { loaded: false, policy: null });
+        accessPolicyService.rules.clear();
+      }
+    });
+
+    test('should mask personal data before results are cached or returned', async () => {
+      const sql = 'SELECT u.id, u.email FROM users u ORDER BY u.id';
+      cacheService.set.mockClear();
+
+      const result = await queryExecutionService.executeQuery(sql, { datasource, pageSize: 2, user: { id: 'vic', role: 'viewer' } });
+
+      expect(result.rows).toEqual([{ id: 1, email: '[REDACTED]' }, { id: 2, email: '[REDACTED]' }]);
+      expect(result.metadata.piiMasking).toEqual({
+        role: 'viewer',
+        columns: [{ column: 'email', type: 'email', action: 'redact', detectedBy: 'column_name' }]
+      });
+      const [, cached] = cacheService.set.mock.calls.find(([key]) => key.startsWith(queryExecutionService.cachePrefix));
+      expect(cached.rows).toEqual(result.rows);
+      await expect(queryExecutionService.executeQuery('SELECT u.email FROM users u', {
+        datasource, pageSize: 2, useCache: false, paginationMode: 'cursor', cursorKeys: ['email'], user: { id: 'vic', role: 'viewer' }
+      })).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    });
+
+    test('should return an execution plan for dry runs', async () => {
+      const result = await queryExecutionService.executeQuery(
+        'SELECT o.status, COUNT(*) AS order_count FROM orders o GROUP BY o.status',
+        { datasource, dryRun: true }
+      );
+
+      expect(result.isValid).toBe(true);
+      expect(result.explainPlan.length).toBeGreaterThan(0);
+      expect(result.findings).toContainEqual(expect.objectContaining({ type: 'FULL_SCAN' }));
+      expect(result.costCheck.decision).toBe('allow');
+    });
+
+    test('should hold cartesian products until they are confirmed', async () => {
+      const sql = 'SELECT u.id, o.id AS order_id FROM users u, orders o';
+      queryCostService.policy = { default: { confirmFindings: ['CARTESIAN_PRODUCT'] } };
+
+      try {
+        await expect(queryExecutionService.executeQuery(sql, { datasource, useCache: false }))
+          .rejects.toMatchObject({ code: 'CONFIRMATION_REQUIRED', violations: [expect.objectContaining({ finding: 'CARTESIAN_PRODUCT' })] });
+
+        const result = await queryExecutionService.executeQuery(sql, { datasource, useCache: false, confirm: true });
+        expect(result.rows.length).toBeGreaterThan(0);
+        expect(result.metadata.costCheck).toMatchObject({ decision: 'allow', confirmed: true });
+      } finally {
+        queryCostService.policy = null;
+      }
+    });
+
+    test('should refuse writes at the connection level', async () => {
+      await expect(datasources.get(datasource).query('DELETE FROM reviews')).rejects.toThrow();
+    });
+  });
+
+  test('should estimate the total from the DuckDB plan', async () => {
+    const result = await queryExecutionService.executeQuery(
+      'SELECT p.id FROM products p',
+      { datasource: 'duckdb', pageSize: 3, useCache: false, countMode: 'estimated' }
+    );
+
+    expect(result.pagination).toMatchObject({ totalRows: 8, totalRowsEstimated: true, totalPages: 3, hasNextPage: true });
+  });
+
+  test('should stop DuckDB queries on timeout and on cancellation', async () => {
+    const sql = 'SELECT count(*) AS n FROM range(100000000000) AS t';
+    const running = runningQueryService.start({ id: 'slow-query', user: { id: 'ada' }, datasource: 'duckdb' });
+    setTimeout(() => runningQueryService.cancel('slow-query', { id: 'ada' }), 100);
+
+    try {
+      await expect(queryExecutionService.executeQuery(sql, { datasource: 'duckdb', useCache: false, timeout: 100 }))
+        .rejects.toMatchObject({ code: 'QUERY_TIMEOUT', message: 'Query exceeded the 100 ms statement timeout' });
+      await expect(queryExecutionService.executeQuery(sql, { datasource: 'duckdb', useCache: false, signal: running.signal }))
+        .rejects.toMatchObject({ code: 'QUERY_CANCELLED', message: 'Query cancelled: Cancelled by ada' });
+    } finally {
+      running.finish();
+    }
+  });
+
+  test('should stop DuckDB streams on timeout and on cancellation', async () => {
+    const sql = 'SELECT count(*) AS n FROM range(100000000000) AS t';
+    const drain = async (batches) => {
+      for await (const _batch of batches) { /* read everything */ }
+    };
+    const running = runningQueryService.start({ id: 'slow-export', user: { id: 'ada' }, datasource: 'duckdb' });
+    setTimeout(() => runningQueryService.cancel('slow-export', { id: 'ada' }), 100);
+
+    try {
+      await expect(drain(datasources.get('duckdb').stream(sql, [], { timeout: 100 })))
+        .rejects.toMatchObject({ code: 'QUERY_TIMEOUT', message: 'Query exceeded the 100 ms statement timeout' });
+      await expect(drain(datasources.get('duckdb').stream(sql, [], { signal: running.signal })))
+        .rejects.toMatchObject({ code: 'QUERY_CANCELLED', message: 'Query cancelled: Cancelled by ada' });
+    } finally {
+      running.finish();
+    }
+  });
+
+  test('should expose DuckDB table and column comments', async () => {
+    const schema = await schemaService.fetchSchemaFromDatabase('duckdb');
+    const users = schema.tables.find(table => table.name === 'users');
+
+    expect(users.comment).toBe('Customer and user information');
+    expect(users.columns.find(col => col.name === 'email').comment).toBe('Unique email address for login');
+  });
+});
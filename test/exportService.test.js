@@ -0,0 +1,122 @@
+jest.mock('../src/config/redis', () => ({}));
+jest.mock('../src/services/cacheService', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const parquet = require('parquetjs-lite');
+const { createLocalDatabase } = require('../scripts/create-local-db');
+const datasources = require('../src/config/datasources');
+const exportService = require('../src/services/exportService');
+
+const collect = (stream) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  return () => Buffer.concat(chunks);
+};
+
+describe('Export Service', () => {
+  const originalConfig = process.env.DATASOURCES_CONFIG;
+  let directory;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-export-'));
+    await createLocalDatabase('sqlite', path.join(directory, 'sample.sqlite'));
+
+    const configPath = path.join(directory, 'datasources.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      datasources: { local: { type: 'sqlite', filename: path.join(directory, 'sample.sqlite') } }
+    }));
+    process.env.DATASOURCES_CONFIG = configPath;
+    datasources.definitions = null;
+  });
+
+  afterAll(async () => {
+    await datasources.closeAll();
+    if (originalConfig === undefined) {
+      delete process.env.DATASOURCES_CONFIG;
+    } else {
+      process.env.DATASOURCES_CONFIG = originalConfig;
+    }
+    datasources.definitions = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should stream CSV up to the row ceiling and report truncation', async () => {
+    const output = new PassThrough();
+    const read = collect(output);
+    const onStart = jest.fn();
+
+    const result = await exportService.exportQuery(
+      'SELECT u.id, u.last_name || \', \' || u.first_name AS name FROM users u ORDER BY u.id',
+      { format: 'csv', maxRows: 2, user: { id: 'root', role: 'admin' }, onStart },
+      output
+    );
+
+    expect(result).toMatchObject({ rowCount: 2, rowLimit: 2, truncated: true, cancelled: false });
+    expect(onStart).toHaveBeenCalledTimes(1);
+    expect(read().toString()).toBe('id,name\r\n1,"Doe, John"\r\n2,"Smith, Jane"\r\n');
+  });
+
+  test('should mask personal data for the user\'s role before writing it', async () => {
+    const output = new PassThrough();
+    const read = collect(output);
+    const onStart = jest.fn();
+
+    const result = await exportService.exportQuery(
+      'SELECT id, email, last_name FROM users ORDER BY id LIMIT 1',
+      { format: 'csv', user: { id: 'ann', role: 'analyst' }, onStart },
+      output
+    );
+
+    expect(read().toString()).toBe('id,email,last_name\r\n1,j***@example.com,D***\r\n');
+    expect(onStart).toHaveBeenCalledWith(result.piiMasking);
+    expect(result.piiMasking.columns).toEqual([
+      { column: 'email', type: 'email', action: 'mask', detectedBy: 'column_name' },
+      { column: 'last_name', type: 'name', action: 'mask', detectedBy: 'column_name' }
+    ]);
+  });
+
+  test('should write one JSON object per line for NDJSON', async () => {
+    const output = new PassThrough();
+    const read = collect(output);
+
+    const result = await exportService.exportQuery('SELECT * FROM reviews', { format: 'ndjson' }, output);
+    const lines = read().toString().trim().split('\n').map(line => JSON.parse(line));
+
+    expect(result).toMatchObject({ rowCount: 6, truncated: false });
+    expect(lines[0]).toMatchObject({ id: 1, rating: 5 });
+  });
+
+  test('should write a Parquet file with inferred column types', async () => {
+    const output = new PassThrough();
+    const read = collect(output);
+
+    await exportService.exportQuery('SELECT p.name, p.price, p.stock_quantity FROM products p ORDER BY p.id', { format: 'parquet' }, output);
+
+    const reader = await parquet.ParquetReader.openBuffer(read());
+    const cursor = reader.getCursor();
+    const first = await cursor.next();
+    const rowCount = Number(reader.getRowCount());
+    await reader.close();
+
+    expect(rowCount).toBe(8);
+    expect(first).toEqual({ name: 'iPhone 15 Pro', price: 999.99, stock_quantity: 50 });
+  });
+
+  test('should reject write statements before writing anything', async () => {
+    const onStart = jest.fn();
+
+    await expect(exportService.exportQuery('DELETE FROM users', { onStart }, new PassThrough()))
+      .rejects.toMatchObject({ violations: [expect.objectContaining({ code: 'STATEMENT_NOT_ALLOWED' })] });
+    expect(onStart).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => exportService.getFormat('pdf')).toThrow('Unsupported export format: pdf');
+  });
+});
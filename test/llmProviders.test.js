@@ -0,0 +1,83 @@
+const { FixtureProvider, OpenAICompatibleProvider } = require('../src/services/llmProviders');
+
+describe('LLM Providers', () => {
+
+  describe('Fixture provider', () => {
+    const provider = new FixtureProvider({ fixturesPath: 'test/fixtures/llm-fixtures.json' });
+
+    test('should replay SQL for a normalized question', async () => {
+      const result = await provider.generateSQL({ userQuery: '  How many users   do we have? ' });
+
+      expect(result.sql).toBe('SELECT COUNT(*) AS user_count FROM users');
+      expect(result.confidence).toBe(95);
+      expect(result.usage.total_tokens).toBe(0);
+    });
+
+    test('should replay one response per repair attempt', async () => {
+      provider.addFixture('generateSQL', 'total revenue', [
+        { sql: 'SELECT SUM(o.total) FROM orders o' },
+        { sql: 'SELECT SUM(o.total_amount) FROM orders o' }
+      ]);
+
+      const first = await provider.generateSQL({ userQuery: 'total revenue', previousAttempts: [] });
+      const repaired = await provider.generateSQL({ userQuery: 'total revenue', previousAttempts: [{ attempt: 1 }] });
+      const again = await provider.generateSQL({ userQuery: 'total revenue', previousAttempts: [{ attempt: 1 }, { attempt: 2 }] });
+
+      expect(first.sql).toBe('SELECT SUM(o.total) FROM orders o');
+      expect(repaired.sql).toBe('SELECT SUM(o.total_amount) FROM orders o');
+      expect(again.sql).toBe(repaired.sql);
+    });
+
+    test('should fall back to wildcard text fixtures', async () => {
+      const result = await provider.explainResult({ userQuery: 'anything at all' });
+
+      expect(result.text).toBe('The result lists the rows that answer the question.');
+    });
+
+    test('should fail for questions without a fixture', async () => {
+      await expect(provider.generateSQL({ userQuery: 'unknown question' }))
+        .rejects.toThrow('No generateSQL fixture');
+    });
+  });
+
+  describe('OpenAI-compatible provider', () => {
+    test('should require a base URL', () => {
+      expect(() => new OpenAICompatibleProvider({})).toThrow('LLM_BASE_URL is required');
+    });
+
+    test('should extract JSON from a wrapped reply in json mode', () => {
+      const provider = new OpenAICompatibleProvider({ baseURL: 'http://localhost:11434/v1', toolMode: 'json' });
+      const json = provider.extractJSON('Here you go:\n```json\n{"sql": "SELECT 1", "confidence": 80}\n```');
+
+      expect(provider.parseSQLArguments(json).sql).toBe('SELECT 1');
+    });
+
+    test('should stream SQL deltas from partial tool call arguments', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL: 'http://localhost:11434/v1' });
+      const args = JSON.stringify({ sql: 'SELECT "name"\nFROM users', confidence: 90 });
+      provider.client = {
+        chat: {
+          completions: {
+            create: async () => (async function * () {
+              for (let i = 0; i < args.length; i += 4) {
+                yield { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: args.slice(i, i + 4) } }] } }] };
+              }
+            })()
+          }
+        }
+      };
+
+      const deltas = [];
+      const result = await provider.generateSQL({
+        systemPrompt: 'system',
+        userPrompt: 'user',
+        tool: { name: 'execute_sql' },
+        onToken: delta => deltas.push(delta)
+      });
+
+      expect(deltas.length).toBeGreaterThan(1);
+      expect(deltas.join('')).toBe('SELECT "name"\nFROM users');
+      expect(result.sql).toBe('SELECT "name"\nFROM users');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+jest.mock('../src/services/schemaService', () => ({
+  getSchema: jest.fn(async () => ({
+    tables: [
+      {
+        name: 'customers',
+        columns: [
+          { name: 'id' },
+          { name: 'email' },
+          { name: 'first_name' },
+          { name: 'contact', comment: 'Preferred number (PII:phone)' },
+          { name: 'nickname' },
+          { name: 'status' }
+        ]
+      },
+      { name: 'products', columns: [{ name: 'id' }, { name: 'full_name' }] }
+    ],
+    relationships: []
+  }))
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const piiMaskingService = require('../src/services/piiMaskingService');
+const sqlValidationService = require('../src/services/sqlValidationService');
+
+const rows = [
+  { id: 1, email: 'ada@example.com', first_name: 'Ada', contact: '+44 20 7946 0958', nickname: 'ace', status: 'active' },
+  { id: 2, email: 'alan@example.com', first_name: 'Alan', contact: '+44 20 7946 0999', nickname: 'turing', status: null }
+];
+
+const maskerFor = (sql, role, resultRows = rows) => piiMaskingService.createMasker({
+  columns: Object.keys(resultRows[0]),
+  rows: resultRows,
+  validation: sqlValidationService.assertReadOnly(sql, { dbType: 'postgresql' }),
+  user: role && { id: 'someone', role }
+});
+
+describe('PII Masking Service', () => {
+  const originalFile = process.env.PII_POLICY_FILE;
+  let directory;
+
+  const usePolicy = (policy) => {
+    const policyFile = path.join(directory, 'pii.json');
+    fs.writeFileSync(policyFile, JSON.stringify(policy));
+    process.env.PII_POLICY_FILE = policyFile;
+    piiMaskingService.policy = null;
+  };
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-pii-'));
+    piiMaskingService.hashKey = 'test-secret';
+  });
+
+  beforeEach(() => {
+    delete process.env.PII_POLICY_FILE;
+    piiMaskingService.policy = null;
+  });
+
+  afterAll(() => {
+    if (originalFile === undefined) {
+      delete process.env.PII_POLICY_FILE;
+    } else {
+      process.env.PII_POLICY_FILE = originalFile;
+    }
+    piiMaskingService.policy = null;
+    piiMaskingService.hashKey = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should classify columns by name, comment and policy tag', async () => {
+    usePolicy({ columns: { 'customers.nickname': 'name', 'products.full_name': false } });
+
+    const { report } = await maskerFor('SELECT * FROM customers', 'analyst');
+    const product = await maskerFor('SELECT full_name FROM products', 'analyst', [{ full_name: 'Widget Pro' }]);
+
+    expect(report.columns).toEqual([
+      { column: 'email', type: 'email', action: 'mask', detectedBy: 'column_name' },
+      { column: 'first_name', type: 'name', action: 'mask', detectedBy: 'column_name' },
+      { column: 'contact', type: 'phone', action: 'mask', detectedBy: 'comment' },
+      { column: 'nickname', type: 'name', action: 'mask', detectedBy: 'tag' }
+    ]);
+    expect(product.report.columns).toEqual([]);
+  });
+
+  test('should trace aliases and expressions back to their source columns', async () => {
+    const sql = "SELECT c.email AS login, lower(c.first_name) || '!' AS greeting, count(c.email) AS emails FROM customers c GROUP BY 1, 2";
+    const resultRows = [{ login: 'ada@example.com', greeting: 'ada!', emails: 1 }];
+
+    const { report } = await maskerFor(sql, 'analyst', resultRows);
+
+    expect(report.columns.map(({ column, type }) => [column, type])).toEqual([['login', 'email'], ['greeting', 'name']]);
+  });
+
+  test('should trace columns through subqueries, CTEs and unions', async () => {
+    const typesOf = async (sql, column, value = 'Ada') => {
+      const { report } = await maskerFor(sql, 'viewer', [{ [column]: value }]);
+      return report.columns.map(({ type, action, detectedBy }) => [type, action, detectedBy]);
+    };
+
+    expect(await typesOf('SELECT n FROM (SELECT first_name AS n FROM customers) s', 'n')).toEqual([['name', 'redact', 'column_name']]);
+    expect(await typesOf('SELECT s.* FROM (SELECT c.first_name AS n FROM customers c) s', 'n')).toEqual([['name', 'redact', 'column_name']]);
+    expect(await typesOf('WITH c AS (SELECT contact AS a FROM customers) SELECT a FROM c', 'a', 'x')).toEqual([['phone', 'redact', 'comment']]);
+    expect(await typesOf('WITH c (x) AS (SELECT first_name FROM customers), d AS (SELECT x AS y FROM c) SELECT d.* FROM d', 'y')).toEqual([['name', 'redact', 'column_name']]);
+    expect(await typesOf('SELECT status FROM customers UNION SELECT first_name FROM customers', 'status')).toEqual([['name', 'redact', 'column_name']]);
+    expect(await typesOf('SELECT (SELECT c.first_name FROM customers c WHERE c.id = p.id) AS owner FROM products p', 'owner')).toEqual([['name', 'redact', 'column_name']]);
+    expect(await typesOf('SELECT upper(first_name) FROM (SELECT first_name FROM customers) s', 'upper')).toEqual([['name', 'redact', 'column_name']]);
+    // Counts and columns that are not personal stay as they are
+    expect(await typesOf('SELECT n FROM (SELECT count(*) AS n FROM customers) s', 'n', 2)).toEqual([]);
+    expect(await typesOf('WITH c AS (SELECT status AS s FROM customers) SELECT s FROM c', 's', 'active')).toEqual([]);
+  });
+
+  test('should apply the role\'s action to untraced columns of queries that read personal data', async () => {
+    const sql = 'SELECT g.x FROM customers, generate_series(1, 2) AS g(x)';
+
+    const viewer = await maskerFor(sql, 'viewer', [{ x: 'Ada' }]);
+    const admin = await maskerFor(sql, 'admin', [{ x: 'Ada' }]);
+
+    expect(viewer.report.columns).toEqual([{ column: 'x', type: 'pii', action: 'redact', detectedBy: 'untraced' }]);
+    expect(viewer.mask([{ x: 'Ada' }])).toEqual([{ x: '[REDACTED]' }]);
+    expect(admin.mask([{ x: 'Ada' }])).toEqual([{ x: 'Ada' }]);
+    // Without personal columns in the query, untraced values are only checked for patterns
+    expect((await maskerFor('SELECT g.x FROM generate_series(1, 2) AS g(x)', 'viewer', [{ x: 'Widget' }])).report.columns)
+      .toEqual([]);
+  });
+
+  test('should classify untraced columns by their values', async () => {
+    const resultRows = [
+      { contact: 'x@example.com', card: '4111 1111 1111 1111', reference: '1234 5678 9012 3456', day: '2024-01-15' },
+      { contact: 'y@example.com', card: '5500-0000-0000-0004', reference: '1234 5678 9012 3457', day: '2024-01-16' }
+    ];
+
+    const masker = await maskerFor('SELECT * FROM (SELECT 1) AS t', 'analyst', resultRows);
+
+    expect(masker.report.columns).toEqual([
+      { column: 'contact', type: 'email', action: 'mask', detectedBy: 'value_pattern' },
+      { column: 'card', type: 'card', action: 'mask', detectedBy: 'value_pattern' }
+    ]);
+    expect(masker.mask(resultRows)[0]).toEqual({
+      contact: 'x***@example.com',
+      card: '**** **** **** 1111',
+      reference: '1234 5678 9012 3456',
+      day: '2024-01-15'
+    });
+  });
+
+  test('should apply the action of each role', async () => {
+    const sql = 'SELECT id, email, contact FROM customers';
+    const selected = rows.map(({ id, email, contact }) => ({ id, email, contact }));
+
+    const admin = await maskerFor(sql, 'admin', selected);
+    const analyst = await maskerFor(sql, 'analyst', selected);
+    const viewer = await maskerFor(sql, 'viewer', selected);
+    const anonymous = await maskerFor(sql, undefined, selected);
+
+    expect(admin.mask(selected)).toEqual(selected);
+    expect(analyst.mask(selected)[0]).toEqual({ id: 1, email: 'a***@example.com', contact: '+** ** **** 0958' });
+    expect(viewer.mask(selected)[0]).toEqual({ id: 1, email: '[REDACTED]', contact: '[REDACTED]' });
+    expect(anonymous.report.columns.every(column => column.action === 'redact')).toBe(true);
+    expect(selected[0].email).toBe('ada@example.com');
+  });
+
+  test('should hash values per type when the policy says so', async () => {
+    usePolicy({ roles: { analyst: { default: 'redact', email: 'hash' } } });
+    const resultRows = [{ email: 'ada@example.com', first_name: 'Ada' }, { email: 'ada@example.com', first_name: null }];
+
+    const masked = (await maskerFor('SELECT email, first_name FROM customers', 'analyst', resultRows)).mask(resultRows);
+
+    expect(masked[0].email).toMatch(/^[0-9a-f]{16}$/);
+    expect(masked[1].email).toBe(masked[0].email);
+    expect(masked[0].first_name).toBe('[REDACTED]');
+    expect(masked[1].first_name).toBeNull();
+  });
+
+  test('should reject unknown actions in the policy', () => {
+    usePolicy({ roles: { analyst: 'scramble' } });
+
+    expect(() => piiMaskingService.loadPolicy()).toThrow('Unknown PII action "scramble" for analyst');
+  });
+});
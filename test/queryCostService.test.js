@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const queryCostService = require('../src/services/queryCostService');
+const sqlValidationService = require('../src/services/sqlValidationService');
+
+const postgresPlan = [{
+  'QUERY PLAN': [{
+    Plan: {
+      'Node Type': 'Sort',
+      'Plan Rows': 2000000,
+      'Plan Width': 64,
+      Plans: [
+        { 'Node Type': 'Seq Scan', 'Relation Name': 'orders', 'Plan Rows': 2000000 },
+        { 'Node Type': 'Index Scan', 'Relation Name': 'users', 'Plan Rows': 1 }
+      ]
+    }
+  }]
+}];
+
+const findingsFor = (sql) => queryCostService.analyze([], 'postgresql', sqlValidationService.assertReadOnly(sql, { dbType: 'postgresql' }));
+
+describe('Query Cost Service', () => {
+  const originalFile = process.env.QUERY_COST_POLICY_FILE;
+  let directory;
+
+  const usePolicy = (policy) => {
+    const policyFile = path.join(directory, 'cost.json');
+    fs.writeFileSync(policyFile, JSON.stringify(policy));
+    process.env.QUERY_COST_POLICY_FILE = policyFile;
+    queryCostService.policy = null;
+  };
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-cost-'));
+  });
+
+  beforeEach(() => {
+    delete process.env.QUERY_COST_POLICY_FILE;
+    queryCostService.policy = null;
+  });
+
+  afterAll(() => {
+    if (originalFile === undefined) {
+      delete process.env.QUERY_COST_POLICY_FILE;
+    } else {
+      process.env.QUERY_COST_POLICY_FILE = originalFile;
+    }
+    queryCostService.policy = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should report full scans and disk sorts from each dialect plan', () => {
+    const mysqlPlan = [{
+      EXPLAIN: JSON.stringify({
+        query_block: {
+          ordering_operation: {
+            using_filesort: true,
+            table: { table_name: 'orders', access_type: 'ALL', rows_examined_per_scan: 500000, rows_produced_per_join: 500000 }
+          }
+        }
+      })
+    }];
+    const duckdbPlan = [{
+      name: 'ORDER_BY',
+      children: [{ name: 'SEQ_SCAN ', extra_info: { Table: 'orders', 'Estimated Cardinality': '40' } }]
+    }];
+    const sqlitePlan = [{ detail: 'SCAN o' }, { detail: 'SEARCH u USING INTEGER PRIMARY KEY (rowid=?)' }, { detail: 'SCAN p USING INDEX idx_price' }];
+
+    expect(queryCostService.findPlanFindings(postgresPlan, 'postgresql').map(({ type, table, large }) => [type, table, large]))
+      .toEqual([['DISK_SORT', undefined, undefined], ['FULL_SCAN', 'orders', true]]);
+    expect(queryCostService.findPlanFindings(mysqlPlan, 'mysql').map(finding => finding.type)).toEqual(['DISK_SORT', 'FULL_SCAN']);
+    expect(queryCostService.findPlanFindings(duckdbPlan, 'duckdb')).toEqual([
+      expect.objectContaining({ type: 'FULL_SCAN', table: 'orders', estimatedRows: 40, large: false })
+    ]);
+    expect(queryCostService.findPlanFindings(sqlitePlan, 'sqlite')).toEqual([
+      expect.objectContaining({ type: 'FULL_SCAN', table: 'o', estimatedRows: null, large: null })
+    ]);
+  });
+
+  test('should find tables that no predicate joins', () => {
+    expect(findingsFor('SELECT u.id, o.id FROM users u, orders o')).toEqual([
+      expect.objectContaining({ type: 'CARTESIAN_PRODUCT', tables: ['users', 'orders'] })
+    ]);
+    expect(findingsFor('SELECT u.id FROM users u JOIN orders o ON o.user_id = u.id JOIN products p ON p.id > 0')).toEqual([
+      expect.objectContaining({ type: 'CARTESIAN_PRODUCT', tables: ['users', 'orders', 'products'] })
+    ]);
+    expect(findingsFor('SELECT u.id FROM users u, orders o WHERE o.user_id = u.id')).toEqual([]);
+    expect(findingsFor('SELECT u.id FROM users u JOIN orders o USING (id)')).toEqual([]);
+  });
+
+  test('should reject, hold or allow a query by the limits of its role', () => {
+    usePolicy({
+      default: { confirmRows: 1000, confirmFindings: ['DISK_SORT'] },
+      roles: { viewer: { maxCost: 5000 }, admin: { confirmRows: null, confirmFindings: [] } }
+    });
+    const plan = {
+      estimatedCost: { totalCost: 12000, estimatedRows: 2000000 },
+      findings: queryCostService.findPlanFindings(postgresPlan, 'postgresql')
+    };
+    const check = (role, confirmed) => queryCostService.check(plan, { dbType: 'postgresql', datasource: 'default', user: { id: role, role }, confirmed });
+
+    expect(check('viewer')).toMatchObject({ decision: 'reject', reasons: [{ code: 'COST_LIMIT_EXCEEDED', message: 'Estimated cost 12000 exceeds 5000' }] });
+    expect(check('analyst').decision).toBe('confirm');
+    expect(check('analyst').reasons.map(reason => reason.finding)).toEqual([undefined, 'DISK_SORT']);
+    expect(check('analyst', true)).toMatchObject({ decision: 'allow', confirmed: true });
+    expect(check('admin')).toMatchObject({ decision: 'allow', confirmed: false, reasons: [] });
+
+    expect(() => queryCostService.assertAllowed(check('viewer'))).toThrow(expect.objectContaining({ code: 'COST_LIMIT_EXCEEDED' }));
+    expect(() => queryCostService.assertAllowed(check('analyst'))).toThrow(expect.objectContaining({ code: 'CONFIRMATION_REQUIRED' }));
+  });
+
+  test('should ignore full scans of small tables and costs of databases without a cost model', () => {
+    usePolicy({ default: { maxCost: 1, rejectFindings: ['FULL_SCAN'] } });
+    const plan = {
+      estimatedCost: { totalCost: 50, estimatedRows: 40 },
+      findings: [{ type: 'FULL_SCAN', table: 'orders', estimatedRows: 40, large: false, message: 'Full scan of orders (~40 rows)' }]
+    };
+
+    expect(queryCostService.check(plan, { dbType: 'duckdb', datasource: 'default' })).toMatchObject({ decision: 'allow', estimatedCost: null });
+  });
+
+  test('should apply data source limits over role limits', () => {
+    usePolicy({
+      roles: { analyst: { maxRows: 100 } },
+      datasources: { warehouse: { default: { maxRows: 1000 }, roles: { viewer: { maxRows: 10 } } } }
+    });
+
+    expect(queryCostService.getLimits('default', 'analyst').maxRows).toBe(100);
+    expect(queryCostService.getLimits('warehouse', 'analyst').maxRows).toBe(1000);
+    expect(queryCostService.getLimits('warehouse', 'viewer').maxRows).toBe(10);
+  });
+
+  test.each([
+    [{ roles: { guest: { maxCost: 1 } } }, 'Unknown role "guest" in roles.guest'],
+    [{ default: { maxCots: 1 } }, 'unknown key "maxCots"'],
+    [{ datasources: { warehouse: { default: { confirmFindings: ['SLOW'] } } } }, 'confirmFindings must list FULL_SCAN, CARTESIAN_PRODUCT, DISK_SORT']
+  ])('should reject invalid policy %#', (policy, message) => {
+    usePolicy(policy);
+
+    expect(() => queryCostService.loadPolicy()).toThrow(message);
+  });
+});
@@ -0,0 +1,254 @@
+const mockStore = new Map();
+jest.mock('../src/config/redis', () => ({
+  isConnected: true,
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => !!mockStore.set(key, JSON.stringify(value))),
+  zadd: jest.fn(async (key, score, member) => {
+    const members = (mockStore.get(key) || []).filter(entry => entry.member !== member);
+    mockStore.set(key, [...members, { score, member }].sort((a, b) => a.score - b.score));
+    return true;
+  }),
+  zrevrange: jest.fn(async (key, start, stop) => (mockStore.get(key) || []).map(entry => entry.member).reverse().slice(start, stop + 1)),
+  zremrangebyrank: jest.fn(async () => true),
+  expire: jest.fn(async () => true),
+  lpush: jest.fn(async (key, value) => mockStore.set(key, [value, ...(mockStore.get(key) || [])]).get(key).length),
+  rpop: jest.fn(async key => (mockStore.get(key) || []).pop() || null),
+  lrange: jest.fn(async key => [...(mockStore.get(key) || [])]),
+  lrem: jest.fn(async (key, value) => mockStore.set(key, (mockStore.get(key) || []).filter(entry => entry !== value)) && 1),
+  del: jest.fn(async key => mockStore.delete(key)),
+  // The two scripts of queryJobService, claiming a job and reclaiming one whose lease lapsed
+  eval: jest.fn(async (script, keys, args) => {
+    const list = key => mockStore.get(key) || [];
+    if (script.includes('RPOPLPUSH')) {
+      const [queueKey, processingKey] = keys;
+      const [limit, leasePrefix, worker] = args;
+      if (list(processingKey).length >= Number(limit)) return null;
+      const jobId = list(queueKey).pop();
+      if (!jobId) return null;
+      mockStore.set(processingKey, [jobId, ...list(processingKey)]);
+      mockStore.set(`${leasePrefix}${jobId}`, worker);
+      return jobId;
+    }
+    const [queueKey, processingKey, leaseKey, jobKey] = keys;
+    const [jobId, requeued] = args;
+    if (mockStore.has(leaseKey) || !list(processingKey).includes(jobId)) return 0;
+    mockStore.set(processingKey, list(processingKey).filter(entry => entry !== jobId));
+    if (requeued) {
+      mockStore.set(jobKey, requeued);
+      mockStore.set(queueKey, [...list(queueKey), jobId]);
+    }
+    return 1;
+  })
+}));
+jest.mock('../src/services/cacheService', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { createLocalDatabase } = require('../scripts/create-local-db');
+const datasources = require('../src/config/datasources');
+const redis = require('../src/config/redis');
+const exportService = require('../src/services/exportService');
+const queryJobService = require('../src/services/queryJobService');
+
+const alice = { id: 'alice', role: 'analyst' };
+const bob = { id: 'bob', role: 'analyst' };
+const admin = { id: 'root', role: 'admin' };
+
+describe('Query Job Service', () => {
+  const originalConfig = process.env.DATASOURCES_CONFIG;
+  const originalChunkSize = queryJobService.chunkSize;
+  let directory;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-jobs-'));
+    await createLocalDatabase('sqlite', path.join(directory, 'sample.sqlite'));
+
+    const configPath = path.join(directory, 'datasources.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      datasources: { local: { type: 'sqlite', filename: path.join(directory, 'sample.sqlite'), jobConcurrency: 1 } }
+    }));
+    process.env.DATASOURCES_CONFIG = configPath;
+    datasources.definitions = null;
+    queryJobService.chunkSize = 2;
+  });
+
+  beforeEach(() => {
+    mockStore.clear();
+    redis.isConnected = true;
+  });
+
+  afterAll(async () => {
+    queryJobService.chunkSize = originalChunkSize;
+    await datasources.closeAll();
+    if (originalConfig === undefined) {
+      delete process.env.DATASOURCES_CONFIG;
+    } else {
+      process.env.DATASOURCES_CONFIG = originalConfig;
+    }
+    datasources.definitions = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should run a queued SQL job and page through its stored rows', async () => {
+    const job = await queryJobService.submit('sql', { sql: 'SELECT id, email FROM users ORDER BY id' }, { user: alice, source: 'rest' });
+    expect(job).toMatchObject({ status: 'queued', datasource: 'local', userId: 'alice' });
+    await expect(queryJobService.getResultPage(job.id, alice)).rejects.toMatchObject({ code: 'JOB_NOT_FINISHED' });
+
+    await queryJobService.run(job.id);
+
+    const finished = queryJobService.describe(await queryJobService.getJob(job.id, alice));
+    expect(finished).toMatchObject({ status: 'succeeded', result: { truncated: false } });
+    expect(finished.user).toBeUndefined();
+    expect(finished.result.chunks).toBeUndefined();
+
+    const { rowCount } = finished.result;
+    const page = await queryJobService.getResultPage(job.id, alice, { page: 2, pageSize: 3 });
+    expect(page.rows.map(row => row.id)).toEqual([4, 5, 6].filter(id => id <= rowCount));
+    expect(page.pagination).toMatchObject({ page: 2, pageSize: 3, totalRows: rowCount, hasPreviousPage: true });
+
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const exported = await exportService.exportJobResult(await queryJobService.getJob(job.id, alice), { format: 'ndjson' }, output);
+    expect(exported).toMatchObject({ rowCount, truncated: false });
+    expect(Buffer.concat(chunks).toString().trim().split('\n')).toHaveLength(rowCount);
+  });
+
+  test('should show jobs only to their owner and to admins', async () => {
+    const job = await queryJobService.submit('sql', { sql: 'SELECT 1 AS one' }, { user: alice });
+
+    await expect(queryJobService.getJob(job.id, bob)).rejects.toMatchObject({ code: 'JOB_NOT_FOUND' });
+    await expect(queryJobService.cancel(job.id, bob)).rejects.toMatchObject({ code: 'JOB_NOT_FOUND' });
+    await expect(queryJobService.getJob(job.id, admin)).resolves.toMatchObject({ id: job.id });
+    expect((await queryJobService.listJobs(alice)).map(listed => listed.id)).toEqual([job.id]);
+    expect(await queryJobService.listJobs(bob)).toEqual([]);
+  });
+
+  test('should cancel a queued job before a worker picks it up', async () => {
+    const job = await queryJobService.submit('sql', { sql: 'SELECT 1 AS one' }, { user: alice });
+
+    await expect(queryJobService.cancel(job.id, alice)).resolves.toMatchObject({ status: 'cancelled' });
+    await queryJobService.run(job.id);
+
+    await expect(queryJobService.getJob(job.id, alice)).resolves.toMatchObject({ status: 'cancelled', startedAt: null });
+    await expect(queryJobService.cancel(job.id, alice)).rejects.toMatchObject({ code: 'JOB_FINISHED' });
+  });
+
+  test('should record why a job failed', async () => {
+    const job = await queryJobService.submit('sql', { sql: 'DELETE FROM users' }, { user: alice });
+
+    await queryJobService.run(job.id);
+
+    const failed = await queryJobService.getJob(job.id, alice);
+    expect(failed).toMatchObject({ status: 'failed', result: null });
+    expect(failed.error).toBeTruthy();
+  });
+
+  test('should run no more jobs at a time than the data source allows', async () => {
+    const releases = [];
+    const run = jest.spyOn(queryJobService, 'run').mockImplementation(() => new Promise(resolve => releases.push(resolve)));
+    try {
+      const first = await queryJobService.submit('sql', { sql: 'SELECT 1 AS one' }, { user: alice });
+      const second = await queryJobService.submit('sql', { sql: 'SELECT 2 AS two' }, { user: alice });
+
+      await queryJobService.poll();
+      expect(run.mock.calls).toEqual([[first.id]]);
+
+      releases[0]();
+      await new Promise(resolve => setImmediate(resolve));
+      await queryJobService.poll();
+      expect(run.mock.calls).toEqual([[first.id], [second.id]]);
+      releases[1]();
+    } finally {
+      run.mockRestore();
+    }
+  });
+
+  test('should share the data source limit with other workers', async () => {
+    const run = jest.spyOn(queryJobService, 'run').mockImplementation(async () => {});
+    try {
+      // A job another worker is running, under a live lease
+      mockStore.set('job:processing:local', ['elsewhere']);
+      mockStore.set('job:lease:elsewhere', JSON.stringify('other-worker'));
+      const job = await queryJobService.submit('sql', { sql: 'SELECT 1 AS one' }, { user: alice });
+
+      await queryJobService.poll();
+      expect(run).not.toHaveBeenCalled();
+
+      mockStore.set('job:processing:local', []);
+      await queryJobService.poll();
+      expect(run.mock.calls).toEqual([[job.id]]);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(mockStore.get('job:processing:local')).toEqual([]);
+      expect(mockStore.has(`job:lease:${job.id}`)).toBe(false);
+    } finally {
+      run.mockRestore();
+    }
+  });
+
+  test('should requeue the jobs of a worker that stopped', async () => {
+    const job = await queryJobService.submit('sql', { sql: 'SELECT 1 AS one' }, { user: alice });
+    // Another worker took the job, started it and stopped without renewing its lease
+    mockStore.set('job:queue:local', []);
+    mockStore.set('job:processing:local', [job.id]);
+    mockStore.set(`job:${job.id}`, JSON.stringify({ ...job, status: 'running', attempts: 1 }));
+
+    mockStore.set(`job:lease:${job.id}`, JSON.stringify('other-worker'));
+    await queryJobService.recover('local');
+    expect(mockStore.get('job:processing:local')).toEqual([job.id]);
+    await expect(queryJobService.getJob(job.id, alice)).resolves.toMatchObject({ status: 'running' });
+
+    mockStore.delete(`job:lease:${job.id}`);
+    await queryJobService.recover('local');
+    expect(mockStore.get('job:processing:local')).toEqual([]);
+    expect(mockStore.get('job:queue:local')).toEqual([job.id]);
+    await expect(queryJobService.getJob(job.id, alice)).resolves.toMatchObject({ status: 'queued', startedAt: null, attempts: 1 });
+
+    await queryJobService.run(job.id);
+    await expect(queryJobService.getJob(job.id, alice)).resolves.toMatchObject({ status: 'succeeded', attempts: 2 });
+  });
+
+  test('should leave a job alone when another worker reclaims it first', async () => {
+    const job = await queryJobService.submit('sql', { sql: 'SELECT 1 AS one' }, { user: alice });
+    mockStore.set('job:queue:local', []);
+    mockStore.set('job:processing:local', [job.id]);
+    mockStore.set(`job:${job.id}`, JSON.stringify({ ...job, status: 'running', attempts: 1 }));
+    // Another worker requeues the job, and a third picks it up and starts it,
+    // after this worker loaded the stale record
+    redis.eval.mockImplementationOnce(async () => {
+      mockStore.set('job:processing:local', [job.id]);
+      mockStore.set(`job:lease:${job.id}`, JSON.stringify('third-worker'));
+      mockStore.set(`job:${job.id}`, JSON.stringify({ ...job, status: 'running', attempts: 2 }));
+      return 0;
+    });
+
+    await queryJobService.recover('local');
+
+    expect(mockStore.get('job:queue:local')).toEqual([]);
+    await expect(queryJobService.getJob(job.id, alice)).resolves.toMatchObject({ status: 'running', attempts: 2 });
+  });
+
+  test('should fail a job whose worker stopped too many times', async () => {
+    const job = await queryJobService.submit('sql', { sql: 'SELECT 1 AS one' }, { user: alice });
+    mockStore.set('job:queue:local', []);
+    mockStore.set('job:processing:local', [job.id]);
+    mockStore.set(`job:${job.id}`, JSON.stringify({ ...job, status: 'running', attempts: queryJobService.maxAttempts }));
+
+    await queryJobService.recover('local');
+
+    expect(mockStore.get('job:processing:local')).toEqual([]);
+    expect(mockStore.get('job:queue:local')).toEqual([]);
+    await expect(queryJobService.getJob(job.id, alice)).resolves.toMatchObject({ status: 'failed', errorCode: 'JOB_WORKER_LOST' });
+  });
+
+  test('should refuse jobs without Redis', async () => {
+    redis.isConnected = false;
+
+    await expect(queryJobService.submit('sql', { sql: 'SELECT 1' }, { user: alice })).rejects.toMatchObject({ code: 'JOBS_UNAVAILABLE' });
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../src/config/redis', () => ({
+  isConnected: false,
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true),
+  del: jest.fn(async () => true)
+}));
+jest.mock('../src/services/cacheService', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true),
+  del: jest.fn(async () => true)
+}));
+
+const auditService = require('../src/services/auditService');
+const llmService = require('../src/services/llmService');
+const queryExecutionService = require('../src/services/queryExecutionService');
+const queryWorkflowService = require('../src/services/queryWorkflowService');
+const schemaService = require('../src/services/schemaService');
+
+const schema = {
+  tables: [{ name: 'orders', columns: [{ name: 'id', type: 'INTEGER' }, { name: 'total', type: 'REAL' }] }],
+  relationships: [],
+  metadata: { datasource: 'local', dbType: 'sqlite' }
+};
+const executionResult = { rows: [{ total: 42 }], metadata: { fields: [{ name: 'total' }] }, pagination: {} };
+
+const failure = (message, code) => Object.assign(new Error(message), code ? { code } : {});
+
+describe('Query Workflow Service', () => {
+  const originalMaxAttempts = queryWorkflowService.maxAttempts;
+  let generateSQL;
+  let executeQuery;
+  let invalidateCachedSQL;
+
+  beforeEach(() => {
+    queryWorkflowService.maxAttempts = 3;
+    jest.spyOn(schemaService, 'getRelevantSchema').mockResolvedValue(schema);
+    jest.spyOn(auditService, 'record').mockResolvedValue();
+    generateSQL = jest.spyOn(llmService, 'generateSQL');
+    executeQuery = jest.spyOn(queryExecutionService, 'executeQuery');
+    invalidateCachedSQL = jest.spyOn(llmService, 'invalidateCachedSQL').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queryWorkflowService.maxAttempts = originalMaxAttempts;
+  });
+
+  test('should repair a failed query with the earlier attempts', async () => {
+    generateSQL
+      .mockResolvedValueOnce({ sql: 'SELECT totl FROM orders' })
+      .mockResolvedValueOnce({ sql: 'SELECT total FROM orders' });
+    executeQuery
+      .mockRejectedValueOnce(failure('no such column: totl'))
+      .mockResolvedValueOnce(executionResult);
+    const events = [];
+
+    const result = await queryWorkflowService.runQuery('Order totals', { onEvent: (event, data) => events.push([event, data]) });
+
+    expect(result.executionResult).toBe(executionResult);
+    expect(result.attempts).toEqual([
+      { attempt: 1, sql: 'SELECT totl FROM orders', stage: 'execution', error: 'no such column: totl', violations: undefined },
+      { attempt: 2, sql: 'SELECT total FROM orders', stage: 'success', fromLLMCache: false }
+    ]);
+    expect(generateSQL.mock.calls[0][2].previousAttempts).toEqual([]);
+    expect(generateSQL.mock.calls[1][2].previousAttempts).toEqual([result.attempts[0]]);
+    expect(events.filter(([event]) => event === 'attempt-failed')).toHaveLength(1);
+    expect(invalidateCachedSQL).not.toHaveBeenCalled();
+  });
+
+  test('should send SQL the validator rejected back to the model', async () => {
+    const rejected = Object.assign(failure('Only SELECT statements are allowed'), {
+      sql: 'DELETE FROM orders',
+      violations: [{ code: 'STATEMENT_NOT_ALLOWED' }]
+    });
+    generateSQL
+      .mockRejectedValueOnce(rejected)
+      .mockResolvedValueOnce({ sql: 'SELECT total FROM orders' });
+    executeQuery.mockResolvedValueOnce(executionResult);
+
+    const result = await queryWorkflowService.runQuery('Order totals');
+
+    expect(result.attempts[0]).toMatchObject({ attempt: 1, sql: 'DELETE FROM orders', stage: 'validation' });
+    expect(generateSQL.mock.calls[1][2].previousAttempts).toEqual([result.attempts[0]]);
+    expect(executeQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test('should clamp the attempts to QUERY_MAX_ATTEMPTS and drop the cached SQL when they run out', async () => {
+    queryWorkflowService.maxAttempts = 2;
+    generateSQL.mockResolvedValue({ sql: 'SELECT totl FROM orders' });
+    executeQuery.mockRejectedValue(failure('no such column: totl'));
+
+    const error = await queryWorkflowService.runQuery('Order totals', { maxAttempts: 10 }).catch(caught => caught);
+
+    expect(error.message).toBe('No working query after 2 attempt(s): no such column: totl');
+    expect(error.attempts).toHaveLength(2);
+    expect(error.schema).toBe(schema);
+    expect(generateSQL).toHaveBeenCalledTimes(2);
+    expect(invalidateCachedSQL).toHaveBeenCalledTimes(1);
+    expect(invalidateCachedSQL.mock.calls[0][0]).toBe('Order totals');
+    expect(invalidateCachedSQL.mock.calls[0][1]).toMatchObject({ schema });
+  });
+
+  test('should not retry errors without SQL', async () => {
+    generateSQL.mockRejectedValue(failure('provider unavailable'));
+
+    await expect(queryWorkflowService.runQuery('Order totals')).rejects.toThrow('provider unavailable');
+    expect(generateSQL).toHaveBeenCalledTimes(1);
+    expect(executeQuery).not.toHaveBeenCalled();
+    expect(invalidateCachedSQL).not.toHaveBeenCalled();
+  });
+
+  test('should not repair a statement that timed out or was cancelled', async () => {
+    generateSQL.mockResolvedValue({ sql: 'SELECT total FROM orders' });
+    executeQuery.mockRejectedValueOnce(failure('Query timed out after 30000ms', 'QUERY_TIMEOUT'));
+
+    await expect(queryWorkflowService.runQuery('Order totals', { timeout: 30000 })).rejects.toMatchObject({ code: 'QUERY_TIMEOUT' });
+    expect(executeQuery).toHaveBeenCalledTimes(1);
+
+    executeQuery.mockRejectedValueOnce(failure('Query cancelled', 'QUERY_CANCELLED'));
+    await expect(queryWorkflowService.runQuery('Order totals')).rejects.toMatchObject({ code: 'QUERY_CANCELLED' });
+    expect(generateSQL).toHaveBeenCalledTimes(2);
+  });
+
+  test('should resolve the attempt limit', () => {
+    expect(queryWorkflowService.resolveAttemptLimit(undefined)).toBe(3);
+    expect(queryWorkflowService.resolveAttemptLimit('2')).toBe(2);
+    expect(queryWorkflowService.resolveAttemptLimit(0)).toBe(3);
+    expect(queryWorkflowService.resolveAttemptLimit(99)).toBe(3);
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../src/config/redis', () => ({}));
+
+const { PERMISSIONS, hasPermission, highestRole } = require('../src/config/roles');
+const { requirePermission } = require('../src/middleware/auth');
+const logger = require('../src/utils/logger');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Roles and permissions', () => {
+  test('should grant raw SQL to analysts and cache administration to admins only', () => {
+    expect(hasPermission('viewer', 'query:run')).toBe(true);
+    expect(hasPermission('viewer', 'sql:execute')).toBe(false);
+    expect(hasPermission('analyst', 'sql:execute')).toBe(true);
+    expect(hasPermission('analyst', 'cache:admin')).toBe(false);
+    expect(hasPermission('analyst', 'analytics:read')).toBe(false);
+    expect(hasPermission('admin', 'cache:admin')).toBe(true);
+  });
+
+  test('should give admins every permission', () => {
+    Object.keys(PERMISSIONS).forEach(permission => {
+      expect(hasPermission('admin', permission)).toBe(true);
+    });
+    expect(() => hasPermission('admin', 'cache:flush')).toThrow('Unknown permission: cache:flush');
+  });
+
+  test('should pick the most privileged known role', () => {
+    expect(highestRole(['viewer', 'admin', 'analyst'])).toBe('admin');
+    expect(highestRole('analyst')).toBe('analyst');
+    expect(highestRole(['superuser'])).toBeNull();
+    expect(highestRole(undefined)).toBeNull();
+  });
+
+  describe('requirePermission', () => {
+    test('should pass allowed requests through', () => {
+      const next = jest.fn();
+      requirePermission('sql:execute')({ user: { id: 'alice', role: 'analyst' } }, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should log and reject denied requests with 403', () => {
+      const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      const next = jest.fn();
+      const res = mockResponse();
+
+      requirePermission('cache:admin')(
+        { user: { id: 'bob', role: 'viewer' }, method: 'POST', originalUrl: '/api/v1/cache/invalidate' },
+        res,
+        next
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Forbidden' }));
+      expect(warn).toHaveBeenCalledWith('Permission denied', expect.objectContaining({
+        user: 'bob', role: 'viewer', permission: 'cache:admin', path: '/api/v1/cache/invalidate'
+      }));
+      warn.mockRestore();
+    });
+
+    test('should resolve request-dependent permissions', () => {
+      const exportPermission = requirePermission(req => req.body.historyId ? 'results:export' : 'sql:execute');
+      const viewer = { id: 'carol', role: 'viewer' };
+      const next = jest.fn();
+
+      exportPermission({ user: viewer, body: { historyId: 'h1' } }, mockResponse(), next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      const res = mockResponse();
+      jest.spyOn(logger, 'warn').mockImplementationOnce(() => {});
+      exportPermission({ user: viewer, body: { sql: 'SELECT 1' } }, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const runningQueryService = require('../src/services/runningQueryService');
+
+const ada = { id: 'ada', role: 'analyst' };
+const bob = { id: 'bob', role: 'viewer' };
+const root = { id: 'root', role: 'admin' };
+
+describe('Running Query Service', () => {
+  const started = [];
+  const start = (options) => {
+    const running = runningQueryService.start(options);
+    started.push(running);
+    return running;
+  };
+
+  afterEach(() => {
+    started.splice(0).forEach(running => running.finish());
+  });
+
+  test('should list queries to their owner and to admins only', () => {
+    const running = start({ user: ada, datasource: 'warehouse', source: 'rest', description: 'SELECT 1' });
+
+    expect(running.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(runningQueryService.list(ada)).toEqual([
+      expect.objectContaining({ id: running.id, userId: 'ada', datasource: 'warehouse', source: 'rest', description: 'SELECT 1' })
+    ]);
+    expect(runningQueryService.list(bob)).toEqual([]);
+    expect(runningQueryService.list(root)).toHaveLength(1);
+
+    running.finish();
+    expect(runningQueryService.list(root)).toEqual([]);
+  });
+
+  test('should abort the signal of a cancelled query with the canceller', () => {
+    const running = start({ id: 'report-1', user: ada });
+
+    expect(() => runningQueryService.cancel('report-1', bob)).toThrow(expect.objectContaining({ code: 'QUERY_NOT_FOUND' }));
+    expect(running.signal.aborted).toBe(false);
+
+    runningQueryService.cancel('report-1', root);
+    expect(running.signal.reason).toMatchObject({ code: 'QUERY_CANCELLED', message: 'Query cancelled: Cancelled by root' });
+  });
+
+  test('should cancel when the caller signal aborts', () => {
+    const client = new AbortController();
+    const running = start({ user: ada, signal: client.signal });
+
+    client.abort('Client disconnected');
+
+    expect(running.signal.reason.message).toBe('Query cancelled: Client disconnected');
+  });
+
+  test.each([
+    ['an invalid query ID', 'not/a valid id'],
+    ['a query ID that is already running', 'report-1']
+  ])('should reject %s', (_name, id) => {
+    start({ id: 'report-1', user: ada });
+
+    expect(() => start({ id, user: ada })).toThrow(expect.objectContaining({ code: 'INVALID_QUERY_ID' }));
+  });
+});
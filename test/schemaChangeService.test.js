@@ -0,0 +1,142 @@
+const mockStore = new Map();
+const mockSortedSets = new Map();
+const mockRange = (key) => [...(mockSortedSets.get(key) || [])].sort((a, b) => a.score - b.score);
+jest.mock('../src/config/redis', () => ({
+  isConnected: true,
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => !!mockStore.set(key, JSON.stringify(value))),
+  del: jest.fn(async key => mockStore.delete(key)),
+  zadd: jest.fn(async (key, score, member) => {
+    mockSortedSets.set(key, [...(mockSortedSets.get(key) || []), { score, member }]);
+    return 1;
+  }),
+  zcard: jest.fn(async key => (mockSortedSets.get(key) || []).length),
+  zrevrange: jest.fn(async (key, start, stop) => mockRange(key).reverse().slice(start, stop + 1).map(item => item.member)),
+  zremrangebyrank: jest.fn(async (key, start, stop) => {
+    const items = mockRange(key);
+    items.splice(start, stop - start + 1);
+    mockSortedSets.set(key, items);
+  })
+}));
+jest.mock('../src/services/cacheService', () => ({
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => !!mockStore.set(key, JSON.stringify(value))),
+  delPattern: jest.fn(async () => 0)
+}));
+jest.mock('../src/services/schemaRetrievalService', () => ({
+  rebuild: jest.fn(async () => {}),
+  clear: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createLocalDatabase } = require('../scripts/create-local-db');
+const datasources = require('../src/config/datasources');
+const schemaChangeService = require('../src/services/schemaChangeService');
+
+const saveHistoryEntry = (id, datasource, generatedSQL) => {
+  mockStore.set(`history:entry:${id}`, JSON.stringify({ id, userId: 'user-1', datasource, naturalLanguageQuery: id, generatedSQL }));
+  mockSortedSets.set('history:global_history', [...(mockSortedSets.get('history:global_history') || []), { score: Date.now(), member: id }]);
+};
+
+describe('Schema Change Service', () => {
+  const originalConfig = process.env.DATASOURCES_CONFIG;
+  let directory;
+  let filename;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-schema-changes-'));
+    filename = path.join(directory, 'sample.sqlite');
+    await createLocalDatabase('sqlite', filename);
+
+    const configPath = path.join(directory, 'datasources.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      datasources: { local: { type: 'sqlite', filename }, other: { type: 'sqlite', filename: path.join(directory, 'other.sqlite') } }
+    }));
+    process.env.DATASOURCES_CONFIG = configPath;
+    datasources.definitions = null;
+  });
+
+  beforeEach(() => {
+    mockStore.clear();
+    mockSortedSets.clear();
+  });
+
+  afterAll(async () => {
+    await datasources.closeAll();
+    if (originalConfig === undefined) {
+      delete process.env.DATASOURCES_CONFIG;
+    } else {
+      process.env.DATASOURCES_CONFIG = originalConfig;
+    }
+    datasources.definitions = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should diff tables, columns and foreign keys', () => {
+    const before = {
+      tables: {
+        users: { id: { type: 'INTEGER', nullable: false }, email: { type: 'TEXT', nullable: true } },
+        reviews: { id: { type: 'INTEGER', nullable: false } }
+      },
+      foreignKeys: ['reviews.user_id->users.id']
+    };
+    const after = {
+      tables: {
+        users: { id: { type: 'BIGINT', nullable: false }, nickname: { type: 'TEXT', nullable: true } },
+        sessions: { id: { type: 'INTEGER', nullable: false } }
+      },
+      foreignKeys: ['sessions.user_id->users.id']
+    };
+
+    expect(schemaChangeService.diff(before, after)).toEqual({
+      tables: { added: ['sessions'], removed: ['reviews'] },
+      columns: {
+        added: [{ table: 'users', column: 'nickname', type: 'TEXT', nullable: true }],
+        removed: [{ table: 'users', column: 'email', type: 'TEXT', nullable: true }],
+        changed: [{ table: 'users', column: 'id', from: { type: 'INTEGER', nullable: false }, to: { type: 'BIGINT', nullable: false } }]
+      },
+      foreignKeys: { added: ['sessions.user_id->users.id'], removed: ['reviews.user_id->users.id'] }
+    });
+  });
+
+  test('should record a change and flag history entries that reference dropped objects', async () => {
+    await expect(schemaChangeService.check('local')).resolves.toBeNull();
+    await expect(schemaChangeService.check('local')).resolves.toBeNull();
+
+    saveHistoryEntry('address', 'local', 'SELECT o.id, o.delivery_address FROM orders o');
+    saveHistoryEntry('ratings', 'local', 'SELECT AVG(rating) FROM reviews');
+    saveHistoryEntry('emails', 'local', 'SELECT email FROM users');
+    saveHistoryEntry('elsewhere', 'other', 'SELECT delivery_address FROM orders');
+
+    const writable = new Database(filename);
+    writable.exec('DROP TABLE reviews; ALTER TABLE orders DROP COLUMN delivery_address; ALTER TABLE users ADD COLUMN nickname TEXT');
+    writable.close();
+
+    const change = await schemaChangeService.check('local');
+
+    expect(change).toMatchObject({
+      datasource: 'local',
+      summary: '1 table removed, 1 column added, 1 column removed, 2 foreign keys removed',
+      tables: { added: [], removed: ['reviews'] },
+      columns: {
+        added: [expect.objectContaining({ table: 'users', column: 'nickname' })],
+        removed: [expect.objectContaining({ table: 'orders', column: 'delivery_address' })]
+      }
+    });
+    expect(change.affectedHistory).toEqual([
+      { historyId: 'ratings', userId: 'user-1', naturalLanguageQuery: 'ratings', missing: ['reviews'] },
+      { historyId: 'address', userId: 'user-1', naturalLanguageQuery: 'address', missing: ['orders.delivery_address'] }
+    ]);
+    expect(JSON.parse(mockStore.get('history:entry:address')).schemaDrift)
+      .toEqual({ changeId: change.id, detectedAt: change.detectedAt, missing: ['orders.delivery_address'] });
+    expect(JSON.parse(mockStore.get('history:entry:emails')).schemaDrift).toBeUndefined();
+    expect(JSON.parse(mockStore.get('history:entry:elsewhere')).schemaDrift).toBeUndefined();
+
+    await expect(schemaChangeService.check('local')).resolves.toBeNull();
+    await expect(schemaChangeService.listChanges()).resolves.toEqual([change]);
+    await expect(schemaChangeService.listChanges({ datasource: 'other' })).resolves.toEqual([]);
+  });
+});
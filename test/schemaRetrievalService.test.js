@@ -0,0 +1,69 @@
+jest.mock('../src/services/cacheService', () => ({
+  getOrSet: jest.fn((key, fetchFunction) => fetchFunction())
+}));
+
+const schemaRetrievalService = require('../src/services/schemaRetrievalService');
+
+const column = (name, comment = null) => ({ name, type: 'integer', comment });
+
+const schema = {
+  tables: [
+    { name: 'users', comment: 'Registered customers', columns: [column('id'), column('email'), column('full_name')] },
+    { name: 'orders', comment: null, columns: [column('id'), column('user_id'), column('total_amount'), column('created_at')] },
+    { name: 'order_items', comment: null, columns: [column('order_id'), column('product_id'), column('quantity')] },
+    { name: 'products', comment: null, columns: [column('id'), column('name'), column('category_id'), column('price')] },
+    { name: 'categories', comment: null, columns: [column('id'), column('name')] },
+    { name: 'audit_events', comment: 'Internal change log', columns: [column('id'), column('payload')] }
+  ],
+  relationships: [
+    { fromTable: 'orders', fromColumn: 'user_id', toTable: 'users', toColumn: 'id' },
+    { fromTable: 'order_items', fromColumn: 'order_id', toTable: 'orders', toColumn: 'id' },
+    { fromTable: 'order_items', fromColumn: 'product_id', toTable: 'products', toColumn: 'id' },
+    { fromTable: 'products', fromColumn: 'category_id', toTable: 'categories', toColumn: 'id' }
+  ],
+  metadata: { fetchedAt: '2024-01-01T00:00:00.000Z' }
+};
+
+const tableNames = (result) => result.tables.map(table => table.name);
+
+describe('Schema Retrieval Service', () => {
+  test('should rank tables by name, column and comment matches', async () => {
+    const result = await schemaRetrievalService.findRelevantTables('customer emails', schema, 1);
+
+    expect(tableNames(result)).toEqual(['users']);
+    expect(result.retrieval.strategy).toBe('bm25');
+  });
+
+  test('should add join tables that connect the matched tables', async () => {
+    const result = await schemaRetrievalService.findRelevantTables('revenue per category and user', schema, 5);
+
+    expect(tableNames(result)).toEqual(expect.arrayContaining(['users', 'categories', 'orders', 'order_items', 'products']));
+    expect(result.retrieval.expandedTables).toEqual(expect.arrayContaining(['order_items']));
+    expect(tableNames(result)).not.toContain('audit_events');
+  });
+
+  test('should map everyday wording onto schema terms', async () => {
+    const result = await schemaRetrievalService.findRelevantTables('Who bought the most stuff?', schema, 4);
+
+    expect(tableNames(result)).toEqual(expect.arrayContaining(['order_items', 'orders', 'products', 'users']));
+  });
+
+  test('should not favour tables by hard-coded business names', async () => {
+    const result = await schemaRetrievalService.findRelevantTables('internal change log', schema, 1);
+
+    expect(tableNames(result)).toEqual(['audit_events']);
+  });
+
+  test('should rebuild the index when the schema is refreshed', async () => {
+    await schemaRetrievalService.findRelevantTables('users', schema, 1);
+    const refreshed = {
+      ...schema,
+      tables: [...schema.tables, { name: 'invoices', comment: null, columns: [column('id'), column('order_id')] }],
+      metadata: { fetchedAt: '2024-01-02T00:00:00.000Z' }
+    };
+
+    const result = await schemaRetrievalService.findRelevantTables('invoices', refreshed, 1);
+
+    expect(tableNames(result)).toEqual(['invoices']);
+  });
+});
@@ -0,0 +1,202 @@
+const mockStore = new Map();
+jest.mock('../src/config/redis', () => ({
+  isConnected: true,
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => !!mockStore.set(key, JSON.stringify(value))),
+  del: jest.fn(async key => mockStore.delete(key))
+}));
+jest.mock('../src/services/cacheService', () => ({
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => !!mockStore.set(key, JSON.stringify(value))),
+  delPattern: jest.fn(async pattern => {
+    const prefix = pattern.replace(/\*$/, '');
+    const keys = [...mockStore.keys()].filter(key => key.startsWith(prefix));
+    keys.forEach(key => mockStore.delete(key));
+    return keys.length;
+  })
+}));
+jest.mock('../src/services/schemaRetrievalService', () => ({
+  rebuild: jest.fn(async () => {}),
+  clear: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createLocalDatabase } = require('../scripts/create-local-db');
+const datasources = require('../src/config/datasources');
+const llmProviders = require('../src/services/llmProviders');
+const llmService = require('../src/services/llmService');
+const schemaService = require('../src/services/schemaService');
+
+describe('Schema Service', () => {
+  const originalConfig = process.env.DATASOURCES_CONFIG;
+  let directory;
+  let filename;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nlsql-schema-'));
+    filename = path.join(directory, 'sample.sqlite');
+    await createLocalDatabase('sqlite', filename);
+
+    const configPath = path.join(directory, 'datasources.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      datasources: { local: { type: 'sqlite', filename }, other: { type: 'sqlite', filename } }
+    }));
+    process.env.DATASOURCES_CONFIG = configPath;
+    datasources.definitions = null;
+  });
+
+  beforeEach(() => {
+    mockStore.clear();
+  });
+
+  afterAll(async () => {
+    await datasources.closeAll();
+    if (originalConfig === undefined) {
+      delete process.env.DATASOURCES_CONFIG;
+    } else {
+      process.env.DATASOURCES_CONFIG = originalConfig;
+    }
+    datasources.definitions = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should fingerprint tables, columns and foreign keys in any order', () => {
+    const schema = {
+      tables: [
+        { name: 'users', comment: 'Customers', columns: [{ name: 'id', type: 'INTEGER', nullable: false }] },
+        { name: 'orders', columns: [{ name: 'id', type: 'INTEGER', nullable: false }, { name: 'user_id', type: 'INTEGER', nullable: true }] }
+      ],
+      relationships: [{ fromTable: 'orders', fromColumn: 'user_id', toTable: 'users', toColumn: 'id' }],
+      metadata: { fetchedAt: '2024-01-01T00:00:00.000Z' }
+    };
+    const fingerprint = schemaService.fingerprint(schema);
+
+    expect(fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    expect(schemaService.fingerprint({
+      ...schema,
+      tables: [schema.tables[1], { ...schema.tables[0], comment: null }],
+      metadata: { fetchedAt: '2024-02-01T00:00:00.000Z' }
+    })).toBe(fingerprint);
+    expect(schemaService.fingerprint({ ...schema, tables: [schema.tables[0]] })).not.toBe(fingerprint);
+    expect(schemaService.fingerprint({ ...schema, relationships: [] })).not.toBe(fingerprint);
+  });
+
+  test('should qualify other schemas and describe keys, indexes and allowed values to the model', () => {
+    const schema = schemaService.buildSchemaObject(
+      [
+        { table_schema: 'public', table_name: 'orders', table_type: 'BASE TABLE', table_comment: null },
+        { table_schema: 'sales', table_name: 'orders', table_type: 'MATERIALIZED VIEW', table_comment: 'Daily rollup' }
+      ],
+      [
+        { table_schema: 'public', table_name: 'orders', column_name: 'id', data_type: 'integer', is_nullable: 'NO' },
+        { table_schema: 'public', table_name: 'orders', column_name: 'status', data_type: 'order_status', is_nullable: 'NO', allowed_values: ['pending', 'shipped'] },
+        { table_schema: 'public', table_name: 'orders', column_name: 'channel', data_type: 'character varying', is_nullable: 'YES' },
+        { table_schema: 'sales', table_name: 'orders', column_name: 'order_id', data_type: 'integer', is_nullable: 'YES' }
+      ],
+      [{ table_schema: 'sales', table_name: 'orders', column_name: 'order_id', foreign_table_schema: 'public', foreign_table_name: 'orders', foreign_column_name: 'id', constraint_name: 'fk' }],
+      {
+        indexes: [
+          { table_schema: 'public', table_name: 'orders', index_name: 'orders_pkey', column_names: ['id'], is_unique: true, is_primary: true },
+          { table_schema: 'public', table_name: 'orders', index_name: 'idx_orders_status', column_names: ['status', 'channel'], is_unique: false, is_primary: false }
+        ],
+        checks: [{ table_schema: 'public', table_name: 'orders', check_clause: "CHECK (((channel)::text = ANY ((ARRAY['web'::character varying, 'store'::character varying])::text[])))" }],
+        defaultSchema: 'public'
+      }
+    );
+
+    expect(schema.tables.map(table => [table.name, table.schema, table.type])).toEqual([
+      ['orders', 'public', 'BASE TABLE'],
+      ['sales.orders', 'sales', 'MATERIALIZED VIEW']
+    ]);
+    expect(schema.relationships[0]).toMatchObject({ fromTable: 'sales.orders', toTable: 'orders' });
+    expect(schema.tables[0]).toMatchObject({
+      primaryKey: ['id'],
+      uniqueConstraints: [],
+      indexes: [{ name: 'idx_orders_status', columns: ['status', 'channel'], unique: false }]
+    });
+    expect(schema.tables[0].columns.map(column => column.allowedValues)).toEqual([null, ['pending', 'shipped'], ['web', 'store']]);
+    expect(schema.metadata).toMatchObject({ tableCount: 2, totalColumns: 4, schemas: ['public', 'sales'] });
+
+    expect(llmService.describeTable(schema.tables[0])).toBe([
+      'Table: orders',
+      '  - id (integer, not null)',
+      "  - status (order_status, not null) [values: 'pending', 'shipped']",
+      "  - channel (character varying, nullable) [values: 'web', 'store']",
+      '  Primary key: id',
+      '  Indexed: (status, channel)',
+      "  Checks: (channel)::text = ANY ((ARRAY['web'::character varying, 'store'::character varying])::text[])"
+    ].join('\n'));
+    expect(llmService.describeTable(schema.tables[1])).toMatch(/^Table: sales\.orders \(materialized view\) - Daily rollup\n/);
+  });
+
+  test('should read PostgreSQL array literals the driver returns for name[] columns', () => {
+    const schema = schemaService.buildSchemaObject(
+      [{ table_schema: 'public', table_name: 'orders', table_type: 'BASE TABLE', table_comment: null }],
+      [
+        { table_schema: 'public', table_name: 'orders', column_name: 'id', data_type: 'integer', is_nullable: 'NO' },
+        { table_schema: 'public', table_name: 'orders', column_name: 'status', data_type: 'order_status', is_nullable: 'NO', allowed_values: '{pending,shipped,"on hold","a,b","say \\"hi\\""}' },
+        { table_schema: 'public', table_name: 'orders', column_name: 'Channel', data_type: 'text', is_nullable: 'YES' }
+      ],
+      [],
+      {
+        indexes: [
+          { table_schema: 'public', table_name: 'orders', index_name: 'orders_pkey', column_names: '{id}', is_unique: true, is_primary: true },
+          { table_schema: 'public', table_name: 'orders', index_name: 'idx_orders_status', column_names: '{status,"Channel"}', is_unique: false, is_primary: false }
+        ],
+        defaultSchema: 'public'
+      }
+    );
+
+    expect(schema.tables[0].columns[1].allowedValues).toEqual(['pending', 'shipped', 'on hold', 'a,b', 'say "hi"']);
+    expect(schema.tables[0]).toMatchObject({
+      primaryKey: ['id'],
+      indexes: [{ name: 'idx_orders_status', columns: ['status', 'Channel'], unique: false }]
+    });
+  });
+
+  test('should bump the version and purge dependent caches when the schema changes', async () => {
+    const first = await schemaService.getSchema('local');
+    expect(first.metadata).toMatchObject({ version: 1, fingerprint: expect.stringMatching(/^[0-9a-f]{16}$/) });
+
+    mockStore.set('llm:query:local:fixture:default:abc', '{}');
+    mockStore.set('query:result:local:abc', '{}');
+    mockStore.set('llm:query:other:fixture:default:abc', '{}');
+    mockStore.set('llm:answer:local:fixture:default:abc', '{}');
+
+    // Refetching an unchanged schema keeps the version and the caches
+    await schemaService.invalidateCache('local');
+    await expect(schemaService.getSchema('local')).resolves.toMatchObject({ metadata: { version: 1, fingerprint: first.metadata.fingerprint } });
+    expect(mockStore.has('query:result:local:abc')).toBe(true);
+
+    const writable = new Database(filename);
+    writable.exec('ALTER TABLE users ADD COLUMN nickname TEXT');
+    writable.close();
+
+    await schemaService.invalidateCache('local');
+    const changed = await schemaService.getSchema('local');
+
+    expect(changed.metadata.version).toBe(2);
+    expect(changed.metadata.fingerprint).not.toBe(first.metadata.fingerprint);
+    expect(mockStore.has('llm:query:local:fixture:default:abc')).toBe(false);
+    expect(mockStore.has('query:result:local:abc')).toBe(false);
+    expect(mockStore.has('llm:query:other:fixture:default:abc')).toBe(true);
+    expect(mockStore.has('llm:answer:local:fixture:default:abc')).toBe(true);
+  });
+
+  test('should not serve SQL generated for a different schema', async () => {
+    const provider = new llmProviders.FixtureProvider({ fixtures: { generateSQL: { '*': { sql: 'SELECT id FROM users' } } } });
+    llmProviders.register('fixture', provider);
+    const generate = jest.spyOn(provider, 'generateSQL');
+    const schema = await schemaService.getSchema('local');
+    const narrowed = { ...schema, tables: schema.tables.filter(table => table.name === 'users'), relationships: [] };
+
+    await llmService.generateSQL('List user ids', schema, { provider: 'fixture' });
+    await expect(llmService.generateSQL('List user ids', schema, { provider: 'fixture' })).resolves.toMatchObject({ fromLLMCache: true });
+    await expect(llmService.generateSQL('List user ids', narrowed, { provider: 'fixture' })).resolves.toMatchObject({ fromLLMCache: false });
+
+    expect(generate).toHaveBeenCalledTimes(2);
+  });
+});
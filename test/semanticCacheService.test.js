@@ -0,0 +1,101 @@
+const mockStore = new Map();
+jest.mock('../src/config/redis', () => ({
+  isConnected: true,
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => !!mockStore.set(key, JSON.stringify(value))),
+  del: jest.fn(async key => mockStore.delete(key)),
+  scan: jest.fn(async pattern => {
+    const [prefix, suffix] = pattern.split('*');
+    return [...mockStore.keys()].filter(key => key.startsWith(prefix) && key.endsWith(suffix));
+  })
+}));
+jest.mock('../src/services/cacheService', () => ({
+  get: jest.fn(async key => mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null),
+  set: jest.fn(async (key, value) => !!mockStore.set(key, JSON.stringify(value))),
+  del: jest.fn(async key => mockStore.delete(key)),
+  getOrSet: jest.fn((key, fetchFunction) => fetchFunction())
+}));
+
+const embeddingProviders = require('../src/services/embeddingProviders');
+const llmProviders = require('../src/services/llmProviders');
+const llmService = require('../src/services/llmService');
+const schemaRetrievalService = require('../src/services/schemaRetrievalService');
+const semanticCacheService = require('../src/services/semanticCacheService');
+
+const schema = {
+  tables: [{ name: 'products', columns: [{ name: 'id', type: 'INTEGER' }, { name: 'name', type: 'TEXT' }] }],
+  relationships: [],
+  metadata: { datasource: 'local', dbType: 'sqlite' }
+};
+
+describe('Semantic Cache Service', () => {
+  const provider = new llmProviders.FixtureProvider({ fixtures: { generateSQL: { '*': { sql: 'SELECT p.name FROM products p LIMIT 5' } } } });
+
+  beforeAll(() => {
+    llmProviders.register('fixture', provider);
+  });
+
+  beforeEach(() => {
+    mockStore.clear();
+    jest.restoreAllMocks();
+    schemaRetrievalService.embeddingProviderName = 'none';
+  });
+
+  test('should serve paraphrased questions the SQL of the first', async () => {
+    const generate = jest.spyOn(provider, 'generateSQL');
+
+    await llmService.generateSQL('Top 5 products by revenue', schema, { provider: 'fixture' });
+    const paraphrased = await llmService.generateSQL('Which five products made the most money?', schema, { provider: 'fixture' });
+
+    expect(paraphrased).toMatchObject({
+      sql: 'SELECT p.name FROM products p LIMIT 5',
+      fromLLMCache: true,
+      semanticCacheHit: { score: 1, query: 'Top 5 products by revenue', method: 'tokens' }
+    });
+    expect(generate).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not match questions that differ in numbers, values or meaning', async () => {
+    await semanticCacheService.remember('top 5 products by revenue', 'llm:query:local:fixture:fixture', 'llm:query:local:fixture:fixture:a', 60);
+    await semanticCacheService.remember("orders with status 'shipped'", 'llm:query:local:fixture:fixture', 'llm:query:local:fixture:fixture:b', 60);
+
+    await expect(semanticCacheService.lookup('top 10 products by revenue', 'llm:query:local:fixture:fixture')).resolves.toBeNull();
+    await expect(semanticCacheService.lookup('top 5 customers by revenue', 'llm:query:local:fixture:fixture')).resolves.toBeNull();
+    await expect(semanticCacheService.lookup("orders with status 'pending'", 'llm:query:local:fixture:fixture')).resolves.toBeNull();
+    await expect(semanticCacheService.lookup('top 5 products by revenue', 'llm:query:other:fixture:fixture')).resolves.toBeNull();
+  });
+
+  test('should compare embeddings when an embedding provider is configured', async () => {
+    const vectors = { 'active users': [1, 0, 0], 'users who are active': [0.99, 0.1, 0], 'Active users in Berlin': [0.98, 0.1, 0.05] };
+    embeddingProviders.register('fake', { name: 'fake', model: 'fake-1', embed: async texts => texts.map(text => vectors[text]) });
+    schemaRetrievalService.embeddingProviderName = 'fake';
+
+    await semanticCacheService.remember('active users', 'llm:query:local:fixture:fixture', 'llm:query:local:fixture:fixture:a', 60);
+
+    await expect(semanticCacheService.lookup('users who are active', 'llm:query:local:fixture:fixture'))
+      .resolves.toMatchObject({ key: 'llm:query:local:fixture:fixture:a', method: 'embedding', score: 0.995 });
+    await expect(semanticCacheService.lookup('Active users in Berlin', 'llm:query:local:fixture:fixture')).resolves.toBeNull();
+  });
+
+  test('should list near-duplicate clusters and evict them', async () => {
+    jest.spyOn(provider, 'generateSQL');
+    await llmService.generateSQL('Top 5 products by revenue', schema, { provider: 'fixture' });
+    await llmService.generateSQL('the 5 products with the highest income', schema, { provider: 'fixture' });
+    await llmService.generateSQL('How many products are there?', schema, { provider: 'fixture' });
+    // The second question was served from the first; index a true duplicate
+    const key = llmService.buildCacheKey('five top products by revenue', 'fixture', 'fixture', [], 'local', null, 'abc');
+    mockStore.set(key, JSON.stringify({ sql: 'SELECT p.name FROM products p ORDER BY p.id LIMIT 5' }));
+    await semanticCacheService.remember('five top products by revenue', llmService.buildCachePartition('fixture', 'fixture', 'local'), key, 60);
+
+    const [cluster, ...others] = await semanticCacheService.findClusters({ datasource: 'local' });
+
+    expect(others).toHaveLength(0);
+    expect(cluster).toMatchObject({ datasource: 'local', provider: 'fixture', size: 2, minSimilarity: 1, distinctSql: 2 });
+    expect(cluster.members.map(member => member.query).sort()).toEqual(['Top 5 products by revenue', 'five top products by revenue']);
+
+    await expect(semanticCacheService.evictCluster(cluster.id, { datasource: 'local' })).resolves.toEqual({ id: cluster.id, evicted: 2 });
+    expect(mockStore.has(key)).toBe(false);
+    await expect(semanticCacheService.findClusters()).resolves.toEqual([]);
+    await expect(semanticCacheService.evictCluster(cluster.id)).rejects.toMatchObject({ code: 'CLUSTER_NOT_FOUND' });
+  });
+});
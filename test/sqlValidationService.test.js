@@ -0,0 +1,134 @@
+const sqlValidationService = require('../src/services/sqlValidationService');
+
+describe('SQL Validation Service', () => {
+
+  describe('Allowed queries', () => {
+    test('should allow string literals and identifiers that look like keywords', () => {
+      const result = sqlValidationService.validate(
+        "SELECT o.user_set_id FROM orders o WHERE o.status = 'set' AND o.note = '#1'",
+        { dbType: 'postgresql' }
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.statementType).toBe('select');
+      expect(result.tables).toEqual([{ schema: null, name: 'orders' }]);
+    });
+
+    test('should allow dialect date functions for SQLite and DuckDB', () => {
+      expect(sqlValidationService.validate(
+        "SELECT strftime('%Y-%m', o.order_date) AS month, COUNT(*) FROM orders o GROUP BY month",
+        { dbType: 'sqlite' }
+      ).valid).toBe(true);
+      expect(sqlValidationService.validate(
+        "SELECT date_trunc('month', o.order_date) AS month, SUM(o.total_amount) FROM orders o GROUP BY 1",
+        { dbType: 'duckdb' }
+      ).valid).toBe(true);
+    });
+
+    test('should allow WITH ... SELECT and trailing comments', () => {
+      const result = sqlValidationService.validate(
+        'WITH recent AS (SELECT id FROM orders) SELECT COUNT(*) FROM recent -- count recent orders\n',
+        { dbType: 'postgresql' }
+      );
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('should read FETCH FIRST as a row limit for PostgreSQL', () => {
+      const result = sqlValidationService.validate(
+        'SELECT u.id FROM users u ORDER BY u.id OFFSET 10 ROWS FETCH NEXT 5 ROWS ONLY;',
+        { dbType: 'postgresql' }
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.ast.limit.value.map(item => item.value)).toEqual([5, 10]);
+    });
+  });
+
+  describe('Rejected queries', () => {
+    test('should reject write statements', () => {
+      const result = sqlValidationService.validate('DELETE FROM users WHERE id = 1', { dbType: 'postgresql' });
+
+      expect(result.valid).toBe(false);
+      expect(result.violations[0].code).toBe('STATEMENT_NOT_ALLOWED');
+    });
+
+    test('should reject multiple statements', () => {
+      const result = sqlValidationService.validate('SELECT 1; DROP TABLE users', { dbType: 'postgresql' });
+
+      expect(result.violations.map(v => v.code)).toEqual(
+        expect.arrayContaining(['MULTIPLE_STATEMENTS', 'STATEMENT_NOT_ALLOWED'])
+      );
+    });
+
+    test('should reject side-effecting functions inside CTEs', () => {
+      const result = sqlValidationService.validate(
+        'WITH x AS (SELECT pg_sleep(10) AS s) SELECT * FROM x',
+        { dbType: 'postgresql' }
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.violations[0]).toMatchObject({ code: 'FORBIDDEN_FUNCTION', function: 'pg_sleep' });
+    });
+
+    test('should reject every PostgreSQL advisory lock function', () => {
+      ['pg_advisory_lock', 'pg_advisory_lock_shared', 'pg_try_advisory_xact_lock', 'pg_try_advisory_lock_shared',
+        'pg_advisory_xact_lock_shared', 'pg_advisory_unlock', 'pg_advisory_unlock_all'].forEach(name => {
+        expect(sqlValidationService.validate(`SELECT ${name}(1) AS locked`, { dbType: 'postgresql' }).violations[0])
+          .toMatchObject({ code: 'FORBIDDEN_FUNCTION', function: name });
+      });
+    });
+
+    test('should reject NATURAL joins', () => {
+      ['postgresql', 'sqlite'].forEach(dbType => {
+        expect(sqlValidationService.validate('SELECT * FROM orders NATURAL JOIN customers', { dbType }).violations[0].code)
+          .toBe('NATURAL_JOIN');
+      });
+      expect(sqlValidationService.validate('SELECT * FROM users u JOIN orders NATURAL LEFT JOIN customers ON 1 = 1', { dbType: 'postgresql' }).violations[0].code)
+        .toBe('NATURAL_JOIN');
+      expect(sqlValidationService.validate('SELECT * FROM orders JOIN customers USING (customer_id)', { dbType: 'postgresql' }).valid).toBe(true);
+    });
+
+    test('should reject SELECT ... INTO', () => {
+      const result = sqlValidationService.validate('SELECT * INTO backup FROM users', { dbType: 'postgresql' });
+
+      expect(result.violations[0].code).toBe('SELECT_INTO');
+    });
+
+    test('should reject locking reads', () => {
+      const result = sqlValidationService.validate('SELECT * FROM users FOR UPDATE', { dbType: 'mysql' });
+
+      expect(result.violations[0].code).toBe('LOCKING_READ');
+    });
+
+    test('should reject system catalog access', () => {
+      const result = sqlValidationService.validate('SELECT * FROM information_schema.tables', { dbType: 'mysql' });
+
+      expect(result.violations[0].code).toBe('SYSTEM_CATALOG');
+    });
+
+    test('should reject SQLite catalog tables and pragma functions', () => {
+      expect(sqlValidationService.validate('SELECT sql FROM sqlite_master', { dbType: 'sqlite' }).violations[0].code)
+        .toBe('SYSTEM_CATALOG');
+      expect(sqlValidationService.validate("SELECT * FROM pragma_table_info('users')", { dbType: 'sqlite' }).violations[0])
+        .toMatchObject({ code: 'FORBIDDEN_FUNCTION', function: 'pragma_table_info' });
+    });
+
+    test('should reject DuckDB file readers and file paths', () => {
+      expect(sqlValidationService.validate("SELECT * FROM read_csv('/etc/passwd')", { dbType: 'duckdb' }).violations[0])
+        .toMatchObject({ code: 'FORBIDDEN_FUNCTION', function: 'read_csv' });
+      expect(sqlValidationService.validate("SELECT * FROM 'exports/users.parquet'", { dbType: 'duckdb' }).violations[0].code)
+        .toBe('FILE_ACCESS');
+    });
+
+    test('assertReadOnly should throw with structured violations', () => {
+      expect.assertions(2);
+      try {
+        sqlValidationService.assertReadOnly('UPDATE users SET email = NULL', { dbType: 'postgresql' });
+      } catch (error) {
+        expect(error.message).toContain('Only SELECT statements are allowed');
+        expect(error.violations[0].code).toBe('STATEMENT_NOT_ALLOWED');
+      }
+    });
+  });
+});